@@ -0,0 +1,50 @@
+import { ComputeEngine } from "./engine/compute_engine.js";
+import { Frame, Variable } from "./engine/parser.js";
+
+// Times calling a function by walking its expression tree against calling
+// its compiled closure, as plotting does hundreds of times per redraw.
+//
+// Run with: node benchmark.js
+
+const Calls = 100000;
+
+const engine = new ComputeEngine();
+engine.run("a = 2");
+engine.run("f(x) = x^3 - a*x^2 + sin(x)/x + 1");
+
+const symbolsTable = engine.symbolsTable;
+const numbers = symbolsTable.numbers;
+
+/**
+ *
+ * @param {string} label
+ * @param {(x: *) => *} fn
+ *
+ * @returns {number} Milliseconds taken.
+ */
+function time(label, fn) {
+  let total = 0;
+  const start = performance.now();
+  for (let iii = 0; iii < Calls; iii++) {
+    total += numbers.toNumber(fn(numbers.fromNumber((iii + 1) / Calls)));
+  }
+  const elapsed = performance.now() - start;
+
+  console.log(`${label}: ${elapsed.toFixed(1)} ms (checksum ${total})`);
+  return elapsed;
+}
+
+const callable = symbolsTable.getCallable("f");
+console.log(`${callable.signature()} = ${callable.asExpression().toSource()}`);
+
+const interpreted = time("interpreted", (x) => {
+  symbolsTable.pushFrame(new Frame("f", [new Variable("x", x, false)]));
+  try {
+    return callable.asExpression().eval(symbolsTable);
+  } finally {
+    symbolsTable.popFrame();
+  }
+});
+const compiled = time("compiled", (x) => callable.call([x], symbolsTable));
+
+console.log(`${(interpreted / compiled).toFixed(1)}x faster compiled`);
@@ -0,0 +1,415 @@
+// Complex numbers, as pairs of floats. Multivalued functions such as log
+// and sqrt return their principal values.
+
+export class Complex {
+  /**
+   *
+   * @param {number} re
+   * @param {number} im
+   */
+  constructor(re, im) {
+    this.re = re;
+    this.im = im;
+  }
+
+  /**
+   *
+   * @param {number | Complex} value
+   *
+   * @returns {Complex}
+   */
+  static from(value) {
+    return value instanceof Complex ? value : new Complex(value, 0);
+  }
+
+  /**
+   *
+   * @param {number} magnitude
+   * @param {number} angle In radians.
+   *
+   * @returns {Complex}
+   */
+  static fromPolar(magnitude, angle) {
+    return new Complex(
+      magnitude * Math.cos(angle),
+      magnitude * Math.sin(angle)
+    );
+  }
+
+  /**
+   * Returns a plain number when there is no imaginary part, so real results
+   * of complex arithmetic carry on as reals.
+   *
+   * @returns {number | Complex}
+   */
+  simplified() {
+    return this.im === 0 ? this.re : this;
+  }
+
+  /**
+   * Only valid when the imaginary part is zero.
+   *
+   * @returns {number}
+   */
+  toNumber() {
+    if (this.im !== 0) {
+      throw new Error(`Expected a real number but was given ${this}.`);
+    }
+
+    return this.re;
+  }
+
+  /**
+   *
+   * @returns {boolean}
+   */
+  isZero() {
+    return this.re === 0 && this.im === 0;
+  }
+
+  /**
+   *
+   * @param {Complex} other
+   *
+   * @returns {Complex}
+   */
+  add(other) {
+    return new Complex(this.re + other.re, this.im + other.im);
+  }
+
+  /**
+   *
+   * @param {Complex} other
+   *
+   * @returns {Complex}
+   */
+  subtract(other) {
+    return new Complex(this.re - other.re, this.im - other.im);
+  }
+
+  /**
+   *
+   * @param {Complex} other
+   *
+   * @returns {Complex}
+   */
+  multiply(other) {
+    return new Complex(
+      this.re * other.re - this.im * other.im,
+      this.re * other.im + this.im * other.re
+    );
+  }
+
+  /**
+   *
+   * @param {Complex} other
+   *
+   * @returns {Complex}
+   */
+  divide(other) {
+    const denominator = other.re * other.re + other.im * other.im;
+    return new Complex(
+      (this.re * other.re + this.im * other.im) / denominator,
+      (this.im * other.re - this.re * other.im) / denominator
+    );
+  }
+
+  /**
+   *
+   * @param {number} factor
+   *
+   * @returns {Complex}
+   */
+  scale(factor) {
+    return new Complex(this.re * factor, this.im * factor);
+  }
+
+  /**
+   *
+   * @returns {Complex}
+   */
+  negate() {
+    return new Complex(-this.re, -this.im);
+  }
+
+  /**
+   *
+   * @returns {Complex}
+   */
+  conj() {
+    return new Complex(this.re, -this.im);
+  }
+
+  /**
+   *
+   * @returns {number}
+   */
+  abs() {
+    return Math.hypot(this.re, this.im);
+  }
+
+  /**
+   *
+   * @returns {number} The angle from the positive real axis, in (-pi, pi].
+   */
+  arg() {
+    return Math.atan2(this.im, this.re);
+  }
+
+  /**
+   *
+   * @returns {Complex}
+   */
+  exp() {
+    return Complex.fromPolar(Math.exp(this.re), this.im);
+  }
+
+  /**
+   *
+   * @returns {Complex}
+   */
+  log() {
+    return new Complex(Math.log(this.abs()), this.arg());
+  }
+
+  /**
+   *
+   * @returns {Complex}
+   */
+  sqrt() {
+    if (this.isZero()) {
+      return new Complex(0, 0);
+    }
+
+    // Avoids cancellation in the half angle formulas.
+    const magnitude = this.abs();
+    const re = Math.sqrt((magnitude + Math.abs(this.re)) / 2);
+    if (this.re >= 0) {
+      return new Complex(re, this.im / (2 * re));
+    } else {
+      return new Complex(
+        Math.abs(this.im) / (2 * re),
+        Math.sign(this.im || 1) * re
+      );
+    }
+  }
+
+  /**
+   *
+   * @param {Complex} exponent
+   *
+   * @returns {Complex}
+   */
+  pow(exponent) {
+    if (this.isZero()) {
+      if (exponent.re > 0) {
+        return new Complex(0, 0);
+      } else {
+        throw new Error(
+          "Cannot raise zero to a power with no positive real part."
+        );
+      }
+    }
+
+    if (exponent.im === 0 && Number.isSafeInteger(exponent.re)) {
+      // Multiplied out, so e.g. i^2 is exactly -1 rather than off by the
+      // rounding in exp and log.
+      const power = this._wholePower(Math.abs(exponent.re));
+      return exponent.re < 0 ? ONE.divide(power) : power;
+    }
+
+    return this.log().multiply(exponent).exp();
+  }
+
+  /**
+   * By repeated squaring.
+   *
+   * @param {number} n A whole number of at least 0.
+   *
+   * @returns {Complex}
+   */
+  _wholePower(n) {
+    let out = ONE;
+    let square = this;
+    for (
+      let remaining = n;
+      remaining > 0;
+      remaining = Math.floor(remaining / 2)
+    ) {
+      if (remaining % 2 === 1) {
+        out = out.multiply(square);
+      }
+      square = square.multiply(square);
+    }
+
+    return out;
+  }
+
+  /**
+   *
+   * @returns {Complex}
+   */
+  sin() {
+    return new Complex(
+      Math.sin(this.re) * Math.cosh(this.im),
+      Math.cos(this.re) * Math.sinh(this.im)
+    );
+  }
+
+  /**
+   *
+   * @returns {Complex}
+   */
+  cos() {
+    return new Complex(
+      Math.cos(this.re) * Math.cosh(this.im),
+      -Math.sin(this.re) * Math.sinh(this.im)
+    );
+  }
+
+  /**
+   *
+   * @returns {Complex}
+   */
+  tan() {
+    return this.sin().divide(this.cos());
+  }
+
+  /**
+   *
+   * @returns {Complex}
+   */
+  sinh() {
+    return new Complex(
+      Math.sinh(this.re) * Math.cos(this.im),
+      Math.cosh(this.re) * Math.sin(this.im)
+    );
+  }
+
+  /**
+   *
+   * @returns {Complex}
+   */
+  cosh() {
+    return new Complex(
+      Math.cosh(this.re) * Math.cos(this.im),
+      Math.sinh(this.re) * Math.sin(this.im)
+    );
+  }
+
+  /**
+   *
+   * @returns {Complex}
+   */
+  tanh() {
+    return this.sinh().divide(this.cosh());
+  }
+
+  /**
+   * asin(z) = -i log(iz + sqrt(1 - z^2))
+   *
+   * @returns {Complex}
+   */
+  asin() {
+    if (this.im === 0 && this.re > 1) {
+      // On the branch cut, where 1 - z^2 has a zero imaginary part that
+      // should be negative. As for x < -1, the imaginary part is positive.
+      return new Complex(
+        Math.PI / 2,
+        Math.log(this.re + Math.sqrt(this.re * this.re - 1))
+      );
+    }
+
+    const iz = new Complex(-this.im, this.re);
+    const root = ONE.subtract(this.multiply(this)).sqrt();
+    return MINUS_I.multiply(iz.add(root).log());
+  }
+
+  /**
+   * acos(z) = pi/2 - asin(z)
+   *
+   * @returns {Complex}
+   */
+  acos() {
+    return new Complex(Math.PI / 2, 0).subtract(this.asin());
+  }
+
+  /**
+   * atan(z) = i/2 (log(1 - iz) - log(1 + iz))
+   *
+   * @returns {Complex}
+   */
+  atan() {
+    const iz = new Complex(-this.im, this.re);
+    const difference = ONE.subtract(iz).log().subtract(ONE.add(iz).log());
+    return new Complex(0, 0.5).multiply(difference);
+  }
+
+  /**
+   * asinh(z) = log(z + sqrt(z^2 + 1))
+   *
+   * @returns {Complex}
+   */
+  asinh() {
+    return this.add(this.multiply(this).add(ONE).sqrt()).log();
+  }
+
+  /**
+   * acosh(z) = log(z + sqrt(z + 1) sqrt(z - 1))
+   *
+   * @returns {Complex}
+   */
+  acosh() {
+    const root = this.add(ONE).sqrt().multiply(this.subtract(ONE).sqrt());
+    return this.add(root).log();
+  }
+
+  /**
+   * atanh(z) = (log(1 + z) - log(1 - z)) / 2
+   *
+   * @returns {Complex}
+   */
+  atanh() {
+    if (this.im === 0 && this.re > 1) {
+      // On the branch cut, where 1 - z has a zero imaginary part that should
+      // be negative. As for x < -1, the imaginary part is +π/2.
+      return new Complex(
+        0.5 * Math.log((this.re + 1) / (this.re - 1)),
+        Math.PI / 2
+      );
+    }
+
+    return ONE.add(this).log().subtract(ONE.subtract(this).log()).scale(0.5);
+  }
+
+  /**
+   * Rectangular form, e.g. 3 - 4i.
+   *
+   * @returns {string}
+   */
+  toString() {
+    const imText = (im) => (im === 1 ? "i" : `${im}i`);
+
+    if (this.im === 0) {
+      return `${this.re}`;
+    } else if (this.re === 0) {
+      return this.im === -1 ? "-i" : imText(this.im);
+    } else if (this.im < 0) {
+      return `${this.re} - ${imText(-this.im)}`;
+    } else {
+      return `${this.re} + ${imText(this.im)}`;
+    }
+  }
+
+  /**
+   * Polar form, e.g. 5 ∠ 0.927 with the angle in radians.
+   *
+   * @returns {string}
+   */
+  toPolarString() {
+    return `${this.abs()} ∠ ${this.arg()}`;
+  }
+}
+
+const ONE = new Complex(1, 0);
+const MINUS_I = new Complex(0, -1);
@@ -1,235 +1,2369 @@
+import { Complex } from "./complex.js";
+import { ParseError } from "./errors.js";
+import { Matrix } from "./matrix.js";
+import { restoreSession, serialiseSession } from "./session.js";
+import { LatexNotation, typesetDefinition, typesetValue } from "./typeset.js";
+import { Quantity, getDefaultUnits } from "./units.js";
+import * as numeric from "./numeric.js";
+import * as special from "./special.js";
+import {
+  findHelp,
+  formatHelp,
+  helpEntries,
+  helpOverview,
+  searchHelp,
+} from "./help.js";
+import {
+  DecimalBackend,
+  ExactBackend,
+  FloatBackend,
+  ProgrammerBackend,
+} from "./numbers.js";
 import {
   Callable,
   Expression,
+  MaxCallDepth,
   Parser,
   SymbolsTable,
   Tokeniser,
   Variable,
 } from "./parser.js";
 
+// A function's name, which may end in digits, e.g. log2, and be qualified
+// by the namespace of the plugin that registered it, e.g. fin.fv.
+const FunctionNamePattern = String.raw`(?:[a-zA-Z]+\.)?[a-zA-Z]+\d*`;
+
+/**
+ * The parameter of a native function.
+ *
+ * @returns {Expression}
+ */
+function x() {
+  return Expression.buildVariableExpression("x");
+}
+
+/**
+ *
+ * @param {number} value
+ *
+ * @returns {Expression}
+ */
+function num(value) {
+  return Expression.buildConstantExpression(value);
+}
+
+/**
+ *
+ * @param {string} operator
+ * @param {Expression} left
+ * @param {Expression} right
+ *
+ * @returns {Expression}
+ */
+function op(operator, left, right) {
+  return Expression.buildBinaryExpression(operator, left, right);
+}
+
+/**
+ *
+ * @param {string} functionName
+ * @param {Expression} argument
+ *
+ * @returns {Expression}
+ */
+function call(functionName, argument) {
+  return Expression.buildFunctionCallExpression(functionName, [argument]);
+}
+
+/**
+ * Builds sqrt(expression) without needing a sqrt function.
+ *
+ * @param {Expression} expression
+ *
+ * @returns {Expression}
+ */
+function root(expression) {
+  return op("^", expression, num(0.5));
+}
+
+/**
+ * Applies real to x when x is real and inside real's domain, otherwise the
+ * named Complex method.
+ *
+ * @param {number | Complex} x
+ * @param {(x: number) => number} real
+ * @param {string} complexMethod
+ * @param {(x: number) => boolean} inRealDomain
+ *
+ * @returns {number | Complex}
+ */
+function realOrComplex(x, real, complexMethod, inRealDomain = () => true) {
+  if (x instanceof Complex || !inRealDomain(x)) {
+    return Complex.from(x)[complexMethod]().simplified();
+  } else {
+    return real(x);
+  }
+}
+
 class SinExpr extends Expression {
   eval(symbolsTable) {
     const x = this.getXValue(symbolsTable);
-    return Math.sin(x);
+    return realOrComplex(x, Math.sin, "sin");
   }
 
-  debug() {
+  describe() {
     return "The sine of x";
   }
+
+  examples() {
+    return ["sin(pi/6)", "sin(rad(30))"];
+  }
+
+  derivative() {
+    return call("cos", x());
+  }
 }
 
 class ASinExpr extends Expression {
   eval(symbolsTable) {
     const x = this.getXValue(symbolsTable);
-    return Math.asin(x);
+    return realOrComplex(x, Math.asin, "asin", (x) => Math.abs(x) <= 1);
   }
 
-  debug() {
+  describe() {
     return "The arcsine of x";
   }
+
+  domain() {
+    return "-1 to 1 for a real result, complex outside";
+  }
+
+  examples() {
+    return ["asin(0.5)", "deg(asin(1))"];
+  }
+
+  derivative() {
+    // 1 / sqrt(1 - x^2)
+    return op("/", num(1), root(op("-", num(1), op("^", x(), num(2)))));
+  }
 }
 
 class ASinhExpr extends Expression {
   eval(symbolsTable) {
     const x = this.getXValue(symbolsTable);
-    return Math.asinh(x);
+    return realOrComplex(x, Math.asinh, "asinh");
   }
 
-  debug() {
+  describe() {
     return "The hyperbolic arcsine of x";
   }
+
+  examples() {
+    return ["asinh(1)"];
+  }
+
+  derivative() {
+    // 1 / sqrt(x^2 + 1)
+    return op("/", num(1), root(op("+", op("^", x(), num(2)), num(1))));
+  }
 }
 
 class CosExpr extends Expression {
   eval(symbolsTable) {
     const x = this.getXValue(symbolsTable);
-    return Math.cos(x);
+    return realOrComplex(x, Math.cos, "cos");
   }
 
-  debug() {
+  describe() {
     return "The cosine of x";
   }
+
+  examples() {
+    return ["cos(pi)"];
+  }
+
+  derivative() {
+    return Expression.buildNegateExpression(call("sin", x()));
+  }
 }
 
 class ACosExpr extends Expression {
   eval(symbolsTable) {
     const x = this.getXValue(symbolsTable);
-    return Math.acos(x);
+    return realOrComplex(x, Math.acos, "acos", (x) => Math.abs(x) <= 1);
   }
 
-  debug() {
+  describe() {
     return "The arccosine of x";
   }
+
+  domain() {
+    return "-1 to 1 for a real result, complex outside";
+  }
+
+  examples() {
+    return ["acos(0)"];
+  }
+
+  derivative() {
+    // -1 / sqrt(1 - x^2)
+    return op("/", num(-1), root(op("-", num(1), op("^", x(), num(2)))));
+  }
 }
 
 class ACoshExpr extends Expression {
   eval(symbolsTable) {
     const x = this.getXValue(symbolsTable);
-    return Math.acosh(x);
+    return realOrComplex(x, Math.acosh, "acosh", (x) => x >= 1);
   }
 
-  debug() {
+  describe() {
     return "The hyperbolic arccosine of x";
   }
+
+  domain() {
+    return "1 and above for a real result, complex below";
+  }
+
+  examples() {
+    return ["acosh(2)"];
+  }
+
+  derivative() {
+    // 1 / sqrt(x^2 - 1)
+    return op("/", num(1), root(op("-", op("^", x(), num(2)), num(1))));
+  }
 }
 
 class TanExpr extends Expression {
   eval(symbolsTable) {
     const x = this.getXValue(symbolsTable);
-    return Math.tan(x);
+    return realOrComplex(x, Math.tan, "tan");
   }
 
-  debug() {
+  describe() {
     return "The tangent of x";
   }
+
+  examples() {
+    return ["tan(pi/4)"];
+  }
+
+  derivative() {
+    // 1 / cos(x)^2
+    return op("/", num(1), op("^", call("cos", x()), num(2)));
+  }
 }
 
 class ATanExpr extends Expression {
   eval(symbolsTable) {
     const x = this.getXValue(symbolsTable);
-    return Math.atan(x);
+    return realOrComplex(x, Math.atan, "atan");
   }
 
-  debug() {
+  describe() {
     return "The arctangent of x";
   }
+
+  examples() {
+    return ["atan(1)"];
+  }
+
+  derivative() {
+    // 1 / (1 + x^2)
+    return op("/", num(1), op("+", num(1), op("^", x(), num(2))));
+  }
 }
 
 class ATanhExpr extends Expression {
   eval(symbolsTable) {
     const x = this.getXValue(symbolsTable);
-    return Math.atanh(x);
+    if (Math.abs(x instanceof Complex && x.im === 0 ? x.re : x) === 1) {
+      throw new Error("atanh is undefined at ±1.");
+    }
+
+    return realOrComplex(x, Math.atanh, "atanh", (x) => Math.abs(x) < 1);
   }
 
-  debug() {
+  describe() {
     return "The hyperbolic arctangent of x";
   }
+
+  domain() {
+    return "Strictly between -1 and 1 for a real result, complex outside and undefined at ±1";
+  }
+
+  examples() {
+    return ["atanh(0.5)"];
+  }
+
+  derivative() {
+    // 1 / (1 - x^2)
+    return op("/", num(1), op("-", num(1), op("^", x(), num(2))));
+  }
 }
 
-class DegToRad extends Expression {
+class SinhExpr extends Expression {
   eval(symbolsTable) {
     const x = this.getXValue(symbolsTable);
-    return (x * Math.PI) / 180;
+    return realOrComplex(x, Math.sinh, "sinh");
   }
 
-  debug() {
-    return "The angle, x, in radians. All trig functions use radians";
+  describe() {
+    return "The hyperbolic sine of x, (e^x - e^-x) / 2";
+  }
+
+  examples() {
+    return ["sinh(1)"];
+  }
+
+  derivative() {
+    return call("cosh", x());
   }
 }
 
-class RadToDeg extends Expression {
+class CoshExpr extends Expression {
   eval(symbolsTable) {
     const x = this.getXValue(symbolsTable);
-    return (x * 180) / Math.PI;
+    return realOrComplex(x, Math.cosh, "cosh");
   }
 
-  debug() {
-    return "The angle, x, in degrees. Some trig expressions will return radians.";
+  describe() {
+    return "The hyperbolic cosine of x, (e^x + e^-x) / 2";
+  }
+
+  examples() {
+    return ["cosh(0)"];
+  }
+
+  derivative() {
+    return call("sinh", x());
+  }
+}
+
+class TanhExpr extends Expression {
+  eval(symbolsTable) {
+    const x = this.getXValue(symbolsTable);
+    return realOrComplex(x, Math.tanh, "tanh");
+  }
+
+  describe() {
+    return "The hyperbolic tangent of x, sinh(x) / cosh(x)";
+  }
+
+  examples() {
+    return ["tanh(1)"];
+  }
+
+  derivative() {
+    // 1 / cosh(x)^2
+    return op("/", num(1), op("^", call("cosh", x()), num(2)));
+  }
+}
+
+class SecExpr extends Expression {
+  eval(symbolsTable) {
+    const x = this.getXValue(symbolsTable);
+    return reciprocal(realOrComplex(x, Math.cos, "cos"), "sec", "cos");
+  }
+
+  describe() {
+    return "The secant of x, 1 / cos(x)";
+  }
+
+  domain() {
+    return "Everywhere cos(x) is not 0";
+  }
+
+  examples() {
+    return ["sec(pi/3)"];
+  }
+
+  derivative() {
+    return op("*", call("sec", x()), call("tan", x()));
+  }
+}
+
+class CscExpr extends Expression {
+  eval(symbolsTable) {
+    const x = this.getXValue(symbolsTable);
+    return reciprocal(realOrComplex(x, Math.sin, "sin"), "csc", "sin");
+  }
+
+  describe() {
+    return "The cosecant of x, 1 / sin(x)";
+  }
+
+  domain() {
+    return "Everywhere sin(x) is not 0";
+  }
+
+  examples() {
+    return ["csc(pi/6)"];
+  }
+
+  derivative() {
+    return Expression.buildNegateExpression(
+      op("*", call("csc", x()), call("cot", x()))
+    );
+  }
+}
+
+class CotExpr extends Expression {
+  eval(symbolsTable) {
+    const x = this.getXValue(symbolsTable);
+    return reciprocal(realOrComplex(x, Math.tan, "tan"), "cot", "sin");
+  }
+
+  describe() {
+    return "The cotangent of x, cos(x) / sin(x)";
+  }
+
+  domain() {
+    return "Everywhere sin(x) is not 0";
+  }
+
+  examples() {
+    return ["cot(pi/4)"];
+  }
+
+  derivative() {
+    return Expression.buildNegateExpression(op("^", call("csc", x()), num(2)));
   }
 }
 
 /**
- * @returns {SymbolsTable}
+ * 1 / value, for the reciprocal trig functions.
+ *
+ * @param {number | Complex} value
+ * @param {string} name Named in the error when value is 0.
+ * @param {string} denominator The function that gave value.
+ *
+ * @returns {number | Complex}
  */
-function getDefaultSymbolsTable() {
-  return new SymbolsTable(
-    [
-      new Variable("ans", 0, false),
-      new Variable("preans", 0, false),
+function reciprocal(value, name, denominator) {
+  if (value instanceof Complex ? value.isZero() : value === 0) {
+    throw new Error(`${name} is undefined where ${denominator}(x) is 0.`);
+  }
 
-      new Variable("pi", Math.PI, true),
-      new Variable("e", Math.E, true),
-    ],
-    [
-      new Callable("sin", new SinExpr(), true),
-      new Callable("asin", new ASinExpr(), true),
-      new Callable("asinh", new ASinhExpr(), true),
+  return value instanceof Complex
+    ? new Complex(1, 0).divide(value).simplified()
+    : 1 / value;
+}
 
-      new Callable("cos", new CosExpr(), true),
-      new Callable("acos", new ACosExpr(), true),
-      new Callable("acosh", new ACoshExpr(), true),
+class LnExpr extends Expression {
+  eval(symbolsTable) {
+    const x = this.getXValue(symbolsTable);
+    return logarithm(x, "ln", Math.log, 1);
+  }
 
-      new Callable("tan", new TanExpr(), true),
-      new Callable("atan", new ATanExpr(), true),
-      new Callable("atanh", new ATanhExpr(), true),
+  describe() {
+    return "The natural logarithm of x";
+  }
 
-      new Callable("rad", new DegToRad(), true),
-      new Callable("deg", new RadToDeg(), true),
-    ]
-  );
+  domain() {
+    return "Every number but 0, complex for negative x";
+  }
+
+  examples() {
+    return ["ln(e)", "ln(-1)"];
+  }
+
+  derivative() {
+    return op("/", num(1), x());
+  }
 }
 
-// Or Shell whatever you want to call it.
-export class ComputeEngine {
-  constructor() {
-    this.symbolsTable = getDefaultSymbolsTable();
-    this.tokeniser = new Tokeniser();
-    this.parser = new Parser(this.tokeniser);
+class LogExpr extends Expression {
+  eval(symbolsTable) {
+    const x = this.getXValue(symbolsTable);
+    return logarithm(x, "log", Math.log10, Math.LN10);
   }
 
-  /**
-   *
-   * @param {string} text
-   *
-   * @returns {number}
-   */
-  run(text) {
-    if (text.indexOf("=") !== -1) {
-      const units = text.split("=");
+  describe() {
+    return "The logarithm of x to base 10, so log(1000) is 3";
+  }
 
-      return this._handleAssignment(units[0].trim(), units[1].trim());
-    } else {
-      const ret = this.parser.evalString(text, this.symbolsTable);
-      this.symbolsTable.setSymbol(
-        "preans",
-        this.symbolsTable.getVariable("ans").asNumber()
-      );
-      this.symbolsTable.setSymbol("ans", ret);
+  domain() {
+    return "Every number but 0, complex for negative x";
+  }
 
-      return ret;
-    }
+  examples() {
+    return ["log(1000)"];
   }
 
-  /**
-   *
-   * @param {string} left
-   * @param {string} right
-   *
-   * @returns {number}
-   */
-  _handleAssignment(left, right) {
-    const funcRegExp = /^[a-z]+\(x\)$/;
-    const varNameRegExp = /^[a-z]+$/;
+  derivative() {
+    return op("/", num(1), op("*", x(), call("ln", num(10))));
+  }
+}
 
-    if (funcRegExp.exec(left)) {
-      const functionName = left.split("(")[0];
-      const expression = this._getExpression(right);
+class Log2Expr extends Expression {
+  eval(symbolsTable) {
+    const x = this.getXValue(symbolsTable);
+    return logarithm(x, "log2", Math.log2, Math.LN2);
+  }
 
-      this.symbolsTable.setSymbol(functionName, expression);
-    } else if (varNameRegExp.exec(left)) {
-      const varName = left;
-      const value = this.parser.evalString(right, this.symbolsTable);
+  describe() {
+    return "The logarithm of x to base 2, so log2(8) is 3";
+  }
 
-      this.symbolsTable.setSymbol(varName, value);
-    } else {
-      throw new Error("Unknown assignment.");
-    }
+  domain() {
+    return "Every number but 0, complex for negative x";
+  }
 
-    return 0;
+  examples() {
+    return ["log2(8)"];
   }
 
-  /**
-   *
-   * @param {string} text
-   *
-   * @returns {Expression}
-   */
-  _getExpression(text) {
-    const availableFunctions = this.symbolsTable.callables.map(
-      (callable) => callable.name
+  derivative() {
+    return op("/", num(1), op("*", x(), call("ln", num(2))));
+  }
+}
+
+/**
+ * Logarithms are undefined at 0, and complex for negative x.
+ *
+ * @param {number | Complex} x
+ * @param {string} name Named in the error when x is 0.
+ * @param {(x: number) => number} real
+ * @param {number} lnBase The natural logarithm of the base.
+ *
+ * @returns {number | Complex}
+ */
+function logarithm(x, name, real, lnBase) {
+  if (x instanceof Complex ? x.isZero() : x === 0) {
+    throw new Error(`${name} is undefined at 0.`);
+  } else if (x instanceof Complex || x < 0) {
+    return Complex.from(x)
+      .log()
+      .scale(1 / lnBase)
+      .simplified();
+  } else {
+    return real(x);
+  }
+}
+
+class ExpExpr extends Expression {
+  eval(symbolsTable) {
+    const x = this.getXValue(symbolsTable);
+    return realOrComplex(x, Math.exp, "exp");
+  }
+
+  describe() {
+    return "e to the power x";
+  }
+
+  examples() {
+    return ["exp(1)", "exp(i*pi)"];
+  }
+
+  derivative() {
+    return call("exp", x());
+  }
+}
+
+class SqrtExpr extends Expression {
+  eval(symbolsTable) {
+    const x = this.getXValue(symbolsTable);
+    return realOrComplex(x, Math.sqrt, "sqrt", (x) => x >= 0);
+  }
+
+  describe() {
+    return "The square root of x, which is imaginary for negative x";
+  }
+
+  examples() {
+    return ["sqrt(2)", "sqrt(-4)"];
+  }
+
+  derivative() {
+    // 1 / (2 sqrt(x))
+    return op("/", num(1), op("*", num(2), call("sqrt", x())));
+  }
+}
+
+class ReExpr extends Expression {
+  eval(symbolsTable) {
+    const x = this.getXValue(symbolsTable);
+    return x instanceof Complex ? x.re : x;
+  }
+
+  describe() {
+    return "The real part of x";
+  }
+
+  examples() {
+    return ["re(3 + 4i)"];
+  }
+}
+
+class ImExpr extends Expression {
+  eval(symbolsTable) {
+    const x = this.getXValue(symbolsTable);
+    return x instanceof Complex ? x.im : 0;
+  }
+
+  describe() {
+    return "The imaginary part of x";
+  }
+
+  examples() {
+    return ["im(3 + 4i)"];
+  }
+}
+
+class ConjExpr extends Expression {
+  eval(symbolsTable) {
+    const x = this.getXValue(symbolsTable);
+    return x instanceof Complex ? x.conj() : x;
+  }
+
+  describe() {
+    return "The complex conjugate of x";
+  }
+
+  examples() {
+    return ["conj(3 + 4i)"];
+  }
+}
+
+class ArgExpr extends Expression {
+  eval(symbolsTable) {
+    const x = this.getXValue(symbolsTable);
+    return Complex.from(x).arg();
+  }
+
+  describe() {
+    return "The angle of x from the positive real axis, in radians";
+  }
+
+  examples() {
+    return ["arg(i)", "arg(-1)"];
+  }
+}
+
+class AbsExpr extends Expression {
+  eval(symbolsTable) {
+    const x = this.getXValue(symbolsTable);
+    return x instanceof Complex ? x.abs() : Math.abs(x);
+  }
+
+  describe() {
+    return "The absolute value, or magnitude, of x";
+  }
+
+  examples() {
+    return ["abs(-3)", "abs(3 + 4i)"];
+  }
+}
+
+class SignExpr extends Expression {
+  eval(symbolsTable) {
+    return whole(Math.sign(this.getArgValue(symbolsTable, "x")), symbolsTable);
+  }
+
+  describe() {
+    return "The sign of x: 1 when positive, -1 when negative and 0 at 0";
+  }
+
+  domain() {
+    return "Real numbers";
+  }
+
+  examples() {
+    return ["sign(-2)"];
+  }
+}
+
+class FloorExpr extends Expression {
+  eval(symbolsTable) {
+    return whole(Math.floor(this.getArgValue(symbolsTable, "x")), symbolsTable);
+  }
+
+  describe() {
+    return "x rounded down to a whole number, so floor(-2.5) is -3";
+  }
+
+  domain() {
+    return "Real numbers";
+  }
+
+  examples() {
+    return ["floor(2.7)", "floor(-2.5)"];
+  }
+}
+
+class CeilExpr extends Expression {
+  eval(symbolsTable) {
+    return whole(Math.ceil(this.getArgValue(symbolsTable, "x")), symbolsTable);
+  }
+
+  describe() {
+    return "x rounded up to a whole number, so ceil(-2.5) is -2";
+  }
+
+  domain() {
+    return "Real numbers";
+  }
+
+  examples() {
+    return ["ceil(2.1)", "ceil(-2.5)"];
+  }
+}
+
+class RoundExpr extends Expression {
+  eval(symbolsTable) {
+    const x = this.getArgValue(symbolsTable, "x");
+
+    // Halves round away from zero, so -2.5 rounds as 2.5 does.
+    return whole(Math.sign(x) * Math.round(Math.abs(x)), symbolsTable);
+  }
+
+  describe() {
+    return "x rounded to the nearest whole number, with halves rounded away from 0";
+  }
+
+  domain() {
+    return "Real numbers";
+  }
+
+  examples() {
+    return ["round(2.5)", "round(-2.5)"];
+  }
+}
+
+class ModExpr extends Expression {
+  eval(symbolsTable) {
+    const a = this.getArgValue(symbolsTable, "a");
+    const b = this.getArgValue(symbolsTable, "b");
+    if (b === 0) {
+      throw new Error("Cannot divide by zero.");
+    }
+
+    // % keeps the sign of a, where mod keeps the sign of b.
+    const remainder = a % b;
+    const out =
+      remainder !== 0 && remainder < 0 !== b < 0 ? remainder + b : remainder;
+
+    return Number.isInteger(a) && Number.isInteger(b)
+      ? whole(out, symbolsTable)
+      : out;
+  }
+
+  describe() {
+    return "The remainder of a divided by b, which has the sign of b, so mod(-7, 3) is 2";
+  }
+
+  domain() {
+    return "Real numbers, with b not 0";
+  }
+
+  examples() {
+    return ["mod(7, 3)", "mod(-7, 3)"];
+  }
+}
+
+class MaxExpr extends Expression {
+  eval(symbolsTable) {
+    return extreme(this, symbolsTable, (order) => order > 0);
+  }
+
+  describe() {
+    return "The largest of two or more numbers";
+  }
+
+  domain() {
+    return "Real numbers";
+  }
+
+  examples() {
+    return ["max(2, 7)", "max(1, 5, 3)"];
+  }
+}
+
+/**
+ * The argument that wins every comparison, kept as given so e.g. exact
+ * fractions stay exact.
+ *
+ * @param {Expression} native
+ * @param {SymbolsTable} symbolsTable
+ * @param {(order: number) => boolean} beats Whether a value with the given
+ * order against the best so far replaces it.
+ *
+ * @returns {*}
+ */
+function extreme(native, symbolsTable, beats) {
+  let best = null;
+  let bestValue = null;
+  for (const argument of symbolsTable.getArguments()) {
+    const value = native.getArgValue(symbolsTable, argument.name);
+    if (Number.isNaN(value)) {
+      return NaN;
+    } else if (best === null || beats(value - bestValue)) {
+      best = argument.asNumber();
+      bestValue = value;
+    }
+  }
+
+  return best;
+}
+
+class HypotExpr extends Expression {
+  eval(symbolsTable) {
+    const x = this.getArgValue(symbolsTable, "x");
+    const y = this.getArgValue(symbolsTable, "y");
+
+    return Math.hypot(x, y);
+  }
+
+  describe() {
+    return "The length of the hypotenuse, sqrt(x^2 + y^2), without overflowing for large x and y";
+  }
+
+  domain() {
+    return "Real numbers";
+  }
+
+  examples() {
+    return ["hypot(3, 4)"];
+  }
+}
+
+class ATan2Expr extends Expression {
+  eval(symbolsTable) {
+    const y = this.getArgValue(symbolsTable, "y");
+    const x = this.getArgValue(symbolsTable, "x");
+    if (x === 0 && y === 0) {
+      throw new Error("atan2 is undefined at (0, 0).");
+    }
+
+    return Math.atan2(y, x);
+  }
+
+  describe() {
+    return "The angle from the positive x axis to the point (x, y), between -pi and pi";
+  }
+
+  domain() {
+    return "Real numbers, not both 0";
+  }
+
+  examples() {
+    return ["atan2(1, -1)"];
+  }
+}
+
+/**
+ * Keeps whole results, such as floor's, whole in the number backend, e.g.
+ * exact in exact mode.
+ *
+ * @param {number} value
+ * @param {SymbolsTable} symbolsTable
+ *
+ * @returns {*}
+ */
+function whole(value, symbolsTable) {
+  // Math.ceil(-0.5) is -0, which is shown as -0.
+  return symbolsTable.numbers.fromNumber(value === 0 ? 0 : value);
+}
+
+class DegToRad extends Expression {
+  eval(symbolsTable) {
+    const x = this.getXValue(symbolsTable);
+    return x instanceof Complex ? x.scale(Math.PI / 180) : (x * Math.PI) / 180;
+  }
+
+  describe() {
+    return "The angle, x, in radians. All trig functions use radians";
+  }
+
+  examples() {
+    return ["rad(180)"];
+  }
+
+  derivative() {
+    return op("/", Expression.buildVariableExpression("pi"), num(180));
+  }
+}
+
+class RadToDeg extends Expression {
+  eval(symbolsTable) {
+    const x = this.getXValue(symbolsTable);
+    return x instanceof Complex ? x.scale(180 / Math.PI) : (x * 180) / Math.PI;
+  }
+
+  describe() {
+    return "The angle, x, in degrees. Some trig expressions will return radians.";
+  }
+
+  examples() {
+    return ["deg(pi)"];
+  }
+
+  derivative() {
+    return op("/", num(180), Expression.buildVariableExpression("pi"));
+  }
+}
+
+class GammaExpr extends Expression {
+  eval(symbolsTable) {
+    return special.gamma(this.getArgValue(symbolsTable, "x"));
+  }
+
+  describe() {
+    return "The gamma function of x, which is (x - 1)! for whole x";
+  }
+
+  domain() {
+    return "Real numbers but 0 and the negative whole numbers";
+  }
+
+  examples() {
+    return ["gamma(5)", "gamma(0.5)^2"];
+  }
+}
+
+class LGammaExpr extends Expression {
+  eval(symbolsTable) {
+    return special.lgamma(this.getArgValue(symbolsTable, "x"));
+  }
+
+  describe() {
+    return "The natural logarithm of the absolute value of gamma(x), which stays finite for large x";
+  }
+
+  domain() {
+    return "Real numbers but 0 and the negative whole numbers";
+  }
+
+  examples() {
+    return ["lgamma(200)"];
+  }
+}
+
+class BetaExpr extends Expression {
+  eval(symbolsTable) {
+    const a = this.getArgValue(symbolsTable, "a");
+    const b = this.getArgValue(symbolsTable, "b");
+
+    return special.beta(a, b);
+  }
+
+  describe() {
+    return "The beta function, gamma(a) gamma(b) / gamma(a + b)";
+  }
+
+  domain() {
+    return "Real a and b, neither 0 nor a negative whole number";
+  }
+
+  examples() {
+    return ["beta(2, 3)"];
+  }
+}
+
+class NCrExpr extends Expression {
+  eval(symbolsTable) {
+    const n = this.getArgValue(symbolsTable, "n");
+    const k = this.getArgValue(symbolsTable, "k");
+
+    return count(special.choose(n, k), symbolsTable);
+  }
+
+  describe() {
+    return "The number of ways to choose k of n things, in any order";
+  }
+
+  domain() {
+    return "Real numbers, with n at least 0 when both are whole";
+  }
+
+  examples() {
+    return ["nCr(5, 2)", "nCr(52, 5)"];
+  }
+}
+
+class NPrExpr extends Expression {
+  eval(symbolsTable) {
+    const n = this.getArgValue(symbolsTable, "n");
+    const k = this.getArgValue(symbolsTable, "k");
+
+    return count(special.permutations(n, k), symbolsTable);
+  }
+
+  describe() {
+    return "The number of ways to arrange k of n things in order";
+  }
+
+  domain() {
+    return "Real numbers, with n at least 0 when both are whole";
+  }
+
+  examples() {
+    return ["nPr(5, 2)"];
+  }
+}
+
+/**
+ * Keeps exact counts exact in the number backend, where floats would
+ * round them.
+ *
+ * @param {bigint | number} value
+ * @param {SymbolsTable} symbolsTable
+ *
+ * @returns {*}
+ */
+function count(value, symbolsTable) {
+  return typeof value === "bigint"
+    ? symbolsTable.numbers.fromBigInt(value)
+    : value;
+}
+
+/**
+ * The tolerance numeric methods work to, read from the tol variable.
+ *
+ * @param {SymbolsTable} symbolsTable
+ *
+ * @returns {number}
+ */
+function getTolerance(symbolsTable) {
+  const tolerance = symbolsTable.numbers.toNumber(
+    symbolsTable.getVariable("tol").asNumber()
+  );
+  if (!(tolerance > 0)) {
+    throw new Error("tol must be a positive number.");
+  }
+
+  return tolerance;
+}
+
+class IntegrateExpr extends Expression {
+  eval(symbolsTable) {
+    const f = this.getFunctionArg(symbolsTable, "f");
+    const a = this.getArgValue(symbolsTable, "a");
+    const b = this.getArgValue(symbolsTable, "b");
+
+    return numeric.integrate(f, a, b, getTolerance(symbolsTable));
+  }
+
+  describe() {
+    return "The integral of the function f from a to b, to within tol";
+  }
+
+  domain() {
+    return "f finite from a to b";
+  }
+
+  examples() {
+    return ["integrate(sin, 0, pi)"];
+  }
+}
+
+class RootExpr extends Expression {
+  eval(symbolsTable) {
+    const f = this.getFunctionArg(symbolsTable, "f");
+    const a = this.getArgValue(symbolsTable, "a");
+    const tolerance = getTolerance(symbolsTable);
+
+    if (symbolsTable.hasArgument("b")) {
+      const b = this.getArgValue(symbolsTable, "b");
+      return numeric.rootBetween(f, a, b, tolerance);
+    } else {
+      return numeric.rootNear(f, a, tolerance);
+    }
+  }
+
+  describe() {
+    return "A root of the function f between a and b, or near a when b is not given";
+  }
+
+  domain() {
+    return "f continuous, and changing sign between a and b when b is given";
+  }
+
+  examples() {
+    return ["root(cos, 0, 3)", "root(cos, 1)"];
+  }
+}
+
+class NDerivExpr extends Expression {
+  eval(symbolsTable) {
+    const f = this.getFunctionArg(symbolsTable, "f");
+    const x = this.getArgValue(symbolsTable, "x");
+
+    return numeric.derivative(f, x, getTolerance(symbolsTable));
+  }
+
+  describe() {
+    return "The numeric derivative of the function f at x";
+  }
+
+  domain() {
+    return "f finite near x";
+  }
+
+  examples() {
+    return ["nderiv(sin, 0)"];
+  }
+}
+
+class MinExpr extends Expression {
+  eval(symbolsTable) {
+    const f = symbolsTable.getArguments()[0].asNumber();
+    if (f instanceof Callable) {
+      // min(f, a, b) found where f is smallest before there was argmin.
+      throw new Error(
+        `min takes numbers, use argmin(${f.name}, a, b) for where ${f.name} is smallest.`
+      );
+    }
+
+    return extreme(this, symbolsTable, (order) => order < 0);
+  }
+
+  describe() {
+    return "The smallest of two or more numbers";
+  }
+
+  domain() {
+    return "Real numbers";
+  }
+
+  examples() {
+    return ["min(3, 2)", "min(4, 1, 5)"];
+  }
+}
+
+class ArgMinExpr extends Expression {
+  eval(symbolsTable) {
+    const f = this.getFunctionArg(symbolsTable, "f");
+    const a = this.getArgValue(symbolsTable, "a");
+    const b = this.getArgValue(symbolsTable, "b");
+
+    return numeric.minimise(f, a, b, getTolerance(symbolsTable));
+  }
+
+  describe() {
+    return "Where the function f is smallest between a and b";
+  }
+
+  domain() {
+    return "f finite from a to b";
+  }
+
+  examples() {
+    return ["argmin(cos, 0, 6)"];
+  }
+}
+
+class DetExpr extends Expression {
+  eval(symbolsTable) {
+    const m = this.getMatrixArg(symbolsTable, "m");
+    return m.determinant(symbolsTable.numbers);
+  }
+
+  describe() {
+    return "The determinant of the square matrix m";
+  }
+
+  domain() {
+    return "Square matrices";
+  }
+
+  examples() {
+    return ["det([1, 2; 3, 4])"];
+  }
+}
+
+class InvExpr extends Expression {
+  eval(symbolsTable) {
+    const m = this.getMatrixArg(symbolsTable, "m");
+    return m.inverse(symbolsTable.numbers);
+  }
+
+  describe() {
+    return "The inverse of the square matrix m";
+  }
+
+  domain() {
+    return "Square matrices whose determinant is not 0";
+  }
+
+  examples() {
+    return ["inv([1, 2; 3, 4])"];
+  }
+}
+
+class TransposeExpr extends Expression {
+  eval(symbolsTable) {
+    return this.getMatrixArg(symbolsTable, "m").transpose();
+  }
+
+  describe() {
+    return "The matrix m with its rows and columns swapped";
+  }
+
+  examples() {
+    return ["transpose([1, 2, 3])"];
+  }
+}
+
+class DotExpr extends Expression {
+  eval(symbolsTable) {
+    const u = this.getMatrixArg(symbolsTable, "u");
+    const v = this.getMatrixArg(symbolsTable, "v");
+    return u.dot(v, symbolsTable.numbers);
+  }
+
+  describe() {
+    return "The dot product of the vectors u and v";
+  }
+
+  domain() {
+    return "Vectors of the same length";
+  }
+
+  examples() {
+    return ["dot([1, 2, 3], [4, 5, 6])"];
+  }
+}
+
+class CrossExpr extends Expression {
+  eval(symbolsTable) {
+    const u = this.getMatrixArg(symbolsTable, "u");
+    const v = this.getMatrixArg(symbolsTable, "v");
+    return u.cross(v, symbolsTable.numbers);
+  }
+
+  describe() {
+    return "The cross product of the 3D vectors u and v";
+  }
+
+  domain() {
+    return "Vectors of length 3";
+  }
+
+  examples() {
+    return ["cross([1, 0, 0], [0, 1, 0])"];
+  }
+}
+
+class SolveExpr extends Expression {
+  eval(symbolsTable) {
+    const a = this.getMatrixArg(symbolsTable, "a");
+    const b = this.getMatrixArg(symbolsTable, "b");
+    return a.solve(b, symbolsTable.numbers);
+  }
+
+  describe() {
+    return "The solution x of a * x = b, for a square matrix a";
+  }
+
+  domain() {
+    return "A square matrix a whose determinant is not 0, and b with as many rows";
+  }
+
+  examples() {
+    return ["solve([2, 1; 1, 3], [3; 5])"];
+  }
+}
+
+/**
+ * A native function registered at runtime, see
+ * ComputeEngine.registerFunction.
+ */
+class RegisteredFunctionExpr extends Expression {
+  /**
+   *
+   * @param {string} name
+   * @param {Array<string>} params
+   * @param {(...args: Array<number>) => number | boolean} impl
+   * @param {((...args: Array<number>) => boolean) | null} inDomain
+   * @param {{doc: string, domainDoc: string | null, examples: Array<string>}} help
+   */
+  constructor(name, params, impl, inDomain, help) {
+    super();
+    this.name = name;
+    this.params = params;
+    this.impl = impl;
+    this.inDomain = inDomain;
+    this.help = help;
+  }
+
+  eval(symbolsTable) {
+    const args = this.params.map((param) =>
+      this.getArgValue(symbolsTable, param)
+    );
+    const undefinedAt = () =>
+      new Error(`${this.name}(${args.join(", ")}) is undefined.`);
+
+    if (this.inDomain && !this.inDomain(...args)) {
+      throw undefinedAt();
+    }
+
+    const out = this.impl(...args);
+    if (typeof out === "boolean") {
+      return out;
+    } else if (typeof out !== "number") {
+      throw new Error(`${this.name} gave ${out}, which is not a number.`);
+    } else if (Number.isNaN(out) && !args.some(Number.isNaN)) {
+      throw undefinedAt();
+    }
+
+    return out;
+  }
+
+  describe() {
+    return this.help.doc;
+  }
+
+  domain() {
+    return this.help.domainDoc;
+  }
+
+  examples() {
+    return this.help.examples;
+  }
+}
+
+/**
+ * @returns {SymbolsTable}
+ */
+function getDefaultSymbolsTable() {
+  return new SymbolsTable(
+    [
+      new Variable("ans", 0, false, "The last result"),
+      new Variable("preans", 0, false, "The result before ans"),
+
+      new Variable(
+        "pi",
+        Math.PI,
+        true,
+        "The ratio of a circle's circumference to its diameter"
+      ),
+      new Variable(
+        "e",
+        Math.E,
+        true,
+        "Euler's number, the base of natural logarithms"
+      ),
+      new Variable(
+        "i",
+        new Complex(0, 1),
+        true,
+        "The imaginary unit, whose square is -1"
+      ),
+      new Variable("true", true, true, "The truth value true"),
+      new Variable("false", false, true, "The truth value false"),
+
+      new Variable(
+        "tol",
+        1e-9,
+        false,
+        "The tolerance numeric methods such as integrate work to"
+      ),
+    ],
+    [
+      new Callable("sin", new SinExpr(), true),
+      new Callable("asin", new ASinExpr(), true),
+      new Callable("sinh", new SinhExpr(), true),
+      new Callable("asinh", new ASinhExpr(), true),
+
+      new Callable("cos", new CosExpr(), true),
+      new Callable("acos", new ACosExpr(), true),
+      new Callable("cosh", new CoshExpr(), true),
+      new Callable("acosh", new ACoshExpr(), true),
+
+      new Callable("tan", new TanExpr(), true),
+      new Callable("atan", new ATanExpr(), true),
+      new Callable("atan2", new ATan2Expr(), true, ["y", "x"]),
+      new Callable("tanh", new TanhExpr(), true),
+      new Callable("atanh", new ATanhExpr(), true),
+
+      new Callable("sec", new SecExpr(), true),
+      new Callable("csc", new CscExpr(), true),
+      new Callable("cot", new CotExpr(), true),
+
+      new Callable("ln", new LnExpr(), true),
+      new Callable("log", new LogExpr(), true),
+      new Callable("log2", new Log2Expr(), true),
+      new Callable("exp", new ExpExpr(), true),
+      new Callable("sqrt", new SqrtExpr(), true),
+
+      new Callable("re", new ReExpr(), true),
+      new Callable("im", new ImExpr(), true),
+      new Callable("conj", new ConjExpr(), true),
+      new Callable("arg", new ArgExpr(), true),
+      new Callable("abs", new AbsExpr(), true),
+
+      new Callable("sign", new SignExpr(), true),
+      new Callable("floor", new FloorExpr(), true),
+      new Callable("ceil", new CeilExpr(), true),
+      new Callable("round", new RoundExpr(), true),
+      new Callable("mod", new ModExpr(), true, ["a", "b"]),
+      new Callable("min", new MinExpr(), true, ["x1", "x2"], 2, true),
+      new Callable("max", new MaxExpr(), true, ["x1", "x2"], 2, true),
+      new Callable("hypot", new HypotExpr(), true, ["x", "y"]),
+
+      new Callable("rad", new DegToRad(), true),
+      new Callable("deg", new RadToDeg(), true),
+
+      new Callable("gamma", new GammaExpr(), true),
+      new Callable("lgamma", new LGammaExpr(), true),
+      new Callable("beta", new BetaExpr(), true, ["a", "b"]),
+      new Callable("nCr", new NCrExpr(), true, ["n", "k"]),
+      new Callable("nPr", new NPrExpr(), true, ["n", "k"]),
+
+      new Callable("integrate", new IntegrateExpr(), true, ["f", "a", "b"]),
+      new Callable("root", new RootExpr(), true, ["f", "a", "b"], 2),
+      new Callable("nderiv", new NDerivExpr(), true, ["f", "x"]),
+      new Callable("argmin", new ArgMinExpr(), true, ["f", "a", "b"]),
+
+      new Callable("det", new DetExpr(), true, ["m"]),
+      new Callable("inv", new InvExpr(), true, ["m"]),
+      new Callable("transpose", new TransposeExpr(), true, ["m"]),
+      new Callable("dot", new DotExpr(), true, ["u", "v"]),
+      new Callable("cross", new CrossExpr(), true, ["u", "v"]),
+      new Callable("solve", new SolveExpr(), true, ["a", "b"]),
+    ],
+    getDefaultUnits()
+  );
+}
+
+/**
+ * Builds the number backend for a mode:
+ *
+ * - float: JavaScript numbers, the default.
+ * - exact: exact fractions, e.g. 0.1 + 0.2 is 3/10.
+ * - decimal: decimals to the given number of significant digits.
+ * - programmer: whole numbers of the given number of bits.
+ *
+ * @param {string} mode
+ * @param {number} size Significant digits for decimal mode, or bits for
+ * programmer mode.
+ * @param {boolean} signed Whether programmer mode words can be negative.
+ *
+ * @returns {FloatBackend}
+ */
+function createNumberBackend(mode, size, signed = true) {
+  switch (mode) {
+    case "float":
+      return new FloatBackend();
+    case "exact":
+      return new ExactBackend();
+    case "decimal": {
+      const precision = size === undefined ? 32 : size;
+      if (!(precision >= 1 && precision <= 1000)) {
+        throw new Error("Decimal precision must be from 1 to 1000 digits.");
+      }
+
+      return new DecimalBackend(precision);
+    }
+    case "programmer": {
+      const bits = size === undefined ? 64 : size;
+      if ([8, 16, 32, 64].indexOf(bits) === -1) {
+        throw new Error("Programmer mode words must be 8, 16, 32 or 64 bits.");
+      }
+
+      return new ProgrammerBackend(bits, signed);
+    }
+    default:
+      throw new Error(
+        `Unknown number mode ${mode}. Use float, exact, decimal or programmer.`
+      );
+  }
+}
+
+// Or Shell whatever you want to call it.
+export class ComputeEngine {
+  constructor() {
+    this.symbolsTable = getDefaultSymbolsTable();
+    this.tokeniser = new Tokeniser();
+    this.parser = new Parser(this.tokeniser);
+
+    // How complex results are shown, "rectangular" or "polar".
+    this.complexDisplay = "rectangular";
+
+    // Functions and constants added by registerFunction, registerConstant
+    // and plugins, in the order they were added.
+    this.registered = [];
+
+    // The functions last asked to be plotted, see _plotCommand.
+    this.plot = null;
+
+    // The topic last asked for help on, see _helpCommand.
+    this.help = null;
+
+    // Commands are run as "name arguments", e.g. "mode exact", or as
+    // "name(arguments)", e.g. "latex(f)". Handlers are given the arguments
+    // and their position in the source, for errors.
+    this.commands = new Map();
+    this.commands.set("mode", (args) => this._modeCommand(args));
+    this.commands.set("display", (args) => this._displayCommand(args));
+    this.commands.set("plot", (args, offset) =>
+      this._plotCommand(args, offset)
+    );
+    this.commands.set("latex", (args, offset) =>
+      this._latexCommand(args, offset)
+    );
+    this.commands.set("simplify", (args, offset) =>
+      this._simplifyCommand(args, offset)
+    );
+    this.commands.set("depth", (args) => this._depthCommand(args));
+    this.commands.set("memo", (args) => this._memoCommand(args));
+    this.commands.set("help", (args) => this._helpCommand(args));
+  }
+
+  /**
+   * Formats a result or variable's value for display.
+   *
+   * @param {*} value
+   *
+   * @returns {string}
+   */
+  format(value) {
+    if (value instanceof Matrix || value instanceof Quantity) {
+      return value.toString((element) => this.format(element));
+    } else if (value instanceof Complex && this.complexDisplay === "polar") {
+      return value.toPolarString();
+    } else {
+      return `${value}`;
+    }
+  }
+
+  /**
+   *
+   * @param {string} text
+   *
+   * @returns {number}
+   */
+  run(text) {
+    // A lone =, not part of == != <= or >=, assigns.
+    const assignment = /(?<![=!<>])=(?!=)/.exec(text);
+    const equalsIndex = assignment ? assignment.index : -1;
+
+    // A command may also be run alone, e.g. help, unless that's the name
+    // of a variable. help = and help := ask about those operators.
+    const bareCommand = /^\s*([a-z]+)\s*$/.exec(text);
+    const commandMatch =
+      (equalsIndex === -1 || /^\s*help\s+\S+\s*$/.test(text)) &&
+      (/^(\s*([a-z]+)\s+)(.*?)\s*$/.exec(text) ||
+        /^(\s*([a-z]+)\s*\(\s*)(.*?)\s*\)\s*$/.exec(text) ||
+        (bareCommand && !this.symbolsTable.hasVariable(bareCommand[1])
+          ? [text, text, bareCommand[1], ""]
+          : null));
+    if (commandMatch && this.commands.has(commandMatch[2])) {
+      return this.commands.get(commandMatch[2])(
+        commandMatch[3],
+        commandMatch[1].length
+      );
+    }
+
+    if (equalsIndex > 0 && text[equalsIndex - 1] === ":") {
+      return this._handleBinding(
+        text.slice(0, equalsIndex - 1).trim(),
+        text.slice(equalsIndex + 1),
+        equalsIndex + 1
+      );
+    } else if (equalsIndex !== -1) {
+      return this._handleAssignment(
+        text.slice(0, equalsIndex).trim(),
+        text.slice(equalsIndex + 1),
+        equalsIndex + 1
+      );
+    } else {
+      const ret = this._getExpression(text).eval(this.symbolsTable);
+      this.symbolsTable.setSymbol(
+        "preans",
+        this.symbolsTable.getVariable("ans").asNumber()
+      );
+      this.symbolsTable.setSymbol("ans", ret);
+
+      return ret;
+    }
+  }
+
+  /**
+   * mode float, mode exact, mode decimal [precision] or mode programmer
+   * [bits] [signed | unsigned].
+   *
+   * @param {string} args
+   *
+   * @returns {number}
+   */
+  _modeCommand(args) {
+    const match = /^([a-z]+)(?:\s+(\d+))?(?:\s+(signed|unsigned))?$/.exec(args);
+    if (!match) {
+      throw new Error(
+        "Expected mode float, mode exact, mode decimal 32 or mode programmer 64 signed."
+      );
+    } else if (match[3] && match[1] !== "programmer") {
+      throw new Error("Only programmer mode is signed or unsigned.");
+    }
+
+    this.setNumberMode(
+      match[1],
+      match[2] ? Number(match[2]) : undefined,
+      match[3] !== "unsigned"
+    );
+    return 0;
+  }
+
+  /**
+   * display rectangular or display polar, for complex results.
+   *
+   * @param {string} args
+   *
+   * @returns {number}
+   */
+  _displayCommand(args) {
+    if (args !== "rectangular" && args !== "polar") {
+      throw new Error("Expected display rectangular or display polar.");
+    }
+
+    this.complexDisplay = args;
+    return 0;
+  }
+
+  /**
+   * plot f, g from a to b, where the range defaults to -10 to 10.
+   *
+   * @param {string} args
+   * @param {number} offset Position of args in the source.
+   *
+   * @returns {number}
+   */
+  _plotCommand(args, offset) {
+    const match = new RegExp(
+      String.raw`^(${FunctionNamePattern}(?:\s*,\s*${FunctionNamePattern})*)(?:\s+from\s+(.+?)\s+to\s+(.+))?$`,
+      "d"
+    ).exec(args);
+    if (!match) {
+      throw new ParseError(
+        "Expected plot f, g from a to b.",
+        offset,
+        offset + args.length
+      );
+    }
+
+    const functionNames = match[1].split(",").map((name) => name.trim());
+    functionNames.forEach((name) => {
+      const callable = this.symbolsTable.getCallable(name);
+      if (callable.minArity > 1) {
+        throw new Error(
+          `Only functions of one variable can be plotted, but ${callable.signature()} takes ${
+            callable.minArity
+          }.`
+        );
+      }
+    });
+
+    const bound = (group, fallback) =>
+      match[group] === undefined
+        ? fallback
+        : this._evalBound(match[group], offset + match.indices[group][0]);
+    const from = bound(2, -10);
+    const to = bound(3, 10);
+    if (!(from < to)) {
+      throw new Error(
+        "The plot must be from a smaller number to a larger one."
+      );
+    }
+
+    this.plot = { functionNames, from, to };
+    return 0;
+  }
+
+  /**
+   * latex f typesets the definition of the function f, latex x the value
+   * of the variable x, and latex of anything else the expression as
+   * written, ready to paste into a document.
+   *
+   * @param {string} args
+   * @param {number} offset Position of args in the source.
+   *
+   * @returns {string}
+   */
+  _latexCommand(args, offset) {
+    const notation = new LatexNotation();
+
+    if (this.symbolsTable.hasCallable(args)) {
+      return typesetDefinition(this.symbolsTable.getCallable(args), notation);
+    } else if (this.symbolsTable.hasVariable(args)) {
+      return notation.row([
+        notation.identifier(args),
+        notation.infix("="),
+        typesetValue(this.symbolsTable.getVariable(args).asNumber(), notation),
+      ]);
+    } else {
+      return this._getExpression(args, offset).typeset(notation);
+    }
+  }
+
+  /**
+   * simplify f simplifies the definition of the function f, and simplify
+   * of anything else the expression as written. Functions are simplified
+   * when defined, so this is mostly for those loaded from a session.
+   *
+   * An expression whose variables all hold numbers is simplified as one of
+   * numbers, so e.g. y*x - x*y is 0, which it needn't be for matrices.
+   *
+   * @param {string} args
+   * @param {number} offset Position of args in the source.
+   *
+   * @returns {string} The simplified definition or expression.
+   */
+  _simplifyCommand(args, offset) {
+    if (!this.symbolsTable.hasCallable(args)) {
+      const expression = this._getExpression(args, offset);
+      const assumeScalars = this.symbolsTable.variables.every(
+        ({ name, value }) =>
+          !expression.dependsOn(name) ||
+          !(value instanceof Matrix || value instanceof Quantity)
+      );
+
+      return expression.simplify(assumeScalars).toSource();
+    }
+
+    const callable = this.symbolsTable.getCallable(args);
+    if (callable.isFinal) {
+      throw new Error(`${args} is built in, so has no formula to simplify.`);
+    }
+
+    const expression = callable.asExpression().simplify();
+    this.symbolsTable.setSymbol(
+      callable.name,
+      expression,
+      callable.params,
+      callable.doc
+    );
+
+    return `${callable.signature()} = ${expression.toSource()}`;
+  }
+
+  /**
+   * depth n lets function calls nest n deep before recursion is stopped,
+   * from 1 to MaxCallDepth, which is also the default.
+   *
+   * @param {string} args
+   *
+   * @returns {number}
+   */
+  _depthCommand(args) {
+    const depth = /^\d+$/.test(args) ? Number(args) : NaN;
+    if (!(depth >= 1 && depth <= MaxCallDepth)) {
+      throw new Error(
+        `Expected depth followed by a number from 1 to ${MaxCallDepth}, as deeper calls run out of stack.`
+      );
+    }
+
+    this.symbolsTable.maxCallDepth = depth;
+    return 0;
+  }
+
+  /**
+   * memo f remembers the results of the function f, so a recursive
+   * function such as fib(n) = n if n < 2, fib(n - 1) + fib(n - 2) only
+   * works out each fib(n) once. memo f off forgets them.
+   *
+   * @param {string} args
+   *
+   * @returns {number}
+   */
+  _memoCommand(args) {
+    const match = new RegExp(
+      String.raw`^(${FunctionNamePattern})(\s+off)?$`
+    ).exec(args);
+    if (!match) {
+      throw new Error("Expected memo f or memo f off.");
+    }
+
+    const callable = this.symbolsTable.getCallable(match[1]);
+    if (callable.isFinal) {
+      throw new Error(`${callable.name} is built in, so can't be memoised.`);
+    }
+
+    const impurity = this.symbolsTable.impurity(callable);
+    if (!match[2] && impurity !== null) {
+      throw new Error(`${callable.name} can't be memoised: ${impurity}`);
+    }
+
+    callable.memoise(!match[2]);
+    return 0;
+  }
+
+  /**
+   *
+   * @param {string} text
+   * @param {number} offset Position of text in the source.
+   *
+   * @returns {number}
+   */
+  _evalBound(text, offset) {
+    const value = this._getExpression(text, offset).eval(this.symbolsTable);
+    if (
+      value instanceof Matrix ||
+      value instanceof Quantity ||
+      value instanceof Complex
+    ) {
+      throw new Error(
+        `Plot bounds must be real numbers but ${text} is ${value}.`
+      );
+    }
+
+    return this.symbolsTable.numbers.toNumber(value);
+  }
+
+  /**
+   * help on its own lists what there is help for. help with the name of a
+   * function, constant, variable, operator or command says what it does, help
+   * operators and help commands list them all, and help of anything else
+   * searches for it.
+   *
+   * @param {string} args
+   *
+   * @returns {string}
+   */
+  _helpCommand(args) {
+    const topic = args.trim();
+    const entries = this._helpEntries();
+    this.help = { topic };
+
+    if (topic === "") {
+      return helpOverview(entries);
+    }
+
+    const found = findHelp(entries, topic);
+    if (found.length === 0) {
+      throw new Error(
+        `There is no help on ${topic}, type help to see what there is.`
+      );
+    }
+
+    return found.map(formatHelp).join("\n\n");
+  }
+
+  /**
+   * The help about everything mentioning query, or everything for an
+   * empty query, for a searchable list of help.
+   *
+   * @param {string} query
+   *
+   * @returns {Array<Object>} As helpEntries in help.js.
+   */
+  searchHelp(query = "") {
+    return searchHelp(this._helpEntries(), query);
+  }
+
+  /**
+   *
+   * @returns {Array<Object>} As helpEntries in help.js, with values
+   * written as results are.
+   */
+  _helpEntries() {
+    return helpEntries(this.symbolsTable, (value) => this.format(value));
+  }
+
+  /**
+   * Evaluates a function of one variable at x for plotting. Points where it
+   * has no real value, or raises an error, are NaN.
+   *
+   * @param {string} functionName
+   * @param {number} x
+   *
+   * @returns {number}
+   */
+  sample(functionName, x) {
+    const numbers = this.symbolsTable.numbers;
+
+    try {
+      const callable = this.symbolsTable.getCallable(functionName);
+      const y = callable.call([numbers.fromNumber(x)], this.symbolsTable);
+
+      return typeof y === "number" ? y : numbers.toNumber(y);
+    } catch (e) {
+      return NaN;
+    }
+  }
+
+  /**
+   * Chooses how this session does arithmetic, see createNumberBackend.
+   * Functions such as sin are always computed with floats.
+   *
+   * @param {string} mode
+   * @param {number} size Significant digits for decimal mode, or bits for
+   * programmer mode.
+   * @param {boolean} signed Whether programmer mode words can be negative.
+   */
+  setNumberMode(mode, size, signed = true) {
+    this.symbolsTable.numbers = createNumberBackend(mode, size, signed);
+  }
+
+  /**
+   * Adds a native function, e.g. for an app embedding the engine. Like
+   * the built-ins it computes with floats, whatever the number mode.
+   *
+   * @param {Object} spec
+   * @param {string} spec.name Letters, optionally followed by digits.
+   * Plugins' names are also qualified by their namespace, e.g. fin.npv.
+   * @param {number} [spec.arity] How many arguments impl takes, when params
+   * isn't given. Defaults to 1.
+   * @param {Array<string>} [spec.params] Names for the arguments, as shown
+   * in the function's signature.
+   * @param {(...args: Array<number>) => number | boolean} spec.impl
+   * @param {(...args: Array<number>) => boolean} [spec.domain] Whether impl
+   * is defined for the arguments. Arguments outside it, or that impl gives
+   * NaN for, are errors.
+   * @param {string} [spec.doc] What the function gives, for help.
+   * @param {string} [spec.domainDoc] Which arguments it is defined for.
+   * @param {Array<string>} [spec.examples] Calls showing how it is used.
+   */
+  registerFunction(spec) {
+    this._register(this._buildFunction(spec));
+  }
+
+  /**
+   * Adds a final variable, e.g. a physical constant.
+   *
+   * @param {Object} spec
+   * @param {string} spec.name As for registerFunction.
+   * @param {number} spec.value
+   * @param {string} [spec.doc] What the constant is, for help.
+   */
+  registerConstant(spec) {
+    this._register(this._buildConstant(spec));
+  }
+
+  /**
+   * Registers a bundle of functions and constants, such as the default
+   * export of a plugin module:
+   *
+   *   export default {
+   *     namespace: "fin",
+   *     functions: [{ name: "fv", params: ["pv", "rate", "n"], impl }],
+   *     constants: [{ name: "days", value: 365 }],
+   *   };
+   *
+   * which are then used as fin.fv and fin.days. The namespace keeps them
+   * apart from the user's names, which can't contain dots. Nothing is
+   * registered when any of them is invalid or its name is already taken.
+   *
+   * @param {Object} plugin
+   *
+   * @returns {Array<string>} The qualified names registered.
+   */
+  loadPlugin(plugin) {
+    const { namespace, functions = [], constants = [] } = plugin || {};
+    if (typeof namespace !== "string" || !/^[a-zA-Z]+$/.test(namespace)) {
+      throw new Error("A plugin needs a namespace made of letters.");
+    } else if (!Array.isArray(functions) || !Array.isArray(constants)) {
+      throw new Error(
+        `The ${namespace} plugin's functions and constants must be lists.`
+      );
+    }
+
+    const qualified = (spec) => {
+      if (!spec || typeof spec.name !== "string") {
+        throw new Error(
+          `Every function and constant of the ${namespace} plugin needs a name.`
+        );
+      }
+
+      return { ...spec, name: `${namespace}.${spec.name}` };
+    };
+    const symbols = [
+      ...functions.map((spec) => this._buildFunction(qualified(spec))),
+      ...constants.map((spec) => this._buildConstant(qualified(spec))),
+    ];
+
+    const names = symbols.map((symbol) => symbol.name);
+    const taken = names.filter(
+      (name, index) =>
+        this.symbolsTable.hasVariable(name) ||
+        this.symbolsTable.hasCallable(name) ||
+        names.indexOf(name) !== index
+    );
+    if (taken.length > 0) {
+      throw new Error(
+        `Cannot load the ${namespace} plugin, as ${taken.join(", ")} ${
+          taken.length === 1 ? "is" : "are"
+        } already defined.`
+      );
+    }
+
+    symbols.forEach((symbol) => this._register(symbol));
+    return names;
+  }
+
+  /**
+   * Loads the plugin exported by default from a module, see loadPlugin.
+   *
+   * @param {string} url Absolute, as relative URLs are resolved against
+   * this module rather than the page.
+   *
+   * @returns {Promise<Array<string>>} The qualified names registered.
+   */
+  async importPlugin(url) {
+    const module = await import(url);
+    return this.loadPlugin(module.default);
+  }
+
+  /**
+   *
+   * @param {Object} spec As for registerFunction.
+   *
+   * @returns {Callable}
+   */
+  _buildFunction({
+    name,
+    arity = 1,
+    params,
+    impl,
+    domain,
+    doc,
+    domainDoc,
+    examples = [],
+  }) {
+    this._expectName(name, true);
+    if (typeof impl !== "function") {
+      throw new Error(`${name} needs an impl function.`);
+    } else if (domain !== undefined && typeof domain !== "function") {
+      throw new Error(`The domain of ${name} must be a function.`);
+    } else if (
+      !Array.isArray(examples) ||
+      !examples.every((example) => typeof example === "string")
+    ) {
+      throw new Error(`The examples of ${name} must be a list of text.`);
+    }
+
+    const names =
+      params ||
+      (arity === 1
+        ? ["x"]
+        : Array.from({ length: arity }, (_, index) =>
+            String.fromCharCode(97 + index)
+          ));
+    if (
+      !Array.isArray(names) ||
+      names.length === 0 ||
+      names.length > 26 ||
+      !names.every((param) => /^[a-z]+$/.test(param))
+    ) {
+      throw new Error(
+        `${name} needs from 1 to 26 parameters, named in lowercase letters.`
+      );
+    }
+
+    return new Callable(
+      name,
+      new RegisteredFunctionExpr(name, names, impl, domain || null, {
+        doc: doc || `The registered function ${name}`,
+        domainDoc: domainDoc || null,
+        examples,
+      }),
+      true,
+      names
+    );
+  }
+
+  /**
+   *
+   * @param {Object} spec As for registerConstant.
+   *
+   * @returns {Variable}
+   */
+  _buildConstant({ name, value, doc }) {
+    this._expectName(name, false);
+    if (typeof value !== "number") {
+      throw new Error(`${name} must be a number, not ${value}.`);
+    }
+
+    return new Variable(name, value, true, doc || null);
+  }
+
+  /**
+   * Checks a registered name reads back as a single name, e.g. not a
+   * keyword such as diff, and isn't a command.
+   *
+   * @param {string} name
+   * @param {boolean} isFunction
+   */
+  _expectName(name, isFunction) {
+    const isName =
+      typeof name === "string" &&
+      new RegExp(`^${FunctionNamePattern}$`).test(name) &&
+      (isFunction || !/\d$/.test(name));
+    const tokens = isName
+      ? this.tokeniser.tokenise(name, isFunction ? [name] : [], 0, [])
+      : [];
+
+    if (
+      tokens.length !== 1 ||
+      tokens[0].text !== name ||
+      !(isFunction ? tokens[0].isFunctionCall() : tokens[0].isVariable()) ||
+      this.commands.has(name)
+    ) {
+      throw new Error(`${name} can't be used as a name.`);
+    }
+  }
+
+  /**
+   * Adds a registered symbol, and remembers it to add again when a session
+   * is loaded.
+   *
+   * @param {Variable | Callable} symbol
+   */
+  _register(symbol) {
+    this.symbolsTable.addBuiltIn(symbol);
+    this.registered.push(symbol);
+  }
+
+  /**
+   * The user's variables, functions and settings as JSON, see session.js.
+   *
+   * @returns {string}
+   */
+  saveSession() {
+    const numbers = this.symbolsTable.numbers;
+    const settings = {
+      numberMode: numbers.name,
+      precision: numbers.precision,
+      wordSize: numbers.bits,
+      signed: numbers.signed,
+      complexDisplay: this.complexDisplay,
+      maxCallDepth: this.symbolsTable.maxCallDepth,
+    };
+
+    return JSON.stringify(serialiseSession(this.symbolsTable, settings));
+  }
+
+  /**
+   * Replaces the user's variables, functions and settings with those of a
+   * saved session. Nothing changes if the session can't be loaded.
+   *
+   * @param {string} text
+   */
+  loadSession(text) {
+    let session = null;
+    try {
+      session = JSON.parse(text);
+    } catch (e) {
+      throw new Error("This is not a MINIVAC session, it isn't even JSON.");
+    }
+
+    const symbolsTable = getDefaultSymbolsTable();
+    this.registered.forEach((symbol) => symbolsTable.addBuiltIn(symbol));
+    const settings = restoreSession(symbolsTable, session);
+
+    const complexDisplay = settings.complexDisplay || "rectangular";
+    if (complexDisplay !== "rectangular" && complexDisplay !== "polar") {
+      throw new Error(
+        `This session is corrupt: unknown display ${complexDisplay}.`
+      );
+    }
+
+    const maxCallDepth =
+      settings.maxCallDepth === undefined
+        ? symbolsTable.maxCallDepth
+        : settings.maxCallDepth;
+    if (!Number.isInteger(maxCallDepth) || maxCallDepth < 1) {
+      throw new Error(
+        `This session is corrupt: invalid depth ${maxCallDepth}.`
+      );
+    }
+
+    const numberMode = settings.numberMode || "float";
+    symbolsTable.numbers = createNumberBackend(
+      numberMode,
+      numberMode === "programmer" ? settings.wordSize : settings.precision,
+      settings.signed !== false
+    );
+
+    // Older versions allowed deeper calls than the stack does.
+    symbolsTable.maxCallDepth = Math.min(maxCallDepth, MaxCallDepth);
+
+    this.symbolsTable = symbolsTable;
+    this.complexDisplay = complexDisplay;
+  }
+
+  /**
+   *
+   * @param {string} left
+   * @param {string} right
+   * @param {number} rightOffset Position of right in the full source.
+   *
+   * @returns {number}
+   */
+  _handleAssignment(left, right, rightOffset) {
+    const funcRegExp = /^([a-z]+)\(\s*([a-z]+(?:\s*,\s*[a-z]+)*)\s*\)$/;
+    const varNameRegExp = /^[a-z]+$/;
+
+    const funcMatch = funcRegExp.exec(left);
+    if (funcMatch) {
+      const functionName = funcMatch[1];
+      this._expectNotKeyword(functionName, rightOffset);
+      const params = this._getParams(functionName, funcMatch[2], rightOffset);
+
+      // Anything after # is the function's docstring, shown by help.
+      const hashIndex = right.indexOf("#");
+      const body = hashIndex === -1 ? right : right.slice(0, hashIndex);
+      const doc = hashIndex === -1 ? "" : right.slice(hashIndex + 1).trim();
+
+      const expression = this._getExpression(
+        body,
+        rightOffset,
+        params,
+        functionName
+      ).simplify();
+
+      this.symbolsTable.setSymbol(
+        functionName,
+        expression,
+        params,
+        doc || null
+      );
+    } else if (varNameRegExp.exec(left)) {
+      const varName = left;
+      this._expectNotKeyword(varName, rightOffset);
+      const value = this._getExpression(right, rightOffset).eval(
+        this.symbolsTable
+      );
+
+      this.symbolsTable.setSymbol(varName, value);
+    } else {
+      throw new ParseError(
+        "Unknown assignment.",
+        0,
+        rightOffset - 1,
+        ["a variable name", "a function signature such as f(x)"],
+        left
+      );
+    }
+
+    return 0;
+  }
+
+  /**
+   * x := expression, which keeps x equal to the expression as the variables
+   * and functions it uses change, unlike x = expression which works it out
+   * once. Like =, it works the expression out straight away, so it can
+   * only use what is already defined.
+   *
+   * @param {string} left
+   * @param {string} right
+   * @param {number} rightOffset Position of right in the full source.
+   *
+   * @returns {number}
+   */
+  _handleBinding(left, right, rightOffset) {
+    if (!/^[a-z]+$/.test(left)) {
+      throw new ParseError(
+        "Only variables can be bound with :=, define functions with =.",
+        0,
+        rightOffset - 2
+      );
+    }
+    this._expectNotKeyword(left, rightOffset - 1);
+
+    this.symbolsTable.bind(left, this._getExpression(right, rightOffset));
+
+    return 0;
+  }
+
+  /**
+   * Splits a definition's comma-separated parameter list.
+   *
+   * @param {string} functionName
+   * @param {string} paramList
+   * @param {number} rightOffset Position of the definition's body, errors
+   * underline everything before it.
+   *
+   * @returns {Array<string>}
+   */
+  _getParams(functionName, paramList, rightOffset) {
+    const params = paramList.split(",").map((param) => param.trim());
+
+    params.forEach((param, index) => {
+      this._expectNotKeyword(param, rightOffset);
+      if (params.indexOf(param) !== index) {
+        throw new ParseError(
+          `Duplicate parameter ${param} in ${functionName}.`,
+          0,
+          rightOffset - 1
+        );
+      }
+
+      if (this.symbolsTable.hasCallable(param)) {
+        throw new ParseError(
+          `Parameter ${param} clashes with the function ${param}.`,
+          0,
+          rightOffset - 1
+        );
+      }
+    });
+
+    return params;
+  }
+
+  /**
+   * Checks a name being defined isn't a keyword or word operator such as
+   * in, and or if, which would never be read back as the name, or a
+   * command such as plot, which would be run instead.
+   *
+   * @param {string} name
+   * @param {number} rightOffset Position of the definition's body, errors
+   * underline everything before it.
+   */
+  _expectNotKeyword(name, rightOffset) {
+    const tokens = this.tokeniser.tokenise(name, [], 0, []);
+    if (tokens.length !== 1 || !tokens[0].isVariable()) {
+      throw new ParseError(
+        `${name} is a keyword, so it can't be used as a name.`,
+        0,
+        rightOffset - 1
+      );
+    } else if (this.commands.has(name)) {
+      throw new ParseError(
+        `${name} is a command, so it can't be used as a name.`,
+        0,
+        rightOffset - 1
+      );
+    }
+  }
+
+  /**
+   * Parses text, replacing any diff(...) with the derivative it describes.
+   *
+   * @param {string} text
+   * @param {number} offset Position of text in the full source.
+   * @param {Array<string>} params Parameters of the function being defined,
+   * if any.
+   * @param {string | null} functionName The function being defined, if
+   * any, which may call itself.
+   *
+   * @returns {Expression}
+   */
+  _getExpression(text, offset = 0, params = [], functionName = null) {
+    const availableFunctions = this.symbolsTable.callables.map(
+      (callable) => callable.name
+    );
+    if (functionName !== null) {
+      availableFunctions.push(functionName);
+    }
+    const unitNames = [...this.symbolsTable.units.keys()];
+    const variableNames = [
+      ...this.symbolsTable.variables.map((variable) => variable.name),
+      ...params,
+    ];
+    const tokens = this.tokeniser.tokenise(
+      text,
+      availableFunctions,
+      offset,
+      unitNames,
+      variableNames
     );
-    const tokens = this.tokeniser.tokenise(text, availableFunctions);
 
-    return this.parser.parse(0, tokens).expression;
+    return this.parser
+      .parse(tokens, offset + text.length)
+      .expandDerivatives(this.symbolsTable, params);
   }
 }
@@ -0,0 +1,157 @@
+/**
+ * An error that can be traced back to a span of the source text.
+ *
+ * Offsets are zero based and end is exclusive, like String.slice.
+ */
+export class SourceError extends Error {
+  /**
+   *
+   * @param {string} message
+   * @param {number} start
+   * @param {number} end
+   */
+  constructor(message, start, end) {
+    super(message);
+
+    this.name = "SourceError";
+    this.start = start;
+    this.end = end;
+  }
+
+  /**
+   * Renders the source with the offending span underlined, e.g.
+   *
+   *   2 + * 3
+   *       ^
+   *   Expression cannot start with *.
+   *
+   * @param {string} source
+   *
+   * @returns {string}
+   */
+  formatDiagnostic(source) {
+    const width = Math.max(1, this.end - this.start);
+    const caret = " ".repeat(this.start) + "^".repeat(width);
+
+    return [source, caret, ...this.details()].join("\n");
+  }
+
+  /**
+   * Lines explaining the error, shown below the caret.
+   *
+   * @returns {Array<string>}
+   */
+  details() {
+    return [this.message];
+  }
+}
+
+export class ParseError extends SourceError {
+  /**
+   *
+   * @param {string} message
+   * @param {number} start
+   * @param {number} end
+   * @param {Array<string>} expected What would have been valid at start.
+   * @param {string} found The offending text.
+   */
+  constructor(message, start, end, expected = [], found = "") {
+    super(message, start, end);
+
+    this.name = "ParseError";
+    this.expected = expected;
+    this.found = found;
+  }
+
+  details() {
+    if (this.expected.length > 1) {
+      const choices = this.expected.slice(0, -1).join(", ");
+      const last = this.expected[this.expected.length - 1];
+
+      return [this.message, `Expected ${choices} or ${last}.`];
+    } else if (this.expected.length > 0) {
+      return [this.message, `Expected ${this.expected[0]}.`];
+    } else {
+      return [this.message];
+    }
+  }
+}
+
+// Calls shown in a trace, after repeats are counted.
+const MaxTraceLength = 8;
+
+/**
+ * Writes the names of nested function calls, outermost first, counting
+ * repeated calls rather than listing them, e.g. main → fib ×1000. Long
+ * traces only show their ends.
+ *
+ * @param {Array<string>} trace
+ *
+ * @returns {string}
+ */
+function formatTrace(trace) {
+  const runs = [];
+  for (const name of trace) {
+    const last = runs[runs.length - 1];
+    if (last && last.name === name) {
+      last.count++;
+    } else {
+      runs.push({ name, count: 1 });
+    }
+  }
+
+  const names = runs.map(({ name, count }) =>
+    count > 1 ? `${name} ×${count}` : name
+  );
+  if (names.length > MaxTraceLength) {
+    const half = MaxTraceLength / 2;
+    const hidden = names.length - MaxTraceLength;
+    names.splice(half, hidden, `${hidden} more`);
+  }
+
+  return names.join(" → ");
+}
+
+export class EvalError extends SourceError {
+  /**
+   *
+   * @param {string} message
+   * @param {number} start
+   * @param {number} end
+   * @param {Array<string>} trace Names of the user functions the error was
+   * raised in, outermost first.
+   */
+  constructor(message, start, end, trace = []) {
+    super(
+      trace.length > 0 ? `${message} (in ${formatTrace(trace)})` : message,
+      start,
+      end
+    );
+
+    this.name = "EvalError";
+    this.reason = message;
+    this.trace = trace;
+  }
+
+  /**
+   * Re-points an error raised while evaluating the body of functionName at
+   * the call site, since the body's own positions refer to its definition.
+   *
+   * @param {Error} error
+   * @param {string} functionName
+   * @param {number} start
+   * @param {number} end
+   *
+   * @returns {EvalError}
+   */
+  static atCallSite(error, functionName, start, end) {
+    if (error instanceof EvalError) {
+      return new EvalError(error.reason, start, end, [
+        functionName,
+        ...error.trace,
+      ]);
+    } else {
+      return new EvalError(error.message, start, end, [functionName]);
+    }
+  }
+}
@@ -0,0 +1,326 @@
+// What the help command and the help panel show. Functions and constants
+// document themselves: natives through describe, domain and examples, user
+// functions through the docstring written after # in their definition.
+// Operators and commands are described here.
+
+// From loosest to tightest, as in the grammar in parser.js.
+const OperatorHelp = [
+  {
+    name: "= :=",
+    description:
+      "Defines a variable or a function. A variable bound with := is worked out again whenever what it uses changes, one defined with = keeps its value",
+    examples: ["r = 2", "f(x) = x^2", "area := pi r^2"],
+  },
+  {
+    name: "in to",
+    description: "Converts to a unit, or shows a whole number in a base",
+    examples: ["3 ft in m", "255 to hex"],
+  },
+  {
+    name: "or xor and",
+    description: "Logic on truth values, or bitwise on whole numbers",
+    examples: ["true and not false", "12 xor 10"],
+  },
+  {
+    name: "not",
+    description: "Negates a truth value, or flips every bit of a whole number",
+    examples: ["not (1 < 2)"],
+  },
+  {
+    name: "< <= > >= == !=",
+    description:
+      "Compares two numbers, giving true or false. Comparisons can't be chained, write a < b and b < c instead",
+    examples: ["1 < 2", "2^10 == 1024"],
+  },
+  {
+    name: "<< >>",
+    description: "Shifts the bits of a whole number left or right",
+    examples: ["1 << 4"],
+  },
+  {
+    name: "+ -",
+    description: "Adds and subtracts, or negates a single operand",
+    examples: ["1 - 2 + 3", "-2^2"],
+  },
+  {
+    name: "* /",
+    description:
+      "Multiplies and divides. Writing operands side by side multiplies them too",
+    examples: ["2 * 3 / 4", "2pi"],
+  },
+  {
+    name: "^",
+    description: "Raises to a power, right associative so 2^3^2 is 2^9",
+    examples: ["2^10", "2^3^2"],
+  },
+  {
+    name: "E",
+    description: "Scientific notation, times a power of ten",
+    examples: ["1.5E3"],
+  },
+  {
+    name: "! !!",
+    description:
+      "Factorial, through the gamma function for fractions, and double factorial",
+    examples: ["5!", "0.5!", "7!!"],
+  },
+  {
+    name: "if otherwise",
+    description:
+      "Chooses a value by a condition, as if(condition, value, otherwise) or, for a whole definition, value if condition, ..., otherwise",
+    examples: ["if(2 > 1, 10, 20)", "f(x) = 0 if x < 0, x"],
+  },
+];
+
+const CommandHelp = [
+  {
+    name: "help",
+    signature: "help [name | operators | commands | word]",
+    description:
+      "Shows what a function, constant, operator or command does, or searches them for a word",
+  },
+  {
+    name: "mode",
+    signature:
+      "mode float | exact | decimal [digits] | programmer [bits] [signed | unsigned]",
+    description: "Chooses how arithmetic is done",
+  },
+  {
+    name: "display",
+    signature: "display rectangular | polar",
+    description: "Chooses how complex results are shown",
+  },
+  {
+    name: "plot",
+    signature: "plot f, g from a to b",
+    description: "Plots functions of one variable, from -10 to 10 by default",
+  },
+  {
+    name: "latex",
+    signature: "latex f",
+    description:
+      "Typesets the definition of a function, the value of a variable or an expression as LaTeX",
+  },
+  {
+    name: "simplify",
+    signature: "simplify f",
+    description: "Simplifies the definition of a function, or an expression",
+  },
+  {
+    name: "depth",
+    signature: "depth n",
+    description:
+      "Lets function calls nest n deep before recursion is stopped, from 1 to 1000, which is the default",
+  },
+  {
+    name: "memo",
+    signature: "memo f [off]",
+    description:
+      "Remembers the results of the function f so each is only worked out once, or with off forgets them",
+  },
+];
+
+/**
+ * Everything help can say about the functions, constants, variables,
+ * operators and commands, in that order. Each entry has:
+ *
+ * - kind: function, constant, variable, operator or command.
+ * - name: what help is asked for by, e.g. sin. Operator entries name all
+ *   the operators they cover, separated by spaces.
+ * - signature: how it is written, e.g. sin(x), or a user function's whole
+ *   definition, or a variable's value, e.g. a = 3.
+ * - isBuiltIn: false for user functions and variables.
+ * - description, and domain: which arguments a function is defined for.
+ *   Either may be null.
+ * - examples: source showing how it is used.
+ *
+ * @param {SymbolsTable} symbolsTable
+ * @param {(value: *) => string} format Writes out a variable's value.
+ *
+ * @returns {Array<Object>}
+ */
+export function helpEntries(symbolsTable, format = (value) => `${value}`) {
+  const callables = symbolsTable.callables;
+
+  return [
+    // Built-ins first, as they are what help is usually wanted for.
+    ...callables.filter((callable) => callable.isFinal).map(functionHelp),
+    ...callables.filter((callable) => !callable.isFinal).map(functionHelp),
+    ...symbolsTable.variables
+      .filter((variable) => variable.description !== null)
+      .map((variable) => ({
+        kind: "constant",
+        name: variable.name,
+        isBuiltIn: true,
+        signature: variable.name,
+        description: variable.description,
+        domain: null,
+        examples: [],
+      })),
+    ...symbolsTable.variables
+      .filter((variable) => variable.description === null)
+      .map((variable) => ({
+        kind: "variable",
+        name: variable.name,
+        isBuiltIn: false,
+        signature: `${variable.name} = ${format(variable.asNumber())}`,
+        description: variable.binding
+          ? `Kept up to date as ${
+              variable.name
+            } := ${variable.binding.toSource()}`
+          : null,
+        domain: null,
+        examples: [],
+      })),
+    ...OperatorHelp.map((operator) => ({
+      kind: "operator",
+      signature: operator.name,
+      isBuiltIn: true,
+      domain: null,
+      ...operator,
+    })),
+    ...CommandHelp.map((command) => ({
+      kind: "command",
+      isBuiltIn: true,
+      domain: null,
+      examples: [],
+      ...command,
+    })),
+  ];
+}
+
+/**
+ *
+ * @param {Callable} callable
+ *
+ * @returns {Object}
+ */
+function functionHelp(callable) {
+  const body = callable.asExpression();
+  if (callable.isFinal) {
+    return {
+      kind: "function",
+      name: callable.name,
+      signature: callable.signature(),
+      isBuiltIn: true,
+      description: body.describe(),
+      domain: body.domain(),
+      examples: body.examples(),
+    };
+  }
+
+  return {
+    kind: "function",
+    name: callable.name,
+    signature: `${callable.signature()} = ${body.toSource()}`,
+    isBuiltIn: false,
+    description: callable.doc,
+    domain: null,
+    examples: [],
+  };
+}
+
+/**
+ * The entries for a topic: a name, an operator, "operators" or "commands",
+ * or failing those every entry mentioning the topic.
+ *
+ * @param {Array<Object>} entries
+ * @param {string} topic
+ *
+ * @returns {Array<Object>}
+ */
+export function findHelp(entries, topic) {
+  const named = entries.filter(
+    (entry) =>
+      entry.name === topic ||
+      (entry.kind === "operator" && entry.name.split(" ").includes(topic))
+  );
+  if (named.length > 0) {
+    return named;
+  } else if (topic === "operators" || topic === "commands") {
+    return entries.filter((entry) => `${entry.kind}s` === topic);
+  }
+
+  return searchHelp(entries, topic);
+}
+
+/**
+ * The entries whose name, signature or description contains the query,
+ * ignoring case. All of them for an empty query.
+ *
+ * @param {Array<Object>} entries
+ * @param {string} query
+ *
+ * @returns {Array<Object>}
+ */
+export function searchHelp(entries, query) {
+  const lowerQuery = query.trim().toLowerCase();
+
+  return entries.filter((entry) =>
+    [entry.name, entry.signature, entry.description || ""].some((text) =>
+      text.toLowerCase().includes(lowerQuery)
+    )
+  );
+}
+
+/**
+ * An entry as text, e.g.
+ *
+ *   sin(x)
+ *   The sine of x
+ *   Examples: sin(pi/6), sin(rad(30))
+ *
+ * @param {Object} entry
+ *
+ * @returns {string}
+ */
+export function formatHelp(entry) {
+  const lines = [entry.signature];
+  if (entry.description) {
+    lines.push(entry.description);
+  }
+  if (entry.domain) {
+    lines.push(`Domain: ${entry.domain}`);
+  }
+  if (entry.examples.length > 0) {
+    lines.push(`Examples: ${entry.examples.join(", ")}`);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * What help on its own shows: how to get more help, and the names there
+ * is help for.
+ *
+ * @param {Array<Object>} entries
+ *
+ * @returns {string}
+ */
+export function helpOverview(entries) {
+  const names = (kind, isBuiltIn = true) =>
+    entries
+      .filter((entry) => entry.kind === kind && entry.isBuiltIn === isBuiltIn)
+      .map((entry) => entry.name)
+      .join(", ");
+
+  const lines = [
+    "Type an expression to work it out, or define a variable or function with =, e.g. f(x) = x^2 # The square of x",
+    "Bind a variable with := to work it out now and again whenever what it uses changes, e.g. area := pi r^2 once r is defined",
+    "help name shows what a function, constant, variable, operator or command does, help operators and help commands list them all, and help word searches for word",
+    `Functions: ${names("function")}`,
+    `Constants: ${names("constant")}`,
+    `Commands: ${names("command")}`,
+  ];
+
+  const userVariables = names("variable", false);
+  if (userVariables) {
+    lines.splice(3, 0, `Your variables: ${userVariables}`);
+  }
+  const userFunctions = names("function", false);
+  if (userFunctions) {
+    lines.splice(3, 0, `Your functions: ${userFunctions}`);
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,416 @@
+import { Complex } from "./complex.js";
+
+// Vectors and matrices. Elements are numbers of the session's number
+// backend, so every operation takes the backend to do its arithmetic with.
+// A vector is a matrix with a single row or column.
+
+/**
+ *
+ * @param {*} value
+ * @param {FloatBackend} numbers
+ *
+ * @returns {number}
+ */
+function magnitude(value, numbers) {
+  return value instanceof Complex
+    ? value.abs()
+    : Math.abs(numbers.toNumber(value));
+}
+
+export class Matrix {
+  /**
+   *
+   * @param {Array<Array<*>>} rows All of the same, non-zero length.
+   */
+  constructor(rows) {
+    this.rows = rows;
+  }
+
+  /**
+   *
+   * @param {number} size
+   * @param {FloatBackend} numbers
+   *
+   * @returns {Matrix}
+   */
+  static identity(size, numbers) {
+    const rows = [];
+    for (let iii = 0; iii < size; iii++) {
+      const row = [];
+      for (let jjj = 0; jjj < size; jjj++) {
+        row.push(numbers.fromNumber(iii === jjj ? 1 : 0));
+      }
+      rows.push(row);
+    }
+
+    return new Matrix(rows);
+  }
+
+  /**
+   *
+   * @returns {number}
+   */
+  rowCount() {
+    return this.rows.length;
+  }
+
+  /**
+   *
+   * @returns {number}
+   */
+  columnCount() {
+    return this.rows[0].length;
+  }
+
+  /**
+   * The shape as written in errors, e.g. 2×3.
+   *
+   * @returns {string}
+   */
+  shape() {
+    return `${this.rowCount()}×${this.columnCount()}`;
+  }
+
+  /**
+   *
+   * @returns {boolean}
+   */
+  isSquare() {
+    return this.rowCount() === this.columnCount();
+  }
+
+  /**
+   *
+   * @returns {boolean}
+   */
+  isVector() {
+    return this.rowCount() === 1 || this.columnCount() === 1;
+  }
+
+  /**
+   * The elements of a vector, in order.
+   *
+   * @param {string} operation Named in the error when this is not a vector.
+   *
+   * @returns {Array<*>}
+   */
+  vectorElements(operation) {
+    if (!this.isVector()) {
+      throw new Error(
+        `${operation} needs vectors but was given a ${this.shape()} matrix.`
+      );
+    }
+
+    return this.rows.flat();
+  }
+
+  /**
+   *
+   * @param {(element: *) => *} fn
+   *
+   * @returns {Matrix}
+   */
+  map(fn) {
+    return new Matrix(this.rows.map((row) => row.map(fn)));
+  }
+
+  /**
+   * Applies fn to the elements at the same position in this and other.
+   *
+   * @param {Matrix} other
+   * @param {(left: *, right: *) => *} fn
+   * @param {string} operation Named in the error when the shapes differ.
+   *
+   * @returns {Matrix}
+   */
+  zip(other, fn, operation) {
+    if (
+      this.rowCount() !== other.rowCount() ||
+      this.columnCount() !== other.columnCount()
+    ) {
+      throw new Error(
+        `Cannot ${operation} a ${this.shape()} matrix and a ${other.shape()} matrix.`
+      );
+    }
+
+    return new Matrix(
+      this.rows.map((row, iii) =>
+        row.map((element, jjj) => fn(element, other.rows[iii][jjj]))
+      )
+    );
+  }
+
+  /**
+   *
+   * @returns {Matrix}
+   */
+  transpose() {
+    return new Matrix(
+      this.rows[0].map((_, jjj) => this.rows.map((row) => row[jjj]))
+    );
+  }
+
+  /**
+   * The matrix product of this and other.
+   *
+   * @param {Matrix} other
+   * @param {FloatBackend} numbers
+   *
+   * @returns {Matrix}
+   */
+  multiply(other, numbers) {
+    if (this.columnCount() !== other.rowCount()) {
+      throw new Error(
+        `Cannot multiply a ${this.shape()} matrix by a ${other.shape()} matrix; the columns of the first must match the rows of the second.`
+      );
+    }
+
+    const rows = this.rows.map((row) =>
+      other.rows[0].map((_, jjj) =>
+        row.reduce(
+          (sum, element, kkk) =>
+            numbers.add(sum, numbers.multiply(element, other.rows[kkk][jjj])),
+          numbers.fromNumber(0)
+        )
+      )
+    );
+
+    return new Matrix(rows);
+  }
+
+  /**
+   * Raises a square matrix to an integer power by repeated squaring.
+   * Negative powers are powers of the inverse.
+   *
+   * @param {number} exponent
+   * @param {FloatBackend} numbers
+   *
+   * @returns {Matrix}
+   */
+  power(exponent, numbers) {
+    if (!this.isSquare()) {
+      throw new Error(
+        `Only square matrices have powers but this is ${this.shape()}.`
+      );
+    } else if (!Number.isInteger(exponent)) {
+      throw new Error("Matrices can only be raised to integer powers.");
+    }
+
+    let base = exponent < 0 ? this.inverse(numbers) : this;
+    let remaining = Math.abs(exponent);
+    let out = Matrix.identity(this.rowCount(), numbers);
+    while (remaining > 0) {
+      if (remaining % 2 === 1) {
+        out = out.multiply(base, numbers);
+      }
+
+      base = base.multiply(base, numbers);
+      remaining = Math.floor(remaining / 2);
+    }
+
+    return out;
+  }
+
+  /**
+   *
+   * @param {FloatBackend} numbers
+   *
+   * @returns {*}
+   */
+  determinant(numbers) {
+    this._expectSquare("det");
+
+    const rows = this.rows.map((row) => [...row]);
+    const determinant = eliminate(rows, this.rowCount(), numbers);
+
+    return determinant === null ? numbers.fromNumber(0) : determinant;
+  }
+
+  /**
+   *
+   * @param {FloatBackend} numbers
+   *
+   * @returns {Matrix}
+   */
+  inverse(numbers) {
+    this._expectSquare("inv");
+
+    const size = this.rowCount();
+    const identity = Matrix.identity(size, numbers);
+    const rows = this.rows.map((row, iii) => [...row, ...identity.rows[iii]]);
+    if (eliminate(rows, size, numbers) === null) {
+      throw new Error("The matrix is singular, so has no inverse.");
+    }
+
+    return new Matrix(rows.map((row) => row.slice(size)));
+  }
+
+  /**
+   * Solves this * x = b for x. A vector b may be a row or a column, and x
+   * is given the same orientation.
+   *
+   * @param {Matrix} b
+   * @param {FloatBackend} numbers
+   *
+   * @returns {Matrix}
+   */
+  solve(b, numbers) {
+    this._expectSquare("solve");
+
+    const size = this.rowCount();
+    const isRow = b.rowCount() === 1 && size !== 1;
+    const right = isRow ? b.transpose() : b;
+    if (right.rowCount() !== size) {
+      throw new Error(
+        `Cannot solve a ${this.shape()} system for a ${b.shape()} right hand side.`
+      );
+    }
+
+    const rows = this.rows.map((row, iii) => [...row, ...right.rows[iii]]);
+    if (eliminate(rows, size, numbers) === null) {
+      throw new Error(
+        "The matrix is singular, so the system has no unique solution."
+      );
+    }
+
+    const solution = new Matrix(rows.map((row) => row.slice(size)));
+    return isRow ? solution.transpose() : solution;
+  }
+
+  /**
+   *
+   * @param {Matrix} other
+   * @param {FloatBackend} numbers
+   *
+   * @returns {*}
+   */
+  dot(other, numbers) {
+    const left = this.vectorElements("dot");
+    const right = other.vectorElements("dot");
+    if (left.length !== right.length) {
+      throw new Error(
+        `Cannot take the dot product of vectors of lengths ${left.length} and ${right.length}.`
+      );
+    }
+
+    return left.reduce(
+      (sum, element, iii) =>
+        numbers.add(sum, numbers.multiply(element, right[iii])),
+      numbers.fromNumber(0)
+    );
+  }
+
+  /**
+   * The cross product of two vectors of length 3, with the orientation of
+   * this one.
+   *
+   * @param {Matrix} other
+   * @param {FloatBackend} numbers
+   *
+   * @returns {Matrix}
+   */
+  cross(other, numbers) {
+    const a = this.vectorElements("cross");
+    const b = other.vectorElements("cross");
+    if (a.length !== 3 || b.length !== 3) {
+      throw new Error("cross needs two vectors of length 3.");
+    }
+
+    const [a1, a2, a3] = a;
+    const [b1, b2, b3] = b;
+    const term = (p, q, r, s) =>
+      numbers.subtract(numbers.multiply(p, q), numbers.multiply(r, s));
+    const elements = [
+      term(a2, b3, a3, b2),
+      term(a3, b1, a1, b3),
+      term(a1, b2, a2, b1),
+    ];
+
+    const out = new Matrix([elements]);
+    return this.rowCount() === 1 ? out : out.transpose();
+  }
+
+  /**
+   * Written as it would be typed, e.g. [1, 2; 3, 4].
+   *
+   * @param {(element: *) => string} formatElement
+   *
+   * @returns {string}
+   */
+  toString(formatElement = (element) => `${element}`) {
+    const rows = this.rows.map((row) => row.map(formatElement).join(", "));
+    return `[${rows.join("; ")}]`;
+  }
+
+  /**
+   *
+   * @param {string} operation
+   */
+  _expectSquare(operation) {
+    if (!this.isSquare()) {
+      throw new Error(
+        `${operation} needs a square matrix but was given a ${this.shape()} matrix.`
+      );
+    }
+  }
+}
+
+/**
+ * Gauss-Jordan elimination with partial pivoting, in place. Reduces the
+ * first size columns of rows to the identity, carrying the operations
+ * through any columns to their right.
+ *
+ * @param {Array<Array<*>>} rows
+ * @param {number} size
+ * @param {FloatBackend} numbers
+ *
+ * @returns {* | null} The determinant of the leading square, or null when
+ * it is singular.
+ */
+function eliminate(rows, size, numbers) {
+  // Pivots this much smaller than the largest element count as zero, so
+  // rounding errors don't hide a singular matrix.
+  const largest = Math.max(
+    ...rows.map((row) =>
+      Math.max(...row.slice(0, size).map((value) => magnitude(value, numbers)))
+    )
+  );
+  const threshold = largest * 1e-12;
+
+  let determinant = numbers.fromNumber(1);
+  for (let col = 0; col < size; col++) {
+    let pivotRow = col;
+    for (let row = col + 1; row < size; row++) {
+      if (
+        magnitude(rows[row][col], numbers) >
+        magnitude(rows[pivotRow][col], numbers)
+      ) {
+        pivotRow = row;
+      }
+    }
+
+    const pivot = rows[pivotRow][col];
+    if (magnitude(pivot, numbers) <= threshold) {
+      return null;
+    }
+
+    if (pivotRow !== col) {
+      [rows[col], rows[pivotRow]] = [rows[pivotRow], rows[col]];
+      determinant = numbers.negate(determinant);
+    }
+
+    determinant = numbers.multiply(determinant, pivot);
+    rows[col] = rows[col].map((value) => numbers.divide(value, pivot));
+
+    for (let row = 0; row < size; row++) {
+      const factor = rows[row][col];
+      if (row !== col && magnitude(factor, numbers) !== 0) {
+        rows[row] = rows[row].map((value, jjj) =>
+          numbers.subtract(value, numbers.multiply(factor, rows[col][jjj]))
+        );
+      }
+    }
+  }
+
+  return determinant;
+}
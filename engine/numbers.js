@@ -0,0 +1,1220 @@
+// Number backends decide how expressions do arithmetic. The float backend
+// works on plain JavaScript numbers. The exact backend keeps results as
+// BigInt rationals for as long as only + - * /, integer powers and
+// factorials are involved, and the decimal backend works to a configurable
+// number of significant digits. The programmer backend works on whole
+// numbers of a fixed number of bits, wrapping around as registers do.
+//
+// Anything else, such as sin, is computed with floats. The exact backend
+// then carries on in floats since the result is no longer exact, while the
+// decimal backend rounds the float to its precision and carries on.
+// Complex values are always pairs of floats.
+
+import { Complex } from "./complex.js";
+import * as special from "./special.js";
+
+/**
+ *
+ * @param {bigint} a
+ * @param {bigint} b
+ *
+ * @returns {bigint}
+ */
+function gcd(a, b) {
+  a = a < 0n ? -a : a;
+  b = b < 0n ? -b : b;
+  while (b !== 0n) {
+    [a, b] = [b, a % b];
+  }
+
+  return a;
+}
+
+/**
+ *
+ * @param {bigint} value
+ *
+ * @returns {bigint}
+ */
+function abs(value) {
+  return value < 0n ? -value : value;
+}
+
+/**
+ * Converts a possibly huge BigInt ratio to the nearest float.
+ *
+ * @param {bigint} numerator
+ * @param {bigint} denominator
+ *
+ * @returns {number}
+ */
+function ratioToNumber(numerator, denominator) {
+  const bits = Math.max(
+    abs(numerator).toString(2).length,
+    denominator.toString(2).length
+  );
+  const shift = BigInt(Math.max(0, bits - 1000));
+
+  return Number(numerator >> shift) / Number(denominator >> shift);
+}
+
+/**
+ * Splits a decimal literal such as 12.5 or 1.5E-3 into a BigInt of its
+ * digits and the power of ten they are scaled by. Hexadecimal, octal and
+ * binary literals such as 0xff are whole numbers.
+ *
+ * @param {string} text
+ *
+ * @returns {{ digits: bigint, exponent: number }}
+ */
+function parseLiteral(text) {
+  const radix = /^([+-]?)(0[xob][\da-fA-F]+)$/.exec(text);
+  if (radix) {
+    const digits = BigInt(radix[2]);
+    return { digits: radix[1] === "-" ? -digits : digits, exponent: 0 };
+  }
+
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(text);
+  if (!match || match[2].length + (match[3] || "").length === 0) {
+    throw new Error(`${text} is not a number.`);
+  }
+
+  const fraction = match[3] || "";
+  const digits = BigInt(`${match[2]}${fraction}` || "0");
+  const exponent = Number(match[4] || 0) - fraction.length;
+
+  return { digits: match[1] === "-" ? -digits : digits, exponent };
+}
+
+export class Rational {
+  /**
+   * Always stored in lowest terms with a positive denominator.
+   *
+   * @param {bigint} numerator
+   * @param {bigint} denominator
+   */
+  constructor(numerator, denominator = 1n) {
+    if (denominator === 0n) {
+      throw new Error("Cannot divide by zero.");
+    }
+
+    const divisor = gcd(numerator, denominator) || 1n;
+    const sign = denominator < 0n ? -1n : 1n;
+
+    this.numerator = (sign * numerator) / divisor;
+    this.denominator = (sign * denominator) / divisor;
+  }
+
+  /**
+   *
+   * @param {string} text
+   *
+   * @returns {Rational}
+   */
+  static fromLiteral(text) {
+    const { digits, exponent } = parseLiteral(text);
+
+    if (exponent >= 0) {
+      return new Rational(digits * 10n ** BigInt(exponent));
+    } else {
+      return new Rational(digits, 10n ** BigInt(-exponent));
+    }
+  }
+
+  /**
+   *
+   * @param {Rational} other
+   *
+   * @returns {Rational}
+   */
+  add(other) {
+    return new Rational(
+      this.numerator * other.denominator + other.numerator * this.denominator,
+      this.denominator * other.denominator
+    );
+  }
+
+  /**
+   *
+   * @param {Rational} other
+   *
+   * @returns {Rational}
+   */
+  subtract(other) {
+    return this.add(other.negate());
+  }
+
+  /**
+   *
+   * @param {Rational} other
+   *
+   * @returns {Rational}
+   */
+  multiply(other) {
+    return new Rational(
+      this.numerator * other.numerator,
+      this.denominator * other.denominator
+    );
+  }
+
+  /**
+   *
+   * @param {Rational} other
+   *
+   * @returns {Rational}
+   */
+  divide(other) {
+    return new Rational(
+      this.numerator * other.denominator,
+      this.denominator * other.numerator
+    );
+  }
+
+  /**
+   *
+   * @param {bigint} exponent
+   *
+   * @returns {Rational}
+   */
+  pow(exponent) {
+    if (exponent < 0n) {
+      return new Rational(this.denominator, this.numerator).pow(-exponent);
+    }
+
+    return new Rational(
+      this.numerator ** exponent,
+      this.denominator ** exponent
+    );
+  }
+
+  /**
+   *
+   * @returns {Rational}
+   */
+  negate() {
+    return new Rational(-this.numerator, this.denominator);
+  }
+
+  /**
+   *
+   * @param {Rational} other
+   *
+   * @returns {number} Negative, zero or positive as this is less than,
+   * equal to or greater than other.
+   */
+  compare(other) {
+    const difference =
+      this.numerator * other.denominator - other.numerator * this.denominator;
+    return difference < 0n ? -1 : difference > 0n ? 1 : 0;
+  }
+
+  /**
+   *
+   * @returns {boolean}
+   */
+  isInteger() {
+    return this.denominator === 1n;
+  }
+
+  /**
+   *
+   * @returns {boolean}
+   */
+  isZero() {
+    return this.numerator === 0n;
+  }
+
+  /**
+   *
+   * @returns {number}
+   */
+  toNumber() {
+    return ratioToNumber(this.numerator, this.denominator);
+  }
+
+  toString() {
+    if (this.isInteger()) {
+      return `${this.numerator}`;
+    } else {
+      return `${this.numerator}/${this.denominator}`;
+    }
+  }
+}
+
+export class Decimal {
+  /**
+   * The value coefficient * 10^exponent.
+   *
+   * @param {bigint} coefficient
+   * @param {number} exponent
+   */
+  constructor(coefficient, exponent) {
+    // Keep a canonical form without trailing zeros.
+    while (coefficient !== 0n && coefficient % 10n === 0n) {
+      coefficient /= 10n;
+      exponent++;
+    }
+
+    this.coefficient = coefficient;
+    this.exponent = coefficient === 0n ? 0 : exponent;
+  }
+
+  /**
+   * Rounds half away from zero to the given number of significant digits.
+   *
+   * @param {bigint} coefficient
+   * @param {number} exponent
+   * @param {number} precision
+   *
+   * @returns {Decimal}
+   */
+  static rounded(coefficient, exponent, precision) {
+    const digits = abs(coefficient).toString().length;
+    if (digits <= precision) {
+      return new Decimal(coefficient, exponent);
+    }
+
+    const dropped = digits - precision;
+    const divisor = 10n ** BigInt(dropped);
+    let kept = coefficient / divisor;
+    if (2n * abs(coefficient % divisor) >= divisor) {
+      kept += coefficient < 0n ? -1n : 1n;
+    }
+
+    return new Decimal(kept, exponent + dropped);
+  }
+
+  /**
+   *
+   * @param {string} text
+   * @param {number} precision
+   *
+   * @returns {Decimal}
+   */
+  static fromLiteral(text, precision) {
+    const { digits, exponent } = parseLiteral(text);
+    return Decimal.rounded(digits, exponent, precision);
+  }
+
+  /**
+   *
+   * @returns {boolean}
+   */
+  isInteger() {
+    return this.exponent >= 0;
+  }
+
+  /**
+   *
+   * @returns {boolean}
+   */
+  isZero() {
+    return this.coefficient === 0n;
+  }
+
+  /**
+   *
+   * @returns {bigint} The value, which must be an integer.
+   */
+  toBigInt() {
+    return this.coefficient * 10n ** BigInt(this.exponent);
+  }
+
+  /**
+   *
+   * @returns {number}
+   */
+  toNumber() {
+    return Number(this.toString());
+  }
+
+  /**
+   * Plain notation for moderately sized values, E notation otherwise.
+   *
+   * @returns {string}
+   */
+  toString() {
+    const sign = this.coefficient < 0n ? "-" : "";
+    const digits = abs(this.coefficient).toString();
+    const adjusted = digits.length - 1 + this.exponent;
+
+    if (adjusted >= 40 || adjusted < -20) {
+      const mantissa =
+        digits.length > 1 ? `${digits[0]}.${digits.slice(1)}` : digits;
+      return `${sign}${mantissa}E${adjusted}`;
+    } else if (this.exponent >= 0) {
+      return `${sign}${digits}${"0".repeat(this.exponent)}`;
+    } else if (adjusted >= 0) {
+      const point = digits.length + this.exponent;
+      return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+    } else {
+      return `${sign}0.${"0".repeat(-adjusted - 1)}${digits}`;
+    }
+  }
+}
+
+// The prefixes of literals in each base, which whole numbers can be shown
+// in, e.g. 255 in hex is 0xff.
+const RadixPrefixes = new Map([
+  [2, "0b"],
+  [8, "0o"],
+  [10, ""],
+  [16, "0x"],
+]);
+
+// The bases as named after in.
+export const RadixNames = new Map([
+  ["bin", 2],
+  ["oct", 8],
+  ["dec", 10],
+  ["hex", 16],
+]);
+
+// Shifting further left would take ages to build numbers nothing can show.
+const MaxShift = 4096n;
+
+/**
+ * A whole number, of a fixed number of bits in programmer mode or of any
+ * size otherwise, shown in a chosen base.
+ */
+export class Integer {
+  /**
+   *
+   * @param {bigint} value
+   * @param {number | null} bits The word size, or null for no limit.
+   * @param {number} radix The base it is shown in, see RadixNames.
+   */
+  constructor(value, bits = null, radix = 10) {
+    this.value = value;
+    this.bits = bits;
+    this.radix = radix;
+  }
+
+  /**
+   *
+   * @param {number} radix
+   *
+   * @returns {Integer}
+   */
+  inRadix(radix) {
+    return new Integer(this.value, this.bits, radix);
+  }
+
+  /**
+   *
+   * @returns {number}
+   */
+  toNumber() {
+    return Number(this.value);
+  }
+
+  /**
+   * Written as it would be typed, e.g. 0xff. Negative words are shown in
+   * other bases as their two's complement, as a register holds them.
+   *
+   * @returns {string}
+   */
+  toString() {
+    if (this.radix === 10) {
+      return `${this.value}`;
+    }
+
+    const value =
+      this.value < 0n && this.bits !== null
+        ? this.value + (1n << BigInt(this.bits))
+        : this.value;
+    const sign = value < 0n ? "-" : "";
+
+    return `${sign}${RadixPrefixes.get(this.radix)}${abs(value).toString(
+      this.radix
+    )}`;
+  }
+}
+
+/**
+ *
+ * @param {*} value
+ *
+ * @returns {bigint | null} The value as a BigInt, or null when it is not a
+ * whole number.
+ */
+function wholeBigInt(value) {
+  if (value instanceof Integer) {
+    return value.value;
+  } else if (value instanceof Rational) {
+    return value.isInteger() ? value.numerator : null;
+  } else if (value instanceof Decimal) {
+    return value.isInteger() ? value.toBigInt() : null;
+  } else if (typeof value === "number" && Number.isInteger(value)) {
+    return BigInt(value);
+  } else {
+    return null;
+  }
+}
+
+/**
+ * The float backend, which the others fall back to. It is also the one
+ * place complex arithmetic happens.
+ */
+export class FloatBackend {
+  constructor() {
+    this.name = "float";
+  }
+
+  /**
+   * Builds the value of a number literal from its source text.
+   *
+   * @param {string} text
+   *
+   * @returns {*}
+   */
+  fromLiteral(text) {
+    return Number(text);
+  }
+
+  /**
+   *
+   * @param {number} value
+   *
+   * @returns {*}
+   */
+  fromNumber(value) {
+    return value;
+  }
+
+  /**
+   * Builds the result of integer arithmetic, such as a bitwise operator.
+   *
+   * @param {bigint} value
+   *
+   * @returns {*}
+   */
+  fromBigInt(value) {
+    return Number(value);
+  }
+
+  /**
+   *
+   * @param {*} value
+   *
+   * @returns {Integer | null} Null when value is not a whole number.
+   */
+  toInteger(value) {
+    const whole = wholeBigInt(value);
+    return whole === null ? null : new Integer(whole);
+  }
+
+  /**
+   *
+   * @param {*} value
+   *
+   * @returns {number}
+   */
+  toNumber(value) {
+    if (typeof value === "boolean") {
+      throw new Error(`${value} is a truth value, not a number.`);
+    }
+
+    return typeof value === "number" ? value : value.toNumber();
+  }
+
+  /**
+   *
+   * @param {*} value
+   *
+   * @returns {Complex}
+   */
+  toComplex(value) {
+    return value instanceof Complex
+      ? value
+      : new Complex(this.toNumber(value), 0);
+  }
+
+  add(left, right) {
+    if (left instanceof Complex || right instanceof Complex) {
+      return this.toComplex(left).add(this.toComplex(right)).simplified();
+    }
+
+    return this.toNumber(left) + this.toNumber(right);
+  }
+
+  subtract(left, right) {
+    if (left instanceof Complex || right instanceof Complex) {
+      return this.toComplex(left).subtract(this.toComplex(right)).simplified();
+    }
+
+    return this.toNumber(left) - this.toNumber(right);
+  }
+
+  multiply(left, right) {
+    if (left instanceof Complex || right instanceof Complex) {
+      return this.toComplex(left).multiply(this.toComplex(right)).simplified();
+    }
+
+    return this.toNumber(left) * this.toNumber(right);
+  }
+
+  divide(left, right) {
+    if (left instanceof Complex || right instanceof Complex) {
+      return this.toComplex(left).divide(this.toComplex(right)).simplified();
+    }
+
+    return this.toNumber(left) / this.toNumber(right);
+  }
+
+  /**
+   * Negative bases with fractional exponents give the principal complex
+   * root, e.g. (-8)^(1/3) is 1 + 1.732i.
+   *
+   * @param {*} base
+   * @param {*} exponent
+   *
+   * @returns {*}
+   */
+  power(base, exponent) {
+    if (base instanceof Complex || exponent instanceof Complex) {
+      return this.toComplex(base).pow(this.toComplex(exponent)).simplified();
+    }
+
+    const b = this.toNumber(base);
+    const e = this.toNumber(exponent);
+    if (b < 0 && !Number.isInteger(e)) {
+      return new Complex(b, 0).pow(new Complex(e, 0)).simplified();
+    }
+
+    return Math.pow(b, e);
+  }
+
+  negate(value) {
+    if (value instanceof Complex) {
+      return value.negate();
+    }
+
+    return -this.toNumber(value);
+  }
+
+  factorial(value) {
+    return special.factorial(this.toNumber(value));
+  }
+
+  doubleFactorial(value) {
+    return special.doubleFactorial(this.toNumber(value));
+  }
+
+  /**
+   * Used to guard against division by zero.
+   *
+   * @param {*} value
+   *
+   * @returns {boolean}
+   */
+  isZero(value) {
+    if (value instanceof Complex) {
+      return value.abs() < 0.00000001;
+    }
+
+    return Math.abs(this.toNumber(value)) < 0.00000001;
+  }
+
+  /**
+   *
+   * @param {*} left
+   * @param {*} right
+   *
+   * @returns {number} Negative, zero or positive as left is less than,
+   * equal to or greater than right, or NaN if either is NaN.
+   */
+  compare(left, right) {
+    if (left instanceof Complex || right instanceof Complex) {
+      throw new Error("Complex numbers cannot be ordered.");
+    }
+
+    const a = this.toNumber(left);
+    const b = this.toNumber(right);
+    return a < b ? -1 : a > b ? 1 : a === b ? 0 : NaN;
+  }
+
+  and(left, right) {
+    return this._bitwise(left, right, "and", (a, b) => a & b);
+  }
+
+  or(left, right) {
+    return this._bitwise(left, right, "or", (a, b) => a | b);
+  }
+
+  xor(left, right) {
+    return this._bitwise(left, right, "xor", (a, b) => a ^ b);
+  }
+
+  not(value) {
+    return this.fromBigInt(~this._whole(value, "not"));
+  }
+
+  shiftLeft(left, right) {
+    return this._bitwise(left, right, "<<", (a, b) => {
+      if (b > MaxShift) {
+        throw new Error(`Cannot shift by more than ${MaxShift} bits.`);
+      }
+
+      return a << b;
+    });
+  }
+
+  shiftRight(left, right) {
+    // Shifting a BigInt right keeps its sign, as an arithmetic shift.
+    return this._bitwise(left, right, ">>", (a, b) => a >> b);
+  }
+
+  /**
+   * Applies a BigInt operation to two whole numbers.
+   *
+   * @param {*} left
+   * @param {*} right
+   * @param {string} operator Named in the error for other values.
+   * @param {(a: bigint, b: bigint) => bigint} operation
+   *
+   * @returns {*}
+   */
+  _bitwise(left, right, operator, operation) {
+    const a = this._whole(left, operator);
+    const b = this._whole(right, operator);
+    if ((operator === "<<" || operator === ">>") && b < 0n) {
+      throw new Error("Cannot shift by a negative number of bits.");
+    }
+
+    return this.fromBigInt(operation(a, b));
+  }
+
+  /**
+   *
+   * @param {*} value
+   * @param {string} operator Named in the error when value is not whole.
+   *
+   * @returns {bigint}
+   */
+  _whole(value, operator) {
+    const whole = wholeBigInt(value);
+    if (whole === null) {
+      throw new Error(`${operator} needs whole numbers, not ${value}.`);
+    }
+
+    return whole;
+  }
+}
+
+export class ExactBackend extends FloatBackend {
+  constructor() {
+    super();
+    this.name = "exact";
+  }
+
+  fromLiteral(text) {
+    return Rational.fromLiteral(text);
+  }
+
+  fromNumber(value) {
+    return Number.isSafeInteger(value) ? new Rational(BigInt(value)) : value;
+  }
+
+  fromBigInt(value) {
+    return new Rational(value);
+  }
+
+  add(left, right) {
+    return this._exactly(left, right, "add", () => super.add(left, right));
+  }
+
+  subtract(left, right) {
+    return this._exactly(left, right, "subtract", () =>
+      super.subtract(left, right)
+    );
+  }
+
+  multiply(left, right) {
+    return this._exactly(left, right, "multiply", () =>
+      super.multiply(left, right)
+    );
+  }
+
+  divide(left, right) {
+    return this._exactly(left, right, "divide", () =>
+      super.divide(left, right)
+    );
+  }
+
+  power(base, exponent) {
+    if (
+      base instanceof Rational &&
+      exponent instanceof Rational &&
+      exponent.isInteger()
+    ) {
+      if (base.isZero() && exponent.numerator < 0n) {
+        throw new Error("Cannot divide by zero.");
+      }
+
+      return base.pow(exponent.numerator);
+    }
+
+    return super.power(base, exponent);
+  }
+
+  negate(value) {
+    return value instanceof Rational ? value.negate() : super.negate(value);
+  }
+
+  factorial(value) {
+    if (
+      value instanceof Rational &&
+      value.isInteger() &&
+      value.numerator >= 0n
+    ) {
+      return new Rational(special.bigFactorial(value.numerator));
+    }
+
+    return super.factorial(value);
+  }
+
+  doubleFactorial(value) {
+    if (value instanceof Rational && value.isInteger()) {
+      return new Rational(special.bigDoubleFactorial(value.numerator));
+    }
+
+    return super.doubleFactorial(value);
+  }
+
+  isZero(value) {
+    return value instanceof Rational ? value.isZero() : super.isZero(value);
+  }
+
+  compare(left, right) {
+    return this._exactly(left, right, "compare", () =>
+      super.compare(left, right)
+    );
+  }
+
+  /**
+   * Applies a Rational method when both operands are exact, otherwise falls
+   * back to floats.
+   *
+   * @param {*} left
+   * @param {*} right
+   * @param {string} method
+   * @param {() => number} fallback
+   *
+   * @returns {*}
+   */
+  _exactly(left, right, method, fallback) {
+    // Integers, e.g. from 255 in hex, are exact too.
+    if (left instanceof Integer) {
+      left = new Rational(left.value);
+    }
+    if (right instanceof Integer) {
+      right = new Rational(right.value);
+    }
+
+    if (left instanceof Rational && right instanceof Rational) {
+      return left[method](right);
+    } else {
+      return fallback();
+    }
+  }
+}
+
+export class DecimalBackend extends FloatBackend {
+  /**
+   *
+   * @param {number} precision Significant digits kept in results.
+   */
+  constructor(precision) {
+    super();
+    this.name = "decimal";
+    this.precision = precision;
+  }
+
+  fromLiteral(text) {
+    return Decimal.fromLiteral(text, this.precision);
+  }
+
+  fromNumber(value) {
+    if (Number.isFinite(value)) {
+      return Decimal.fromLiteral(`${value}`, this.precision);
+    } else {
+      return value;
+    }
+  }
+
+  fromBigInt(value) {
+    return Decimal.rounded(value, 0, this.precision);
+  }
+
+  add(left, right) {
+    return this._decimally(left, right, super.add, (a, b) => {
+      const exponent = Math.min(a.exponent, b.exponent);
+      const coefficient =
+        a.coefficient * 10n ** BigInt(a.exponent - exponent) +
+        b.coefficient * 10n ** BigInt(b.exponent - exponent);
+
+      return Decimal.rounded(coefficient, exponent, this.precision);
+    });
+  }
+
+  subtract(left, right) {
+    return this.add(left, this.negate(right));
+  }
+
+  multiply(left, right) {
+    return this._decimally(left, right, super.multiply, (a, b) =>
+      Decimal.rounded(
+        a.coefficient * b.coefficient,
+        a.exponent + b.exponent,
+        this.precision
+      )
+    );
+  }
+
+  divide(left, right) {
+    return this._decimally(left, right, super.divide, (a, b) => {
+      if (b.isZero()) {
+        throw new Error("Cannot divide by zero.");
+      }
+
+      // Scale the dividend so the quotient has two guard digits.
+      const shift = Math.max(
+        0,
+        this.precision +
+          2 +
+          abs(b.coefficient).toString().length -
+          abs(a.coefficient).toString().length
+      );
+      const quotient = (a.coefficient * 10n ** BigInt(shift)) / b.coefficient;
+
+      return Decimal.rounded(
+        quotient,
+        a.exponent - b.exponent - shift,
+        this.precision
+      );
+    });
+  }
+
+  power(base, exponent) {
+    const b = this._lift(base);
+    const e = this._lift(exponent);
+
+    if (
+      b &&
+      e &&
+      e.isInteger() &&
+      e.exponent < 7 &&
+      abs(e.toBigInt()) <= 100000n
+    ) {
+      // Square and multiply with guard digits, then round once at the end.
+      const guarded = new DecimalBackend(this.precision + 10);
+      let n = e.toBigInt();
+      const invert = n < 0n;
+      n = invert ? -n : n;
+
+      let out = new Decimal(1n, 0);
+      let square = b;
+      while (n > 0n) {
+        if (n % 2n === 1n) {
+          out = guarded.multiply(out, square);
+        }
+
+        square = guarded.multiply(square, square);
+        n /= 2n;
+      }
+
+      out = invert ? guarded.divide(new Decimal(1n, 0), out) : out;
+      return Decimal.rounded(out.coefficient, out.exponent, this.precision);
+    }
+
+    return this.fromNumber(super.power(base, exponent));
+  }
+
+  negate(value) {
+    const v = this._lift(value);
+    return v ? new Decimal(-v.coefficient, v.exponent) : super.negate(value);
+  }
+
+  factorial(value) {
+    const v = this._lift(value);
+    if (v && v.isInteger() && v.coefficient >= 0n) {
+      const exact = special.bigFactorial(v.toBigInt());
+      return Decimal.rounded(exact, 0, this.precision);
+    }
+
+    return this.fromNumber(super.factorial(value));
+  }
+
+  doubleFactorial(value) {
+    const v = this._lift(value);
+    if (v && v.isInteger()) {
+      const exact = special.bigDoubleFactorial(v.toBigInt());
+      return Decimal.rounded(exact, 0, this.precision);
+    }
+
+    return this.fromNumber(super.doubleFactorial(value));
+  }
+
+  isZero(value) {
+    const v = this._lift(value);
+    return v ? v.isZero() : super.isZero(value);
+  }
+
+  compare(left, right) {
+    return this._decimally(left, right, super.compare, (a, b) => {
+      // Exactly, rather than rounding the difference to the precision.
+      const exponent = Math.min(a.exponent, b.exponent);
+      const x = a.coefficient * 10n ** BigInt(a.exponent - exponent);
+      const y = b.coefficient * 10n ** BigInt(b.exponent - exponent);
+
+      return x < y ? -1 : x > y ? 1 : 0;
+    });
+  }
+
+  /**
+   * Converts finite floats, e.g. results of sin, to decimals.
+   *
+   * @param {*} value
+   *
+   * @returns {Decimal | null} Null for values decimals cannot hold.
+   */
+  _lift(value) {
+    if (value instanceof Decimal) {
+      return value;
+    } else if (value instanceof Integer) {
+      return this.fromBigInt(value.value);
+    } else if (value instanceof Rational) {
+      return this.divide(
+        new Decimal(value.numerator, 0),
+        new Decimal(value.denominator, 0)
+      );
+    } else if (typeof value === "number" && Number.isFinite(value)) {
+      return this.fromNumber(value);
+    } else {
+      return null;
+    }
+  }
+
+  /**
+   * Applies operation when both operands can be decimals, otherwise falls
+   * back to floats, e.g. for infinities.
+   *
+   * @param {*} left
+   * @param {*} right
+   * @param {(left: *, right: *) => number} fallback A FloatBackend method.
+   * @param {(a: Decimal, b: Decimal) => Decimal} operation
+   *
+   * @returns {*}
+   */
+  _decimally(left, right, fallback, operation) {
+    const a = this._lift(left);
+    const b = this._lift(right);
+
+    if (a && b) {
+      return operation(a, b);
+    } else {
+      return fallback.call(this, left, right);
+    }
+  }
+}
+
+/**
+ * Programmer mode, where every number is a whole number of a fixed number
+ * of bits. Results wrap around on overflow and division truncates towards
+ * zero. Constants such as pi and the results of functions such as sqrt(2)
+ * are worked out as floats and truncated by fromNumber, so they are whole
+ * numbers too.
+ */
+export class ProgrammerBackend extends FloatBackend {
+  /**
+   *
+   * @param {number} bits The word size.
+   * @param {boolean} signed Whether words hold negative numbers, in two's
+   * complement.
+   */
+  constructor(bits, signed) {
+    super();
+    this.name = "programmer";
+    this.bits = bits;
+    this.signed = signed;
+  }
+
+  fromLiteral(text) {
+    const value = Rational.fromLiteral(text);
+    if (!value.isInteger()) {
+      throw new Error(`Programmer mode only has whole numbers, not ${text}.`);
+    }
+
+    return this.fromBigInt(value.numerator);
+  }
+
+  fromNumber(value) {
+    return Number.isFinite(value)
+      ? this.fromBigInt(BigInt(Math.trunc(value)))
+      : value;
+  }
+
+  fromBigInt(value) {
+    return new Integer(
+      this.signed
+        ? BigInt.asIntN(this.bits, value)
+        : BigInt.asUintN(this.bits, value),
+      this.bits
+    );
+  }
+
+  toInteger(value) {
+    const v = this._lift(value);
+    return v === null ? null : this.fromBigInt(v);
+  }
+
+  add(left, right) {
+    return this.fromBigInt(this._word(left) + this._word(right));
+  }
+
+  subtract(left, right) {
+    return this.fromBigInt(this._word(left) - this._word(right));
+  }
+
+  multiply(left, right) {
+    return this.fromBigInt(this._word(left) * this._word(right));
+  }
+
+  divide(left, right) {
+    const divisor = this._word(right);
+    if (divisor === 0n) {
+      throw new Error("Cannot divide by zero.");
+    }
+
+    return this.fromBigInt(this._word(left) / divisor);
+  }
+
+  /**
+   * Negative powers are 1 divided by the power, so truncate to 0 unless
+   * the base is 1 or -1.
+   *
+   * @param {*} base
+   * @param {*} exponent
+   *
+   * @returns {Integer}
+   */
+  power(base, exponent) {
+    let b = this._word(base);
+    let n = this._word(exponent);
+
+    if (n < 0n) {
+      if (b === 0n) {
+        throw new Error("Cannot divide by zero.");
+      } else if (b === -1n) {
+        return this.fromBigInt(n % 2n === 0n ? 1n : -1n);
+      }
+
+      return this.fromBigInt(b === 1n ? 1n : 0n);
+    }
+
+    // Square and multiply, wrapping as we go so the numbers stay small.
+    let out = 1n;
+    while (n > 0n) {
+      if (n % 2n === 1n) {
+        out = BigInt.asUintN(this.bits, out * b);
+      }
+
+      b = BigInt.asUintN(this.bits, b * b);
+      n /= 2n;
+    }
+
+    return this.fromBigInt(out);
+  }
+
+  negate(value) {
+    return this.fromBigInt(-this._word(value));
+  }
+
+  factorial(value) {
+    const n = this._word(value);
+    if (n < 0n) {
+      throw new Error("Factorial is undefined for negative whole numbers.");
+    }
+
+    // n! has at least n/2 factors of 2, so wraps to 0 once n is twice the
+    // word size.
+    return this.fromBigInt(
+      n >= 2n * BigInt(this.bits) ? 0n : special.bigFactorial(n)
+    );
+  }
+
+  doubleFactorial(value) {
+    const n = this._word(value);
+
+    // Likewise n!! for even n has n/2 factors of 2, while for odd n it has
+    // none and is multiplied out.
+    return this.fromBigInt(
+      n % 2n === 0n && n >= 2n * BigInt(this.bits)
+        ? 0n
+        : special.bigDoubleFactorial(n)
+    );
+  }
+
+  isZero(value) {
+    const v = this._lift(value);
+    return v === null ? super.isZero(value) : v === 0n;
+  }
+
+  compare(left, right) {
+    const a = this._word(left);
+    const b = this._word(right);
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  shiftLeft(left, right) {
+    // Every bit is shifted out by the word size, so stop there.
+    return this._bitwise(left, right, "<<", (a, b) =>
+      b > BigInt(this.bits) ? 0n : a << b
+    );
+  }
+
+  shiftRight(left, right) {
+    return this._bitwise(
+      left,
+      right,
+      ">>",
+      (a, b) => a >> (b > BigInt(this.bits) ? BigInt(this.bits) : b)
+    );
+  }
+
+  _whole(value) {
+    return this._word(value);
+  }
+
+  /**
+   *
+   * @param {*} value
+   *
+   * @returns {bigint}
+   */
+  _word(value) {
+    const v = this._lift(value);
+    if (v === null) {
+      throw new Error(`Programmer mode needs whole numbers, not ${value}.`);
+    }
+
+    return v;
+  }
+
+  /**
+   * Converts values from other modes, and floats from functions such as
+   * sqrt, dropping any fraction.
+   *
+   * @param {*} value
+   *
+   * @returns {bigint | null} Null for values words cannot hold.
+   */
+  _lift(value) {
+    if (typeof value === "number") {
+      return Number.isFinite(value) ? BigInt(Math.trunc(value)) : null;
+    }
+
+    return wholeBigInt(value);
+  }
+}
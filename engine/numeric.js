@@ -0,0 +1,400 @@
+// Numerical methods behind the calculus natives. Each takes the function
+// as a plain JavaScript function of one number and throws an Error rather
+// than returning an inaccurate answer.
+
+const MaxSimpsonDepth = 50;
+const MaxEvaluations = 1000000;
+const MaxIterations = 500;
+
+/**
+ * Calls f, rejecting values that are not finite.
+ *
+ * @param {(x: number) => number} f
+ * @param {number} x
+ *
+ * @returns {number}
+ */
+function sample(f, x) {
+  const y = f(x);
+  if (typeof y !== "number" || !Number.isFinite(y)) {
+    throw new Error(`The function is not finite at ${x}.`);
+  }
+
+  return y;
+}
+
+/**
+ * Integrates f from a to b with adaptive Simpson's rule.
+ *
+ * @param {(x: number) => number} f
+ * @param {number} a
+ * @param {number} b
+ * @param {number} tolerance Absolute error allowed in the result.
+ *
+ * @returns {number}
+ */
+export function integrate(f, a, b, tolerance) {
+  if (a === b) {
+    return 0;
+  } else if (a > b) {
+    return -integrate(f, b, a, tolerance);
+  }
+
+  let evaluations = 0;
+  const g = (x) => {
+    if (++evaluations > MaxEvaluations) {
+      throw new Error("The integral did not converge; it may diverge.");
+    }
+
+    return sample(f, x);
+  };
+
+  const simpson = (a, fa, m, fm, b, fb) => ((b - a) / 6) * (fa + 4 * fm + fb);
+
+  const adapt = (a, fa, m, fm, b, fb, whole, tolerance, depth) => {
+    const lm = (a + m) / 2;
+    const rm = (m + b) / 2;
+    const flm = g(lm);
+    const frm = g(rm);
+    const left = simpson(a, fa, lm, flm, m, fm);
+    const right = simpson(m, fm, rm, frm, b, fb);
+    const delta = left + right - whole;
+
+    if (Math.abs(delta) <= 15 * tolerance) {
+      // Richardson extrapolation of the two estimates.
+      return left + right + delta / 15;
+    } else if (depth <= 0) {
+      throw new Error(
+        `The integral did not converge near ${m}; it may be singular there.`
+      );
+    }
+
+    return (
+      adapt(a, fa, lm, flm, m, fm, left, tolerance / 2, depth - 1) +
+      adapt(m, fm, rm, frm, b, fb, right, tolerance / 2, depth - 1)
+    );
+  };
+
+  const fa = g(a);
+  const fb = g(b);
+  const m = (a + b) / 2;
+  const fm = g(m);
+
+  return adapt(
+    a,
+    fa,
+    m,
+    fm,
+    b,
+    fb,
+    simpson(a, fa, m, fm, b, fb),
+    tolerance,
+    MaxSimpsonDepth
+  );
+}
+
+/**
+ * Estimates f'(x) with central differences, refined by Richardson
+ * extrapolation as the step shrinks (Ridders' method).
+ *
+ * @param {(x: number) => number} f
+ * @param {number} x
+ * @param {number} tolerance Absolute error allowed, relative to the size of
+ * the derivative when that is larger than one.
+ *
+ * @returns {number}
+ */
+export function derivative(f, x, tolerance) {
+  const shrink = 1.4;
+  const size = 10;
+
+  let h = 0.1 * Math.max(1, Math.abs(x));
+  let best = NaN;
+  let bestError = Infinity;
+
+  const table = [[(sample(f, x + h) - sample(f, x - h)) / (2 * h)]];
+  for (let iii = 1; iii < size; iii++) {
+    h /= shrink;
+    table[iii] = [(sample(f, x + h) - sample(f, x - h)) / (2 * h)];
+
+    let factor = shrink * shrink;
+    for (let jjj = 1; jjj <= iii; jjj++) {
+      table[iii][jjj] =
+        (table[iii][jjj - 1] * factor - table[iii - 1][jjj - 1]) / (factor - 1);
+      factor *= shrink * shrink;
+
+      const error = Math.max(
+        Math.abs(table[iii][jjj] - table[iii][jjj - 1]),
+        Math.abs(table[iii][jjj] - table[iii - 1][jjj - 1])
+      );
+      if (error <= bestError) {
+        bestError = error;
+        best = table[iii][jjj];
+      }
+    }
+
+    // Stop once the higher order estimates start getting worse.
+    if (Math.abs(table[iii][iii] - table[iii - 1][iii - 1]) >= 2 * bestError) {
+      break;
+    }
+  }
+
+  if (bestError > tolerance * Math.max(1, Math.abs(best))) {
+    throw new Error(
+      `The derivative at ${x} could not be estimated to within ${tolerance}; the function may not be smooth there.`
+    );
+  }
+
+  return best;
+}
+
+/**
+ * Finds a root of f between a and b with Brent's method, which combines
+ * bisection with secant and inverse quadratic steps.
+ *
+ * @param {(x: number) => number} f
+ * @param {number} a
+ * @param {number} b
+ * @param {number} tolerance Absolute error allowed in the root.
+ *
+ * @returns {number}
+ */
+export function rootBetween(f, a, b, tolerance) {
+  let fa = sample(f, a);
+  let fb = sample(f, b);
+
+  if (fa === 0) {
+    return a;
+  } else if (fb === 0) {
+    return b;
+  } else if (Math.sign(fa) === Math.sign(fb)) {
+    throw new Error(
+      `The function must change sign between ${a} and ${b} to find a root.`
+    );
+  }
+
+  let c = a;
+  let fc = fa;
+  let d = b - a;
+  let e = d;
+
+  for (let iii = 0; iii < MaxIterations; iii++) {
+    if (Math.sign(fb) === Math.sign(fc)) {
+      c = a;
+      fc = fa;
+      d = b - a;
+      e = d;
+    }
+
+    // Keep b as the best estimate so far.
+    if (Math.abs(fc) < Math.abs(fb)) {
+      a = b;
+      b = c;
+      c = a;
+      fa = fb;
+      fb = fc;
+      fc = fa;
+    }
+
+    const tol = 2 * Number.EPSILON * Math.abs(b) + tolerance / 2;
+    const m = (c - b) / 2;
+    if (Math.abs(m) <= tol || fb === 0) {
+      return b;
+    }
+
+    if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)) {
+      // Try interpolating.
+      const s = fb / fa;
+      let p = 0;
+      let q = 0;
+
+      if (a === c) {
+        // Secant step.
+        p = 2 * m * s;
+        q = 1 - s;
+      } else {
+        // Inverse quadratic step.
+        const r = fb / fc;
+        const t = fa / fc;
+        p = s * (2 * m * t * (t - r) - (b - a) * (r - 1));
+        q = (t - 1) * (r - 1) * (s - 1);
+      }
+
+      if (p > 0) {
+        q = -q;
+      } else {
+        p = -p;
+      }
+
+      if (2 * p < Math.min(3 * m * q - Math.abs(tol * q), Math.abs(e * q))) {
+        e = d;
+        d = p / q;
+      } else {
+        d = m;
+        e = m;
+      }
+    } else {
+      // Bisect.
+      d = m;
+      e = m;
+    }
+
+    a = b;
+    fa = fb;
+    b += Math.abs(d) > tol ? d : Math.sign(m) * tol;
+    fb = sample(f, b);
+  }
+
+  throw new Error(`No root was found between ${a} and ${b}.`);
+}
+
+/**
+ * Finds a root of f near guess with Newton's method, using numeric
+ * derivatives.
+ *
+ * @param {(x: number) => number} f
+ * @param {number} guess
+ * @param {number} tolerance Absolute error allowed in the root.
+ *
+ * @returns {number}
+ */
+export function rootNear(f, guess, tolerance) {
+  let x = guess;
+
+  for (let iii = 0; iii < MaxIterations; iii++) {
+    const fx = sample(f, x);
+    if (fx === 0) {
+      return x;
+    }
+
+    const slope = derivative(f, x, Math.max(tolerance, 1e-6));
+    if (slope === 0) {
+      throw new Error(
+        `Cannot find a root from ${x} because the function is flat there; try another guess.`
+      );
+    }
+
+    const step = fx / slope;
+    x -= step;
+
+    if (!Number.isFinite(x)) {
+      break;
+    } else if (Math.abs(step) <= tolerance * Math.max(1, Math.abs(x))) {
+      return x;
+    }
+  }
+
+  throw new Error(
+    `No root was found near ${guess}; try another guess or give a range.`
+  );
+}
+
+/**
+ * Finds where f is smallest between a and b with Brent's method, which
+ * combines golden section search with parabolic interpolation.
+ *
+ * @param {(x: number) => number} f
+ * @param {number} a
+ * @param {number} b
+ * @param {number} tolerance Absolute error allowed in the position.
+ *
+ * @returns {number} The position of the minimum.
+ */
+export function minimise(f, a, b, tolerance) {
+  const golden = (3 - Math.sqrt(5)) / 2;
+
+  if (a > b) {
+    [a, b] = [b, a];
+  }
+
+  let x = a + golden * (b - a);
+  let w = x;
+  let v = x;
+  let fx = sample(f, x);
+  let fw = fx;
+  let fv = fx;
+  let d = 0;
+  let e = 0;
+
+  for (let iii = 0; iii < MaxIterations; iii++) {
+    const m = (a + b) / 2;
+    const tol = Math.sqrt(Number.EPSILON) * Math.abs(x) + tolerance / 3;
+
+    if (Math.abs(x - m) <= 2 * tol - (b - a) / 2) {
+      return x;
+    }
+
+    let useGolden = true;
+    if (Math.abs(e) > tol) {
+      // Fit a parabola through x, w and v.
+      let r = (x - w) * (fx - fv);
+      let q = (x - v) * (fx - fw);
+      let p = (x - v) * q - (x - w) * r;
+      q = 2 * (q - r);
+      if (q > 0) {
+        p = -p;
+      } else {
+        q = -q;
+      }
+
+      r = e;
+      e = d;
+
+      if (
+        Math.abs(p) < Math.abs((q * r) / 2) &&
+        p > q * (a - x) &&
+        p < q * (b - x)
+      ) {
+        d = p / q;
+        useGolden = false;
+
+        // Don't evaluate too close to the ends.
+        const u = x + d;
+        if (u - a < 2 * tol || b - u < 2 * tol) {
+          d = x < m ? tol : -tol;
+        }
+      }
+    }
+
+    if (useGolden) {
+      e = (x < m ? b : a) - x;
+      d = golden * e;
+    }
+
+    const u = x + (Math.abs(d) >= tol ? d : Math.sign(d) * tol);
+    const fu = sample(f, u);
+
+    if (fu <= fx) {
+      if (u < x) {
+        b = x;
+      } else {
+        a = x;
+      }
+
+      v = w;
+      fv = fw;
+      w = x;
+      fw = fx;
+      x = u;
+      fx = fu;
+    } else {
+      if (u < x) {
+        a = u;
+      } else {
+        b = u;
+      }
+
+      if (fu <= fw || w === x) {
+        v = w;
+        fv = fw;
+        w = u;
+        fw = fu;
+      } else if (fu <= fv || v === x || v === w) {
+        v = u;
+        fv = fu;
+      }
+    }
+  }
+
+  throw new Error(`No minimum was found between ${a} and ${b}.`);
+}
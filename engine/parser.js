@@ -1,3 +1,16 @@
+import { EvalError, ParseError } from "./errors.js";
+import { Complex } from "./complex.js";
+import { Matrix } from "./matrix.js";
+import {
+  Decimal,
+  ExactBackend,
+  FloatBackend,
+  Rational,
+  RadixNames,
+} from "./numbers.js";
+import { Quantity, Unit, isDimensionless } from "./units.js";
+import { typesetNumberText, typesetUnit } from "./typeset.js";
+
 const OperatorTokenTypes = {
   OperatorAdd: "opAdd",
   OperatorSubtract: "opSub",
@@ -5,12 +18,32 @@ const OperatorTokenTypes = {
   OperatorMultiply: "opMul",
   OperatorPower: "opPow",
   OperatorFactorial: "opFact",
+  OperatorDoubleFactorial: "opDoubleFact",
   OperatorScientific: "opScientific",
+  OperatorShiftLeft: "opShiftLeft",
+  OperatorShiftRight: "opShiftRight",
+  OperatorAnd: "opAnd",
+  OperatorOr: "opOr",
+  OperatorXor: "opXor",
+  OperatorLess: "opLess",
+  OperatorLessOrEqual: "opLessOrEqual",
+  OperatorGreater: "opGreater",
+  OperatorGreaterOrEqual: "opGreaterOrEqual",
+  OperatorEqual: "opEqual",
+  OperatorNotEqual: "opNotEqual",
 
   // Treating function calls as operators.
   OperatorFunctionCall: "opFuncCall",
 };
 
+const KeywordTokenTypes = {
+  KeywordDiff: "keywordDiff",
+  KeywordConvert: "keywordConvert",
+  KeywordNot: "keywordNot",
+  KeywordIf: "keywordIf",
+  KeywordOtherwise: "keywordOtherwise",
+};
+
 const TokenType = {
   UnsignedNumber: "unsignedNumber",
   Identifier: "identifier",
@@ -18,31 +51,147 @@ const TokenType = {
   // Punctuation
   PuncOpeningBracket: "openingBracket",
   PuncClosingBracket: "closingBracket",
+  PuncComma: "comma",
+  PuncOpeningSquareBracket: "openingSquareBracket",
+  PuncClosingSquareBracket: "closingSquareBracket",
+  PuncSemicolon: "semicolon",
 
   ...OperatorTokenTypes,
+  ...KeywordTokenTypes,
 };
 
-// Following BODMAS rule. This means brackets will have precedence
-// over all of them.
+// Binding powers for the Pratt parser. Operators sharing a precedence
+// (+ and -, * and /) are evaluated left to right, as in BODMAS. Brackets
+// have precedence over all of them.
 const OperatorPrecedence = new Map();
-OperatorPrecedence.set(OperatorTokenTypes.OperatorFunctionCall, 110);
-OperatorPrecedence.set(OperatorTokenTypes.OperatorFactorial, 100);
-OperatorPrecedence.set(OperatorTokenTypes.OperatorPower, 90);
-OperatorPrecedence.set(OperatorTokenTypes.OperatorScientific, 90);
-OperatorPrecedence.set(OperatorTokenTypes.OperatorDivide, 80);
-OperatorPrecedence.set(OperatorTokenTypes.OperatorMultiply, 70);
-OperatorPrecedence.set(OperatorTokenTypes.OperatorAdd, 60);
-OperatorPrecedence.set(OperatorTokenTypes.OperatorSubtract, 50);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorFunctionCall, 70);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorFactorial, 60);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorDoubleFactorial, 60);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorScientific, 50);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorPower, 40);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorDivide, 20);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorMultiply, 20);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorAdd, 10);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorSubtract, 10);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorShiftLeft, 8);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorShiftRight, 8);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorLess, 6);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorLessOrEqual, 6);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorGreater, 6);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorGreaterOrEqual, 6);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorEqual, 6);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorNotEqual, 6);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorAnd, 4);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorXor, 3);
+OperatorPrecedence.set(OperatorTokenTypes.OperatorOr, 2);
+
+// Sign operators bind tighter than * and / but looser than ^, so -2^2 is
+// -(2^2) while 2^-2 still works.
+const UnaryPrecedence = 30;
+
+// Operands written next to each other are multiplied as if there were a *
+// between them, so 2x^2 is 2*x^2 and 1/2x is 1/2*x.
+const ImplicitProductPrecedence = OperatorPrecedence.get(
+  OperatorTokenTypes.OperatorMultiply
+);
+
+// Not takes everything up to the next and, or or xor, so not a << 2 is
+// not (a << 2) and not x < 0 is not (x < 0), as in Python.
+const NotPrecedence = 5;
+
+// Unit and base conversions bind loosest of all, so 1 m + 2 cm in cm
+// converts the sum.
+const ConversionPrecedence = 1;
+
+// How deeply function calls may nest before recursion is stopped, by
+// default and at most. Browsers run out of stack at around 1500 calls of a
+// simple function, and sooner when each call nests others.
+export const MaxCallDepth = 1000;
+
+// How many results a memoised function remembers before starting afresh.
+const MaxMemoResults = 100000;
+
+const RightAssociativeOperators = [OperatorTokenTypes.OperatorPower];
+
+// Comparisons can't be chained, since a < b < c would compare the truth
+// value of a < b with c.
+const ComparisonOperators = ["<", "<=", ">", ">=", "==", "!="];
+
+// The precedence of each binary operator as written, for printing source.
+const BinaryOperatorPrecedence = new Map([
+  ["+", OperatorPrecedence.get(OperatorTokenTypes.OperatorAdd)],
+  ["-", OperatorPrecedence.get(OperatorTokenTypes.OperatorSubtract)],
+  ["*", OperatorPrecedence.get(OperatorTokenTypes.OperatorMultiply)],
+  ["/", OperatorPrecedence.get(OperatorTokenTypes.OperatorDivide)],
+  ["^", OperatorPrecedence.get(OperatorTokenTypes.OperatorPower)],
+  ["E", OperatorPrecedence.get(OperatorTokenTypes.OperatorScientific)],
+  ["<<", OperatorPrecedence.get(OperatorTokenTypes.OperatorShiftLeft)],
+  [">>", OperatorPrecedence.get(OperatorTokenTypes.OperatorShiftRight)],
+  ["and", OperatorPrecedence.get(OperatorTokenTypes.OperatorAnd)],
+  ["xor", OperatorPrecedence.get(OperatorTokenTypes.OperatorXor)],
+  ["or", OperatorPrecedence.get(OperatorTokenTypes.OperatorOr)],
+  ["<", OperatorPrecedence.get(OperatorTokenTypes.OperatorLess)],
+  ["<=", OperatorPrecedence.get(OperatorTokenTypes.OperatorLessOrEqual)],
+  [">", OperatorPrecedence.get(OperatorTokenTypes.OperatorGreater)],
+  [">=", OperatorPrecedence.get(OperatorTokenTypes.OperatorGreaterOrEqual)],
+  ["==", OperatorPrecedence.get(OperatorTokenTypes.OperatorEqual)],
+  ["!=", OperatorPrecedence.get(OperatorTokenTypes.OperatorNotEqual)],
+]);
+
+// Arithmetic on two floats, as the float number backend does it, which
+// compiled expressions do directly. Null leaves the operation to the
+// backend, e.g. to report division by zero.
+const FloatOperations = new Map([
+  ["+", (left, right) => left + right],
+  ["-", (left, right) => left - right],
+  ["*", (left, right) => left * right],
+  ["/", (left, right) => (right === 0 ? null : left / right)],
+  [
+    "^",
+    (left, right) =>
+      left < 0 && !Number.isInteger(right) ? null : Math.pow(left, right),
+  ],
+]);
+
+// Operators written with a space either side, which words need so they
+// aren't read as part of a name.
+const SpacedOperators = [
+  "+",
+  "-",
+  "<<",
+  ">>",
+  "and",
+  "xor",
+  "or",
+  ...ComparisonOperators,
+];
+
+// Operands such as numbers, variables and calls never need brackets.
+const OperandPrecedence = OperatorPrecedence.get(
+  OperatorTokenTypes.OperatorFunctionCall
+);
 
 const OperatorType = new Map();
 OperatorType.set(OperatorTokenTypes.OperatorFunctionCall, "unary");
 OperatorType.set(OperatorTokenTypes.OperatorFactorial, "unary");
+OperatorType.set(OperatorTokenTypes.OperatorDoubleFactorial, "unary");
 OperatorType.set(OperatorTokenTypes.OperatorPower, "binary");
 OperatorType.set(OperatorTokenTypes.OperatorDivide, "binary");
 OperatorType.set(OperatorTokenTypes.OperatorMultiply, "binary");
 OperatorType.set(OperatorTokenTypes.OperatorAdd, "binary");
 OperatorType.set(OperatorTokenTypes.OperatorSubtract, "binary");
 OperatorType.set(OperatorTokenTypes.OperatorScientific, "binary");
+OperatorType.set(OperatorTokenTypes.OperatorShiftLeft, "binary");
+OperatorType.set(OperatorTokenTypes.OperatorShiftRight, "binary");
+OperatorType.set(OperatorTokenTypes.OperatorAnd, "binary");
+OperatorType.set(OperatorTokenTypes.OperatorXor, "binary");
+OperatorType.set(OperatorTokenTypes.OperatorOr, "binary");
+OperatorType.set(OperatorTokenTypes.OperatorLess, "binary");
+OperatorType.set(OperatorTokenTypes.OperatorLessOrEqual, "binary");
+OperatorType.set(OperatorTokenTypes.OperatorGreater, "binary");
+OperatorType.set(OperatorTokenTypes.OperatorGreaterOrEqual, "binary");
+OperatorType.set(OperatorTokenTypes.OperatorEqual, "binary");
+OperatorType.set(OperatorTokenTypes.OperatorNotEqual, "binary");
 
 class Token {
   /**
@@ -51,41 +200,73 @@ class Token {
    * @param {string} type
    * @param {number} precedence
    * @param {"unary" | "binary"} opType
+   * @param {number} start Offset of the token in the source.
+   * @param {number} end Offset just past the end of the token.
+   * @param {boolean} isUnitName Whether the token names a unit, which it is
+   * read as after a number or in.
+   * @param {boolean} isVariableName Whether the token also names a variable,
+   * so a unit after a number is ambiguous.
    */
-  constructor(text, type, precedence, opType) {
+  constructor(
+    text,
+    type,
+    precedence,
+    opType,
+    start,
+    end,
+    isUnitName = false,
+    isVariableName = false
+  ) {
     this.text = text;
     this.type = type;
     this.precedence = precedence;
     this.opType = opType;
+    this.start = start;
+    this.end = end;
+    this.isUnitName = isUnitName;
+    this.isVariableName = isVariableName;
   }
 
   /**
-   * Yields true only if this token has higher precedence than anotherToken.
    *
-   * Assumes this is an operator token.
+   * @returns {boolean}
+   */
+  isOperator() {
+    return Object.values(OperatorTokenTypes).indexOf(this.type) !== -1;
+  }
+
+  /**
    *
-   * @param {Token} anotherToken
+   * @returns {boolean}
+   */
+  isBinaryOperator() {
+    return this.isOperator() && this.opType === "binary";
+  }
+
+  /**
+   * Yields true for operators that follow an operand, i.e. binary and
+   * postfix operators.
    *
    * @returns {boolean}
    */
-  hasHigherPrecedenceThan(anotherToken) {
-    return this.precedence > anotherToken.precedence;
+  isInfixOperator() {
+    return this.isBinaryOperator() || this.isFactorial();
   }
 
   /**
    *
    * @returns {boolean}
    */
-  isOperator() {
-    return Object.values(OperatorTokenTypes).indexOf(this.type) !== -1;
+  isComparison() {
+    return ComparisonOperators.indexOf(this.text) !== -1;
   }
 
   /**
    *
    * @returns {boolean}
    */
-  isBinaryOperator() {
-    return this.isOperator() && this.opType === "binary";
+  isRightAssociative() {
+    return RightAssociativeOperators.indexOf(this.type) !== -1;
   }
 
   /**
@@ -124,8 +305,32 @@ class Token {
    *
    * @returns {boolean}
    */
+  isMultiplyOrDivide() {
+    return (
+      this.type === TokenType.OperatorMultiply ||
+      this.type === TokenType.OperatorDivide
+    );
+  }
+
+  /**
+   *
+   * @returns {boolean}
+   */
+  isPower() {
+    return this.type === TokenType.OperatorPower;
+  }
+
+  /**
+   * Yields true for both ! and !!.
+   *
+   * @returns {boolean}
+   */
   isFactorial() {
-    return this.isOperator() && this.type === TokenType.OperatorFactorial;
+    return (
+      this.isOperator() &&
+      (this.type === TokenType.OperatorFactorial ||
+        this.type === TokenType.OperatorDoubleFactorial)
+    );
   }
 
   /**
@@ -159,6 +364,89 @@ class Token {
   isClosingBracket() {
     return this.type === TokenType.PuncClosingBracket;
   }
+
+  /**
+   *
+   * @returns {boolean}
+   */
+  isComma() {
+    return this.type === TokenType.PuncComma;
+  }
+
+  /**
+   *
+   * @returns {boolean}
+   */
+  isOpeningSquareBracket() {
+    return this.type === TokenType.PuncOpeningSquareBracket;
+  }
+
+  /**
+   *
+   * @returns {boolean}
+   */
+  isClosingSquareBracket() {
+    return this.type === TokenType.PuncClosingSquareBracket;
+  }
+
+  /**
+   *
+   * @returns {boolean}
+   */
+  isSemicolon() {
+    return this.type === TokenType.PuncSemicolon;
+  }
+
+  /**
+   *
+   * @returns {boolean}
+   */
+  isDiff() {
+    return this.type === TokenType.KeywordDiff;
+  }
+
+  /**
+   * Yields true for in and to, as in 72 km/h in m/s.
+   *
+   * @returns {boolean}
+   */
+  isConvert() {
+    return this.type === TokenType.KeywordConvert;
+  }
+
+  /**
+   *
+   * @returns {boolean}
+   */
+  isNot() {
+    return this.type === TokenType.KeywordNot;
+  }
+
+  /**
+   *
+   * @returns {boolean}
+   */
+  isIf() {
+    return this.type === TokenType.KeywordIf;
+  }
+
+  /**
+   * Yields true for otherwise, which may end the last case of a piecewise
+   * definition.
+   *
+   * @returns {boolean}
+   */
+  isOtherwise() {
+    return this.type === TokenType.KeywordOtherwise;
+  }
+
+  /**
+   *
+   * @returns {boolean}
+   */
+  isUnit() {
+    return this.isUnitName;
+  }
 }
 
 export class Tokeniser {
@@ -171,18 +459,53 @@ export class Tokeniser {
    */
   _getMatchers() {
     const out = new Map();
-    out.set(/^\d+(\.\d+)?/, TokenType.UnsignedNumber);
-    out.set(/^[a-z]+/, TokenType.Identifier);
+    // Digits may be grouped with underscores, as in 1_000_000, and a
+    // lowercase e starts an exponent only when digits follow, so 2e-3 is a
+    // number but 2e is 2 times the constant e.
+    // Hexadecimal, octal and binary, checked by the parser so 0xfg is an
+    // error rather than 0xf*g.
+    out.set(/^0[xob][\da-zA-Z_]+/, TokenType.UnsignedNumber);
+    out.set(
+      /^(\d+(_\d+)*(\.\d+(_\d+)*)?|\.\d+(_\d+)*)(e[+-]?\d+)?/,
+      TokenType.UnsignedNumber
+    );
+    // Keywords, and E on its own, must be matched before identifiers.
+    out.set(/^diff(?![a-zA-Z])/, TokenType.KeywordDiff);
+    out.set(/^(in|to)(?![a-zA-Z])/, TokenType.KeywordConvert);
+    out.set(/^not(?![a-zA-Z])/, TokenType.KeywordNot);
+    out.set(/^if(?![a-zA-Z])/, TokenType.KeywordIf);
+    out.set(/^otherwise(?![a-zA-Z])/, TokenType.KeywordOtherwise);
+    out.set(/^and(?![a-zA-Z])/, TokenType.OperatorAnd);
+    out.set(/^xor(?![a-zA-Z])/, TokenType.OperatorXor);
+    out.set(/^or(?![a-zA-Z])/, TokenType.OperatorOr);
+    out.set(/^E(?![a-zA-Z])/, TokenType.OperatorScientific);
+    // A name may be qualified by the namespace of the plugin it came from,
+    // e.g. fin.npv.
+    out.set(/^[a-zA-Z]+(?:\.[a-zA-Z]+)?/, TokenType.Identifier);
     out.set(/^\(/, TokenType.PuncOpeningBracket);
     out.set(/^\)/, TokenType.PuncClosingBracket);
+    out.set(/^,/, TokenType.PuncComma);
+    out.set(/^\[/, TokenType.PuncOpeningSquareBracket);
+    out.set(/^\]/, TokenType.PuncClosingSquareBracket);
+    out.set(/^;/, TokenType.PuncSemicolon);
 
     out.set(/^\+/, TokenType.OperatorAdd);
     out.set(/^-/, TokenType.OperatorSubtract);
     out.set(/^\*/, TokenType.OperatorMultiply);
     out.set(/^\//, TokenType.OperatorDivide);
+    // Longer operators first, so != isn't read as a factorial and <= isn't
+    // read as < followed by an unknown =.
+    out.set(/^!=/, TokenType.OperatorNotEqual);
+    out.set(/^!!/, TokenType.OperatorDoubleFactorial);
     out.set(/^!/, TokenType.OperatorFactorial);
     out.set(/^\^/, TokenType.OperatorPower);
-    out.set(/^E/, TokenType.OperatorScientific);
+    out.set(/^<</, TokenType.OperatorShiftLeft);
+    out.set(/^>>/, TokenType.OperatorShiftRight);
+    out.set(/^<=/, TokenType.OperatorLessOrEqual);
+    out.set(/^>=/, TokenType.OperatorGreaterOrEqual);
+    out.set(/^</, TokenType.OperatorLess);
+    out.set(/^>/, TokenType.OperatorGreater);
+    out.set(/^==/, TokenType.OperatorEqual);
 
     return out;
   }
@@ -195,20 +518,46 @@ export class Tokeniser {
    *
    * This means all Identifier tokens remaining will be variables or constants.
    *
+   * Token positions are offset by the given offset, for when the input is only
+   * part of a larger source such as the right hand side of an assignment.
+   *
+   * Identifiers and functions whose names are in unitNames are marked so the
+   * parser can read them as units where a unit may appear, and those whose
+   * names are also in variableNames so it can refuse to guess which is meant.
+   *
    * @param {string} input
    * @param {Array<string>} availableFunctions
+   * @param {number} offset
+   * @param {Array<string>} unitNames
+   * @param {Array<string>} variableNames
    *
    * @returns {Array<Token>}
    */
-  tokenise(input, availableFunctions) {
+  tokenise(
+    input,
+    availableFunctions,
+    offset = 0,
+    unitNames = [],
+    variableNames = []
+  ) {
     const out = [];
 
+    let index = this._skipWhitespace(input, 0);
     let nextToken = null;
-    while ((nextToken = this._nextMatchingToken(input, availableFunctions))) {
+    while (
+      (nextToken = this._nextMatchingToken(
+        input,
+        index,
+        availableFunctions,
+        offset,
+        unitNames,
+        variableNames
+      ))
+    ) {
       out.push(nextToken);
 
-      // Push out already parsed input.
-      input = input.replace(nextToken.text, "").trim();
+      // Move past already parsed input.
+      index = this._skipWhitespace(input, index + nextToken.text.length);
     }
 
     return out;
@@ -217,21 +566,71 @@ export class Tokeniser {
   /**
    *
    * @param {string} input
+   * @param {number} index
+   *
+   * @returns {number} The index of the next non-whitespace character.
+   */
+  _skipWhitespace(input, index) {
+    while (index < input.length && /\s/.test(input[index])) {
+      index++;
+    }
+
+    return index;
+  }
+
+  /**
+   *
+   * @param {string} input
+   * @param {number} index
    * @param {Array<string>} availableFunctions
+   * @param {number} offset
+   * @param {Array<string>} unitNames
    *
    * @returns {Token | null}
    */
-  _nextMatchingToken(input, availableFunctions) {
+  _nextMatchingToken(
+    input,
+    index,
+    availableFunctions,
+    offset,
+    unitNames,
+    variableNames
+  ) {
+    const rest = input.slice(index);
+    const start = offset + index;
+
     const matchers = this._getMatchers();
     for (const matcher of matchers.keys()) {
-      const match = matcher.exec(input);
+      const match = matcher.exec(rest);
 
       if (match) {
         let precedence = 0;
         let tokenType = matchers.get(matcher);
-        const text = match[0];
+        let text = match[0];
         let opType = "unary";
 
+        // Function names may end in digits, e.g. log2, though other names
+        // can't as x2 is x times 2.
+        const numbered = /^[a-zA-Z]+(?:\.[a-zA-Z]+)?\d+/.exec(rest);
+        if (
+          this._isIdentifier(tokenType) &&
+          numbered &&
+          this._isAFunction(numbered[0], availableFunctions)
+        ) {
+          text = numbered[0];
+        }
+
+        // A unit's name that is also a function's, such as min, is the
+        // function when called.
+        const isUnitName =
+          this._isIdentifier(tokenType) &&
+          unitNames.indexOf(text) !== -1 &&
+          !(
+            this._isAFunction(text, availableFunctions) &&
+            /^\s*\(/.test(rest.slice(text.length))
+          );
+        const isVariableName = isUnitName && variableNames.indexOf(text) !== -1;
+
         if (
           this._isIdentifier(tokenType) &&
           this._isAFunction(text, availableFunctions)
@@ -244,12 +643,27 @@ export class Tokeniser {
           opType = OperatorType.get(tokenType);
         }
 
-        return new Token(text, tokenType, precedence, opType);
+        return new Token(
+          text,
+          tokenType,
+          precedence,
+          opType,
+          start,
+          start + text.length,
+          isUnitName,
+          isVariableName
+        );
       }
     }
 
-    if (input.length > 0) {
-      throw new Error("Unknown tokens in source.");
+    if (rest.length > 0) {
+      throw new ParseError(
+        `Unknown symbol ${rest[0]} in source.`,
+        start,
+        start + 1,
+        [],
+        rest[0]
+      );
     } else {
       return null;
     }
@@ -291,27 +705,37 @@ export class Variable {
   /**
    *
    * @param {string} name
-   * @param {number | Expression} value
+   * @param {number | Matrix | Expression} value
    * @param {boolean} isFinal
+   * @param {string | null} description What a built-in constant is.
    */
-  constructor(name, value, isFinal) {
+  constructor(name, value, isFinal, description = null) {
     this.name = name;
     this.value = value;
     this.isFinal = isFinal;
+    this.description = description;
+
+    // The expression the value is worked out from, for a variable bound
+    // with :=, which the symbols table keeps up to date.
+    this.binding = null;
   }
 
   /**
-   * @param {number | Expression} newValue
+   * @param {number | Matrix | Expression} newValue
+   * @param {Expression | null} binding What newValue was worked out from,
+   * if it should be again whenever that changes.
    */
-  setTo(newValue) {
+  setTo(newValue, binding = null) {
     if (this.isFinal) {
       throw new Error(`Cannot modify ${this.name}`);
     } else {
       this.value = newValue;
+      this.binding = binding;
     }
   }
 
   /**
+   * The variable's value, which may also be a complex number or a matrix.
    *
    * @returns {number}
    */
@@ -328,601 +752,4825 @@ export class Variable {
   }
 }
 
-export class Callable extends Variable {}
-
-export class SymbolsTable {
+export class Callable extends Variable {
   /**
    *
-   * @param {Array<Variable>} variables
-   * @param {Array<Callable>} callables
+   * @param {string} name
+   * @param {Expression} value
+   * @param {boolean} isFinal
+   * @param {Array<string>} params Names the arguments are bound to, in order.
+   * @param {number} minArity How many of the params must be given. The rest
+   * are optional and left unbound when missing.
+   * @param {boolean} isVariadic Whether any number of arguments may follow
+   * the params, bound to names numbered after the last, e.g. x3 after x1
+   * and x2.
    */
-  constructor(variables, callables) {
-    this.variables = variables;
-    this.callables = callables;
+  constructor(
+    name,
+    value,
+    isFinal,
+    params = ["x"],
+    minArity = params.length,
+    isVariadic = false
+  ) {
+    super(name, value, isFinal);
+    this.params = params;
+    this.minArity = minArity;
+    this.isVariadic = isVariadic;
+
+    // What a user function is for, as written after # in its definition.
+    this.doc = null;
+
+    // The body compiled for a symbols table, see compiled.
+    this._compiled = null;
+
+    // Whether results are remembered, see memoise.
+    this.isMemoised = false;
+    this._results = null;
   }
 
   /**
-   *
-   * @param {string} symbolName
-   * @param {number | Expression} value
+   * @param {Expression} newValue
+   * @param {Array<string>} params
+   * @param {string | null} doc
    */
-  setSymbol(symbolName, value) {
-    if (value instanceof Expression) {
-      let exists = false;
+  setTo(newValue, params = this.params, doc = null) {
+    super.setTo(newValue);
+    this.params = params;
+    this.minArity = params.length;
+    this.isVariadic = false;
+    this.doc = doc;
+    this._compiled = null;
+  }
 
-      this.callables.forEach((callable) => {
-        if (callable.name === symbolName) {
-          callable.setTo(value);
-          exists = true;
-        }
-      });
+  /**
+   *
+   * @returns {number}
+   */
+  arity() {
+    return this.params.length;
+  }
 
-      if (!exists) {
-        this.callables.push(new Callable(symbolName, value, false));
+  /**
+   * @param {number} count The number of arguments given.
+   */
+  checkArity(count) {
+    const max = this.isVariadic ? Infinity : this.arity();
+    if (count < this.minArity || count > max) {
+      let expected = `${this.minArity} to ${pluralise(max, "argument")}`;
+      if (this.minArity === max) {
+        expected = pluralise(max, "argument");
+      } else if (max === Infinity) {
+        expected = `at least ${pluralise(this.minArity, "argument")}`;
       }
-    } else {
-      let exists = false;
-
-      this.variables.forEach((variable) => {
-        if (variable.name === symbolName) {
-          variable.setTo(value);
-          exists = true;
-        }
-      });
 
-      if (!exists) {
-        this.variables.push(new Variable(symbolName, value, false));
-      }
+      throw new Error(
+        `${this.signature()} expects ${expected} but was given ${count}.`
+      );
     }
   }
 
   /**
+   * Evaluates the function's body with the params bound to the given
+   * values.
    *
-   * @param {string} name
+   * @param {Array<number>} argValues
+   * @param {SymbolsTable} symbolsTable
    *
-   * @returns {Variable}
+   * @returns {number}
    */
-  getVariable(name) {
-    const out = this.variables.filter((variable) => variable.name === name);
-    if (out.length > 0) {
-      return out[0];
-    } else {
-      throw new Error(`${name} is not a stored variable`);
+  call(argValues, symbolsTable) {
+    this.checkArity(argValues.length);
+
+    const key = this.isMemoised ? memoKey(argValues) : null;
+    if (key === null) {
+      return this.compiled(symbolsTable)(argValues);
+    }
+
+    const results = this._resultsFor(symbolsTable.numbers);
+    if (results.has(key)) {
+      return results.get(key);
     }
+
+    const value = this.compiled(symbolsTable)(argValues);
+    if (results.size >= MaxMemoResults) {
+      results.clear();
+    }
+    results.set(key, value);
+
+    return value;
   }
 
   /**
+   * Remembers the result of each call, so calling again with the same
+   * arguments looks it up instead. Only for functions whose results
+   * depend on nothing but their arguments, see SymbolsTable.impurity.
    *
-   * @param {string} name
-   *
-   * @returns {Callable}
+   * @param {boolean} isMemoised
    */
-  getCallable(name) {
-    const out = this.callables.filter((callable) => callable.name === name);
-    if (out.length > 0) {
-      return out[0];
-    } else {
-      throw new Error(`${name} is not a stored function`);
-    }
+  memoise(isMemoised = true) {
+    this.isMemoised = isMemoised;
+    this._results = null;
   }
-}
 
-export class Expression {
   /**
-   * @param {SymbolsTable} symbolsTable
-   *
-   * @returns {number}
+   * Forgets remembered results, e.g. when a function this one calls is
+   * redefined.
    */
-  eval(_symbolsTable) {
-    throw new Error("Unimplemented method.");
+  forgetResults() {
+    this._results = null;
   }
 
   /**
+   * The remembered results, which are kept for one number backend as the
+   * same arguments give different results in another.
    *
-   * @param {SymbolsTable} symbolsTable
+   * @param {FloatBackend} numbers
    *
-   * @returns {string}
+   * @returns {Map<string, *>}
    */
-  debug(_symbolsTable) {
-    throw new Error("Unimplemented method.");
+  _resultsFor(numbers) {
+    if (this._results === null || this._results.numbers !== numbers) {
+      this._results = { numbers, values: new Map() };
+    }
+
+    return this._results.values;
   }
 
   /**
+   * The body compiled to a closure taking the argument values, see
+   * Expression.compile. It is compiled again when the body changes, or
+   * when a symbol is added that it may have failed to find.
+   *
    * @param {SymbolsTable} symbolsTable
    *
-   * @returns {number}
+   * @returns {(args: Array<*>) => *}
    */
-  getXValue(symbolsTable) {
-    return symbolsTable.getVariable("x").asNumber();
+  compiled(symbolsTable) {
+    const cache = this._compiled;
+    if (cache !== null && cache.symbolsTable === symbolsTable) {
+      return cache.fn;
+    }
+
+    const context = new CompileContext(
+      symbolsTable,
+      this.name,
+      this.params,
+      this.isVariadic
+    );
+    const body = this.asExpression().compile(context);
+    // Natives compute with floats, so their results are read into the
+    // number backend, e.g. dropping the fraction in programmer mode.
+    const fn = this.isFinal
+      ? (args) => asBackendNumber(body(args), symbolsTable.numbers)
+      : body;
+    this._compiled = { symbolsTable, fn };
+
+    return fn;
   }
 
   /**
+   * Compiles the body again when next called, e.g. once a symbol it may
+   * have failed to find is added.
+   */
+  forgetCompiled() {
+    this._compiled = null;
+  }
+
+  /**
+   * The function's signature as written in a definition, e.g. "f(a, b)".
+   * Optional params are shown in square brackets, and the arguments a
+   * variadic function takes after them as "...".
    *
-   * @param {Expression} operand
-   * @param {Token} operatorToken
-   *
-   * @returns {Expression}
+   * @returns {string}
    */
-  static buildUnaryExpression(operand, operatorToken) {
-    if (operatorToken.isFactorial()) {
-      return new FactorialExpression(operand);
-    } else {
-      throw new Error("Unknown unary operator");
+  signature() {
+    const params = this.params.map((param, index) =>
+      index < this.minArity ? param : `[${param}]`
+    );
+    if (this.isVariadic) {
+      params.push("...");
     }
+    return `${this.name}(${params.join(", ")})`;
   }
+}
 
+/**
+ * The local variables of a single function call.
+ */
+export class Frame {
   /**
    *
-   * @param {Token} operatorToken
-   * @param {Expression} left
-   * @param {Expression} right
-   *
-   * @returns {Expression}
+   * @param {string} callableName
+   * @param {Array<Variable>} locals
    */
-  static buildBinaryExpression(operatorToken, left, right) {
-    return new BinaryExpression(operatorToken.text, left, right);
+  constructor(callableName, locals) {
+    this.callableName = callableName;
+    // In order. Functions take few arguments, so searching them is quicker
+    // than building a map for every call.
+    this.locals = locals;
   }
 
   /**
    *
-   * @param {number} value
+   * @param {string} name
    *
-   * @returns {Expression}
+   * @returns {Variable | null}
    */
-  static buildConstantExpression(value) {
-    return new ConstantExpression(value);
+  getVariable(name) {
+    return this.locals.find((variable) => variable.name === name) || null;
   }
+}
 
+/**
+ * What the body of a function is compiled against: the symbols it may use
+ * and the function's params. Compiled closures are given the values of the
+ * params as an array in the same order.
+ */
+class CompileContext {
   /**
    *
-   * @param {string} varName
-   *
-   * @returns {Expression}
+   * @param {SymbolsTable} symbolsTable
+   * @param {string} callableName
+   * @param {Array<string>} params
+   * @param {boolean} isVariadic See Callable.
    */
-  static buildVariableExpression(varName) {
-    return new VariableExpression(varName);
+  constructor(symbolsTable, callableName, params, isVariadic = false) {
+    this.symbolsTable = symbolsTable;
+    this.callableName = callableName;
+    this.params = params;
+    this.isVariadic = isVariadic;
   }
 
   /**
    *
-   * @param {string} functionName
-   * @param {Expression} argument
+   * @param {string} name
    *
-   * @returns {Expression}
+   * @returns {number} Where the named param is in the arguments, or -1
+   * when name is not a param.
    */
-  static buildFunctionCallExpression(functionName, argument) {
-    return new FunctionCallExpression(functionName, argument);
+  slot(name) {
+    return this.params.indexOf(name);
   }
-}
 
-class FactorialExpression extends Expression {
   /**
+   * Evaluates expression by walking it, with the params bound to args in
+   * a frame as eval expects.
    *
-   * @param {Expression} operand
+   * @param {Expression} expression
+   * @param {Array<*>} args
+   *
+   * @returns {*}
    */
-  constructor(operand) {
-    super();
-    this.operand = operand;
-  }
-
-  eval(symbolsTable) {
-    const value = this.operand.eval(symbolsTable);
-    return this.factorialise(value);
-  }
+  evalInFrame(expression, args) {
+    const locals = args.map(
+      (value, index) => new Variable(this._paramName(index), value, false)
+    );
 
-  debug() {
-    const opDebug = this.operand.debug();
-    return `(${opDebug}!)`;
+    this.symbolsTable.pushFrame(new Frame(this.callableName, locals));
+    try {
+      return expression.eval(this.symbolsTable);
+    } finally {
+      this.symbolsTable.popFrame();
+    }
   }
 
   /**
    *
-   * @param {number} value
+   * @param {number} index
+   *
+   * @returns {string} The name the argument at index is bound to, which
+   * for the arguments after the params of a variadic function is the last
+   * param's name numbered by position, e.g. x3.
    */
-  factorialise(value) {
-    if (value < 0) {
-      return -1;
-    } else if (value === 0) {
-      return 1;
-    } else {
-      return this.factorialise(value - 1) * value;
+  _paramName(index) {
+    if (index < this.params.length || !this.isVariadic) {
+      return this.params[index];
     }
+
+    return `${this.params[this.params.length - 1].replace(/\d+$/, "")}${
+      index + 1
+    }`;
   }
 }
 
-class BinaryExpression extends Expression {
+export class SymbolsTable {
   /**
    *
-   * @param {string} operator
-   * @param {Expression} left
-   * @param {Expression} right
+   * @param {Array<Variable>} variables
+   * @param {Array<Callable>} callables
+   * @param {Map<string, Unit>} units Units numbers may be written in.
+   */
+  constructor(variables, callables, units = new Map()) {
+    this._variables = new Map(
+      variables.map((variable) => [variable.name, variable])
+    );
+    this._callables = new Map(
+      callables.map((callable) => [callable.name, callable])
+    );
+    this.units = units;
+
+    // How arithmetic is done, see numbers.js.
+    this.numbers = new FloatBackend();
+
+    // Frames of the function calls currently being evaluated. Only the
+    // innermost frame is visible, layered over the global variables, so a
+    // function body sees its own parameters and the globals but never the
+    // locals of whoever called it.
+    this.callStack = [];
+
+    // How many function calls are being evaluated, one inside another.
+    // Recursion stops with an error beyond maxCallDepth, rather than
+    // overflowing the JavaScript stack.
+    this.callDepth = 0;
+    this.maxCallDepth = MaxCallDepth;
+  }
+
+  /**
+   * Called whenever a symbol is added, so compiled functions that looked
+   * the name up and failed compile again, rather than each checking on
+   * every call. Redefining a symbol changes it in place, so needs none.
+   */
+  _symbolAdded() {
+    for (const callable of this._callables.values()) {
+      callable.forgetCompiled();
+    }
+  }
+
+  /**
+   * The global variables, in the order they were defined.
+   *
+   * @returns {Array<Variable>}
+   */
+  get variables() {
+    return [...this._variables.values()];
+  }
+
+  /**
+   * The functions, in the order they were defined.
+   *
+   * @returns {Array<Callable>}
+   */
+  get callables() {
+    return [...this._callables.values()];
+  }
+
+  /**
+   *
+   * @param {Frame} frame
+   */
+  pushFrame(frame) {
+    this.callStack.push(frame);
+  }
+
+  popFrame() {
+    this.callStack.pop();
+  }
+
+  /**
+   * Counts a function call in, see maxCallDepth. Every enterCall must be
+   * matched by an exitCall.
+   *
+   * @param {string} callableName Named in the error when the calls nest
+   * too deeply.
+   */
+  enterCall(callableName) {
+    if (this.callDepth >= this.maxCallDepth) {
+      throw recursionError(callableName, this.callDepth);
+    }
+
+    this.callDepth++;
+  }
+
+  exitCall() {
+    this.callDepth--;
+  }
+
+  /**
+   *
+   * @returns {Frame | null}
+   */
+  currentFrame() {
+    if (this.callStack.length > 0) {
+      return this.callStack[this.callStack.length - 1];
+    } else {
+      return null;
+    }
+  }
+
+  /**
+   * Yields true if the function call being evaluated was given the named
+   * parameter, which may be optional.
+   *
+   * @param {string} name
+   *
+   * @returns {boolean}
+   */
+  hasArgument(name) {
+    const frame = this.currentFrame();
+    return frame !== null && frame.getVariable(name) !== null;
+  }
+
+  /**
+   *
+   * @returns {Array<Variable>} The arguments of the function call being
+   * evaluated, in order.
+   */
+  getArguments() {
+    const frame = this.currentFrame();
+    return frame ? [...frame.locals] : [];
+  }
+
+  /**
+   * Looks up a parameter of the function call being evaluated.
+   *
+   * @param {string} name
+   *
+   * @returns {Variable}
+   */
+  getArgument(name) {
+    const frame = this.currentFrame();
+    const out = frame ? frame.getVariable(name) : null;
+    if (out) {
+      return out;
+    } else {
+      throw new Error(`${name} is only defined inside a function call`);
+    }
+  }
+
+  /**
+   *
+   * @param {string} symbolName
+   * @param {number | Matrix | Expression} value
+   * @param {Array<string>} params Only used when value is an Expression.
+   * @param {string | null} doc The docstring of a function.
+   */
+  setSymbol(symbolName, value, params = ["x"], doc = null) {
+    if (value instanceof Expression) {
+      const callable = this._callables.get(symbolName);
+      if (callable) {
+        const { value: oldValue, params: oldParams, doc: oldDoc } = callable;
+        callable.setTo(value, params, doc);
+        this._updateBindings(symbolName, () =>
+          callable.setTo(oldValue, oldParams, oldDoc)
+        );
+      } else {
+        const created = new Callable(symbolName, value, false, params);
+        created.doc = doc;
+        this._callables.set(symbolName, created);
+        this._symbolAdded();
+      }
+
+      this._checkMemoised();
+    } else {
+      this._setVariable(symbolName, value, null);
+    }
+  }
+
+  /**
+   * Binds a variable to an expression, so its value is worked out again
+   * whenever a variable or function the expression uses changes. Binding
+   * is eager: the expression is worked out now, so everything it uses must
+   * already be defined.
+   *
+   * @param {string} variableName
+   * @param {Expression} expression
+   *
+   * @returns {*} The variable's value.
+   */
+  bind(variableName, expression) {
+    const variable = this._variables.get(variableName);
+    if (variable && variable.isFinal) {
+      throw new Error(`Cannot modify ${variableName}`);
+    }
+    this._expectNoResultsUsed(variableName, this._uses(expression));
+
+    const value = expression.eval(this);
+    this._setVariable(variableName, value, expression);
+
+    return value;
+  }
+
+  /**
+   * Binds a variable to the expression its value was worked out from, e.g.
+   * as saved in a session, without working it out again.
+   *
+   * @param {string} variableName
+   * @param {Expression} expression
+   */
+  restoreBinding(variableName, expression) {
+    const variable = this.getGlobalVariable(variableName);
+    variable.setTo(variable.value, expression);
+    try {
+      this._bindingOrder();
+    } catch (e) {
+      variable.setTo(variable.value);
+      throw e;
+    }
+  }
+
+  /**
+   *
+   * @param {string} name
+   * @param {*} value
+   * @param {Expression | null} binding
+   */
+  _setVariable(name, value, binding) {
+    const variable = this._variables.get(name);
+    if (variable) {
+      const { value: oldValue, binding: oldBinding } = variable;
+      variable.setTo(value, binding);
+      this._updateBindings(name, () => variable.setTo(oldValue, oldBinding));
+    } else {
+      const created = new Variable(name, value, false);
+      created.binding = binding;
+      this._variables.set(name, created);
+      this._symbolAdded();
+
+      // A memoised function may have read the name before it was defined.
+      this._checkMemoised();
+    }
+  }
+
+  /**
+   * Works out the bound variables that use the changed symbol again,
+   * directly or through other bound variables, each after those it uses.
+   * When that fails the bound variables are left as they were and undo is
+   * called to take back the change.
+   *
+   * @param {string} changedName The variable or function that changed.
+   * @param {() => void} undo
+   */
+  _updateBindings(changedName, undo) {
+    const updated = [];
+    try {
+      const changed = new Set([changedName]);
+      for (const { variable, uses } of this._bindingOrder()) {
+        if (![...uses.keys()].some((name) => changed.has(name))) {
+          continue;
+        }
+
+        updated.push([variable, variable.value]);
+        try {
+          variable.value = variable.binding.eval(this);
+        } catch (e) {
+          throw new Error(
+            `Cannot work out ${
+              variable.name
+            } := ${variable.binding.toSource()}: ${e.message}`
+          );
+        }
+        changed.add(variable.name);
+      }
+    } catch (e) {
+      updated.forEach(([variable, value]) => (variable.value = value));
+      undo();
+      throw e;
+    }
+  }
+
+  /**
+   * The bound variables with the names of the variables and functions
+   * their bindings use, each after the bound variables it uses.
+   *
+   * @returns {Array<{variable: Variable, uses: Map<string, string | null>}>}
+   */
+  _bindingOrder() {
+    const out = [];
+    const usesOf = new Map();
+    for (const variable of this._variables.values()) {
+      if (variable.binding !== null) {
+        const uses = this._uses(variable.binding);
+        this._expectNoResultsUsed(variable.name, uses);
+        usesOf.set(variable.name, uses);
+      }
+    }
+
+    // Depth first, through the bound variables being visited.
+    const path = [];
+    const visit = (name) => {
+      if (path.includes(name)) {
+        const cycle = [...path.slice(path.indexOf(name)), name];
+        const steps = cycle.slice(1).map((used, index) => {
+          const user = cycle[index];
+          const via = usesOf.get(user).get(used);
+          return via
+            ? `${user} calls ${via}, which uses ${used}`
+            : `${user} uses ${used}`;
+        });
+        throw new Error(
+          `${name} would depend on itself, as ${steps.join(", ")}.`
+        );
+      } else if (out.some(({ variable }) => variable.name === name)) {
+        return;
+      }
+
+      path.push(name);
+      for (const used of usesOf.get(name).keys()) {
+        if (usesOf.has(used)) {
+          visit(used);
+        }
+      }
+      path.pop();
+
+      out.push({ variable: this._variables.get(name), uses: usesOf.get(name) });
+    };
+    usesOf.forEach((_, name) => visit(name));
+
+    return out;
+  }
+
+  /**
+   * Bindings can't use ans or preans, as every result changes them and
+   * working the bindings out again could then fail any query.
+   *
+   * @param {string} variableName The bound variable.
+   * @param {Map<string, string | null>} uses As returned by _uses.
+   */
+  _expectNoResultsUsed(variableName, uses) {
+    for (const name of ["ans", "preans"]) {
+      if (uses.has(name)) {
+        const via = uses.get(name);
+        throw new Error(
+          `${variableName} can't be bound to ${name}, which every result changes${
+            via ? `, as ${variableName} calls ${via}, which uses ${name}` : ""
+          }. Use = to work ${variableName} out once.`
+        );
+      }
+    }
+  }
+
+  /**
+   * The names of the variables and user functions expression uses,
+   * including those used by the functions it calls. Each is mapped to the
+   * function expression calls to use it, or null when it uses it itself.
+   *
+   * @param {Expression} expression
+   *
+   * @returns {Map<string, string | null>}
+   */
+  _uses(expression) {
+    const out = new Map();
+    const visit = (body, params, via) => {
+      for (const variable of this._variables.values()) {
+        if (
+          !variable.isFinal &&
+          params.indexOf(variable.name) === -1 &&
+          body.dependsOn(variable.name) &&
+          !out.has(variable.name)
+        ) {
+          out.set(variable.name, via);
+        }
+      }
+
+      for (const name of body.functionNames()) {
+        const callable = this._callables.get(name);
+        if (callable && !callable.isFinal && !out.has(name)) {
+          out.set(name, via);
+          visit(callable.asExpression(), callable.params, via || name);
+        }
+      }
+    };
+    visit(expression, [], null);
+
+    return out;
+  }
+
+  /**
+   *
+   * @param {string} name
+   *
+   * @returns {boolean} Whether name is a global variable.
+   */
+  hasVariable(name) {
+    return this._variables.has(name);
+  }
+
+  /**
+   *
+   * @param {string} name
+   *
+   * @returns {Variable}
+   */
+  getVariable(name) {
+    const frame = this.currentFrame();
+    const local = frame ? frame.getVariable(name) : null;
+    if (local) {
+      return local;
+    }
+
+    return this.getGlobalVariable(name);
+  }
+
+  /**
+   * Looks up a variable ignoring the locals of any function call.
+   *
+   * @param {string} name
+   *
+   * @returns {Variable}
+   */
+  getGlobalVariable(name) {
+    const out = this._variables.get(name);
+    if (out) {
+      return out;
+    } else {
+      throw new Error(`${name} is not a stored variable`);
+    }
+  }
+
+  /**
+   *
+   * @param {string} name
+   *
+   * @returns {Unit}
+   */
+  getUnit(name) {
+    const out = this.units.get(name);
+    if (out) {
+      return out;
+    } else {
+      throw new Error(`${name} is not a known unit`);
+    }
+  }
+
+  /**
+   * Adds a final variable or function once the table is built, e.g. one
+   * registered by a plugin. Names already in use, including units, are
+   * errors rather than being replaced.
+   *
+   * @param {Variable | Callable} symbol
+   */
+  addBuiltIn(symbol) {
+    const name = symbol.name;
+    if (this.hasVariable(name) || this.hasCallable(name)) {
+      throw new Error(`${name} is already defined.`);
+    } else if (this.units.has(name)) {
+      throw new Error(`${name} is already a unit.`);
+    }
+
+    const symbols =
+      symbol instanceof Callable ? this._callables : this._variables;
+    symbols.set(name, symbol);
+    this._symbolAdded();
+  }
+
+  /**
+   *
+   * @param {string} name
+   *
+   * @returns {boolean} Whether name is a function.
+   */
+  hasCallable(name) {
+    return this._callables.has(name);
+  }
+
+  /**
+   *
+   * @param {string} name
+   *
+   * @returns {Callable}
+   */
+  getCallable(name) {
+    const out = this._callables.get(name);
+    if (out) {
+      return out;
+    } else {
+      throw new Error(`${name} is not a stored function`);
+    }
+  }
+
+  /**
+   * Says why the results of callable may change between calls with the
+   * same arguments, or yields null when they depend on its arguments
+   * alone, so it can be memoised.
+   *
+   * Natives are taken to be pure, though the numeric methods read tol.
+   *
+   * @param {Callable} callable
+   * @param {Set<string>} checked Names of the functions already checked,
+   * so recursion ends.
+   *
+   * @returns {string | null}
+   */
+  impurity(callable, checked = new Set()) {
+    checked.add(callable.name);
+    if (callable.isFinal) {
+      return null;
+    }
+
+    const body = callable.asExpression();
+    for (const variable of this._variables.values()) {
+      if (
+        !variable.isFinal &&
+        callable.params.indexOf(variable.name) === -1 &&
+        body.dependsOn(variable.name)
+      ) {
+        return `${callable.name} uses the variable ${variable.name}, which may change.`;
+      }
+    }
+
+    for (const name of body.functionNames()) {
+      if (!checked.has(name) && this.hasCallable(name)) {
+        const reason = this.impurity(this.getCallable(name), checked);
+        if (reason !== null) {
+          return reason;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Forgets the remembered results of memoised functions after a function
+   * or variable was defined, since they may use it, and stops memoising
+   * those it made impure.
+   */
+  _checkMemoised() {
+    for (const callable of this._callables.values()) {
+      if (callable.isMemoised) {
+        callable.forgetResults();
+        if (this.impurity(callable) !== null) {
+          callable.memoise(false);
+        }
+      }
+    }
+  }
+}
+
+export class Expression {
+  constructor() {
+    // Where in the source this expression was parsed from, for errors.
+    this.start = 0;
+    this.end = 0;
+  }
+
+  /**
+   *
+   * @param {number} start
+   * @param {number} end
+   *
+   * @returns {Expression} This expression.
+   */
+  withSpan(start, end) {
+    this.start = start;
+    this.end = end;
+
+    return this;
+  }
+
+  /**
+   * @param {SymbolsTable} symbolsTable
+   *
+   * @returns {number}
+   */
+  eval(_symbolsTable) {
+    throw new Error("Unimplemented method.");
+  }
+
+  /**
+   * Writes this expression as source that parses back to an equivalent
+   * expression, with only the brackets that are needed.
+   *
+   * @returns {string}
+   */
+  toSource() {
+    throw new Error("Unimplemented method.");
+  }
+
+  /**
+   * How tightly the source of this expression binds, compared with the
+   * precedence of the operator it is an operand of.
+   *
+   * @returns {number}
+   */
+  sourcePrecedence() {
+    return OperandPrecedence;
+  }
+
+  /**
+   * Says what this expression is for people, as shown in the functions
+   * list. Natives describe themselves, anything else is its source.
+   *
+   * @returns {string}
+   */
+  describe() {
+    return this.toSource();
+  }
+
+  /**
+   * Says which arguments a native is defined for, as shown by help, or
+   * null when it takes any number.
+   *
+   * @returns {string | null}
+   */
+  domain() {
+    return null;
+  }
+
+  /**
+   * Calls showing how a native is used, as shown by help.
+   *
+   * @returns {Array<string>}
+   */
+  examples() {
+    return [];
+  }
+
+  /**
+   * Lays this expression out as maths in the given notation, see
+   * typeset.js. Natives are typeset as their description.
+   *
+   * @param {LatexNotation | MathMLNotation} notation
+   *
+   * @returns {string}
+   */
+  typeset(notation) {
+    return notation.text(this.describe());
+  }
+
+  /**
+   * Like sourcePrecedence, but for typeset maths, where e.g. a fraction
+   * needs no brackets to be multiplied.
+   *
+   * @returns {number}
+   */
+  typesetPrecedence() {
+    return this.sourcePrecedence();
+  }
+
+  /**
+   * Compiles this expression to a closure, which evaluates it much faster
+   * than eval when a function is called many times, e.g. for plotting.
+   * Names are looked up once, here, rather than on every evaluation.
+   *
+   * Expressions with no compiled form fall back to eval.
+   *
+   * @param {CompileContext} context
+   *
+   * @returns {(args: Array<*>) => *} Takes the values of the context's
+   * params.
+   */
+  compile(context) {
+    return (args) => context.evalInFrame(this, args);
+  }
+
+  /**
+   * A plain object describing this expression, for saving. Only parsed
+   * expressions can be saved, native function bodies are rebuilt instead.
+   *
+   * @returns {Object}
+   */
+  toJSON() {
+    throw new Error("Unimplemented method.");
+  }
+
+  /**
+   * Returns a copy of this expression with each direct subexpression
+   * replaced by the result of fn. Leaves return themselves.
+   *
+   * @param {(child: Expression) => Expression} _fn
+   *
+   * @returns {Expression}
+   */
+  mapChildren(_fn) {
+    return this;
+  }
+
+  /**
+   * The names of the functions this expression calls or refers to.
+   *
+   * @returns {Set<string>}
+   */
+  functionNames() {
+    const out = new Set();
+    this.mapChildren((child) => {
+      child.functionNames().forEach((name) => out.add(name));
+      return child;
+    });
+
+    return out;
+  }
+
+  /**
+   * Yields true if the value of this expression may change with the given
+   * variable. Assumes it may unless a subclass knows better.
+   *
+   * @param {string} _variable
+   *
+   * @returns {boolean}
+   */
+  dependsOn(_variable) {
+    return true;
+  }
+
+  /**
+   * Builds the derivative of this expression with respect to variable.
+   *
+   * Native functions are only ever differentiated with respect to their
+   * parameter, x.
+   *
+   * @param {string} _variable
+   * @param {SymbolsTable} _symbolsTable
+   *
+   * @returns {Expression}
+   */
+  derivative(_variable, _symbolsTable) {
+    throw new Error(`Cannot differentiate ${this.describe()}.`);
+  }
+
+  /**
+   * Replaces variables with the expressions bound to their names.
+   *
+   * @param {Map<string, Expression>} bindings
+   *
+   * @returns {Expression}
+   */
+  substitute(bindings) {
+    return this.mapChildren((child) => child.substitute(bindings));
+  }
+
+  /**
+   * Folds constants, removes identity operations such as +0 and *1 and
+   * combines like terms, ordering the terms of a sum by degree when any
+   * were combined.
+   *
+   * Variables may hold matrices or quantities, so unless assumeScalars
+   * terms that cancel are kept as e.g. 0*x, which is [0, 0] for x = [1, 2]
+   * and 0 m for x = 2 m, and x^0 is kept as it is the identity for a
+   * matrix.
+   *
+   * @param {boolean} assumeScalars Whether every variable holds a plain
+   * number, as derivatives assume.
+   *
+   * @returns {Expression}
+   */
+  simplify(assumeScalars = false) {
+    return this.mapChildren((child) => child.simplify(assumeScalars));
+  }
+
+  /**
+   * Replaces every diff(...) in this expression with the derivative it
+   * describes.
+   *
+   * @param {SymbolsTable} symbolsTable
+   * @param {Array<string>} params Parameters of the function being defined,
+   * if any.
+   *
+   * @returns {Expression}
+   */
+  expandDerivatives(symbolsTable, params) {
+    return this.mapChildren((child) =>
+      child.expandDerivatives(symbolsTable, params)
+    );
+  }
+
+  /**
+   * @param {SymbolsTable} symbolsTable
+   *
+   * @returns {number}
+   */
+  getXValue(symbolsTable) {
+    return this.getArgValue(symbolsTable, "x", true);
+  }
+
+  /**
+   * Reads a numeric argument of the native function being evaluated.
+   *
+   * @param {SymbolsTable} symbolsTable
+   * @param {string} name
+   * @param {boolean} allowComplex
+   *
+   * @returns {number | Complex}
+   */
+  getArgValue(symbolsTable, name, allowComplex = false) {
+    const value = symbolsTable.getArgument(name).asNumber();
+    if (value instanceof Callable) {
+      throw new Error(
+        `Expected a number for ${name} but was given the function ${value.name}.`
+      );
+    } else if (value instanceof Matrix) {
+      throw new Error(
+        `Expected a number for ${name} but was given a ${value.shape()} matrix.`
+      );
+    } else if (value instanceof Quantity) {
+      throw new Error(
+        `Expected a plain number for ${name} but was given ${value}.`
+      );
+    } else if (value instanceof Complex) {
+      if (!allowComplex) {
+        throw new Error(
+          `Expected a real number for ${name} but was given ${value}.`
+        );
+      }
+
+      return value;
+    }
+
+    // Natives compute with floats whatever the number backend.
+    return symbolsTable.numbers.toNumber(value);
+  }
+
+  /**
+   * Reads a matrix or vector argument of the native function being
+   * evaluated.
+   *
+   * @param {SymbolsTable} symbolsTable
+   * @param {string} name
+   *
+   * @returns {Matrix}
+   */
+  getMatrixArg(symbolsTable, name) {
+    const value = symbolsTable.getArgument(name).asNumber();
+    if (!(value instanceof Matrix)) {
+      const given =
+        value instanceof Callable ? `the function ${value.name}` : `${value}`;
+      throw new Error(`Expected a matrix for ${name} but was given ${given}.`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Reads an argument naming a function of one variable, e.g. the f in
+   * integrate(f, a, b), as a JavaScript function.
+   *
+   * @param {SymbolsTable} symbolsTable
+   * @param {string} name
+   *
+   * @returns {(x: number) => number}
+   */
+  getFunctionArg(symbolsTable, name) {
+    const callable = symbolsTable.getArgument(name).asNumber();
+    if (!(callable instanceof Callable)) {
+      throw new Error(`Expected the name of a function for ${name}.`);
+    } else if (callable.minArity > 1) {
+      throw new Error(
+        `Expected a function of one variable for ${name} but ${callable.signature()} takes ${
+          callable.minArity
+        }.`
+      );
+    }
+
+    return (x) =>
+      symbolsTable.numbers.toNumber(callable.call([x], symbolsTable));
+  }
+
+  /**
+   * Rebuilds an expression saved with toJSON.
+   *
+   * @param {Object} json
+   *
+   * @returns {Expression}
+   */
+  static fromJSON(json) {
+    if (!json || typeof json !== "object") {
+      throw new Error("Expected an expression.");
+    }
+
+    const expression = (child) => Expression.fromJSON(child);
+    const unit = (factors) => {
+      if (
+        !Array.isArray(factors) ||
+        factors.length === 0 ||
+        !factors.every(
+          (factor) =>
+            factor &&
+            typeof factor.name === "string" &&
+            typeof factor.exponent === "number"
+        )
+      ) {
+        throw new Error("Expected a unit.");
+      }
+
+      return new UnitProduct(
+        factors.map(({ name, exponent }) => ({ name, exponent }))
+      );
+    };
+    const list = (items) => {
+      if (!Array.isArray(items)) {
+        throw new Error(`Expected a list in a ${json.type} expression.`);
+      }
+
+      return items;
+    };
+    const name = (text) => {
+      if (
+        typeof text !== "string" ||
+        !/^(?:[a-zA-Z]+\.)?[a-zA-Z]+\d*$/.test(text)
+      ) {
+        throw new Error(`Expected a name in a ${json.type} expression.`);
+      }
+
+      return text;
+    };
+
+    switch (json.type) {
+      case "factorial":
+        if (
+          json.operator !== undefined &&
+          !["!", "!!"].includes(json.operator)
+        ) {
+          throw new Error(`Unknown factorial ${json.operator}.`);
+        }
+
+        // Older sessions only had the single factorial.
+        return new FactorialExpression(
+          expression(json.operand),
+          json.operator || "!"
+        );
+      case "negate":
+        return new NegateExpression(expression(json.operand));
+      case "not":
+        return new NotExpression(expression(json.operand));
+      case "binary":
+        if (!BinaryOperatorPrecedence.has(json.operator)) {
+          throw new Error(`Unknown operator ${json.operator}.`);
+        }
+
+        return new BinaryExpression(
+          json.operator,
+          expression(json.left),
+          expression(json.right)
+        );
+      case "constant":
+        if (
+          typeof json.value !== "number" ||
+          (json.text !== null && typeof json.text !== "string")
+        ) {
+          throw new Error("Expected a number in a constant expression.");
+        }
+
+        return new ConstantExpression(json.value, json.text);
+      case "variable":
+        return new VariableExpression(name(json.name));
+      case "call":
+        return new FunctionCallExpression(
+          name(json.name),
+          list(json.args).map(expression)
+        );
+      case "functionReference":
+        return new FunctionReferenceExpression(name(json.name));
+      case "derivative":
+        return new DerivativeExpression(
+          expression(json.target),
+          json.variable === null ? null : name(json.variable)
+        );
+      case "matrix":
+        return new MatrixExpression(
+          list(json.rows).map((row) => list(row).map(expression))
+        );
+      case "quantity":
+        return new QuantityExpression(
+          expression(json.magnitude),
+          unit(json.unit)
+        );
+      case "conversion":
+        return new ConversionExpression(
+          expression(json.target),
+          unit(json.unit)
+        );
+      case "radixConversion":
+        if (!RadixNames.has(json.radix)) {
+          throw new Error(`Unknown base ${json.radix}.`);
+        }
+
+        return new RadixConversionExpression(
+          expression(json.target),
+          json.radix
+        );
+      case "conditional":
+        return new ConditionalExpression(
+          expression(json.condition),
+          expression(json.then),
+          json.otherwise === null ? null : expression(json.otherwise)
+        );
+      default:
+        throw new Error(`Unknown expression type ${json.type}.`);
+    }
+  }
+
+  /**
+   *
+   * @param {Expression} operand
+   * @param {Token} operatorToken
+   *
+   * @returns {Expression}
+   */
+  static buildUnaryExpression(operand, operatorToken) {
+    if (operatorToken.isFactorial()) {
+      return new FactorialExpression(
+        operand,
+        operatorToken.type === TokenType.OperatorDoubleFactorial ? "!!" : "!"
+      );
+    } else if (operatorToken.isMinus()) {
+      return new NegateExpression(operand);
+    } else if (operatorToken.isPlus()) {
+      return operand;
+    } else if (operatorToken.isNot()) {
+      return new NotExpression(operand);
+    } else {
+      throw new Error("Unknown unary operator");
+    }
+  }
+
+  /**
+   *
+   * @param {Expression} operand
+   *
+   * @returns {Expression}
+   */
+  static buildNegateExpression(operand) {
+    return new NegateExpression(operand);
+  }
+
+  /**
+   *
+   * @param {string} operator
+   * @param {Expression} left
+   * @param {Expression} right
+   *
+   * @returns {Expression}
+   */
+  static buildBinaryExpression(operator, left, right) {
+    return new BinaryExpression(operator, left, right);
+  }
+
+  /**
+   *
+   * @param {number} value
+   * @param {string | null} text The literal's source text, if parsed.
+   *
+   * @returns {Expression}
+   */
+  static buildConstantExpression(value, text = null) {
+    return new ConstantExpression(value, text);
+  }
+
+  /**
+   *
+   * @param {string} varName
+   *
+   * @returns {Expression}
+   */
+  static buildVariableExpression(varName) {
+    return new VariableExpression(varName);
+  }
+
+  /**
+   *
+   * @param {string} functionName
+   * @param {Array<Expression>} args
+   *
+   * @returns {Expression}
+   */
+  static buildFunctionCallExpression(functionName, args) {
+    return new FunctionCallExpression(functionName, args);
+  }
+
+  /**
+   *
+   * @param {string} functionName
+   *
+   * @returns {Expression}
+   */
+  static buildFunctionReferenceExpression(functionName) {
+    return new FunctionReferenceExpression(functionName);
+  }
+
+  /**
+   *
+   * @param {Expression} target
+   * @param {string | null} variable
+   *
+   * @returns {Expression}
+   */
+  static buildDerivativeExpression(target, variable) {
+    return new DerivativeExpression(target, variable);
+  }
+
+  /**
+   *
+   * @param {Array<Array<Expression>>} rows
+   *
+   * @returns {Expression}
+   */
+  static buildMatrixExpression(rows) {
+    return new MatrixExpression(rows);
+  }
+
+  /**
+   *
+   * @param {Expression} magnitude
+   * @param {UnitProduct} unit
+   *
+   * @returns {Expression}
+   */
+  static buildQuantityExpression(magnitude, unit) {
+    return new QuantityExpression(magnitude, unit);
+  }
+
+  /**
+   *
+   * @param {Expression} target
+   * @param {UnitProduct} unit
+   *
+   * @returns {Expression}
+   */
+  static buildConversionExpression(target, unit) {
+    return new ConversionExpression(target, unit);
+  }
+
+  /**
+   *
+   * @param {Expression} target
+   * @param {string} radixName One of RadixNames, e.g. hex.
+   *
+   * @returns {Expression}
+   */
+  static buildRadixConversionExpression(target, radixName) {
+    return new RadixConversionExpression(target, radixName);
+  }
+
+  /**
+   *
+   * @param {Expression} condition
+   * @param {Expression} then
+   * @param {Expression | null} otherwise
+   *
+   * @returns {Expression}
+   */
+  static buildConditionalExpression(condition, then, otherwise = null) {
+    return new ConditionalExpression(condition, then, otherwise);
+  }
+}
+
+/**
+ * n!, or the double factorial n!!, which multiplies every other number.
+ */
+class FactorialExpression extends Expression {
+  /**
+   *
+   * @param {Expression} operand
+   * @param {string} operator ! or !!.
+   */
+  constructor(operand, operator = "!") {
+    super();
+    this.operand = operand;
+    this.operator = operator;
+  }
+
+  eval(symbolsTable) {
+    return this._apply(this.operand.eval(symbolsTable), symbolsTable.numbers);
+  }
+
+  compile(context) {
+    const operand = this.operand.compile(context);
+    const symbolsTable = context.symbolsTable;
+
+    return (args) => this._apply(operand(args), symbolsTable.numbers);
+  }
+
+  /**
+   *
+   * @param {*} value
+   * @param {FloatBackend} numbers
+   *
+   * @returns {*}
+   */
+  _apply(value, numbers) {
+    try {
+      if (value instanceof Matrix || value instanceof Quantity) {
+        throw new Error("Factorial needs a plain number.");
+      }
+
+      return this.operator === "!!"
+        ? numbers.doubleFactorial(value)
+        : numbers.factorial(value);
+    } catch (e) {
+      throw new EvalError(e.message, this.start, this.end);
+    }
+  }
+
+  toSource() {
+    // A factorial of a factorial keeps its brackets, so it isn't read as !!.
+    return `${sourceAt(this.operand, this.sourcePrecedence() + 1)}${
+      this.operator
+    }`;
+  }
+
+  sourcePrecedence() {
+    return OperatorPrecedence.get(OperatorTokenTypes.OperatorFactorial);
+  }
+
+  typeset(notation) {
+    return notation.row([
+      typesetAt(this.operand, this.typesetPrecedence() + 1, notation),
+      notation.postfix(this.operator),
+    ]);
+  }
+
+  toJSON() {
+    return {
+      type: "factorial",
+      operator: this.operator,
+      operand: this.operand.toJSON(),
+    };
+  }
+
+  mapChildren(fn) {
+    return new FactorialExpression(fn(this.operand), this.operator).withSpan(
+      this.start,
+      this.end
+    );
+  }
+
+  dependsOn(variable) {
+    return this.operand.dependsOn(variable);
+  }
+
+  derivative(variable, _symbolsTable) {
+    if (!this.dependsOn(variable)) {
+      return new ConstantExpression(0);
+    } else {
+      throw new Error(`Cannot differentiate ${this.toSource()}.`);
+    }
+  }
+
+  simplify(assumeScalars = false) {
+    const simplified = this.mapChildren((child) =>
+      child.simplify(assumeScalars)
+    );
+
+    return (
+      (simplified.operand instanceof ConstantExpression &&
+        foldConstant(simplified)) ||
+      simplified
+    );
+  }
+}
+
+class NegateExpression extends Expression {
+  /**
+   *
+   * @param {Expression} operand
+   */
+  constructor(operand) {
+    super();
+    this.operand = operand;
+  }
+
+  eval(symbolsTable) {
+    return this._apply(this.operand.eval(symbolsTable), symbolsTable.numbers);
+  }
+
+  compile(context) {
+    const operand = this.operand.compile(context);
+    const symbolsTable = context.symbolsTable;
+
+    return (args) => this._apply(operand(args), symbolsTable.numbers);
+  }
+
+  /**
+   *
+   * @param {*} value
+   * @param {FloatBackend} numbers
+   *
+   * @returns {*}
+   */
+  _apply(value, numbers) {
+    if (value instanceof Matrix) {
+      return value.map((element) => numbers.negate(element));
+    } else if (value instanceof Quantity) {
+      return value.negate(numbers);
+    } else {
+      return numbers.negate(value);
+    }
+  }
+
+  toSource() {
+    // Written -(-x) rather than --x.
+    return `-${sourceAt(this.operand, UnaryPrecedence + 1)}`;
+  }
+
+  sourcePrecedence() {
+    return UnaryPrecedence;
+  }
+
+  typeset(notation) {
+    return notation.row([
+      notation.prefix("-"),
+      typesetAt(this.operand, UnaryPrecedence + 1, notation),
+    ]);
+  }
+
+  toJSON() {
+    return { type: "negate", operand: this.operand.toJSON() };
+  }
+
+  mapChildren(fn) {
+    return new NegateExpression(fn(this.operand)).withSpan(
+      this.start,
+      this.end
+    );
+  }
+
+  dependsOn(variable) {
+    return this.operand.dependsOn(variable);
+  }
+
+  derivative(variable, symbolsTable) {
+    return new NegateExpression(
+      this.operand.derivative(variable, symbolsTable)
+    );
+  }
+
+  simplify(assumeScalars = false) {
+    const operand = this.operand.simplify(assumeScalars);
+
+    if (operand instanceof ConstantExpression) {
+      return operand.negated();
+    } else if (operand instanceof NegateExpression) {
+      return operand.operand;
+    } else if (operand instanceof BinaryExpression) {
+      // Moves the sign into the coefficients, e.g. -(2*x - y) is y - 2*x.
+      switch (operand.operator) {
+        case "+":
+        case "-":
+          return collectTerms(new NegateExpression(operand), assumeScalars);
+        case "*":
+          return collectFactors(new NegateExpression(operand), assumeScalars);
+        case "/":
+          if (assumeScalars) {
+            return collectFactors(new NegateExpression(operand), true);
+          }
+          break;
+      }
+    }
+
+    return new NegateExpression(operand);
+  }
+}
+
+/**
+ * Logical not of a truth value, or bitwise not, which flips every bit of a
+ * whole number.
+ */
+class NotExpression extends Expression {
+  /**
+   *
+   * @param {Expression} operand
+   */
+  constructor(operand) {
+    super();
+    this.operand = operand;
+  }
+
+  eval(symbolsTable) {
+    return this._apply(this.operand.eval(symbolsTable), symbolsTable.numbers);
+  }
+
+  compile(context) {
+    const operand = this.operand.compile(context);
+    const symbolsTable = context.symbolsTable;
+
+    return (args) => this._apply(operand(args), symbolsTable.numbers);
+  }
+
+  /**
+   *
+   * @param {*} value
+   * @param {FloatBackend} numbers
+   *
+   * @returns {*}
+   */
+  _apply(value, numbers) {
+    if (typeof value === "boolean") {
+      return !value;
+    }
+
+    try {
+      if (value instanceof Matrix) {
+        throw new Error("not needs numbers, not matrices.");
+      } else if (value instanceof Quantity) {
+        throw new Error("not needs plain numbers.");
+      }
+
+      return numbers.not(value);
+    } catch (e) {
+      throw new EvalError(e.message, this.start, this.end);
+    }
+  }
+
+  toSource() {
+    return `not ${sourceAt(this.operand, NotPrecedence + 1)}`;
+  }
+
+  sourcePrecedence() {
+    return NotPrecedence;
+  }
+
+  typeset(notation) {
+    return notation.row([
+      notation.prefix("not"),
+      typesetAt(this.operand, NotPrecedence + 1, notation),
+    ]);
+  }
+
+  toJSON() {
+    return { type: "not", operand: this.operand.toJSON() };
+  }
+
+  mapChildren(fn) {
+    return new NotExpression(fn(this.operand)).withSpan(this.start, this.end);
+  }
+
+  dependsOn(variable) {
+    return this.operand.dependsOn(variable);
+  }
+}
+
+class BinaryExpression extends Expression {
+  /**
+   *
+   * @param {string} operator
+   * @param {Expression} left
+   * @param {Expression} right
+   */
+  constructor(operator, left, right) {
+    super();
+
+    this.operator = operator;
+    this.left = left;
+    this.right = right;
+  }
+
+  eval(symbolsTable) {
+    const leftVal = this.left.eval(symbolsTable);
+    if (this._decides(leftVal)) {
+      return leftVal;
+    }
+
+    return this._apply(
+      leftVal,
+      this.right.eval(symbolsTable),
+      symbolsTable.numbers
+    );
+  }
+
+  compile(context) {
+    const left = this.left.compile(context);
+    const right = this.right.compile(context);
+    const symbolsTable = context.symbolsTable;
+    const floatOperation = FloatOperations.get(this.operator) || null;
+
+    return (args) => {
+      const leftVal = left(args);
+      if (this._decides(leftVal)) {
+        return leftVal;
+      }
+
+      const rightVal = right(args);
+      const numbers = symbolsTable.numbers;
+      // Floats, the common case, skip the checks for truth values,
+      // matrices, quantities and complex numbers.
+      if (
+        floatOperation !== null &&
+        typeof leftVal === "number" &&
+        typeof rightVal === "number" &&
+        numbers.name === "float"
+      ) {
+        const value = floatOperation(leftVal, rightVal);
+        if (value !== null) {
+          return value;
+        }
+      }
+
+      return this._apply(leftVal, rightVal, numbers);
+    };
+  }
+
+  /**
+   * Yields true when the left operand alone decides the result, as false
+   * does for and and true does for or. The right operand is then never
+   * evaluated, so x != 0 and 1/x > 2 can't divide by zero.
+   *
+   * @param {*} leftVal
+   *
+   * @returns {boolean}
+   */
+  _decides(leftVal) {
+    return (
+      (this.operator === "and" && leftVal === false) ||
+      (this.operator === "or" && leftVal === true)
+    );
+  }
+
+  /**
+   *
+   * @param {*} leftVal
+   * @param {*} rightVal
+   * @param {FloatBackend} numbers
+   *
+   * @returns {*}
+   */
+  _apply(leftVal, rightVal, numbers) {
+    if (typeof leftVal === "boolean" || typeof rightVal === "boolean") {
+      return this._logic(leftVal, rightVal);
+    }
+
+    const isMatrix = leftVal instanceof Matrix || rightVal instanceof Matrix;
+    const isQuantity =
+      leftVal instanceof Quantity || rightVal instanceof Quantity;
+
+    if (isMatrix || isQuantity) {
+      try {
+        if (isMatrix && isQuantity) {
+          throw new Error("Matrices cannot have units.");
+        } else if (isMatrix) {
+          return this._matrixArithmetic(leftVal, rightVal, numbers);
+        } else {
+          return this._quantityArithmetic(leftVal, rightVal, numbers);
+        }
+      } catch (e) {
+        throw e instanceof EvalError
+          ? e
+          : new EvalError(e.message, this.start, this.end);
+      }
+    }
+
+    switch (this.operator) {
+      case "+":
+        return numbers.add(leftVal, rightVal);
+      case "-":
+        return numbers.subtract(leftVal, rightVal);
+      case "*":
+        return numbers.multiply(leftVal, rightVal);
+      case "/":
+        return this.guidedDivide(leftVal, rightVal, numbers);
+      case "^":
+        return numbers.power(leftVal, rightVal);
+      case "E":
+        return numbers.multiply(
+          leftVal,
+          numbers.power(numbers.fromNumber(10), rightVal)
+        );
+    }
+
+    try {
+      switch (this.operator) {
+        case "<<":
+          return numbers.shiftLeft(leftVal, rightVal);
+        case ">>":
+          return numbers.shiftRight(leftVal, rightVal);
+        case "and":
+          return numbers.and(leftVal, rightVal);
+        case "xor":
+          return numbers.xor(leftVal, rightVal);
+        case "or":
+          return numbers.or(leftVal, rightVal);
+        case "<":
+        case "<=":
+        case ">":
+        case ">=":
+        case "==":
+        case "!=":
+          return this._compare(this.operator, leftVal, rightVal, numbers);
+      }
+    } catch (e) {
+      throw new EvalError(e.message, this.start, this.end);
+    }
+
+    return -1;
+  }
+
+  /**
+   * Combines truth values, from comparisons or true and false. They can
+   * only be tested for equality, and never mixed with numbers.
+   *
+   * @param {*} leftVal
+   * @param {*} rightVal
+   *
+   * @returns {boolean}
+   */
+  _logic(leftVal, rightVal) {
+    const isLogical =
+      ["and", "xor", "or", "==", "!="].indexOf(this.operator) !== -1;
+
+    if (!isLogical) {
+      throw new EvalError(
+        `${this.operator} needs numbers, not truth values.`,
+        this.start,
+        this.end
+      );
+    } else if (typeof leftVal !== typeof rightVal) {
+      throw new EvalError(
+        `${this.operator} needs two truth values or two numbers, not one of each.`,
+        this.start,
+        this.end
+      );
+    }
+
+    switch (this.operator) {
+      case "and":
+        return leftVal && rightVal;
+      case "or":
+        return leftVal || rightVal;
+      case "==":
+        return leftVal === rightVal;
+      default:
+        // xor and != are the same for truth values.
+        return leftVal !== rightVal;
+    }
+  }
+
+  /**
+   * Complex numbers can only be tested for equality, the rest of the
+   * comparisons need real numbers.
+   *
+   * @param {string} operator
+   * @param {*} leftVal
+   * @param {*} rightVal
+   * @param {FloatBackend} numbers
+   *
+   * @returns {boolean}
+   */
+  _compare(operator, leftVal, rightVal, numbers) {
+    const isEquality = operator === "==" || operator === "!=";
+
+    if (
+      isEquality &&
+      (leftVal instanceof Complex || rightVal instanceof Complex)
+    ) {
+      const l = numbers.toComplex(leftVal);
+      const r = numbers.toComplex(rightVal);
+      const isEqual = l.re === r.re && l.im === r.im;
+
+      return operator === "==" ? isEqual : !isEqual;
+    }
+
+    return holds(operator, numbers.compare(leftVal, rightVal));
+  }
+
+  /**
+   * + and - work element by element on matrices of the same shape, * is
+   * the matrix product, and a number with any operator applies to every
+   * element.
+   *
+   * @param {*} leftVal
+   * @param {*} rightVal
+   * @param {FloatBackend} numbers
+   *
+   * @returns {*}
+   */
+  _matrixArithmetic(leftVal, rightVal, numbers) {
+    const bothMatrices =
+      leftVal instanceof Matrix && rightVal instanceof Matrix;
+    const eachElement = (fn) =>
+      leftVal instanceof Matrix
+        ? leftVal.map((element) => fn(element, rightVal))
+        : rightVal.map((element) => fn(leftVal, element));
+
+    switch (this.operator) {
+      case "+":
+        return bothMatrices
+          ? leftVal.zip(rightVal, (l, r) => numbers.add(l, r), "add")
+          : eachElement((l, r) => numbers.add(l, r));
+      case "-":
+        return bothMatrices
+          ? leftVal.zip(rightVal, (l, r) => numbers.subtract(l, r), "subtract")
+          : eachElement((l, r) => numbers.subtract(l, r));
+      case "*":
+        return bothMatrices
+          ? leftVal.multiply(rightVal, numbers)
+          : eachElement((l, r) => numbers.multiply(l, r));
+      case "/":
+        if (rightVal instanceof Matrix) {
+          throw new Error("Cannot divide by a matrix, use inv or solve.");
+        }
+
+        return eachElement((l, r) => this.guidedDivide(l, r, numbers));
+      case "^":
+        if (rightVal instanceof Matrix) {
+          throw new Error("Cannot raise to the power of a matrix.");
+        }
+
+        return leftVal.power(numbers.toNumber(rightVal), numbers);
+      case "==":
+      case "!=":
+        if (bothMatrices) {
+          // Matrices are equal when they have the same shape and elements.
+          const isEqual =
+            leftVal.shape() === rightVal.shape() &&
+            leftVal.rows.every((row, iii) =>
+              row.every((element, jjj) =>
+                this._compare("==", element, rightVal.rows[iii][jjj], numbers)
+              )
+            );
+
+          return this.operator === "==" ? isEqual : !isEqual;
+        }
+    }
+
+    throw new Error(`${this.operator} needs numbers, not matrices.`);
+  }
+
+  /**
+   * Tracks dimensions through arithmetic on quantities. Only quantities of
+   * the same dimensions can be added or subtracted, and plain numbers are
+   * dimensionless.
+   *
+   * @param {*} leftVal
+   * @param {*} rightVal
+   * @param {FloatBackend} numbers
+   *
+   * @returns {*}
+   */
+  _quantityArithmetic(leftVal, rightVal, numbers) {
+    const left = Quantity.from(leftVal);
+    const right = Quantity.from(rightVal);
+
+    switch (this.operator) {
+      case "+":
+        return left.add(right, numbers).simplified();
+      case "-":
+        return left.subtract(right, numbers).simplified();
+      case "*":
+        return left.multiply(right, numbers).simplified();
+      case "/":
+        if (numbers.isZero(right.value)) {
+          throw new EvalError("Cannot divide by zero.", this.start, this.end);
+        }
+
+        return left.divide(right, numbers).simplified();
+      case "^":
+        if (!isDimensionless(right.dimensions)) {
+          throw new Error(`Cannot raise to the power of ${right}.`);
+        }
+
+        return left.power(right.value, numbers).simplified();
+      case "<":
+      case "<=":
+      case ">":
+      case ">=":
+      case "==":
+      case "!=":
+        return holds(this.operator, left.compare(right, numbers));
+    }
+
+    throw new Error(`${this.operator} needs plain numbers.`);
+  }
+
+  toSource() {
+    const precedence = this.sourcePrecedence();
+    const isRightAssociative = this.operator === "^";
+    const isComparison = ComparisonOperators.indexOf(this.operator) !== -1;
+
+    // Brackets keep the grouping of operands with the same precedence,
+    // e.g. a - (b - c), (a^b)^c and (a < b) == c.
+    const left = sourceAt(
+      this.left,
+      isRightAssociative || isComparison ? precedence + 1 : precedence
+    );
+    // A sign needs no brackets on the right, as in 2^-x or a*-b, since it
+    // takes only what binds tighter than itself.
+    const rightPrecedence = isRightAssociative ? precedence : precedence + 1;
+    const right = sourceAt(
+      this.right,
+      this.right.sourcePrecedence() === UnaryPrecedence
+        ? UnaryPrecedence
+        : rightPrecedence
+    );
+
+    if (SpacedOperators.indexOf(this.operator) !== -1) {
+      return `${left} ${this.operator} ${right}`;
+    } else if (
+      this.operator === "E" &&
+      (/[a-zA-Z]$/.test(left) || /^[a-zA-Z]/.test(right))
+    ) {
+      // Otherwise the E would be read as part of a name.
+      return `${left} E ${right}`;
+    } else {
+      return `${left}${this.operator}${right}`;
+    }
+  }
+
+  sourcePrecedence() {
+    return BinaryOperatorPrecedence.get(this.operator);
+  }
+
+  typeset(notation) {
+    const precedence = this.typesetPrecedence();
+
+    switch (this.operator) {
+      case "/":
+        return notation.fraction(
+          this.left.typeset(notation),
+          this.right.typeset(notation)
+        );
+      case "^":
+        return notation.power(
+          typesetAt(this.left, OperandPrecedence, notation),
+          this.right.typeset(notation)
+        );
+      case "E":
+        return notation.row([
+          typesetAt(this.left, precedence, notation),
+          notation.infix("×"),
+          notation.power(notation.number("10"), this.right.typeset(notation)),
+        ]);
+    }
+
+    // Numbers multiply what follows without a sign, as in 2x and 3sin(x).
+    const isCoefficient =
+      this.operator === "*" &&
+      this.left instanceof ConstantExpression &&
+      this.left.typesetPrecedence() === OperandPrecedence &&
+      startsWithName(this.right);
+
+    const isComparison = ComparisonOperators.indexOf(this.operator) !== -1;
+
+    return notation.row([
+      typesetAt(
+        this.left,
+        isComparison ? precedence + 1 : precedence,
+        notation
+      ),
+      notation.infix(isCoefficient ? "" : this.operator),
+      typesetAt(this.right, precedence + 1, notation),
+    ]);
+  }
+
+  /**
+   * Fractions are laid out on their own, and E is written as a product
+   * with a power of ten.
+   *
+   * @returns {number}
+   */
+  typesetPrecedence() {
+    if (this.operator === "/") {
+      return OperatorPrecedence.get(OperatorTokenTypes.OperatorFactorial);
+    } else if (this.operator === "E") {
+      return BinaryOperatorPrecedence.get("*");
+    } else {
+      return this.sourcePrecedence();
+    }
+  }
+
+  toJSON() {
+    return {
+      type: "binary",
+      operator: this.operator,
+      left: this.left.toJSON(),
+      right: this.right.toJSON(),
+    };
+  }
+
+  mapChildren(fn) {
+    return new BinaryExpression(
+      this.operator,
+      fn(this.left),
+      fn(this.right)
+    ).withSpan(this.start, this.end);
+  }
+
+  dependsOn(variable) {
+    return this.left.dependsOn(variable) || this.right.dependsOn(variable);
+  }
+
+  derivative(variable, symbolsTable) {
+    const u = this.left;
+    const v = this.right;
+    const du = () => u.derivative(variable, symbolsTable);
+    const dv = () => v.derivative(variable, symbolsTable);
+
+    switch (this.operator) {
+      case "+":
+      case "-":
+        return new BinaryExpression(this.operator, du(), dv());
+      case "*":
+        // (uv)' = u'v + uv'
+        return add(multiply(du(), v), multiply(u, dv()));
+      case "/":
+        // (u/v)' = (u'v - uv') / v^2
+        return divide(
+          subtract(multiply(du(), v), multiply(u, dv())),
+          power(v, new ConstantExpression(2))
+        );
+      case "^":
+        return this._powerDerivative(variable, symbolsTable);
+      case "E":
+        // uEv is u * 10^v.
+        return multiply(u, power(new ConstantExpression(10), v)).derivative(
+          variable,
+          symbolsTable
+        );
+    }
+
+    throw new Error(`Cannot differentiate ${this.toSource()}.`);
+  }
+
+  /**
+   *
+   * @param {string} variable
+   * @param {SymbolsTable} symbolsTable
+   *
+   * @returns {Expression}
+   */
+  _powerDerivative(variable, symbolsTable) {
+    const u = this.left;
+    const v = this.right;
+
+    if (!v.dependsOn(variable)) {
+      // (u^n)' = n * u^(n-1) * u'
+      return multiply(
+        multiply(v, power(u, subtract(v, new ConstantExpression(1)))),
+        u.derivative(variable, symbolsTable)
+      );
+    } else if (!u.dependsOn(variable)) {
+      // (a^v)' = a^v * ln(a) * v', where ln(e) is 1.
+      const isE =
+        u instanceof VariableExpression &&
+        u.varName === "e" &&
+        symbolsTable.getVariable("e").isFinal;
+      return multiply(
+        isE ? this : multiply(this, ln(u)),
+        v.derivative(variable, symbolsTable)
+      );
+    } else {
+      // (u^v)' = u^v * (v' * ln(u) + v * u' / u)
+      return multiply(
+        this,
+        add(
+          multiply(v.derivative(variable, symbolsTable), ln(u)),
+          divide(multiply(v, u.derivative(variable, symbolsTable)), u)
+        )
+      );
+    }
+  }
+
+  simplify(assumeScalars = false) {
+    const left = this.left.simplify(assumeScalars);
+    const right = this.right.simplify(assumeScalars);
+    const simplified = new BinaryExpression(this.operator, left, right);
+
+    if (
+      left instanceof ConstantExpression &&
+      right instanceof ConstantExpression
+    ) {
+      return foldConstant(simplified) || simplified;
+    }
+
+    const isValue = (expression, value) =>
+      expression instanceof ConstantExpression && expression.value === value;
+
+    switch (this.operator) {
+      case "+":
+      case "-":
+        return collectTerms(simplified, assumeScalars);
+      case "*":
+        return collectFactors(simplified, assumeScalars);
+      case "/":
+        if (assumeScalars) return collectFactors(simplified, assumeScalars);
+        // 0 / (2 m) is 0 m^-1, so only 1 can go unless assumeScalars.
+        if (isValue(right, 1)) return left;
+        break;
+      case "^":
+        if (assumeScalars && isValue(right, 0)) {
+          return new ConstantExpression(1);
+        }
+        if (isValue(right, 1)) return left;
+        if (isValue(left, 1)) return new ConstantExpression(1);
+        if (
+          left instanceof BinaryExpression &&
+          left.operator === "^" &&
+          isInteger(left.right) &&
+          isInteger(right)
+        ) {
+          // (x^2)^3 is x^6, for integer powers only as (x^2)^0.5 isn't x.
+          return power(
+            left.left,
+            new ConstantExpression(left.right.value * right.value)
+          ).simplify(assumeScalars);
+        }
+        break;
+    }
+
+    return simplified;
+  }
+
+  /**
+   *
+   * @param {*} leftVal
+   * @param {*} rightVal
+   * @param {FloatBackend} numbers
+   *
+   * @returns {*}
+   */
+  guidedDivide(leftVal, rightVal, numbers) {
+    if (numbers.isZero(rightVal)) {
+      throw new EvalError("Cannot divide by zero.", this.start, this.end);
+    } else {
+      return numbers.divide(leftVal, rightVal);
+    }
+  }
+}
+
+class ConstantExpression extends Expression {
+  /**
+   *
+   * @param {number} value
+   * @param {string | null} text The literal's source text, if parsed, so
+   * the number backend can read it without float rounding.
+   */
+  constructor(value, text = null) {
+    super();
+
+    this.value = value;
+    this.text = text;
+  }
+
+  eval(symbolsTable) {
+    if (this.text !== null) {
+      return symbolsTable.numbers.fromLiteral(this.text);
+    } else {
+      return symbolsTable.numbers.fromNumber(this.value);
+    }
+  }
+
+  compile(context) {
+    const symbolsTable = context.symbolsTable;
+
+    // Read once for each number backend it is used with.
+    let numbers = null;
+    let value = null;
+    return () => {
+      if (symbolsTable.numbers !== numbers) {
+        // Only once read, as e.g. 0.5 can't be in programmer mode.
+        value = this.eval(symbolsTable);
+        numbers = symbolsTable.numbers;
+      }
+
+      return value;
+    };
+  }
+
+  toSource() {
+    if (this.text !== null) {
+      return this.text;
+    }
+
+    // JavaScript writes very large and small numbers as e.g. 1e+21, but
+    // here E is an operator.
+    return `${this.value}`.replace(/e\+?/, "E");
+  }
+
+  sourcePrecedence() {
+    const source = this.toSource();
+    if (source.startsWith("-")) {
+      return UnaryPrecedence;
+    } else if (source.includes("E")) {
+      return BinaryOperatorPrecedence.get("E");
+    } else {
+      return OperandPrecedence;
+    }
+  }
+
+  typeset(notation) {
+    return typesetNumberText(this.toSource(), notation);
+  }
+
+  typesetPrecedence() {
+    // Exponents are typeset as a product with a power of ten.
+    return /^-?[\d.]+e/i.test(this.toSource())
+      ? BinaryOperatorPrecedence.get("*")
+      : this.sourcePrecedence();
+  }
+
+  toJSON() {
+    return { type: "constant", value: this.value, text: this.text };
+  }
+
+  /**
+   *
+   * @returns {ConstantExpression}
+   */
+  negated() {
+    if (this.text === null) {
+      return new ConstantExpression(-this.value);
+    }
+
+    const text = this.text.startsWith("-")
+      ? this.text.slice(1)
+      : `-${this.text}`;
+    return new ConstantExpression(-this.value, text);
+  }
+
+  dependsOn(_variable) {
+    return false;
+  }
+
+  derivative(_variable, _symbolsTable) {
+    return new ConstantExpression(0);
+  }
+}
+
+class VariableExpression extends Expression {
+  /**
+   *
+   * @param {string} varName
+   */
+  constructor(varName) {
+    super();
+
+    this.varName = varName;
+  }
+
+  /**
+   *
+   * @param {SymbolsTable} symbolsTable
+   *
+   * @returns {number}
+   */
+  eval(symbolsTable) {
+    let symbol = null;
+    try {
+      symbol = symbolsTable.getVariable(this.varName);
+    } catch (e) {
+      throw new EvalError(e.message, this.start, this.end);
+    }
+
+    return this._expectValue(
+      asBackendNumber(symbol.asNumber(), symbolsTable.numbers)
+    );
+  }
+
+  compile(context) {
+    const slot = context.slot(this.varName);
+    if (slot !== -1) {
+      return (args) => this._expectValue(args[slot]);
+    } else if (!context.symbolsTable.hasVariable(this.varName)) {
+      // Not defined yet, so leave eval to report it.
+      return super.compile(context);
+    }
+
+    const symbolsTable = context.symbolsTable;
+    const variable = symbolsTable.getGlobalVariable(this.varName);
+    return () =>
+      this._expectValue(
+        asBackendNumber(variable.asNumber(), symbolsTable.numbers)
+      );
+  }
+
+  /**
+   *
+   * @param {*} value
+   *
+   * @returns {*} The value, unless it is a function.
+   */
+  _expectValue(value) {
+    if (value instanceof Callable) {
+      throw new EvalError(
+        `${this.varName} is the function ${value.name}, call it with brackets.`,
+        this.start,
+        this.end
+      );
+    }
+
+    return value;
+  }
+
+  toSource() {
+    return this.varName;
+  }
+
+  typeset(notation) {
+    return notation.identifier(this.varName);
+  }
+
+  toJSON() {
+    return { type: "variable", name: this.varName };
+  }
+
+  dependsOn(variable) {
+    return this.varName === variable;
+  }
+
+  derivative(variable, _symbolsTable) {
+    return new ConstantExpression(this.varName === variable ? 1 : 0);
+  }
+
+  substitute(bindings) {
+    return bindings.has(this.varName) ? bindings.get(this.varName) : this;
+  }
+}
+
+class FunctionCallExpression extends Expression {
+  /**
+   *
+   * @param {string} functionName
+   * @param {Array<Expression>} args
+   */
+  constructor(functionName, args) {
+    super();
+
+    this.functionName = functionName;
+    this.args = args;
+  }
+
+  /**
+   *
+   * @param {SymbolsTable} symbolsTable
+   *
+   * @returns {number}
+   */
+  eval(symbolsTable) {
+    let callable = null;
+    try {
+      callable = symbolsTable.getCallable(this.functionName);
+      callable.checkArity(this.args.length);
+    } catch (e) {
+      throw new EvalError(e.message, this.start, this.end);
+    }
+
+    // Arguments are evaluated in the caller's frame before the callee's
+    // frame is pushed.
+    const argValues = this.args.map((arg) => arg.eval(symbolsTable));
+
+    return this._call(callable, argValues, symbolsTable);
+  }
+
+  compile(context) {
+    const symbolsTable = context.symbolsTable;
+    if (!symbolsTable.hasCallable(this.functionName)) {
+      return super.compile(context);
+    }
+
+    const callable = symbolsTable.getCallable(this.functionName);
+    const args = this.args.map((arg) => arg.compile(context));
+
+    return (values) => {
+      try {
+        callable.checkArity(args.length);
+      } catch (e) {
+        throw new EvalError(e.message, this.start, this.end);
+      }
+
+      const argValues = args.map((arg) => arg(values));
+      return this._call(callable, argValues, symbolsTable);
+    };
+  }
+
+  /**
+   *
+   * @param {Callable} callable
+   * @param {Array<*>} argValues
+   * @param {SymbolsTable} symbolsTable
+   *
+   * @returns {*}
+   */
+  _call(callable, argValues, symbolsTable) {
+    try {
+      symbolsTable.enterCall(callable.name);
+    } catch (e) {
+      throw new EvalError(e.message, this.start, this.end);
+    }
+
+    try {
+      return callable.call(argValues, symbolsTable);
+    } catch (e) {
+      // The JavaScript stack may still run out before maxCallDepth is
+      // reached. The trace counts the calls, as this is only the innermost.
+      const error = isStackOverflow(e)
+        ? new Error(
+            `Maximum recursion depth exceeded in ${callable.name}, as the stack ran out.`
+          )
+        : e;
+      throw EvalError.atCallSite(error, callable.name, this.start, this.end);
+    } finally {
+      symbolsTable.exitCall();
+    }
+  }
+
+  toSource() {
+    const args = this.args.map((arg) => arg.toSource());
+    return `${this.functionName}(${args.join(", ")})`;
+  }
+
+  typeset(notation) {
+    const args = this.args.map((arg) => arg.typeset(notation));
+
+    // Functions maths writes without their name, e.g. |x| and √x.
+    switch (`${this.functionName}/${args.length}`) {
+      case "abs/1":
+        return notation.absolute(args[0]);
+      case "sqrt/1":
+        return notation.squareRoot(args[0]);
+      case "floor/1":
+        return notation.floor(args[0]);
+      case "ceil/1":
+        return notation.ceiling(args[0]);
+      case "conj/1":
+        return notation.conjugate(args[0]);
+      case "nCr/2":
+        return notation.binomial(args[0], args[1]);
+    }
+
+    return notation.call(notation.functionName(this.functionName), args);
+  }
+
+  toJSON() {
+    return {
+      type: "call",
+      name: this.functionName,
+      args: this.args.map((arg) => arg.toJSON()),
+    };
+  }
+
+  mapChildren(fn) {
+    return new FunctionCallExpression(
+      this.functionName,
+      this.args.map((arg) => fn(arg))
+    ).withSpan(this.start, this.end);
+  }
+
+  functionNames() {
+    return super.functionNames().add(this.functionName);
+  }
+
+  /**
+   * Function bodies only see their own parameters and globals, so a call can
+   * only depend on variable through its arguments.
+   *
+   * @param {string} variable
+   *
+   * @returns {boolean}
+   */
+  dependsOn(variable) {
+    return this.args.some((arg) => arg.dependsOn(variable));
+  }
+
+  /**
+   * Applies the chain rule,
+   *
+   *   d/dt f(g1(t), ..., gn(t)) = sum of df/dpi (g1(t), ..., gn(t)) * gi'(t)
+   *
+   * where pi is the ith parameter of f.
+   *
+   * @param {string} variable
+   * @param {SymbolsTable} symbolsTable
+   *
+   * @returns {Expression}
+   */
+  derivative(variable, symbolsTable) {
+    const callable = symbolsTable.getCallable(this.functionName);
+    const body = callable.asExpression();
+    if (
+      body.derivative === Expression.prototype.derivative &&
+      this.dependsOn(variable)
+    ) {
+      // A native without a derivative, which only the call can name.
+      throw new Error(`Cannot differentiate ${callable.signature()}.`);
+    }
+
+    const bindings = new Map();
+    this.args.forEach((arg, index) => {
+      bindings.set(callable.params[index], arg);
+    });
+
+    let out = new ConstantExpression(0);
+    callable.params.forEach((param, index) => {
+      const arg = this.args[index];
+      if (arg && arg.dependsOn(variable)) {
+        const partial = body
+          .derivative(param, symbolsTable)
+          .substitute(bindings);
+        out = add(
+          out,
+          multiply(partial, arg.derivative(variable, symbolsTable))
+        );
+      }
+    });
+
+    return out;
+  }
+}
+
+/**
+ * A function named without calling it, e.g. the f in diff(f).
+ */
+class FunctionReferenceExpression extends Expression {
+  /**
+   *
+   * @param {string} functionName
+   */
+  constructor(functionName) {
+    super();
+
+    this.functionName = functionName;
+  }
+
+  /**
+   * Function references evaluate to the function itself, to be passed to
+   * natives such as integrate that take a function argument.
+   *
+   * @param {SymbolsTable} symbolsTable
+   *
+   * @returns {Callable}
+   */
+  eval(symbolsTable) {
+    try {
+      return symbolsTable.getCallable(this.functionName);
+    } catch (e) {
+      throw new EvalError(e.message, this.start, this.end);
+    }
+  }
+
+  compile(context) {
+    if (!context.symbolsTable.hasCallable(this.functionName)) {
+      return super.compile(context);
+    }
+
+    const callable = context.symbolsTable.getCallable(this.functionName);
+    return () => callable;
+  }
+
+  toSource() {
+    return this.functionName;
+  }
+
+  typeset(notation) {
+    return notation.functionName(this.functionName);
+  }
+
+  toJSON() {
+    return { type: "functionReference", name: this.functionName };
+  }
+
+  functionNames() {
+    return new Set([this.functionName]);
+  }
+
+  dependsOn(_variable) {
+    return false;
+  }
+}
+
+/**
+ * diff(target) or diff(target, variable).
+ *
+ * The target is either an expression or the name of a function. Naming a
+ * function differentiates a call to it with the parameters of the function
+ * being defined, so fp(x) = diff(f) is fp(x) = diff(f(x), x). The variable
+ * defaults to the first of those parameters.
+ */
+class DerivativeExpression extends Expression {
+  /**
+   *
+   * @param {Expression} target
+   * @param {string | null} variable
+   */
+  constructor(target, variable) {
+    super();
+
+    this.target = target;
+    this.variable = variable;
+  }
+
+  eval(symbolsTable) {
+    return this.expandDerivatives(symbolsTable, []).eval(symbolsTable);
+  }
+
+  toSource() {
+    const target = this.target.toSource();
+    return this.variable
+      ? `diff(${target}, ${this.variable})`
+      : `diff(${target})`;
+  }
+
+  /**
+   * Written d/dx target, or target' when the variable is left implicit.
+   *
+   * @param {LatexNotation | MathMLNotation} notation
+   *
+   * @returns {string}
+   */
+  typeset(notation) {
+    const target = typesetAt(this.target, OperandPrecedence, notation);
+    if (!this.variable) {
+      return notation.row([target, notation.postfix("'")]);
+    }
+
+    const operator = notation.fraction(
+      notation.upright("d"),
+      notation.row([notation.upright("d"), notation.identifier(this.variable)])
+    );
+    return notation.row([operator, target]);
+  }
+
+  typesetPrecedence() {
+    return this.variable
+      ? BinaryOperatorPrecedence.get("*")
+      : OperandPrecedence;
+  }
+
+  toJSON() {
+    return {
+      type: "derivative",
+      target: this.target.toJSON(),
+      variable: this.variable,
+    };
+  }
+
+  mapChildren(fn) {
+    return new DerivativeExpression(fn(this.target), this.variable).withSpan(
+      this.start,
+      this.end
+    );
+  }
+
+  expandDerivatives(symbolsTable, params) {
+    let target = this.target.expandDerivatives(symbolsTable, params);
+    const variable = this.variable || params[0];
+
+    if (!variable) {
+      throw new EvalError(
+        "diff needs a variable outside a function definition, e.g. diff(f(x), x).",
+        this.start,
+        this.end
+      );
+    }
+
+    if (target instanceof FunctionReferenceExpression) {
+      const callable = symbolsTable.getCallable(target.functionName);
+      if (callable.arity() !== params.length) {
+        throw new EvalError(
+          `diff(${
+            target.functionName
+          }) needs a definition with the same parameters as ${callable.signature()}.`,
+          this.start,
+          this.end
+        );
+      }
+
+      target = new FunctionCallExpression(
+        target.functionName,
+        params.map((param) => new VariableExpression(param))
+      );
+    }
+
+    // The params shadow globals of the same name, such as e.
+    symbolsTable.pushFrame(
+      new Frame(
+        "diff",
+        params.map((param) => new Variable(param, 0, false))
+      )
+    );
+    try {
+      // Differentiating treats every variable as a number.
+      return target.derivative(variable, symbolsTable).simplify(true);
+    } catch (e) {
+      throw new EvalError(e.message, this.start, this.end);
+    } finally {
+      symbolsTable.popFrame();
+    }
+  }
+}
+
+/**
+ * A matrix or vector literal such as [1, 2; 3, 4], with rows separated by
+ * semicolons.
+ */
+class MatrixExpression extends Expression {
+  /**
+   *
+   * @param {Array<Array<Expression>>} rows
+   */
+  constructor(rows) {
+    super();
+
+    this.rows = rows;
+  }
+
+  /**
+   *
+   * @param {SymbolsTable} symbolsTable
+   *
+   * @returns {Matrix}
+   */
+  eval(symbolsTable) {
+    const rows = this.rows.map((row) =>
+      row.map((element) => {
+        const value = element.eval(symbolsTable);
+        if (
+          value instanceof Matrix ||
+          value instanceof Quantity ||
+          value instanceof Callable
+        ) {
+          throw new EvalError(
+            "Matrix elements must be numbers.",
+            element.start,
+            element.end
+          );
+        }
+
+        return value;
+      })
+    );
+
+    return new Matrix(rows);
+  }
+
+  toSource() {
+    const rows = this.rows.map((row) =>
+      row.map((element) => element.toSource()).join(", ")
+    );
+    return `[${rows.join("; ")}]`;
+  }
+
+  typeset(notation) {
+    return notation.matrix(
+      this.rows.map((row) => row.map((element) => element.typeset(notation)))
+    );
+  }
+
+  toJSON() {
+    return {
+      type: "matrix",
+      rows: this.rows.map((row) => row.map((element) => element.toJSON())),
+    };
+  }
+
+  mapChildren(fn) {
+    return new MatrixExpression(
+      this.rows.map((row) => row.map((element) => fn(element)))
+    ).withSpan(this.start, this.end);
+  }
+
+  dependsOn(variable) {
+    return this.rows.some((row) =>
+      row.some((element) => element.dependsOn(variable))
+    );
+  }
+
+  derivative(variable, symbolsTable) {
+    return this.mapChildren((element) =>
+      element.derivative(variable, symbolsTable)
+    );
+  }
+}
+
+/**
+ * A unit as written after a number or in, e.g. the km/h in 72 km/h. Each
+ * factor is a unit name raised to a power, negative when divided by.
+ */
+class UnitProduct {
+  /**
+   *
+   * @param {Array<{name: string, exponent: number}>} factors
+   */
+  constructor(factors) {
+    this.factors = factors;
+  }
+
+  /**
+   * Combines the factors into a single unit.
+   *
+   * @param {SymbolsTable} symbolsTable
+   *
+   * @returns {Unit}
+   */
+  resolve(symbolsTable) {
+    let scale = 1;
+    let dimensions = null;
+
+    for (const { name, exponent } of this.factors) {
+      const unit = symbolsTable.getUnit(name);
+      const scaled = unit.dimensions.map((dimension) => dimension * exponent);
+
+      scale *= Math.pow(unit.scale, exponent);
+      dimensions = dimensions
+        ? dimensions.map((dimension, index) => dimension + scaled[index])
+        : scaled;
+    }
+
+    return new Unit(this.toString(), scale, dimensions);
+  }
+
+  toString() {
+    return this.factors
+      .map(({ name, exponent }, index) => {
+        const power = Math.abs(exponent);
+        const text = power === 1 ? name : `${name}^${power}`;
+
+        if (index === 0) {
+          return exponent < 0 ? `${name}^${exponent}` : text;
+        } else {
+          return `${exponent < 0 ? "/" : "*"}${text}`;
+        }
+      })
+      .join("");
+  }
+}
+
+/**
+ * A number written with a unit, e.g. 9.81 m/s^2.
+ */
+class QuantityExpression extends Expression {
+  /**
+   *
+   * @param {Expression} magnitude
+   * @param {UnitProduct} unit
+   */
+  constructor(magnitude, unit) {
+    super();
+
+    this.magnitude = magnitude;
+    this.unit = unit;
+  }
+
+  eval(symbolsTable) {
+    const numbers = symbolsTable.numbers;
+    const value = this.magnitude.eval(symbolsTable);
+
+    let unit = null;
+    try {
+      unit = this.unit.resolve(symbolsTable);
+    } catch (e) {
+      throw new EvalError(e.message, this.start, this.end);
+    }
+
+    return new Quantity(
+      numbers.multiply(value, numbers.fromNumber(unit.scale)),
+      unit.dimensions
+    ).simplified();
+  }
+
+  toSource() {
+    return `${this.magnitude.toSource()} ${this.unit}`;
+  }
+
+  /**
+   * A quantity binds like a product, so it is bracketed when raised to a
+   * power, where the power would be read as part of the unit.
+   *
+   * @returns {number}
    */
-  constructor(operator, left, right) {
+  sourcePrecedence() {
+    return BinaryOperatorPrecedence.get("*");
+  }
+
+  typeset(notation) {
+    return notation.row([
+      this.magnitude.typeset(notation),
+      notation.thinSpace(),
+      typesetUnit(this.unit.factors, notation),
+    ]);
+  }
+
+  toJSON() {
+    return {
+      type: "quantity",
+      magnitude: this.magnitude.toJSON(),
+      unit: this.unit.factors,
+    };
+  }
+
+  mapChildren(fn) {
+    return new QuantityExpression(fn(this.magnitude), this.unit).withSpan(
+      this.start,
+      this.end
+    );
+  }
+
+  dependsOn(variable) {
+    return this.magnitude.dependsOn(variable);
+  }
+
+  derivative(variable, symbolsTable) {
+    return new QuantityExpression(
+      this.magnitude.derivative(variable, symbolsTable),
+      this.unit
+    );
+  }
+}
+
+/**
+ * target in unit, or target to unit.
+ */
+class ConversionExpression extends Expression {
+  /**
+   *
+   * @param {Expression} target
+   * @param {UnitProduct} unit
+   */
+  constructor(target, unit) {
     super();
 
-    this.operator = operator;
-    this.left = left;
-    this.right = right;
+    this.target = target;
+    this.unit = unit;
   }
 
+  /**
+   *
+   * @param {SymbolsTable} symbolsTable
+   *
+   * @returns {Quantity}
+   */
   eval(symbolsTable) {
-    const leftVal = this.left.eval(symbolsTable);
-    const rightVal = this.right.eval(symbolsTable);
+    const value = this.target.eval(symbolsTable);
 
-    switch (this.operator) {
-      case "+":
-        return leftVal + rightVal;
-      case "-":
-        return leftVal - rightVal;
-      case "*":
-        return leftVal * rightVal;
-      case "/":
-        return this.guidedDivide(leftVal, rightVal);
-      case "^":
-        return Math.pow(leftVal, rightVal);
-      case "E":
-        return leftVal * Math.pow(10, rightVal);
+    try {
+      if (value instanceof Matrix || value instanceof Callable) {
+        throw new Error("Only numbers can be converted to other units.");
+      }
+
+      return Quantity.from(value).convertTo(
+        this.unit.resolve(symbolsTable),
+        symbolsTable.numbers
+      );
+    } catch (e) {
+      throw new EvalError(e.message, this.start, this.end);
+    }
+  }
+
+  toSource() {
+    return `${sourceAt(this.target, ConversionPrecedence)} in ${this.unit}`;
+  }
+
+  sourcePrecedence() {
+    return ConversionPrecedence;
+  }
+
+  typeset(notation) {
+    return notation.row([
+      typesetAt(this.target, ConversionPrecedence, notation),
+      notation.infix("in"),
+      typesetUnit(this.unit.factors, notation),
+    ]);
+  }
+
+  toJSON() {
+    return {
+      type: "conversion",
+      target: this.target.toJSON(),
+      unit: this.unit.factors,
+    };
+  }
+
+  mapChildren(fn) {
+    return new ConversionExpression(fn(this.target), this.unit).withSpan(
+      this.start,
+      this.end
+    );
+  }
+
+  dependsOn(variable) {
+    return this.target.dependsOn(variable);
+  }
+
+  derivative(variable, symbolsTable) {
+    return this.target.derivative(variable, symbolsTable);
+  }
+}
+
+/**
+ * Shows whole numbers in another base, e.g. 255 in hex is 0xff.
+ */
+class RadixConversionExpression extends Expression {
+  /**
+   *
+   * @param {Expression} target
+   * @param {string} radixName One of RadixNames, e.g. hex.
+   */
+  constructor(target, radixName) {
+    super();
+
+    this.target = target;
+    this.radixName = radixName;
+  }
+
+  /**
+   *
+   * @param {SymbolsTable} symbolsTable
+   *
+   * @returns {Integer | Matrix}
+   */
+  eval(symbolsTable) {
+    const value = this.target.eval(symbolsTable);
+    const convert = (element) => {
+      const integer = symbolsTable.numbers.toInteger(element);
+      if (integer === null) {
+        throw new EvalError(
+          `Only whole numbers can be shown in ${this.radixName}.`,
+          this.start,
+          this.end
+        );
+      }
+
+      return integer.inRadix(RadixNames.get(this.radixName));
+    };
+
+    return value instanceof Matrix ? value.map(convert) : convert(value);
+  }
+
+  toSource() {
+    return `${sourceAt(this.target, ConversionPrecedence)} in ${
+      this.radixName
+    }`;
+  }
+
+  sourcePrecedence() {
+    return ConversionPrecedence;
+  }
+
+  typeset(notation) {
+    return notation.row([
+      typesetAt(this.target, ConversionPrecedence, notation),
+      notation.infix("in"),
+      notation.upright(this.radixName),
+    ]);
+  }
+
+  toJSON() {
+    return {
+      type: "radixConversion",
+      target: this.target.toJSON(),
+      radix: this.radixName,
+    };
+  }
+
+  mapChildren(fn) {
+    return new RadixConversionExpression(
+      fn(this.target),
+      this.radixName
+    ).withSpan(this.start, this.end);
+  }
+
+  dependsOn(variable) {
+    return this.target.dependsOn(variable);
+  }
+
+  derivative(variable, symbolsTable) {
+    return this.target.derivative(variable, symbolsTable);
+  }
+}
+
+/**
+ * if(condition, then, otherwise), which evaluates only the branch the
+ * condition picks. Piecewise definitions are nested conditionals, and
+ * without an otherwise branch there is no value where the condition is
+ * false.
+ */
+class ConditionalExpression extends Expression {
+  /**
+   *
+   * @param {Expression} condition
+   * @param {Expression} then
+   * @param {Expression | null} otherwise
+   */
+  constructor(condition, then, otherwise) {
+    super();
+    this.condition = condition;
+    this.then = then;
+    this.otherwise = otherwise;
+  }
+
+  eval(symbolsTable) {
+    return this._isTaken(this.condition.eval(symbolsTable))
+      ? this.then.eval(symbolsTable)
+      : this.otherwise.eval(symbolsTable);
+  }
+
+  compile(context) {
+    const condition = this.condition.compile(context);
+    const then = this.then.compile(context);
+    const otherwise = this.otherwise ? this.otherwise.compile(context) : null;
+
+    return (args) =>
+      this._isTaken(condition(args)) ? then(args) : otherwise(args);
+  }
+
+  /**
+   *
+   * @param {*} value Of the condition.
+   *
+   * @returns {boolean} Whether to take the then branch.
+   */
+  _isTaken(value) {
+    if (typeof value !== "boolean") {
+      throw new EvalError(
+        `The condition ${this.condition.toSource()} must be true or false, not ${value}.`,
+        this.condition.start,
+        this.condition.end
+      );
+    } else if (!value && !this.otherwise) {
+      throw new EvalError("None of the conditions hold.", this.start, this.end);
+    }
+
+    return value;
+  }
+
+  toSource() {
+    const args = [this.condition, this.then];
+    if (this.otherwise) {
+      args.push(this.otherwise);
+    }
+
+    return `if(${args.map((arg) => arg.toSource()).join(", ")})`;
+  }
+
+  typeset(notation) {
+    // Nested conditionals are the cases of a piecewise definition.
+    const rows = [];
+    let expression = this;
+    while (expression instanceof ConditionalExpression) {
+      rows.push([
+        expression.then.typeset(notation),
+        expression.condition.typeset(notation),
+      ]);
+      expression = expression.otherwise;
+    }
+
+    if (expression) {
+      rows.push([expression.typeset(notation), null]);
+    }
+
+    return notation.cases(rows);
+  }
+
+  toJSON() {
+    return {
+      type: "conditional",
+      condition: this.condition.toJSON(),
+      then: this.then.toJSON(),
+      otherwise: this.otherwise ? this.otherwise.toJSON() : null,
+    };
+  }
+
+  mapChildren(fn) {
+    return new ConditionalExpression(
+      fn(this.condition),
+      fn(this.then),
+      this.otherwise ? fn(this.otherwise) : null
+    ).withSpan(this.start, this.end);
+  }
+
+  dependsOn(variable) {
+    return (
+      this.condition.dependsOn(variable) ||
+      this.then.dependsOn(variable) ||
+      (this.otherwise !== null && this.otherwise.dependsOn(variable))
+    );
+  }
+
+  derivative(variable, symbolsTable) {
+    // Piece by piece, ignoring any jump where the condition changes.
+    return new ConditionalExpression(
+      this.condition,
+      this.then.derivative(variable, symbolsTable),
+      this.otherwise ? this.otherwise.derivative(variable, symbolsTable) : null
+    );
+  }
+}
+
+/**
+ *
+ * @param {string} callableName
+ * @param {number} depth How many calls were nested.
+ *
+ * @returns {Error}
+ */
+function recursionError(callableName, depth) {
+  return new Error(
+    `Maximum recursion depth exceeded in ${callableName}, after ${depth} nested calls.`
+  );
+}
+
+/**
+ * Yields true for the error a JavaScript engine raises when its stack runs
+ * out. It is told by its message, as Chrome, Safari and Firefox word, and
+ * subexpressions rethrow it as an EvalError.
+ *
+ * @param {Error} error
+ *
+ * @returns {boolean}
+ */
+function isStackOverflow(error) {
+  const message = `${error.message}`;
+  return (
+    message.includes("Maximum call stack size exceeded") ||
+    message.includes("too much recursion")
+  );
+}
+
+/**
+ * Identifies the arguments of a call to a memoised function. Arguments of
+ * the same type and text are equal, except for 0 and -0.
+ *
+ * @param {Array<*>} values
+ *
+ * @returns {string | null} Null for arguments that aren't remembered, such
+ * as matrices and functions.
+ */
+function memoKey(values) {
+  const parts = [];
+  for (const value of values) {
+    if (
+      value instanceof Matrix ||
+      value instanceof Quantity ||
+      value instanceof Callable
+    ) {
+      return null;
+    }
+
+    parts.push(
+      Object.is(value, -0) ? "Number:-0" : `${value.constructor.name}:${value}`
+    );
+  }
+
+  return parts.join(",");
+}
+
+/**
+ * Reads a comparison from the order of its operands, as given by
+ * FloatBackend.compare. Only != holds when either is NaN.
+ *
+ * @param {string} operator One of ComparisonOperators.
+ * @param {number} order
+ *
+ * @returns {boolean}
+ */
+function holds(operator, order) {
+  switch (operator) {
+    case "<":
+      return order < 0;
+    case "<=":
+      return order <= 0;
+    case ">":
+      return order > 0;
+    case ">=":
+      return order >= 0;
+    case "==":
+      return order === 0;
+    default:
+      return order !== 0;
+  }
+}
+
+/**
+ * Writes expression as source, in brackets unless it binds at least as
+ * tightly as minPrecedence.
+ *
+ * @param {Expression} expression
+ * @param {number} minPrecedence
+ *
+ * @returns {string}
+ */
+function sourceAt(expression, minPrecedence) {
+  const source = expression.toSource();
+  return expression.sourcePrecedence() >= minPrecedence
+    ? source
+    : `(${source})`;
+}
+
+/**
+ * Typesets expression, in brackets unless it binds at least as tightly as
+ * minPrecedence.
+ *
+ * @param {Expression} expression
+ * @param {number} minPrecedence
+ * @param {LatexNotation | MathMLNotation} notation
+ *
+ * @returns {string}
+ */
+function typesetAt(expression, minPrecedence, notation) {
+  const markup = expression.typeset(notation);
+  return expression.typesetPrecedence() >= minPrecedence
+    ? markup
+    : notation.brackets(markup);
+}
+
+/**
+ * Whether expression is typeset starting with a name, so a number before
+ * it can multiply it without a sign.
+ *
+ * @param {Expression} expression
+ *
+ * @returns {boolean}
+ */
+function startsWithName(expression) {
+  if (
+    expression instanceof VariableExpression ||
+    expression instanceof FunctionCallExpression
+  ) {
+    return true;
+  } else if (expression instanceof BinaryExpression) {
+    return expression.operator === "^" && startsWithName(expression.left);
+  } else {
+    return false;
+  }
+}
+
+/**
+ * Reads a float, such as a constant or the result of a native, into the
+ * number backend. Other values are already in it, or not numbers at all.
+ *
+ * @param {*} value
+ * @param {FloatBackend} numbers
+ *
+ * @returns {*}
+ */
+function asBackendNumber(value, numbers) {
+  return typeof value === "number" ? numbers.fromNumber(value) : value;
+}
+
+/**
+ *
+ * @param {Expression} expression
+ *
+ * @returns {boolean} Whether expression is an integer constant, which
+ * simplifying can do arithmetic with exactly.
+ */
+function isInteger(expression) {
+  return (
+    expression instanceof ConstantExpression &&
+    Number.isSafeInteger(expression.value)
+  );
+}
+
+/**
+ * Works out an operation on constants, so simplifying can replace it with
+ * its value. It is worked out exactly, and only folded when the value has
+ * a decimal that the float, exact and decimal number backends all read
+ * the same, e.g. 0.1 + 0.2 is 0.3 but 1/3 is left as it is.
+ *
+ * @param {Expression} expression
+ *
+ * @returns {ConstantExpression | null} The value, or null to leave
+ * expression as it is, including errors such as division by zero for
+ * evaluation to report.
+ */
+function foldConstant(expression) {
+  const symbolsTable = new SymbolsTable([], []);
+  symbolsTable.numbers = new ExactBackend();
+
+  let value;
+  try {
+    value = expression.eval(symbolsTable);
+  } catch (e) {
+    // Such as bitwise operators, which only work on floats here.
+    try {
+      value = expression.eval(new SymbolsTable([], []));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  if (Number.isSafeInteger(value)) {
+    return new ConstantExpression(value);
+  } else if (!(value instanceof Rational)) {
+    return null;
+  }
+
+  // A fraction has a decimal when its denominator is made of 2s and 5s.
+  let { numerator, denominator } = value;
+  let places = 0;
+  while (denominator !== 1n) {
+    if (denominator % 2n === 0n) {
+      denominator /= 2n;
+      numerator *= 5n;
+    } else if (denominator % 5n === 0n) {
+      denominator /= 5n;
+      numerator *= 2n;
+    } else {
+      return null;
+    }
+    places++;
+  }
+
+  if (places === 0) {
+    return Number.isSafeInteger(Number(numerator))
+      ? new ConstantExpression(Number(numerator))
+      : null;
+  }
+
+  const text = new Decimal(numerator, -places).toString();
+  // E notation would be read back as the E operator.
+  return text.includes("E") ? null : new ConstantExpression(Number(text), text);
+}
+
+/**
+ * Roughly the degree of expression as a polynomial, for ordering terms.
+ *
+ * @param {Expression} expression
+ *
+ * @returns {number}
+ */
+function degree(expression) {
+  if (expression instanceof VariableExpression) {
+    return 1;
+  } else if (expression instanceof NegateExpression) {
+    return degree(expression.operand);
+  } else if (!(expression instanceof BinaryExpression)) {
+    return 0;
+  }
+
+  switch (expression.operator) {
+    case "*":
+      return degree(expression.left) + degree(expression.right);
+    case "/":
+      return degree(expression.left) - degree(expression.right);
+    case "^":
+      return expression.right instanceof ConstantExpression
+        ? degree(expression.left) * expression.right.value
+        : 0;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Combines the like terms of a simplified sum, e.g. 2*x + y - x is x + y.
+ * When any are combined the terms are ordered by degree, highest first,
+ * then as written, with the constant last. Otherwise they keep the order
+ * they were written in.
+ *
+ * Coefficients are only combined when foldConstant can, so nothing is
+ * lost to float rounding under the exact and decimal number backends.
+ *
+ * @param {BinaryExpression} sum
+ * @param {boolean} assumeScalars Whether terms that cancel can be dropped,
+ * see Expression.simplify.
+ *
+ * @returns {Expression}
+ */
+function collectTerms(sum, assumeScalars) {
+  // Each term is coefficient * factor, where a null factor is a constant.
+  const terms = [];
+  let isCombined = false;
+
+  const addTerm = (coefficient, factor) => {
+    const key = factor === null ? "" : factor.toSource();
+    const like = terms.find((term) => term.key === key);
+    const combined = like && foldConstant(add(like.coefficient, coefficient));
+
+    if (combined) {
+      like.coefficient = combined;
+      isCombined = true;
+    } else {
+      terms.push({ coefficient, factor, key });
+    }
+  };
+
+  const visit = (expression, isNegated) => {
+    const signed = (coefficient) =>
+      isNegated ? coefficient.negated() : coefficient;
+
+    if (
+      expression instanceof BinaryExpression &&
+      (expression.operator === "+" || expression.operator === "-")
+    ) {
+      visit(expression.left, isNegated);
+      visit(expression.right, isNegated !== (expression.operator === "-"));
+    } else if (expression instanceof NegateExpression) {
+      visit(expression.operand, !isNegated);
+    } else if (expression instanceof ConstantExpression) {
+      addTerm(signed(expression), null);
+    } else if (
+      expression instanceof BinaryExpression &&
+      expression.operator === "*" &&
+      expression.left instanceof ConstantExpression
+    ) {
+      // Products have their coefficient first, see collectFactors.
+      addTerm(signed(expression.left), expression.right);
+    } else {
+      addTerm(signed(new ConstantExpression(1)), expression);
+    }
+  };
+  visit(sum, false);
+
+  // Cancelled terms of a matrix or quantity still have its shape.
+  const nonZero = terms.filter(
+    (term) =>
+      term.coefficient.value !== 0 ||
+      (!assumeScalars &&
+        term.factor !== null &&
+        !(term.factor instanceof ConstantExpression))
+  );
+  if (isCombined) {
+    nonZero.sort((a, b) => {
+      if ((a.factor === null) !== (b.factor === null)) {
+        return a.factor === null ? 1 : -1;
+      } else if (a.factor === null) {
+        return 0;
+      }
+
+      const byDegree = degree(b.factor) - degree(a.factor);
+      return byDegree !== 0 ? byDegree : a.key.localeCompare(b.key);
+    });
+  }
+
+  const term = (coefficient, factor) => {
+    if (factor === null) {
+      return coefficient;
+    } else if (coefficient.value === 1) {
+      return factor;
+    } else if (coefficient.value === -1) {
+      return new NegateExpression(factor);
+    }
+
+    // Flattens a product such as 2*(x*y), which combining x*y may give.
+    return collectFactors(multiply(coefficient, factor), assumeScalars);
+  };
+
+  // The first term carries its own sign, the rest are added or subtracted.
+  let out = null;
+  for (const { coefficient, factor } of nonZero) {
+    if (out === null) {
+      out = term(coefficient, factor);
+    } else if (coefficient.value < 0) {
+      out = subtract(out, term(coefficient.negated(), factor));
+    } else {
+      out = add(out, term(coefficient, factor));
+    }
+  }
+
+  return out || new ConstantExpression(0);
+}
+
+/**
+ *
+ * @param {Expression} expression
+ *
+ * @returns {boolean} Whether expression is made of constants only, e.g.
+ * 1/3, which foldConstant leaves as it is.
+ */
+function isConstant(expression) {
+  if (expression instanceof ConstantExpression) {
+    return true;
+  } else if (expression instanceof NegateExpression) {
+    return isConstant(expression.operand);
+  } else if (expression instanceof BinaryExpression) {
+    return isConstant(expression.left) && isConstant(expression.right);
+  } else {
+    return false;
+  }
+}
+
+/**
+ * Simplifies a product, gathering its constants into a single coefficient
+ * at the front and writing a repeated factor as a power, e.g. 2*x*x*0.5
+ * is x^2.
+ *
+ * Only a factor repeated next to itself is combined, and other factors
+ * keep their order, since matrix products don't commute. When they are
+ * assumed to be numbers, any repeated factors are combined and the
+ * factors sorted, constants first, then variables by name, then the rest
+ * with sums last, so that e.g. y*x and x*y are both x*y. Quotients are
+ * then simplified too, cancelling factors the numerator and denominator
+ * share, e.g. 2*x*(1/x^2) is 2/x.
+ *
+ * @param {BinaryExpression} product
+ * @param {boolean} assumeScalars Whether factors commute, and whether a
+ * zero coefficient, or a factor whose powers cancel, can be dropped, see
+ * Expression.simplify.
+ *
+ * @returns {Expression}
+ */
+function collectFactors(product, assumeScalars) {
+  // The coefficient is numerator / denominator, both constants.
+  let numerator = new ConstantExpression(1);
+  let denominator = new ConstantExpression(1);
+  // Constants that would overflow the coefficient, above and below.
+  const constants = [];
+  const divisors = [];
+  // Each factor is base^exponent, for an integer exponent, which is
+  // negative in the denominator.
+  const factors = [];
+
+  const visit = (expression, isDivisor) => {
+    if (expression instanceof BinaryExpression && expression.operator === "*") {
+      visit(expression.left, isDivisor);
+      visit(expression.right, isDivisor);
+    } else if (
+      assumeScalars &&
+      expression instanceof BinaryExpression &&
+      expression.operator === "/"
+    ) {
+      visit(expression.left, isDivisor);
+      visit(expression.right, !isDivisor);
+    } else if (expression instanceof ConstantExpression) {
+      const coefficient = isDivisor ? denominator : numerator;
+      const folded = foldConstant(multiply(coefficient, expression));
+      if (!folded) {
+        (isDivisor ? divisors : constants).push(expression);
+      } else if (isDivisor) {
+        denominator = folded;
+      } else {
+        numerator = folded;
+      }
+    } else if (expression instanceof NegateExpression) {
+      numerator = numerator.negated();
+      visit(expression.operand, isDivisor);
+    } else {
+      const isPower =
+        expression instanceof BinaryExpression &&
+        expression.operator === "^" &&
+        isInteger(expression.right);
+      const base = isPower ? expression.left : expression;
+      const exponent =
+        (isPower ? expression.right.value : 1) * (isDivisor ? -1 : 1);
+
+      const source = base.toSource();
+      const like = assumeScalars
+        ? factors.find((factor) => factor.base.toSource() === source)
+        : factors[factors.length - 1];
+      if (like && like.base.toSource() === source) {
+        like.exponent += exponent;
+      } else {
+        factors.push({ base, exponent });
+      }
+    }
+  };
+  visit(product, false);
+
+  if (denominator.value === 0) {
+    // Left for evaluation to report.
+    return product;
+  } else if (denominator.value !== 1) {
+    // Only an integer, so e.g. x/3 isn't rounded to 0.333...*x.
+    const folded = foldConstant(divide(numerator, denominator));
+    if (folded && isInteger(folded)) {
+      numerator = folded;
+      denominator = new ConstantExpression(1);
     }
+  }
+
+  if (numerator.value === 0 && (assumeScalars || factors.length === 0)) {
+    return new ConstantExpression(0);
+  }
+
+  if (assumeScalars) {
+    const rank = ({ base }) => {
+      if (isConstant(base)) {
+        return 0;
+      } else if (base instanceof VariableExpression) {
+        return 1;
+      } else if (
+        base instanceof BinaryExpression &&
+        (base.operator === "+" || base.operator === "-")
+      ) {
+        return 3;
+      } else {
+        return 2;
+      }
+    };
+    factors.sort(
+      (a, b) =>
+        rank(a) - rank(b) || a.base.toSource().localeCompare(b.base.toSource())
+    );
+  }
+
+  const powers = (isDivisor) =>
+    factors
+      .filter(
+        ({ exponent }) =>
+          !assumeScalars || (exponent !== 0 && exponent < 0 === isDivisor)
+      )
+      .map(({ base, exponent }) => {
+        const magnitude = isDivisor ? -exponent : exponent;
+        return magnitude === 1
+          ? base
+          : power(base, new ConstantExpression(magnitude));
+      });
+  const parts = [...constants, ...powers(false)];
+  const divisorParts = [...divisors, ...(assumeScalars ? powers(true) : [])];
+
+  if (numerator.value !== 1 && numerator.value !== -1) {
+    parts.unshift(numerator);
+  }
+  if (denominator.value !== 1) {
+    divisorParts.unshift(denominator);
+  }
+
+  // The sign goes on the numerator, e.g. -1/x^2.
+  let out =
+    parts.length === 0
+      ? numerator
+      : parts.reduce((left, right) => multiply(left, right));
+  if (numerator.value === -1 && parts.length !== 0) {
+    out = new NegateExpression(out);
+  }
+
+  return divisorParts.length === 0
+    ? out
+    : divide(
+        out,
+        divisorParts.reduce((left, right) => multiply(left, right))
+      );
+}
+
+/**
+ *
+ * @param {Expression} left
+ * @param {Expression} right
+ *
+ * @returns {Expression}
+ */
+function add(left, right) {
+  return new BinaryExpression("+", left, right);
+}
+
+/**
+ *
+ * @param {Expression} left
+ * @param {Expression} right
+ *
+ * @returns {Expression}
+ */
+function subtract(left, right) {
+  return new BinaryExpression("-", left, right);
+}
+
+/**
+ *
+ * @param {Expression} left
+ * @param {Expression} right
+ *
+ * @returns {Expression}
+ */
+function multiply(left, right) {
+  return new BinaryExpression("*", left, right);
+}
+
+/**
+ *
+ * @param {Expression} left
+ * @param {Expression} right
+ *
+ * @returns {Expression}
+ */
+function divide(left, right) {
+  return new BinaryExpression("/", left, right);
+}
+
+/**
+ *
+ * @param {Expression} base
+ * @param {Expression} exponent
+ *
+ * @returns {Expression}
+ */
+function power(base, exponent) {
+  return new BinaryExpression("^", base, exponent);
+}
+
+/**
+ *
+ * @param {Expression} argument
+ *
+ * @returns {Expression}
+ */
+function ln(argument) {
+  return new FunctionCallExpression("ln", [argument]);
+}
 
-    return -1;
-  }
+/**
+ *
+ * @param {number} count
+ * @param {string} noun
+ *
+ * @returns {string}
+ */
+function pluralise(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+// Hexadecimal, octal and binary literals, which may have digit groups.
+const RadixLiteral =
+  /^(0x[\da-fA-F]+(_[\da-fA-F]+)*|0o[0-7]+(_[0-7]+)*|0b[01]+(_[01]+)*)$/;
 
-  debug() {
-    const leftDebug = this.left.debug();
-    const rightDebug = this.right.debug();
-    return `(${leftDebug}${this.operator}${rightDebug})`;
+// What may start an expression, for error hints.
+const OperandHints = ["a number", "a variable", "a function call", "(", "["];
+
+class TokenStream {
+  /**
+   *
+   * @param {Array<Token>} tokens
+   * @param {number} endOffset Offset of the end of the source.
+   */
+  constructor(tokens, endOffset) {
+    this.tokens = tokens;
+    this.index = 0;
+    this.endOffset = endOffset;
   }
 
   /**
+   * Returns the next token, or one further ahead, without consuming it.
    *
-   * @param {number} leftVal
-   * @param {number} rightVal
+   * @param {number} ahead How many tokens to look past.
    *
-   * @returns {number}
+   * @returns {Token | null}
    */
-  guidedDivide(leftVal, rightVal) {
-    if (Math.abs(rightVal) < 0.00000001) {
-      throw new Error("Cannot divide by zero.");
-    } else {
-      return leftVal / rightVal;
-    }
+  peek(ahead = 0) {
+    const index = this.index + ahead;
+    return index < this.tokens.length ? this.tokens[index] : null;
   }
-}
 
-class ConstantExpression extends Expression {
   /**
+   * Consumes and returns the next token.
    *
-   * @param {number} value
+   * @returns {Token | null}
    */
-  constructor(value) {
-    super();
+  next() {
+    const token = this.peek();
+    if (token) {
+      this.index++;
+    }
 
-    this.value = value;
+    return token;
   }
 
-  eval(_symbolsTable) {
-    return this.value;
+  /**
+   * The last token consumed.
+   *
+   * @returns {Token | null}
+   */
+  previous() {
+    return this.index > 0 ? this.tokens[this.index - 1] : null;
   }
 
-  debug() {
-    return this.value;
+  /**
+   *
+   * @returns {boolean}
+   */
+  isAtEnd() {
+    return this.index >= this.tokens.length;
   }
 }
 
-class VariableExpression extends Expression {
+/**
+ * A Pratt (precedence climbing) parser for the grammar:
+ *
+ *   piecewise  := expression [ "if" expression
+ *                   { "," expression "if" expression }
+ *                   [ "," expression [ "otherwise" ] ] ]
+ *   expression := prefix { infix }
+ *   prefix     := NUMBER [ unit ]
+ *               | IDENTIFIER
+ *               | FUNCTION "(" [ expression { "," expression } ] ")"
+ *               | FUNCTION (only as a whole function argument)
+ *               | "diff" "(" expression [ "," IDENTIFIER ] ")"
+ *               | "if" "(" expression "," expression [ "," expression ] ")"
+ *               | "(" expression ")"
+ *               | "[" expression { ( "," | ";" ) expression } "]"
+ *               | ( "+" | "-" | "not" ) expression
+ *   infix      := ( "+" | "-" | "*" | "/" | "^" | "E" ) expression
+ *               | ( "<<" | ">>" | "and" | "xor" | "or" ) expression
+ *               | ( "<" | "<=" | ">" | ">=" | "==" | "!=" ) expression
+ *               | "!" | "!!"
+ *               | ( "in" | "to" ) ( unit | "hex" | "oct" | "bin" | "dec" )
+ *   unit       := UNIT [ "^" [ "-" ] NUMBER ] { ( "*" | "/" ) unit }
+ *
+ * A unit only continues past * or / when a unit name follows, so in
+ * 3 kN * 2 m the kN and the m are separate units.
+ *
+ * Ambiguity in the grammar is resolved with binding powers, from loosest
+ * to tightest:
+ *
+ *   in to      postfix
+ *   or         left associative
+ *   xor        left associative
+ *   and        left associative
+ *   not        prefix
+ *   < <= > >=  not associative
+ *   == !=
+ *   << >>      left associative
+ *   + -        left associative
+ *   * /        left associative
+ *   unary + -  prefix
+ *   ^          right associative
+ *   E          left associative
+ *   ! !!       postfix
+ *
+ * So 1 - 2 + 3 is (1 - 2) + 3, 2^3^2 is 2^(3^2), -2^2 is -(2^2) and -3! is
+ * -(3!).
+ *
+ * Only a whole input may be piecewise, so a function can be defined as
+ * f(x) = 0 if x < 0, x otherwise.
+ */
+export class Parser {
   /**
    *
-   * @param {string} varName
+   * @param {Tokeniser} tokeniser
    */
-  constructor(varName) {
-    super();
-
-    this.varName = varName;
+  constructor(tokeniser) {
+    this.tokeniser = tokeniser;
   }
 
   /**
    *
+   * @param {string} text
    * @param {SymbolsTable} symbolsTable
+   * @param {number} offset Position of text in the full source.
    *
    * @returns {number}
    */
-  eval(symbolsTable) {
-    const symbol = symbolsTable.getVariable(this.varName);
-    return symbol.asNumber();
-  }
+  evalString(text, symbolsTable, offset = 0) {
+    const functionNames = symbolsTable.callables.map(
+      (callable) => callable.name
+    );
+    const tokens = this.tokeniser.tokenise(
+      text,
+      functionNames,
+      offset,
+      [...symbolsTable.units.keys()],
+      symbolsTable.variables.map((variable) => variable.name)
+    );
 
-  debug() {
-    return this.varName;
+    return this.parse(tokens, offset + text.length).eval(symbolsTable);
   }
-}
 
-class FunctionCallExpression extends Expression {
   /**
+   * Parses all the given tokens as a single expression.
    *
-   * @param {string} functionName
-   * @param {Expression} argument
+   * @param {Array<Token>} tokens
+   * @param {number} endOffset Offset of the end of the source, for errors
+   * about missing input.
+   *
+   * @returns {Expression}
    */
-  constructor(functionName, argument) {
-    super();
+  parse(tokens, endOffset) {
+    const stream = new TokenStream(tokens, endOffset);
+    const expression = this.parsePiecewise(stream);
 
-    this.functionName = functionName;
-    this.argument = argument;
+    const token = stream.peek();
+    if (token) {
+      throw this._unexpectedTokenError(token);
+    }
+
+    return expression;
   }
 
   /**
+   * Parses cases such as x if x > 0, -x if x < 0, 0 otherwise into nested
+   * conditional expressions, or a single expression with no cases.
    *
-   * @param {SymbolsTable} symbolsTable
+   * The value after the last case is used when no condition holds, and
+   * the otherwise after it is optional.
    *
-   * @returns {number}
+   * @param {TokenStream} stream
+   *
+   * @returns {Expression}
    */
-  eval(symbolsTable) {
-    const argValue = this.argument.eval(symbolsTable);
-    symbolsTable.setSymbol("x", argValue);
-    const funcExpression = symbolsTable
-      .getCallable(this.functionName)
-      .asExpression();
+  parsePiecewise(stream) {
+    const cases = [];
+    let value = this.parseExpression(stream, 0);
+    let otherwise = null;
 
-    return funcExpression.eval(symbolsTable);
-  }
+    for (;;) {
+      const next = stream.peek();
+      if (!next || !next.isIf()) {
+        if (cases.length === 0) {
+          return value;
+        } else if (next && next.isOtherwise()) {
+          stream.next();
+        }
 
-  debug() {
-    const opDebug = this.argument.debug();
-    return `${this.functionName}(${opDebug})`;
-  }
-}
+        otherwise = value;
+        break;
+      }
 
-class ParsingResult {
-  /**
-   *
-   * @param {Expression} expression
-   * @param {nextStartIndex} nextStartIndex
-   */
-  constructor(expression, nextStartIndex) {
-    this.expression = expression;
-    this.nextStartIndex = nextStartIndex;
-  }
+      stream.next();
+      cases.push({ value, condition: this.parseExpression(stream, 0) });
+
+      const separator = stream.peek();
+      if (!separator || !separator.isComma()) {
+        break;
+      }
 
-  getExpression() {
-    return this.expression;
+      stream.next();
+      value = this.parseExpression(stream, 0);
+    }
+
+    const end = stream.previous().end;
+    return cases.reduceRight(
+      (rest, { value, condition }) =>
+        Expression.buildConditionalExpression(condition, value, rest).withSpan(
+          value.start,
+          end
+        ),
+      otherwise
+    );
   }
-}
 
-export class Parser {
   /**
+   * Parses an expression, consuming infix operators only while they bind
+   * tighter than minPrecedence.
    *
-   * @param {Tokeniser} tokeniser
+   * @param {TokenStream} stream
+   * @param {number} minPrecedence
+   *
+   * @returns {Expression}
    */
-  constructor(tokeniser) {
-    this.tokeniser = tokeniser;
+  parseExpression(stream, minPrecedence) {
+    let left = this.parsePrefix(stream);
+    // The comparison left was built from, if any.
+    let comparison = null;
+
+    for (;;) {
+      const token = stream.peek();
+      if (token && token.isConvert() && ConversionPrecedence > minPrecedence) {
+        stream.next();
+
+        const radix = stream.peek();
+        if (
+          radix &&
+          radix.isVariable() &&
+          !radix.isUnit() &&
+          RadixNames.has(radix.text)
+        ) {
+          stream.next();
+          left = Expression.buildRadixConversionExpression(
+            left,
+            radix.text
+          ).withSpan(left.start, radix.end);
+          continue;
+        }
+
+        const unit = this.parseUnit(token, stream);
+        left = Expression.buildConversionExpression(left, unit).withSpan(
+          left.start,
+          stream.previous().end
+        );
+        continue;
+      }
+
+      if (
+        token &&
+        this._startsImplicitProduct(token, stream) &&
+        ImplicitProductPrecedence > minPrecedence
+      ) {
+        const right = this.parseExpression(stream, ImplicitProductPrecedence);
+        left = Expression.buildBinaryExpression("*", left, right).withSpan(
+          left.start,
+          right.end
+        );
+        continue;
+      }
+
+      if (
+        !token ||
+        !token.isInfixOperator() ||
+        token.precedence <= minPrecedence
+      ) {
+        return left;
+      }
+
+      if (token.isComparison() && comparison) {
+        throw new ParseError(
+          `Comparisons cannot be chained, write a ${comparison.text} b and b ${token.text} c instead.`,
+          comparison.start,
+          token.end,
+          ["and", "or"],
+          token.text
+        );
+      }
+
+      stream.next();
+      comparison = token.isComparison() ? token : null;
+
+      if (token.isFactorial()) {
+        // Factorial is a postfix operator so has no right operand.
+        left = Expression.buildUnaryExpression(left, token).withSpan(
+          left.start,
+          token.end
+        );
+      } else {
+        // A right associative operator lets an operator of the same
+        // precedence bind its right operand first.
+        const rightPrecedence = token.isRightAssociative()
+          ? token.precedence - 1
+          : token.precedence;
+        const right = this.parseExpression(stream, rightPrecedence);
+
+        left = Expression.buildBinaryExpression(
+          token.text,
+          left,
+          right
+        ).withSpan(left.start, right.end);
+      }
+    }
   }
 
   /**
+   * Yields true if token starts an operand to multiply the one before it
+   * by, as in 2x, 3(x + 1), (a + b)(a - b) and 2sin(x).
    *
-   * @param {string} text
-   * @param {SymbolsTable} symbolsTable
+   * A number never does, since 2 3 is more likely a typo than 6.
    *
-   * @returns {number}
+   * @param {Token} token
+   * @param {TokenStream} stream
+   *
+   * @returns {boolean}
    */
-  evalString(text, symbolsTable) {
-    const functionNames = symbolsTable.callables.map(
-      (callable) => callable.name
-    );
-    const tokens = this.tokeniser.tokenise(text, functionNames);
+  _startsImplicitProduct(token, stream) {
+    if (token.isOpeningBracket()) {
+      const previous = stream.previous();
+      if (previous.isVariable()) {
+        // More likely a call to a function that doesn't exist yet.
+        throw new ParseError(
+          `There is no function ${previous.text}, write ${previous.text}*( to multiply.`,
+          previous.start,
+          token.end,
+          ["an operator"],
+          token.text
+        );
+      }
+
+      return true;
+    }
 
-    return this.parse(0, tokens).expression.eval(symbolsTable);
+    return token.isVariable() || token.isFunctionCall() || token.isDiff();
   }
 
   /**
-   * Parses a new expression from given startIndex.
+   * Parses an operand, including any sign operators in front of it.
    *
-   * @param {number} startIndex
-   * @param {Array<Token>} tokens
+   * @param {TokenStream} stream
    *
-   * @returns {ParsingResult | null}
+   * @returns {Expression}
    */
-  parse(startIndex, tokens) {
-    if (startIndex >= tokens.length) return null;
+  parsePrefix(stream) {
+    const token = stream.next();
 
-    const token = tokens[startIndex];
-    if (token.isPlusOrMinus()) {
-      // This is a sign operator which is the same as adding to zero
-      // or subtracting from zero.
-      const left = Expression.buildConstantExpression(0);
-      const right = this.nextAsRightOperand(startIndex + 1, tokens);
-      const expression = Expression.buildBinaryExpression(
-        token,
-        left,
-        right.expression
+    if (!token) {
+      throw new ParseError(
+        "Unexpected end of expression.",
+        stream.endOffset,
+        stream.endOffset,
+        OperandHints
       );
-
-      return this.continueParsing(expression, right.nextStartIndex, tokens);
     } else if (token.isUnsignedNumber()) {
-      const left = Expression.buildConstantExpression(
-        Number.parseFloat(token.text)
+      if (/^0[xob]/.test(token.text) && !RadixLiteral.test(token.text)) {
+        throw new ParseError(
+          `${token.text} is not a valid number.`,
+          token.start,
+          token.end,
+          OperandHints,
+          token.text
+        );
+      }
+
+      const text = token.text.replace(/_/g, "").toLowerCase();
+      const number = Expression.buildConstantExpression(
+        Number(text),
+        text
+      ).withSpan(token.start, token.end);
+
+      const next = stream.peek();
+      if (!next || !next.isUnit()) {
+        return number;
+      }
+
+      this._expectUnambiguousUnit(next);
+      const unit = this.parseUnit(token, stream);
+      return Expression.buildQuantityExpression(number, unit).withSpan(
+        token.start,
+        stream.previous().end
       );
-      return this.continueParsing(left, startIndex + 1, tokens);
     } else if (token.isVariable()) {
-      const left = Expression.buildVariableExpression(token.text);
-      return this.continueParsing(left, startIndex + 1, tokens);
+      return Expression.buildVariableExpression(token.text).withSpan(
+        token.start,
+        token.end
+      );
     } else if (token.isFunctionCall()) {
-      const left = this.parseFunctionCall(startIndex, tokens);
-      return this.continueParsing(left.expression, left.nextStartIndex, tokens);
+      return this.parseFunctionCall(token, stream);
+    } else if (token.isDiff()) {
+      return this.parseDerivative(token, stream);
+    } else if (token.isIf()) {
+      return this.parseConditional(token, stream);
     } else if (token.isOpeningBracket()) {
-      const left = this.parseBrackets(startIndex, tokens);
-      return this.continueParsing(left.expression, left.nextStartIndex, tokens);
+      return this.parseBrackets(token, stream);
+    } else if (token.isOpeningSquareBracket()) {
+      return this.parseMatrix(token, stream);
+    } else if (token.isPlusOrMinus()) {
+      const operand = this.parseExpression(stream, UnaryPrecedence);
+      return Expression.buildUnaryExpression(operand, token).withSpan(
+        token.start,
+        operand.end
+      );
+    } else if (token.isNot()) {
+      const operand = this.parseExpression(stream, NotPrecedence);
+      return Expression.buildUnaryExpression(operand, token).withSpan(
+        token.start,
+        operand.end
+      );
     } else {
-      throw new Error(`Expression cannot start with ${token.text}`);
+      throw new ParseError(
+        `Expression cannot start with ${token.text}.`,
+        token.start,
+        token.end,
+        OperandHints,
+        token.text
+      );
     }
   }
 
   /**
+   * Parses the unit following a number or in, e.g. the m/s^2 of 9.81 m/s^2.
    *
-   * @param {Expression} leftExpression
-   * @param {number} startIndex
-   * @param {Array<Token>} tokens
+   * @param {Token} previous The token the unit follows.
+   * @param {TokenStream} stream
    *
-   * @returns {ParsingResult}
+   * @returns {UnitProduct}
    */
-  continueParsing(leftExpression, startIndex, tokens) {
-    if (startIndex >= tokens.length) {
-      // All tokens have been parsed.
-      const zero = Expression.buildConstantExpression(0);
-      const addToken = new Token(
-        "+",
-        TokenType.OperatorAdd,
-        OperatorPrecedence.get(TokenType.OperatorAdd),
-        "binary"
-      );
+  parseUnit(previous, stream) {
+    const factors = [];
+    let sign = 1;
+
+    for (;;) {
+      const name = stream.next();
+      if (!name || !name.isUnit()) {
+        throw new ParseError(
+          name
+            ? `${name.text} is not a unit.`
+            : `Expected a unit after ${previous.text}.`,
+          name ? name.start : stream.endOffset,
+          name ? name.end : stream.endOffset,
+          ["a unit"],
+          name ? name.text : ""
+        );
+      }
 
-      const expression = Expression.buildBinaryExpression(
-        addToken,
-        leftExpression,
-        zero
+      factors.push({
+        name: name.text,
+        exponent: sign * this._parseUnitPower(stream),
+      });
+
+      // Only carry on when another unit follows the * or /.
+      const operator = stream.peek();
+      const nextName = stream.peek(1);
+      if (
+        !operator ||
+        !operator.isMultiplyOrDivide() ||
+        !nextName ||
+        !nextName.isUnit()
+      ) {
+        return new UnitProduct(factors);
+      }
+
+      if (!previous.isConvert()) {
+        this._expectUnambiguousUnit(nextName);
+      }
+      stream.next();
+      sign = operator.text === "/" ? -1 : 1;
+    }
+  }
+
+  /**
+   * Checks a unit written after a number, as in 2 s or 2 m/s, doesn't also
+   * name a variable. After in it can only be the unit.
+   *
+   * @param {Token} name
+   */
+  _expectUnambiguousUnit(name) {
+    if (name.isVariableName) {
+      throw new ParseError(
+        `${name.text} is both a variable and a unit. Multiply by the variable with * or brackets, or rename the variable to use the unit.`,
+        name.start,
+        name.end,
+        ["*"],
+        name.text
       );
+    }
+  }
+
+  /**
+   * Parses the power after a unit name, if any, e.g. the ^-2 of s^-2.
+   *
+   * @param {TokenStream} stream
+   *
+   * @returns {number}
+   */
+  _parseUnitPower(stream) {
+    const caret = stream.peek();
+    if (!caret || !caret.isPower()) {
+      return 1;
+    }
 
-      return new ParsingResult(expression, startIndex);
+    const isNegative = stream.peek(1) && stream.peek(1).isMinus();
+    const number = stream.peek(isNegative ? 2 : 1);
+    if (!number || !number.isUnsignedNumber()) {
+      // Leave the power to apply to the whole quantity.
+      return 1;
     }
 
-    const token = tokens[startIndex];
+    stream.next();
+    if (isNegative) {
+      stream.next();
+    }
+    stream.next();
 
-    if (token.isOperator() || token.isClosingBracket()) {
-      if (token.isClosingBracket()) {
-        return new ParsingResult(leftExpression, startIndex);
-      } else if (token.isFactorial()) {
-        // Factorial is postfix operator so needs special handling.
-        const left = Expression.buildUnaryExpression(leftExpression, token);
-        return this.continueParsing(left, startIndex + 1, tokens);
-      } else if (token.isBinaryOperator()) {
-        const nextOperator = this._nextOperator(startIndex + 1, tokens);
+    const power = Number.parseFloat(number.text);
+    return isNegative ? -power : power;
+  }
 
-        let right = null;
+  /**
+   * Parses the rest of a bracketed expression after its opening bracket.
+   *
+   * @param {Token} openingBracket
+   * @param {TokenStream} stream
+   *
+   * @returns {Expression}
+   */
+  parseBrackets(openingBracket, stream) {
+    const expression = this.parseExpression(stream, 0);
+    this._expectClosingBracket(openingBracket, stream);
 
-        if (
-          nextOperator === null ||
-          token.hasHigherPrecedenceThan(nextOperator)
-        ) {
-          // Evaluate this first.
-          right = this.nextAsRightOperand(startIndex + 1, tokens);
-        } else {
-          // Evaluate right first.
-          right = this.parse(startIndex + 1, tokens);
-        }
+    return expression;
+  }
+
+  /**
+   * Parses the rest of a matrix literal after its opening bracket. Every
+   * row must have as many elements as the first.
+   *
+   * @param {Token} openingBracket
+   * @param {TokenStream} stream
+   *
+   * @returns {Expression}
+   */
+  parseMatrix(openingBracket, stream) {
+    const rows = [[]];
+
+    for (;;) {
+      const row = rows[rows.length - 1];
+      row.push(this.parseExpression(stream, 0));
+
+      const separator = stream.next();
+      if (!separator) {
+        throw new ParseError(
+          "Unmatched brackets.",
+          openingBracket.start,
+          openingBracket.end,
+          ["]"]
+        );
+      } else if (separator.isComma()) {
+        continue;
+      } else if (
+        !separator.isSemicolon() &&
+        !separator.isClosingSquareBracket()
+      ) {
+        throw this._unexpectedTokenError(separator, [",", ";", "]"]);
+      }
 
-        const expression = Expression.buildBinaryExpression(
-          token,
-          leftExpression,
-          right.expression
+      if (row.length !== rows[0].length) {
+        throw new ParseError(
+          `Row ${rows.length} has ${pluralise(
+            row.length,
+            "element"
+          )} but the first row has ${rows[0].length}.`,
+          row[0].start,
+          row[row.length - 1].end
+        );
+      }
+
+      if (separator.isSemicolon()) {
+        rows.push([]);
+      } else {
+        return Expression.buildMatrixExpression(rows).withSpan(
+          openingBracket.start,
+          separator.end
         );
-        return this.continueParsing(expression, right.nextStartIndex, tokens);
       }
-    } else {
-      throw new Error("Expected an operator.");
     }
   }
 
   /**
+   * Parses the bracketed arguments following a function name.
    *
-   * @param {number} startIndex
-   * @param {Array<Token>} tokens
+   * @param {Token} nameToken
+   * @param {TokenStream} stream
    *
-   * @returns {ParsingResult}
+   * @returns {Expression}
    */
-  nextAsRightOperand(startIndex, tokens) {
-    if (startIndex >= tokens.length) {
-      throw new Error("Binary operator requires two operands");
+  parseFunctionCall(nameToken, stream) {
+    const functionName = nameToken.text;
+
+    const next = stream.peek();
+    if (next && (next.isComma() || next.isClosingBracket())) {
+      // A whole argument naming a function without calling it.
+      return Expression.buildFunctionReferenceExpression(functionName).withSpan(
+        nameToken.start,
+        nameToken.end
+      );
     }
 
-    const token = tokens[startIndex];
-    if (token.isVariable() || token.isUnsignedNumber()) {
-      const operandExpression = token.isVariable()
-        ? Expression.buildVariableExpression(token.text)
-        : Expression.buildConstantExpression(Number.parseFloat(token.text));
+    const bracket = stream.next();
+    if (!bracket || !bracket.isOpeningBracket()) {
+      const start = bracket ? bracket.start : stream.endOffset;
+      const end = bracket ? bracket.end : stream.endOffset;
 
-      return new ParsingResult(operandExpression, startIndex + 1);
-    } else if (token.isOpeningBracket()) {
-      return this.parseBrackets(startIndex, tokens);
-    } else if (token.isFunctionCall()) {
-      return this.parseFunctionCall(startIndex, tokens);
-    } else if (token.isPlusOrMinus()) {
-      // Signed operand
-      const left = Expression.buildConstantExpression(0);
-      const right = this.nextAsRightOperand(startIndex + 1, tokens);
-      const expression = Expression.buildBinaryExpression(
-        token,
-        left,
-        right.expression
+      throw new ParseError(
+        `Expected ( after ${functionName}.`,
+        start,
+        end,
+        ["("],
+        bracket ? bracket.text : ""
       );
+    }
 
-      return new ParsingResult(expression, right.nextStartIndex);
+    const args = [];
+    let closingBracket = stream.peek();
+    if (closingBracket && closingBracket.isClosingBracket()) {
+      // No arguments. Let the arity check report it when called.
+      stream.next();
     } else {
-      throw new Error(`Unexpected operand ${token.text}`);
+      for (;;) {
+        args.push(this.parseExpression(stream, 0));
+
+        const separator = stream.peek();
+        if (separator && separator.isComma()) {
+          stream.next();
+        } else {
+          closingBracket = this._expectClosingBracket(bracket, stream);
+          break;
+        }
+      }
     }
+
+    return Expression.buildFunctionCallExpression(functionName, args).withSpan(
+      nameToken.start,
+      closingBracket.end
+    );
   }
 
   /**
+   * Parses diff(target) or diff(target, variable).
    *
-   * @param {number} startIndex
-   * @param {Array<Token>} tokens
+   * @param {Token} diffToken
+   * @param {TokenStream} stream
    *
-   * @returns {ParsingResult}
+   * @returns {Expression}
    */
-  parseBrackets(startIndex, tokens) {
-    // Add 1 to skip opening bracket.
-    const right = this.parse(startIndex + 1, tokens);
-    if (right) {
-      if (
-        right.nextStartIndex >= tokens.length ||
-        !tokens[right.nextStartIndex].isClosingBracket()
-      ) {
-        throw new Error("Unmatched brackets.");
-      } else {
-        // Add 1 to skip closing bracket.
-        return new ParsingResult(right.expression, right.nextStartIndex + 1);
+  parseDerivative(diffToken, stream) {
+    const bracket = stream.next();
+    if (!bracket || !bracket.isOpeningBracket()) {
+      throw new ParseError(
+        "Expected ( after diff.",
+        bracket ? bracket.start : stream.endOffset,
+        bracket ? bracket.end : stream.endOffset,
+        ["("],
+        bracket ? bracket.text : ""
+      );
+    }
+
+    const target = this.parseExpression(stream, 0);
+
+    let variable = null;
+    const separator = stream.peek();
+    if (separator && separator.isComma()) {
+      stream.next();
+
+      const variableToken = stream.next();
+      if (!variableToken || !variableToken.isVariable()) {
+        throw new ParseError(
+          "diff can only differentiate with respect to a variable.",
+          variableToken ? variableToken.start : stream.endOffset,
+          variableToken ? variableToken.end : stream.endOffset,
+          ["a variable"],
+          variableToken ? variableToken.text : ""
+        );
       }
-    } else {
-      throw new Error("Unmatched brackets.");
+
+      variable = variableToken.text;
     }
+
+    const closingBracket = this._expectClosingBracket(bracket, stream);
+
+    return Expression.buildDerivativeExpression(target, variable).withSpan(
+      diffToken.start,
+      closingBracket.end
+    );
   }
 
   /**
+   * Parses if(condition, then) or if(condition, then, otherwise).
    *
-   * @param {number} startIndex
-   * @param {Array<Token>} tokens
+   * @param {Token} ifToken
+   * @param {TokenStream} stream
    *
-   * @returns {ParsingResult}
+   * @returns {Expression}
    */
-  parseFunctionCall(startIndex, tokens) {
-    // f(x) has 4 tokens at minumum
-    if (startIndex + 3 >= tokens.length) {
-      throw new Error("Invalid function call.");
+  parseConditional(ifToken, stream) {
+    const bracket = stream.next();
+    if (!bracket || !bracket.isOpeningBracket()) {
+      throw new ParseError(
+        "Expected ( after if.",
+        bracket ? bracket.start : stream.endOffset,
+        bracket ? bracket.end : stream.endOffset,
+        ["("],
+        bracket ? bracket.text : ""
+      );
     }
 
-    const arg = this.parseBrackets(startIndex + 1, tokens);
-    const funcCallExpression = Expression.buildFunctionCallExpression(
-      tokens[startIndex].text,
-      arg.expression
-    );
+    const args = [this.parseExpression(stream, 0)];
+    for (;;) {
+      const separator = stream.peek();
+      if (!separator || !separator.isComma()) {
+        break;
+      }
+
+      stream.next();
+      args.push(this.parseExpression(stream, 0));
+    }
+
+    const closingBracket = this._expectClosingBracket(bracket, stream);
+    if (args.length < 2 || args.length > 3) {
+      throw new ParseError(
+        `if expects a condition, a value and optionally a value for otherwise, but was given ${pluralise(
+          args.length,
+          "argument"
+        )}.`,
+        ifToken.start,
+        closingBracket.end
+      );
+    }
 
-    return new ParsingResult(funcCallExpression, arg.nextStartIndex);
+    return Expression.buildConditionalExpression(...args).withSpan(
+      ifToken.start,
+      closingBracket.end
+    );
   }
 
   /**
-   * Returns the first operator token from given index.
-   *
-   * Returns null when there are no more operators.
    *
-   * @param {number} startIndex
-   * @param {Array<Token>} tokens
+   * @param {Token} openingBracket
+   * @param {TokenStream} stream
    *
-   * @returns {Token | null}
+   * @returns {Token} The closing bracket.
    */
-  _nextOperator(startIndex, tokens) {
-    for (let iii = startIndex; iii < tokens.length; iii++) {
-      if (tokens[iii].isOperator()) {
-        return tokens[iii];
-      }
+  _expectClosingBracket(openingBracket, stream) {
+    const token = stream.next();
+    if (!token) {
+      throw new ParseError(
+        "Unmatched brackets.",
+        openingBracket.start,
+        openingBracket.end,
+        [")"]
+      );
+    } else if (!token.isClosingBracket()) {
+      throw this._unexpectedTokenError(token, [")"]);
     }
 
-    return null;
+    return token;
+  }
+
+  /**
+   * Builds the error for a token found where an operator was expected.
+   *
+   * @param {Token} token
+   * @param {Array<string>} alsoExpected Tokens other than an operator that
+   * would have been valid.
+   *
+   * @returns {ParseError}
+   */
+  _unexpectedTokenError(token, alsoExpected = []) {
+    const expected = ["an operator", ...alsoExpected];
+
+    if (token.isClosingBracket() || token.isClosingSquareBracket()) {
+      return new ParseError(
+        "Unmatched brackets.",
+        token.start,
+        token.end,
+        expected,
+        token.text
+      );
+    } else if (token.isComma()) {
+      return new ParseError(
+        "Unexpected , outside a function call or matrix.",
+        token.start,
+        token.end,
+        expected,
+        token.text
+      );
+    } else if (token.isSemicolon()) {
+      return new ParseError(
+        "Unexpected ; outside a matrix.",
+        token.start,
+        token.end,
+        expected,
+        token.text
+      );
+    } else {
+      return new ParseError(
+        `Missing operator before ${token.text}.`,
+        token.start,
+        token.end,
+        expected,
+        token.text
+      );
+    }
   }
 }
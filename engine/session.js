@@ -0,0 +1,276 @@
+import { Complex } from "./complex.js";
+import { Matrix } from "./matrix.js";
+import { Decimal, Integer, Rational } from "./numbers.js";
+import { Expression } from "./parser.js";
+import { Quantity } from "./units.js";
+
+// Saving a session's user variables and functions as versioned JSON, so it
+// can be restored after a reload or shared as a file. Built-in symbols are
+// final and rebuilt by every engine, so they are never saved.
+//
+// Bump SessionVersion whenever the format changes in a way older versions
+// can't read, and keep restoreSession reading the older versions.
+
+const SessionFormat = "minivac-session";
+// Version 2 added whole numbers, from programmer mode or shown in a base,
+// version 3 truth values and conditional expressions, version 4 double
+// factorials, version 5 whether functions are memoised, their docstrings
+// and variables' bindings, and version 6 the unit a quantity was converted
+// to.
+const SessionVersion = 6;
+
+/**
+ *
+ * @param {*} value
+ *
+ * @returns {Object}
+ */
+function serialiseValue(value) {
+  if (typeof value === "number") {
+    // As text, since JSON has no NaN or Infinity.
+    return { type: "float", value: `${value}` };
+  } else if (typeof value === "boolean") {
+    return { type: "boolean", value };
+  } else if (value instanceof Rational) {
+    return {
+      type: "rational",
+      numerator: `${value.numerator}`,
+      denominator: `${value.denominator}`,
+    };
+  } else if (value instanceof Decimal) {
+    return {
+      type: "decimal",
+      coefficient: `${value.coefficient}`,
+      exponent: value.exponent,
+    };
+  } else if (value instanceof Integer) {
+    return {
+      type: "integer",
+      value: `${value.value}`,
+      bits: value.bits,
+      radix: value.radix,
+    };
+  } else if (value instanceof Complex) {
+    return { type: "complex", re: `${value.re}`, im: `${value.im}` };
+  } else if (value instanceof Matrix) {
+    return {
+      type: "matrix",
+      rows: value.rows.map((row) => row.map(serialiseValue)),
+    };
+  } else if (value instanceof Quantity) {
+    return {
+      type: "quantity",
+      value: serialiseValue(value.value),
+      dimensions: value.dimensions,
+      display: value.display && {
+        value: serialiseValue(value.display.value),
+        unit: value.display.unit,
+      },
+    };
+  } else {
+    throw new Error(`Cannot save the value ${value}.`);
+  }
+}
+
+/**
+ *
+ * @param {Object} json
+ *
+ * @returns {*}
+ */
+function deserialiseValue(json) {
+  const float = (text) => {
+    const value = Number(text);
+    if (typeof text !== "string" || (Number.isNaN(value) && text !== "NaN")) {
+      throw new Error(`Expected a number but found ${text}.`);
+    }
+
+    return value;
+  };
+  const bigInt = (text) => {
+    if (typeof text !== "string" || !/^-?\d+$/.test(text)) {
+      throw new Error(`Expected a whole number but found ${text}.`);
+    }
+
+    return BigInt(text);
+  };
+
+  switch (json && json.type) {
+    case "float":
+      return float(json.value);
+    case "boolean":
+      if (typeof json.value !== "boolean") {
+        throw new Error(`Expected true or false but found ${json.value}.`);
+      }
+
+      return json.value;
+    case "rational":
+      return new Rational(bigInt(json.numerator), bigInt(json.denominator));
+    case "decimal":
+      if (!Number.isInteger(json.exponent)) {
+        throw new Error("Expected a whole number exponent in a decimal.");
+      }
+
+      return new Decimal(bigInt(json.coefficient), json.exponent);
+    case "integer":
+      if (json.bits !== null && [8, 16, 32, 64].indexOf(json.bits) === -1) {
+        throw new Error(`Unknown word size ${json.bits} in an integer.`);
+      } else if ([2, 8, 10, 16].indexOf(json.radix) === -1) {
+        throw new Error(`Unknown base ${json.radix} in an integer.`);
+      }
+
+      return new Integer(bigInt(json.value), json.bits, json.radix);
+    case "complex":
+      return new Complex(float(json.re), float(json.im));
+    case "matrix": {
+      const rows = json.rows;
+      if (
+        !Array.isArray(rows) ||
+        rows.length === 0 ||
+        !rows.every(
+          (row) =>
+            Array.isArray(row) &&
+            row.length > 0 &&
+            row.length === rows[0].length
+        )
+      ) {
+        throw new Error("Expected rows of the same length in a matrix.");
+      }
+
+      return new Matrix(rows.map((row) => row.map(deserialiseValue)));
+    }
+    case "quantity":
+      if (
+        !Array.isArray(json.dimensions) ||
+        json.dimensions.length !== 7 ||
+        !json.dimensions.every((dimension) => typeof dimension === "number")
+      ) {
+        throw new Error("Expected the dimensions of a quantity.");
+      }
+
+      // Older sessions show every quantity in base units.
+      if (!json.display) {
+        return new Quantity(deserialiseValue(json.value), json.dimensions);
+      } else if (typeof json.display.unit !== "string") {
+        throw new Error("Expected the unit a quantity is shown in.");
+      }
+
+      return new Quantity(deserialiseValue(json.value), json.dimensions, {
+        value: deserialiseValue(json.display.value),
+        unit: json.display.unit,
+      });
+    default:
+      throw new Error(`Unknown value type ${json && json.type}.`);
+  }
+}
+
+/**
+ * Describes the user's variables and functions, ready for JSON.stringify.
+ *
+ * @param {SymbolsTable} symbolsTable
+ * @param {Object} settings Engine settings to restore along with them.
+ *
+ * @returns {Object}
+ */
+export function serialiseSession(symbolsTable, settings) {
+  return {
+    format: SessionFormat,
+    version: SessionVersion,
+    settings,
+    variables: symbolsTable.variables
+      .filter((variable) => !variable.isFinal)
+      .map((variable) => ({
+        name: variable.name,
+        value: serialiseValue(variable.asNumber()),
+        binding: variable.binding && variable.binding.toJSON(),
+      })),
+    functions: symbolsTable.callables
+      .filter((callable) => !callable.isFinal)
+      .map((callable) => ({
+        name: callable.name,
+        params: callable.params,
+        body: callable.asExpression().toJSON(),
+        memo: callable.isMemoised,
+        doc: callable.doc,
+      })),
+  };
+}
+
+/**
+ * Adds the variables and functions of a saved session to symbolsTable,
+ * which should hold only the built-ins.
+ *
+ * @param {SymbolsTable} symbolsTable
+ * @param {Object} session As parsed from the saved JSON.
+ *
+ * @returns {Object} The saved engine settings.
+ */
+export function restoreSession(symbolsTable, session) {
+  if (!session || session.format !== SessionFormat) {
+    throw new Error("This is not a MINIVAC session.");
+  } else if (!Number.isInteger(session.version) || session.version < 1) {
+    throw new Error("This session is corrupt: it has no valid version.");
+  } else if (session.version > SessionVersion) {
+    throw new Error(
+      `This session was saved by a newer MINIVAC (format version ${session.version}) and can't be loaded here.`
+    );
+  }
+
+  const isName = (name) => typeof name === "string" && /^[a-z]+$/.test(name);
+
+  try {
+    if (
+      !Array.isArray(session.variables) ||
+      !Array.isArray(session.functions)
+    ) {
+      throw new Error("Expected lists of variables and functions.");
+    }
+
+    for (const { name, value } of session.variables) {
+      if (!isName(name)) {
+        throw new Error(`${name} is not a valid variable name.`);
+      }
+
+      symbolsTable.setSymbol(name, deserialiseValue(value));
+    }
+
+    for (const { name, params, body, doc = null } of session.functions) {
+      if (!isName(name)) {
+        throw new Error(`${name} is not a valid function name.`);
+      } else if (
+        !Array.isArray(params) ||
+        params.length === 0 ||
+        !params.every(isName)
+      ) {
+        throw new Error(`The parameters of ${name} are not valid.`);
+      } else if (doc !== null && typeof doc !== "string") {
+        throw new Error(`The docstring of ${name} is not text.`);
+      }
+
+      // Older sessions have no docstrings.
+      symbolsTable.setSymbol(name, Expression.fromJSON(body), params, doc);
+    }
+
+    // Once every function is defined, as a memoised function may call
+    // functions defined after it. Older sessions have no memo.
+    for (const { name, memo } of session.functions) {
+      const callable = symbolsTable.getCallable(name);
+      if (memo === true && symbolsTable.impurity(callable) === null) {
+        callable.memoise();
+      }
+    }
+
+    // Likewise bindings may use any variable or function. The saved values
+    // are kept, as they were worked out in the session's number mode. Older
+    // sessions have no bindings, and older versions just load the values.
+    for (const { name, binding = null } of session.variables) {
+      if (binding !== null) {
+        symbolsTable.restoreBinding(name, Expression.fromJSON(binding));
+      }
+    }
+  } catch (e) {
+    throw new Error(`This session is corrupt: ${e.message}`);
+  }
+
+  return session.settings || {};
+}
@@ -0,0 +1,865 @@
+import { Complex } from "./complex.js";
+import { Matrix } from "./matrix.js";
+import { Rational } from "./numbers.js";
+import { Quantity, formatDimensions } from "./units.js";
+
+// Typesetting expressions and values as LaTeX or MathML, for copying into
+// reports and for showing definitions as maths.
+//
+// Expressions typeset themselves in terms of a notation, which knows how to
+// write fractions, powers, brackets and so on in one markup language. So
+// LatexNotation and MathMLNotation are interchangeable, and each expression
+// class only describes its layout once.
+
+// Variables named after Greek letters are written as the letter.
+const GreekLetters = new Map([
+  ["alpha", "α"],
+  ["beta", "β"],
+  ["gamma", "γ"],
+  ["delta", "δ"],
+  ["epsilon", "ε"],
+  ["zeta", "ζ"],
+  ["eta", "η"],
+  ["theta", "θ"],
+  ["iota", "ι"],
+  ["kappa", "κ"],
+  ["lambda", "λ"],
+  ["mu", "μ"],
+  ["nu", "ν"],
+  ["xi", "ξ"],
+  ["pi", "π"],
+  ["rho", "ρ"],
+  ["sigma", "σ"],
+  ["tau", "τ"],
+  ["upsilon", "υ"],
+  ["phi", "φ"],
+  ["chi", "χ"],
+  ["psi", "ψ"],
+  ["omega", "ω"],
+]);
+
+// Functions LaTeX has an upright operator for, e.g. \sin.
+const LatexFunctions = [
+  "sin",
+  "cos",
+  "tan",
+  "sec",
+  "csc",
+  "cot",
+  "arcsin",
+  "arccos",
+  "arctan",
+  "sinh",
+  "cosh",
+  "tanh",
+  "ln",
+  "log",
+  "exp",
+  "arg",
+  "det",
+  "min",
+  "max",
+];
+
+// The usual names of functions MINIVAC names otherwise, e.g. asin for
+// arcsin.
+const StandardFunctionNames = new Map([
+  ["asin", "arcsin"],
+  ["acos", "arccos"],
+  ["atan", "arctan"],
+  ["asinh", "arsinh"],
+  ["acosh", "arcosh"],
+  ["atanh", "artanh"],
+  ["sign", "sgn"],
+  ["re", "Re"],
+  ["im", "Im"],
+]);
+
+/**
+ *
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export class LatexNotation {
+  /**
+   *
+   * @param {string} markup
+   *
+   * @returns {string}
+   */
+  document(markup) {
+    return markup;
+  }
+
+  /**
+   * Lays parts out one after another.
+   *
+   * @param {Array<string>} parts
+   *
+   * @returns {string}
+   */
+  row(parts) {
+    return parts.join("");
+  }
+
+  /**
+   *
+   * @param {string} digits An unsigned number, e.g. 1.5.
+   *
+   * @returns {string}
+   */
+  number(digits) {
+    return digits;
+  }
+
+  /**
+   * A variable's name, in italics unless it is a Greek letter.
+   *
+   * @param {string} name
+   *
+   * @returns {string}
+   */
+  identifier(name) {
+    if (GreekLetters.has(name)) {
+      return `\\${name} `;
+    } else if (name.length === 1) {
+      return name;
+    } else {
+      return `\\mathit{${name}}`;
+    }
+  }
+
+  /**
+   *
+   * @param {string} name
+   *
+   * @returns {string}
+   */
+  functionName(name) {
+    switch (name) {
+      case "log2":
+        return "\\log_2";
+      case "gamma":
+        return "\\Gamma";
+      case "lgamma":
+        return "\\ln\\Gamma";
+      case "beta":
+        return "\\mathrm{B}";
+    }
+
+    const standardName = StandardFunctionNames.get(name) || name;
+    if (LatexFunctions.indexOf(standardName) !== -1) {
+      return `\\${standardName}`;
+    } else if (standardName.length === 1) {
+      return standardName;
+    } else {
+      return `\\operatorname{${standardName}}`;
+    }
+  }
+
+  /**
+   * Upright text such as a unit name or the d of d/dx.
+   *
+   * @param {string} name
+   *
+   * @returns {string}
+   */
+  upright(name) {
+    return name === "ohm" ? "\\Omega" : `\\mathrm{${name}}`;
+  }
+
+  /**
+   *
+   * @param {string} text
+   *
+   * @returns {string}
+   */
+  text(text) {
+    return `\\text{${text.replace(/([\\{}$&#^_%~])/g, "\\$1")}}`;
+  }
+
+  /**
+   * An operator between two operands. "" multiplies without a sign, as in
+   * 2x.
+   *
+   * @param {string} symbol One of + - * × / = << >>, a comparison such as
+   * <=, a word such as in or and, or "".
+   *
+   * @returns {string}
+   */
+  infix(symbol) {
+    switch (symbol) {
+      case "*":
+        return " \\cdot ";
+      case "×":
+        return " \\times ";
+      case "<<":
+        return " \\ll ";
+      case ">>":
+        return " \\gg ";
+      case "<=":
+        return " \\le ";
+      case ">=":
+        return " \\ge ";
+      case "==":
+        return " = ";
+      case "!=":
+        return " \\ne ";
+      case "/":
+      case "":
+        return symbol;
+      default:
+        return /^[a-z]+$/.test(symbol)
+          ? `\\ \\text{${symbol}}\\ `
+          : ` ${symbol} `;
+    }
+  }
+
+  /**
+   *
+   * @param {string} symbol - or not.
+   *
+   * @returns {string}
+   */
+  prefix(symbol) {
+    return symbol === "not" ? "\\text{not}\\ " : symbol;
+  }
+
+  /**
+   *
+   * @param {string} symbol ! or ' for a derivative.
+   *
+   * @returns {string}
+   */
+  postfix(symbol) {
+    return symbol;
+  }
+
+  /**
+   *
+   * @param {string} inner
+   *
+   * @returns {string}
+   */
+  brackets(inner) {
+    return `\\left(${inner}\\right)`;
+  }
+
+  /**
+   *
+   * @param {string} numerator
+   * @param {string} denominator
+   *
+   * @returns {string}
+   */
+  fraction(numerator, denominator) {
+    return `\\frac{${numerator}}{${denominator}}`;
+  }
+
+  /**
+   *
+   * @param {string} base
+   * @param {string} exponent
+   *
+   * @returns {string}
+   */
+  power(base, exponent) {
+    return `{${base}}^{${exponent}}`;
+  }
+
+  /**
+   *
+   * @param {string} radicand
+   *
+   * @returns {string}
+   */
+  squareRoot(radicand) {
+    return `\\sqrt{${radicand}}`;
+  }
+
+  /**
+   *
+   * @param {string} inner
+   *
+   * @returns {string}
+   */
+  absolute(inner) {
+    return `\\left|${inner}\\right|`;
+  }
+
+  /**
+   *
+   * @param {string} inner
+   *
+   * @returns {string}
+   */
+  floor(inner) {
+    return `\\left\\lfloor ${inner}\\right\\rfloor`;
+  }
+
+  /**
+   *
+   * @param {string} inner
+   *
+   * @returns {string}
+   */
+  ceiling(inner) {
+    return `\\left\\lceil ${inner}\\right\\rceil`;
+  }
+
+  /**
+   * The complex conjugate, as a bar over inner.
+   *
+   * @param {string} inner
+   *
+   * @returns {string}
+   */
+  conjugate(inner) {
+    return `\\overline{${inner}}`;
+  }
+
+  /**
+   * n choose k.
+   *
+   * @param {string} n
+   * @param {string} k
+   *
+   * @returns {string}
+   */
+  binomial(n, k) {
+    return `\\binom{${n}}{${k}}`;
+  }
+
+  /**
+   *
+   * @param {string} name As written by functionName.
+   * @param {Array<string>} args
+   *
+   * @returns {string}
+   */
+  call(name, args) {
+    return `${name}${this.brackets(args.join(", "))}`;
+  }
+
+  /**
+   *
+   * @param {Array<Array<string>>} rows
+   *
+   * @returns {string}
+   */
+  matrix(rows) {
+    const body = rows.map((row) => row.join(" & ")).join(" \\\\ ");
+    return `\\begin{pmatrix} ${body} \\end{pmatrix}`;
+  }
+
+  /**
+   * A piecewise value, as a brace before each value and its condition.
+   *
+   * @param {Array<[string, string | null]>} rows A value and the condition
+   * it applies under, or null for otherwise.
+   *
+   * @returns {string}
+   */
+  cases(rows) {
+    const body = rows
+      .map(([value, condition]) =>
+        condition === null
+          ? `${value} & \\text{otherwise}`
+          : `${value} & \\text{if } ${condition}`
+      )
+      .join(" \\\\ ");
+    return `\\begin{cases} ${body} \\end{cases}`;
+  }
+
+  /**
+   * The small space between a number and its unit.
+   *
+   * @returns {string}
+   */
+  thinSpace() {
+    return "\\,";
+  }
+}
+
+export class MathMLNotation {
+  /**
+   *
+   * @param {string} markup
+   *
+   * @returns {string}
+   */
+  document(markup) {
+    return `<math>${markup}</math>`;
+  }
+
+  /**
+   *
+   * @param {Array<string>} parts
+   *
+   * @returns {string}
+   */
+  row(parts) {
+    return `<mrow>${parts.join("")}</mrow>`;
+  }
+
+  /**
+   *
+   * @param {string} digits
+   *
+   * @returns {string}
+   */
+  number(digits) {
+    return `<mn>${digits}</mn>`;
+  }
+
+  /**
+   *
+   * @param {string} name
+   *
+   * @returns {string}
+   */
+  identifier(name) {
+    if (GreekLetters.has(name)) {
+      return `<mi>${GreekLetters.get(name)}</mi>`;
+    } else if (name.length === 1) {
+      return `<mi>${name}</mi>`;
+    } else {
+      return `<mi mathvariant="italic">${name}</mi>`;
+    }
+  }
+
+  /**
+   *
+   * @param {string} name
+   *
+   * @returns {string}
+   */
+  functionName(name) {
+    switch (name) {
+      case "log2":
+        return "<msub><mi>log</mi><mn>2</mn></msub>";
+      case "gamma":
+        return '<mi mathvariant="normal">Γ</mi>';
+      case "lgamma":
+        return '<mrow><mi>ln</mi><mo>&#x2061;</mo><mi mathvariant="normal">Γ</mi></mrow>';
+      case "beta":
+        return '<mi mathvariant="normal">B</mi>';
+    }
+
+    return `<mi>${StandardFunctionNames.get(name) || name}</mi>`;
+  }
+
+  /**
+   *
+   * @param {string} name
+   *
+   * @returns {string}
+   */
+  upright(name) {
+    return name === "ohm"
+      ? '<mi mathvariant="normal">Ω</mi>'
+      : `<mi mathvariant="normal">${name}</mi>`;
+  }
+
+  /**
+   *
+   * @param {string} text
+   *
+   * @returns {string}
+   */
+  text(text) {
+    return `<mtext>${escapeXml(text)}</mtext>`;
+  }
+
+  /**
+   *
+   * @param {string} symbol
+   *
+   * @returns {string}
+   */
+  infix(symbol) {
+    switch (symbol) {
+      case "-":
+        return "<mo>&#x2212;</mo>";
+      case "*":
+        return "<mo>&#x22C5;</mo>";
+      case "×":
+        return "<mo>&#xD7;</mo>";
+      case "":
+        return "<mo>&#x2062;</mo>";
+      case "<<":
+        return "<mo>&#x226A;</mo>";
+      case ">>":
+        return "<mo>&#x226B;</mo>";
+      case "<":
+        return "<mo>&lt;</mo>";
+      case ">":
+        return "<mo>&gt;</mo>";
+      case "<=":
+        return "<mo>&#x2264;</mo>";
+      case ">=":
+        return "<mo>&#x2265;</mo>";
+      case "==":
+        return "<mo>=</mo>";
+      case "!=":
+        return "<mo>&#x2260;</mo>";
+      default:
+        return /^[a-z]+$/.test(symbol)
+          ? `<mtext>&#xA0;${symbol}&#xA0;</mtext>`
+          : `<mo>${symbol}</mo>`;
+    }
+  }
+
+  /**
+   *
+   * @param {string} symbol
+   *
+   * @returns {string}
+   */
+  prefix(symbol) {
+    if (symbol === "-") {
+      return "<mo>&#x2212;</mo>";
+    } else if (symbol === "not") {
+      return "<mtext>not&#xA0;</mtext>";
+    } else {
+      return `<mo>${symbol}</mo>`;
+    }
+  }
+
+  /**
+   *
+   * @param {string} symbol
+   *
+   * @returns {string}
+   */
+  postfix(symbol) {
+    return symbol === "'" ? "<mo>&#x2032;</mo>" : `<mo>${symbol}</mo>`;
+  }
+
+  /**
+   *
+   * @param {string} inner
+   *
+   * @returns {string}
+   */
+  brackets(inner) {
+    return `<mrow><mo>(</mo>${inner}<mo>)</mo></mrow>`;
+  }
+
+  /**
+   *
+   * @param {string} numerator
+   * @param {string} denominator
+   *
+   * @returns {string}
+   */
+  fraction(numerator, denominator) {
+    return `<mfrac>${numerator}${denominator}</mfrac>`;
+  }
+
+  /**
+   *
+   * @param {string} base
+   * @param {string} exponent
+   *
+   * @returns {string}
+   */
+  power(base, exponent) {
+    return `<msup>${base}${exponent}</msup>`;
+  }
+
+  /**
+   *
+   * @param {string} radicand
+   *
+   * @returns {string}
+   */
+  squareRoot(radicand) {
+    return `<msqrt>${radicand}</msqrt>`;
+  }
+
+  /**
+   *
+   * @param {string} inner
+   *
+   * @returns {string}
+   */
+  absolute(inner) {
+    return `<mrow><mo>|</mo>${inner}<mo>|</mo></mrow>`;
+  }
+
+  /**
+   *
+   * @param {string} inner
+   *
+   * @returns {string}
+   */
+  floor(inner) {
+    return `<mrow><mo>&#x230A;</mo>${inner}<mo>&#x230B;</mo></mrow>`;
+  }
+
+  /**
+   *
+   * @param {string} inner
+   *
+   * @returns {string}
+   */
+  ceiling(inner) {
+    return `<mrow><mo>&#x2308;</mo>${inner}<mo>&#x2309;</mo></mrow>`;
+  }
+
+  /**
+   *
+   * @param {string} inner
+   *
+   * @returns {string}
+   */
+  conjugate(inner) {
+    return `<mover>${inner}<mo>&#xAF;</mo></mover>`;
+  }
+
+  /**
+   *
+   * @param {string} n
+   * @param {string} k
+   *
+   * @returns {string}
+   */
+  binomial(n, k) {
+    return this.brackets(`<mfrac linethickness="0">${n}${k}</mfrac>`);
+  }
+
+  /**
+   *
+   * @param {string} name
+   * @param {Array<string>} args
+   *
+   * @returns {string}
+   */
+  call(name, args) {
+    // U+2061 is function application, so readers know sin(x) isn't sin * x.
+    const argsMarkup = args.join("<mo>,</mo>");
+    return `<mrow>${name}<mo>&#x2061;</mo>${this.brackets(argsMarkup)}</mrow>`;
+  }
+
+  /**
+   *
+   * @param {Array<Array<string>>} rows
+   *
+   * @returns {string}
+   */
+  matrix(rows) {
+    const body = rows
+      .map(
+        (row) =>
+          `<mtr>${row.map((cell) => `<mtd>${cell}</mtd>`).join("")}</mtr>`
+      )
+      .join("");
+    return this.brackets(`<mtable>${body}</mtable>`);
+  }
+
+  /**
+   *
+   * @param {Array<[string, string | null]>} rows
+   *
+   * @returns {string}
+   */
+  cases(rows) {
+    const body = rows
+      .map(([value, condition]) => {
+        const when =
+          condition === null
+            ? "<mtext>otherwise</mtext>"
+            : `<mrow><mtext>if&#xA0;</mtext>${condition}</mrow>`;
+        return `<mtr><mtd>${value}</mtd><mtd>${when}</mtd></mtr>`;
+      })
+      .join("");
+    return `<mrow><mo>{</mo><mtable columnalign="left">${body}</mtable></mrow>`;
+  }
+
+  /**
+   *
+   * @returns {string}
+   */
+  thinSpace() {
+    return '<mspace width="0.167em"></mspace>';
+  }
+}
+
+/**
+ * Typesets a number written as text, e.g. -1.5e-7 or 2E40, with any
+ * exponent as a power of ten.
+ *
+ * @param {string} text
+ * @param {LatexNotation | MathMLNotation} notation
+ *
+ * @returns {string}
+ */
+export function typesetNumberText(text, notation) {
+  const radix = /^(-?)(0[xob].*)$/.exec(text);
+  if (radix) {
+    // Digits such as the e of 0x1e are not exponents.
+    const number = notation.number(radix[2]);
+    return radix[1] ? notation.row([notation.prefix("-"), number]) : number;
+  }
+
+  const match = /^(-?)(.*?)(?:[eE]\+?(-?)(\d+))?$/.exec(text);
+  const [, sign, mantissa, exponentSign, exponent] = match;
+
+  let out = notation.number(mantissa);
+  if (exponent !== undefined) {
+    const power = notation.power(
+      notation.number("10"),
+      exponentSign
+        ? notation.row([notation.prefix("-"), notation.number(exponent)])
+        : notation.number(exponent)
+    );
+    out =
+      mantissa === "1"
+        ? power
+        : notation.row([out, notation.infix("×"), power]);
+  }
+
+  return sign ? notation.row([notation.prefix("-"), out]) : out;
+}
+
+/**
+ * Typesets a unit such as km/h or kg*m/s^2.
+ *
+ * @param {Array<{name: string, exponent: number}>} factors
+ * @param {LatexNotation | MathMLNotation} notation
+ *
+ * @returns {string}
+ */
+export function typesetUnit(factors, notation) {
+  const parts = [];
+
+  factors.forEach(({ name, exponent }, index) => {
+    // Negative powers are written as division, except first.
+    const power = index === 0 ? exponent : Math.abs(exponent);
+    if (index > 0) {
+      parts.push(notation.infix(exponent < 0 ? "/" : "*"));
+    }
+
+    parts.push(
+      power === 1
+        ? notation.upright(name)
+        : notation.power(
+            notation.upright(name),
+            typesetNumberText(`${power}`, notation)
+          )
+    );
+  });
+
+  return notation.row(parts);
+}
+
+/**
+ * Reads a unit as written by formatDimensions or a conversion back into
+ * factors, e.g. kg*m/s^2.
+ *
+ * @param {string} text
+ *
+ * @returns {Array<{name: string, exponent: number}>}
+ */
+function unitFactors(text) {
+  return [...text.matchAll(/([*/]?)([a-zA-Z]+)(?:\^(-?[\d.]+))?/g)].map(
+    ([, operator, name, power]) => ({
+      name,
+      exponent: (operator === "/" ? -1 : 1) * (power ? Number(power) : 1),
+    })
+  );
+}
+
+/**
+ * Typesets a value as calculated, such as a result or variable.
+ *
+ * @param {*} value
+ * @param {LatexNotation | MathMLNotation} notation
+ *
+ * @returns {string}
+ */
+export function typesetValue(value, notation) {
+  if (value instanceof Rational && !value.isInteger()) {
+    const fraction = notation.fraction(
+      notation.number(`${value.numerator}`.replace("-", "")),
+      notation.number(`${value.denominator}`)
+    );
+    return value.numerator < 0n
+      ? notation.row([notation.prefix("-"), fraction])
+      : fraction;
+  } else if (value instanceof Complex) {
+    const imaginary = (im) =>
+      im === 1
+        ? notation.identifier("i")
+        : notation.row([
+            typesetNumberText(`${im}`, notation),
+            notation.infix(""),
+            notation.identifier("i"),
+          ]);
+
+    if (value.im === 0) {
+      return typesetNumberText(`${value.re}`, notation);
+    } else if (value.re === 0) {
+      return value.im < 0
+        ? notation.row([notation.prefix("-"), imaginary(-value.im)])
+        : imaginary(value.im);
+    }
+
+    return notation.row([
+      typesetNumberText(`${value.re}`, notation),
+      notation.infix(value.im < 0 ? "-" : "+"),
+      imaginary(Math.abs(value.im)),
+    ]);
+  } else if (value instanceof Matrix) {
+    return notation.matrix(
+      value.rows.map((row) =>
+        row.map((element) => typesetValue(element, notation))
+      )
+    );
+  } else if (value instanceof Quantity) {
+    const [number, unit] = value.display
+      ? [value.display.value, value.display.unit]
+      : [value.value, formatDimensions(value.dimensions)];
+
+    return notation.row([
+      typesetValue(number, notation),
+      notation.thinSpace(),
+      typesetUnit(unitFactors(unit), notation),
+    ]);
+  } else if (typeof value === "boolean") {
+    return notation.text(`${value}`);
+  } else {
+    return typesetNumberText(`${value}`, notation);
+  }
+}
+
+/**
+ * Typesets a function's definition, e.g. f(x) = x^2.
+ *
+ * @param {Callable} callable
+ * @param {LatexNotation | MathMLNotation} notation
+ *
+ * @returns {string}
+ */
+export function typesetDefinition(callable, notation) {
+  const signature = notation.call(
+    notation.functionName(callable.name),
+    callable.params.map((param) => notation.identifier(param))
+  );
+
+  return notation.row([
+    signature,
+    notation.infix("="),
+    callable.asExpression().typeset(notation),
+  ]);
+}
@@ -0,0 +1,368 @@
+// Physical quantities and the units they are written in.
+//
+// Dimensions are the exponents of the SI base units, in BaseUnits order,
+// and quantities hold their values in those base units. So 3 km is held as
+// 3000 with dimensions [1, 0, 0, 0, 0, 0, 0].
+
+const BaseUnits = ["m", "kg", "s", "A", "K", "mol", "cd"];
+
+// Derived units results are shown in when their dimensions match exactly.
+const DisplayUnits = ["N", "J", "W", "Pa", "C", "V", "ohm", "F"];
+
+const Prefixes = new Map([
+  ["P", 1e15],
+  ["T", 1e12],
+  ["G", 1e9],
+  ["M", 1e6],
+  ["k", 1e3],
+  ["h", 1e2],
+  ["c", 1e-2],
+  ["m", 1e-3],
+  ["u", 1e-6],
+  ["n", 1e-9],
+  ["p", 1e-12],
+]);
+
+/**
+ * Builds dimensions from the exponents of the named base units.
+ *
+ * @param {Object<string, number>} exponents e.g. { m: 1, s: -2 }.
+ *
+ * @returns {Array<number>}
+ */
+function dimensions(exponents = {}) {
+  return BaseUnits.map((name) => exponents[name] || 0);
+}
+
+/**
+ *
+ * @param {Array<number>} dimensions
+ *
+ * @returns {boolean}
+ */
+export function isDimensionless(dimensions) {
+  return dimensions.every((exponent) => exponent === 0);
+}
+
+/**
+ *
+ * @param {Array<number>} left
+ * @param {Array<number>} right
+ *
+ * @returns {boolean}
+ */
+export function sameDimensions(left, right) {
+  return left.every((exponent, index) => exponent === right[index]);
+}
+
+/**
+ * Writes dimensions as units, e.g. kg*m/s^2 is N and [0, 0, -1, ...] is
+ * s^-1. Units written this way can be typed back in.
+ *
+ * @param {Array<number>} dims
+ *
+ * @returns {string}
+ */
+export function formatDimensions(dims) {
+  const named = DisplayUnits.find((name) =>
+    sameDimensions(DefaultUnits.get(name).dimensions, dims)
+  );
+  if (named) {
+    return named;
+  }
+
+  const power = (name, exponent) =>
+    exponent === 1 ? name : `${name}^${exponent}`;
+
+  const numerator = [];
+  const denominator = [];
+  BaseUnits.forEach((name, index) => {
+    if (dims[index] > 0) {
+      numerator.push(power(name, dims[index]));
+    } else if (dims[index] < 0) {
+      denominator.push(power(name, -dims[index]));
+    }
+  });
+
+  if (numerator.length === 0) {
+    // Nothing to divide, so write negative powers, e.g. s^-1.
+    return BaseUnits.map((name, index) => [name, dims[index]])
+      .filter(([_, exponent]) => exponent !== 0)
+      .map(([name, exponent]) => power(name, exponent))
+      .join("*");
+  }
+
+  return [numerator.join("*"), ...denominator].join("/");
+}
+
+export class Unit {
+  /**
+   *
+   * @param {string} name
+   * @param {number} scale The size of the unit in SI base units.
+   * @param {Array<number>} dimensions
+   */
+  constructor(name, scale, dimensions) {
+    this.name = name;
+    this.scale = scale;
+    this.dimensions = dimensions;
+  }
+}
+
+/**
+ * A number with dimensions, e.g. 9.81 m/s^2.
+ */
+export class Quantity {
+  /**
+   *
+   * @param {*} value In SI base units, as a number of the number backend.
+   * @param {Array<number>} dimensions
+   * @param {{value: *, unit: string} | null} display How to show the
+   * quantity when it was converted to a particular unit.
+   */
+  constructor(value, dimensions, display = null) {
+    this.value = value;
+    this.dimensions = dimensions;
+    this.display = display;
+  }
+
+  /**
+   * Treats a plain number as a dimensionless quantity.
+   *
+   * @param {*} value
+   *
+   * @returns {Quantity}
+   */
+  static from(value) {
+    return value instanceof Quantity
+      ? value
+      : new Quantity(value, dimensions());
+  }
+
+  /**
+   * Returns the plain number when there are no dimensions left, so e.g.
+   * 2 m / 1 m carries on as the number 2.
+   *
+   * @returns {* | Quantity}
+   */
+  simplified() {
+    return isDimensionless(this.dimensions) ? this.value : this;
+  }
+
+  /**
+   *
+   * @param {Quantity} other
+   * @param {FloatBackend} numbers
+   *
+   * @returns {Quantity}
+   */
+  add(other, numbers) {
+    this._expectSameDimensions(other, "add");
+    return new Quantity(numbers.add(this.value, other.value), this.dimensions);
+  }
+
+  /**
+   *
+   * @param {Quantity} other
+   * @param {FloatBackend} numbers
+   *
+   * @returns {Quantity}
+   */
+  subtract(other, numbers) {
+    this._expectSameDimensions(other, "subtract");
+    return new Quantity(
+      numbers.subtract(this.value, other.value),
+      this.dimensions
+    );
+  }
+
+  /**
+   *
+   * @param {Quantity} other
+   * @param {FloatBackend} numbers
+   *
+   * @returns {Quantity}
+   */
+  multiply(other, numbers) {
+    return new Quantity(
+      numbers.multiply(this.value, other.value),
+      this.dimensions.map(
+        (exponent, index) => exponent + other.dimensions[index]
+      )
+    );
+  }
+
+  /**
+   *
+   * @param {Quantity} other
+   * @param {FloatBackend} numbers
+   *
+   * @returns {Quantity}
+   */
+  divide(other, numbers) {
+    return new Quantity(
+      numbers.divide(this.value, other.value),
+      this.dimensions.map(
+        (exponent, index) => exponent - other.dimensions[index]
+      )
+    );
+  }
+
+  /**
+   *
+   * @param {*} exponent A dimensionless number.
+   * @param {FloatBackend} numbers
+   *
+   * @returns {Quantity}
+   */
+  power(exponent, numbers) {
+    const factor = numbers.toNumber(exponent);
+    return new Quantity(
+      numbers.power(this.value, exponent),
+      this.dimensions.map((dimension) => dimension * factor)
+    );
+  }
+
+  /**
+   *
+   * @param {Quantity} other
+   * @param {FloatBackend} numbers
+   *
+   * @returns {number} As FloatBackend.compare.
+   */
+  compare(other, numbers) {
+    this._expectSameDimensions(other, "compare");
+    return numbers.compare(this.value, other.value);
+  }
+
+  /**
+   *
+   * @param {FloatBackend} numbers
+   *
+   * @returns {Quantity}
+   */
+  negate(numbers) {
+    return new Quantity(numbers.negate(this.value), this.dimensions);
+  }
+
+  /**
+   * Converts to the given unit, which must have the same dimensions.
+   *
+   * @param {Unit} unit
+   * @param {FloatBackend} numbers
+   *
+   * @returns {Quantity}
+   */
+  convertTo(unit, numbers) {
+    if (!sameDimensions(this.dimensions, unit.dimensions)) {
+      throw new Error(
+        `Cannot convert ${this._unitText()} to ${
+          unit.name
+        }, they measure different things.`
+      );
+    }
+
+    return new Quantity(this.value, this.dimensions, {
+      value: numbers.divide(this.value, numbers.fromNumber(unit.scale)),
+      unit: unit.name,
+    });
+  }
+
+  /**
+   *
+   * @param {(value: *) => string} formatValue
+   *
+   * @returns {string}
+   */
+  toString(formatValue = (value) => `${value}`) {
+    if (this.display) {
+      return `${formatValue(this.display.value)} ${this.display.unit}`;
+    } else {
+      return `${formatValue(this.value)} ${this._unitText()}`;
+    }
+  }
+
+  /**
+   *
+   * @returns {string}
+   */
+  _unitText() {
+    return isDimensionless(this.dimensions)
+      ? "a plain number"
+      : formatDimensions(this.dimensions);
+  }
+
+  /**
+   *
+   * @param {Quantity} other
+   * @param {string} operation
+   */
+  _expectSameDimensions(other, operation) {
+    if (!sameDimensions(this.dimensions, other.dimensions)) {
+      throw new Error(
+        `Cannot ${operation} ${this._unitText()} and ${other._unitText()}.`
+      );
+    }
+  }
+}
+
+/**
+ * The built-in units, including SI prefixed forms such as km and mA.
+ *
+ * @returns {Map<string, Unit>}
+ */
+export function getDefaultUnits() {
+  const out = new Map();
+
+  const define = (name, scale, exponents, prefixable = false) => {
+    out.set(name, new Unit(name, scale, dimensions(exponents)));
+
+    if (prefixable) {
+      for (const [prefix, factor] of Prefixes) {
+        out.set(
+          prefix + name,
+          new Unit(prefix + name, scale * factor, dimensions(exponents))
+        );
+      }
+    }
+  };
+
+  // SI base units. The kilogram is prefixed as the gram.
+  define("m", 1, { m: 1 }, true);
+  define("g", 1e-3, { kg: 1 }, true);
+  define("s", 1, { s: 1 }, true);
+  define("A", 1, { A: 1 }, true);
+  define("K", 1, { K: 1 }, true);
+  define("mol", 1, { mol: 1 }, true);
+  define("cd", 1, { cd: 1 }, true);
+
+  // SI derived units.
+  define("Hz", 1, { s: -1 }, true);
+  define("N", 1, { kg: 1, m: 1, s: -2 }, true);
+  define("Pa", 1, { kg: 1, m: -1, s: -2 }, true);
+  define("J", 1, { kg: 1, m: 2, s: -2 }, true);
+  define("W", 1, { kg: 1, m: 2, s: -3 }, true);
+  define("C", 1, { A: 1, s: 1 }, true);
+  define("V", 1, { kg: 1, m: 2, s: -3, A: -1 }, true);
+  define("ohm", 1, { kg: 1, m: 2, s: -3, A: -2 }, true);
+  define("F", 1, { kg: -1, m: -2, s: 4, A: 2 }, true);
+  define("L", 1e-3, { m: 3 }, true);
+  define("Wh", 3600, { kg: 1, m: 2, s: -2 }, true);
+  define("eV", 1.602176634e-19, { kg: 1, m: 2, s: -2 }, true);
+
+  // Other common units.
+  define("min", 60, { s: 1 });
+  define("h", 3600, { s: 1 });
+  define("day", 86400, { s: 1 });
+  define("inch", 0.0254, { m: 1 });
+  define("ft", 0.3048, { m: 1 });
+  define("mi", 1609.344, { m: 1 });
+  define("lb", 0.45359237, { kg: 1 });
+  define("bar", 1e5, { kg: 1, m: -1, s: -2 });
+  define("atm", 101325, { kg: 1, m: -1, s: -2 });
+  define("cal", 4.184, { kg: 1, m: 2, s: -2 }, true);
+
+  return out;
+}
+
+const DefaultUnits = getDefaultUnits();
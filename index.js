@@ -1,31 +1,230 @@
 import { ComputeEngine } from "./engine/compute_engine.js";
+import { SourceError } from "./engine/errors.js";
+import { Matrix } from "./engine/matrix.js";
+import { MathMLNotation, typesetDefinition } from "./engine/typeset.js";
+import { Plotter } from "./plotter.js";
 
 const variablesListElem = document.getElementById("variablesList");
 const queryInputElem = document.getElementById("queryInput");
 const functionsListElem = document.getElementById("functionsList");
+const diagnosticElem = document.getElementById("diagnostic");
+const plotPanelElem = document.getElementById("plotPanel");
+const helpPanelElem = document.getElementById("helpPanel");
+const helpSearchInputElem = document.getElementById("helpSearchInput");
+const helpListElem = document.getElementById("helpList");
 
 const engine = new ComputeEngine();
+const mathML = new MathMLNotation();
+const plotter = new Plotter(
+  document.getElementById("plotCanvas"),
+  document.getElementById("plotReadout"),
+  (functionName, x) => engine.sample(functionName, x)
+);
+
+// The plot command being shown, to tell a new plot from a redraw.
+let shownPlot = null;
+// Likewise the help command being shown.
+let shownHelp = null;
+
+const SessionStorageKey = "minivac.session";
+
+/**
+ * Lays a matrix out as a grid, rather than on one line as in the input.
+ *
+ * @param {Matrix} matrix
+ *
+ * @returns {string}
+ */
+function matrixHtml(matrix) {
+  const rowsHtml = matrix.rows.map((row) => {
+    const cellsHtml = row.map(
+      (element) => `<td>${engine.format(element)}</td>`
+    );
+    return `<tr>${cellsHtml.join("")}</tr>`;
+  });
+
+  return `<table class="matrix">${rowsHtml.join("")}</table>`;
+}
+
+/**
+ *
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
 
 function updateVariablesList() {
   const childElemsHtml = [];
   for (const variable of engine.symbolsTable.variables) {
-    childElemsHtml.push(`<li>${variable.name} = ${variable.asNumber()}</li>`);
+    const value = variable.asNumber();
+    const valueHtml =
+      value instanceof Matrix ? matrixHtml(value) : engine.format(value);
+
+    if (variable.binding) {
+      // Kept up to date with its expression, unlike a value assigned once.
+      const bindingHtml = escapeHtml(variable.binding.toSource());
+      childElemsHtml.push(
+        `<li class="bound">${variable.name} := ${bindingHtml} = ${valueHtml}</li>`
+      );
+    } else {
+      childElemsHtml.push(`<li>${variable.name} = ${valueHtml}</li>`);
+    }
   }
 
   variablesListElem.innerHTML = childElemsHtml.join("");
 }
 
+/**
+ * Lists the user's functions, with their docstrings. Built-ins are in the
+ * help panel instead.
+ */
 function updateFunctionsListElem() {
   const childElemsHtml = [];
   for (const callable of engine.symbolsTable.callables) {
+    if (callable.isFinal) {
+      continue;
+    }
+
+    const markup = typesetDefinition(callable, mathML);
+    const docHtml = callable.doc
+      ? ` <span class="doc">${escapeHtml(callable.doc)}</span>`
+      : "";
+    childElemsHtml.push(`<li>${mathML.document(markup)}${docHtml}</li>`);
+  }
+
+  functionsListElem.innerHTML = childElemsHtml.join("");
+}
+
+function updatePlot() {
+  const plot = engine.plot;
+  if (plot !== shownPlot) {
+    shownPlot = plot;
+    plotPanelElem.hidden = false;
+    plotter.show(plot.functionNames, plot.from, plot.to);
+  } else if (plot) {
+    // Any query may have redefined a plotted function.
+    plotter.draw();
+  }
+}
+
+/**
+ * Lists the help entries matching the search.
+ */
+function updateHelpList() {
+  const childElemsHtml = [];
+  for (const entry of engine.searchHelp(helpSearchInputElem.value)) {
+    const details = [];
+    if (entry.domain) {
+      details.push(`Domain: ${entry.domain}`);
+    }
+    if (entry.examples.length > 0) {
+      details.push(`Examples: ${entry.examples.join(", ")}`);
+    }
+
+    const detailsHtml = details.map(
+      (detail) => `<div class="helpDetail">${escapeHtml(detail)}</div>`
+    );
     childElemsHtml.push(
-      `<li>${callable.name}(x) = ${callable
-        .asExpression()
-        .debug(engine.symbolsTable)}</li>`
+      `<dt>${escapeHtml(entry.signature)}</dt>` +
+        `<dd>${escapeHtml(entry.description || "")}${detailsHtml.join("")}</dd>`
     );
   }
 
-  functionsListElem.innerHTML = childElemsHtml.join("");
+  helpListElem.innerHTML = childElemsHtml.join("");
+}
+
+function updateHelp() {
+  const help = engine.help;
+  if (help !== shownHelp) {
+    shownHelp = help;
+    helpPanelElem.hidden = false;
+    // The panel lists everything rather than searching for these.
+    const isListing = ["", "operators", "commands"].includes(help.topic);
+    helpSearchInputElem.value = isListing ? "" : help.topic;
+  }
+
+  if (!helpPanelElem.hidden) {
+    // Any query may have defined or documented a function.
+    updateHelpList();
+  }
+}
+
+function saveSession() {
+  try {
+    localStorage.setItem(SessionStorageKey, engine.saveSession());
+  } catch (e) {
+    // Storage may be full or disabled, the session just won't persist.
+    console.debug(e);
+  }
+}
+
+/**
+ * Restores the session saved by the last visit, if any.
+ */
+function restoreSession() {
+  try {
+    // Storage may be disabled, as when saving.
+    const saved = localStorage.getItem(SessionStorageKey);
+    if (saved !== null) {
+      engine.loadSession(saved);
+    }
+  } catch (e) {
+    diagnosticElem.textContent = `Could not restore your last session. ${e.message}`;
+    console.debug(e);
+  }
+}
+
+function exportSession() {
+  const blob = new Blob([engine.saveSession()], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.download = "minivac-session.json";
+  link.href = url;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ *
+ * @param {File} file
+ */
+async function importSession(file) {
+  try {
+    engine.loadSession(await file.text());
+    diagnosticElem.textContent = "";
+  } catch (e) {
+    showError("", e);
+    console.debug(e);
+  }
+
+  saveSession();
+  updateVariablesList();
+  updateFunctionsListElem();
+  updatePlot();
+  updateHelp();
+}
+
+/**
+ * Shows what went wrong below the input, leaving the query for editing.
+ *
+ * @param {string} query
+ * @param {Error} error
+ */
+function showError(query, error) {
+  if (error instanceof SourceError) {
+    diagnosticElem.textContent = error.formatDiagnostic(query);
+    queryInputElem.setSelectionRange(error.start, error.end);
+  } else {
+    diagnosticElem.textContent = `${error}`;
+  }
 }
 
 /**
@@ -33,17 +232,22 @@ function updateFunctionsListElem() {
  * @param {string} query
  */
 function doQuery(query) {
-  let ans = 0;
   try {
-    ans = engine.run(query);
+    const ans = engine.run(query);
+
+    // Help is shown in its panel, leaving the input ready for the next query.
+    queryInputElem.value = engine.help !== shownHelp ? "" : engine.format(ans);
+    diagnosticElem.textContent = "";
   } catch (e) {
-    ans = `${e}`;
+    showError(query, e);
     console.debug(e);
   }
 
-  queryInputElem.value = `${ans}`;
+  saveSession();
   updateVariablesList();
   updateFunctionsListElem();
+  updatePlot();
+  updateHelp();
 }
 
 queryInputElem.addEventListener("keypress", (event) => {
@@ -53,5 +257,29 @@ queryInputElem.addEventListener("keypress", (event) => {
   }
 });
 
+document
+  .getElementById("exportSessionButton")
+  .addEventListener("click", () => exportSession());
+
+const importSessionInputElem = document.getElementById("importSessionInput");
+importSessionInputElem.addEventListener("change", () => {
+  const file = importSessionInputElem.files[0];
+  if (file) {
+    importSession(file);
+    // Let the same file be imported again.
+    importSessionInputElem.value = "";
+  }
+});
+
+helpSearchInputElem.addEventListener("input", () => updateHelpList());
+
+document
+  .getElementById("exportPngButton")
+  .addEventListener("click", () => plotter.exportPng());
+document
+  .getElementById("exportSvgButton")
+  .addEventListener("click", () => plotter.exportSvg());
+
+restoreSession();
 updateVariablesList();
 updateFunctionsListElem();
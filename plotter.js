@@ -0,0 +1,556 @@
+// Plots functions of one variable on a canvas, with pan, zoom and a
+// readout of the values under the mouse.
+//
+// Each drawing is first built as a scene of lines, curves and text in
+// canvas pixels, so the same scene can be painted on the canvas or written
+// out as SVG.
+
+const Colours = [
+  "royalblue",
+  "crimson",
+  "seagreen",
+  "darkorange",
+  "purple",
+  "teal",
+];
+
+const GridColour = "#ddd";
+const AxisColour = "#555";
+const LabelColour = "#555";
+
+// Fraction of the y range left empty above and below the curves.
+const Padding = 0.1;
+
+// Fraction of samples ignored at either end when choosing the y range, so
+// asymptotes such as tan's don't squash the rest of the plot.
+const Outliers = 0.02;
+
+/**
+ * A round step of about range / count, i.e. 1, 2 or 5 times a power of 10.
+ *
+ * @param {number} range
+ * @param {number} count
+ *
+ * @returns {number}
+ */
+function niceStep(range, count) {
+  const raw = range / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const residual = raw / magnitude;
+
+  if (residual < 1.5) {
+    return magnitude;
+  } else if (residual < 3) {
+    return 2 * magnitude;
+  } else if (residual < 7) {
+    return 5 * magnitude;
+  } else {
+    return 10 * magnitude;
+  }
+}
+
+/**
+ * Writes value with only as many decimals as the step between labels
+ * needs.
+ *
+ * @param {number} value
+ * @param {number} step
+ *
+ * @returns {string}
+ */
+function formatTick(value, step) {
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+  const text = value.toFixed(Math.min(decimals, 20));
+
+  return Number(text) === 0 ? "0" : text;
+}
+
+/**
+ *
+ * @param {number} value
+ *
+ * @returns {string}
+ */
+function formatReadout(value) {
+  return Number.isFinite(value) ? `${Number(value.toPrecision(6))}` : "none";
+}
+
+/**
+ *
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+export class Plotter {
+  /**
+   *
+   * @param {HTMLCanvasElement} canvas
+   * @param {HTMLElement} readoutElem Where the values under the mouse are
+   * shown.
+   * @param {(functionName: string, x: number) => number} sample Evaluates a
+   * function, giving NaN where it has no value.
+   */
+  constructor(canvas, readoutElem, sample) {
+    this.canvas = canvas;
+    this.readoutElem = readoutElem;
+    this.sample = sample;
+
+    this.functionNames = [];
+
+    // The visible region, in the functions' coordinates.
+    this.view = { xMin: -10, xMax: 10, yMin: -1, yMax: 1 };
+
+    // Where a drag to pan started, in canvas pixels, and the view then.
+    this._drag = null;
+
+    canvas.addEventListener("mousedown", (event) => this._onMouseDown(event));
+    window.addEventListener("mousemove", (event) => this._onMouseMove(event));
+    window.addEventListener("mouseup", () => {
+      this._drag = null;
+    });
+    canvas.addEventListener("mouseleave", () => {
+      this.readoutElem.textContent = "";
+      this.draw();
+    });
+    canvas.addEventListener("wheel", (event) => this._onWheel(event));
+  }
+
+  /**
+   * Plots the named functions from a to b, choosing the y range to fit.
+   *
+   * @param {Array<string>} functionNames
+   * @param {number} from
+   * @param {number} to
+   */
+  show(functionNames, from, to) {
+    this.functionNames = functionNames;
+    this.view = { xMin: from, xMax: to, ...this._fitYRange(from, to) };
+    this.draw();
+  }
+
+  /**
+   * Draws the functions as they are now defined, keeping the view.
+   */
+  draw() {
+    this._paint(this._buildScene());
+  }
+
+  exportPng() {
+    this._download("plot.png", this.canvas.toDataURL("image/png"));
+  }
+
+  exportSvg() {
+    const blob = new Blob([this.toSvg()], { type: "image/svg+xml" });
+    const url = URL.createObjectURL(blob);
+
+    this._download("plot.svg", url);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   *
+   * @returns {string}
+   */
+  toSvg() {
+    const scene = this._buildScene();
+    const out = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${scene.width}" height="${scene.height}" viewBox="0 0 ${scene.width} ${scene.height}">`,
+      `<rect width="100%" height="100%" fill="white" />`,
+    ];
+
+    for (const line of scene.lines) {
+      out.push(
+        `<line x1="${line.x1}" y1="${line.y1}" x2="${line.x2}" y2="${line.y2}" stroke="${line.colour}" stroke-width="${line.width}" />`
+      );
+    }
+
+    for (const curve of scene.curves) {
+      for (const segment of curve.segments) {
+        const points = segment.map(([x, y]) => `${x},${y.toFixed(2)}`);
+        out.push(
+          `<polyline points="${points.join(" ")}" fill="none" stroke="${
+            curve.colour
+          }" stroke-width="2" />`
+        );
+      }
+    }
+
+    for (const text of scene.texts) {
+      out.push(
+        `<text x="${text.x}" y="${text.y}" fill="${text.colour}" text-anchor="${
+          text.align === "left" ? "start" : "end"
+        }" font-family="sans-serif" font-size="12">${escapeXml(
+          text.text
+        )}</text>`
+      );
+    }
+
+    out.push("</svg>");
+    return out.join("\n");
+  }
+
+  /**
+   *
+   * @param {number} px
+   *
+   * @returns {number}
+   */
+  _xAt(px) {
+    const { xMin, xMax } = this.view;
+    return xMin + (px / this.canvas.width) * (xMax - xMin);
+  }
+
+  /**
+   *
+   * @param {number} x
+   *
+   * @returns {number}
+   */
+  _pxAt(x) {
+    const { xMin, xMax } = this.view;
+    return ((x - xMin) / (xMax - xMin)) * this.canvas.width;
+  }
+
+  /**
+   *
+   * @param {number} y
+   *
+   * @returns {number}
+   */
+  _pyAt(y) {
+    const { yMin, yMax } = this.view;
+    return ((yMax - y) / (yMax - yMin)) * this.canvas.height;
+  }
+
+  /**
+   * Chooses a y range showing most of the functions' values from a to b.
+   *
+   * @param {number} from
+   * @param {number} to
+   *
+   * @returns {{yMin: number, yMax: number}}
+   */
+  _fitYRange(from, to) {
+    const count = this.canvas.width;
+    const ys = [];
+    for (const name of this.functionNames) {
+      for (let px = 0; px <= count; px++) {
+        const y = this.sample(name, from + (px / count) * (to - from));
+        if (Number.isFinite(y)) {
+          ys.push(y);
+        }
+      }
+    }
+
+    if (ys.length === 0) {
+      return { yMin: -1, yMax: 1 };
+    }
+
+    ys.sort((a, b) => a - b);
+    const skip = Math.floor(ys.length * Outliers);
+    let yMin = ys[skip];
+    let yMax = ys[ys.length - 1 - skip];
+    if (yMax - yMin < 1e-12) {
+      yMin -= 1;
+      yMax += 1;
+    }
+
+    const padding = (yMax - yMin) * Padding;
+    return { yMin: yMin - padding, yMax: yMax + padding };
+  }
+
+  /**
+   * Samples a function once per pixel across the view, splitting the curve
+   * where it has no value or jumps by more than the plot's height, as tan
+   * does at its asymptotes.
+   *
+   * @param {string} name
+   *
+   * @returns {Array<Array<[number, number]>>} The curve's segments, in
+   * canvas pixels.
+   */
+  _traceCurve(name) {
+    const height = this.canvas.height;
+    const segments = [];
+    let segment = [];
+
+    for (let px = 0; px <= this.canvas.width; px++) {
+      const y = this.sample(name, this._xAt(px));
+      // Keep points far off the canvas within a range it can draw.
+      const py = Math.max(-height, Math.min(2 * height, this._pyAt(y)));
+      const previous = segment[segment.length - 1];
+
+      if (
+        !Number.isFinite(y) ||
+        (previous && Math.abs(py - previous[1]) > height)
+      ) {
+        if (segment.length > 1) {
+          segments.push(segment);
+        }
+
+        segment = Number.isFinite(y) ? [[px, py]] : [];
+      } else {
+        segment.push([px, py]);
+      }
+    }
+
+    if (segment.length > 1) {
+      segments.push(segment);
+    }
+
+    return segments;
+  }
+
+  /**
+   *
+   * @returns {{width: number, height: number, lines: Array<Object>, curves: Array<Object>, texts: Array<Object>}}
+   */
+  _buildScene() {
+    const { xMin, xMax, yMin, yMax } = this.view;
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    const lines = [];
+    const texts = [];
+
+    const xStep = niceStep(xMax - xMin, 10);
+    for (let k = Math.ceil(xMin / xStep); k * xStep <= xMax; k++) {
+      const x = k * xStep;
+      const px = Math.round(this._pxAt(x)) + 0.5;
+      lines.push({
+        x1: px,
+        y1: 0,
+        x2: px,
+        y2: height,
+        colour: GridColour,
+        width: 1,
+      });
+      texts.push({
+        x: px - 3,
+        y: height - 4,
+        text: formatTick(x, xStep),
+        colour: LabelColour,
+        align: "right",
+      });
+    }
+
+    const yStep = niceStep(yMax - yMin, 8);
+    for (let k = Math.ceil(yMin / yStep); k * yStep <= yMax; k++) {
+      const y = k * yStep;
+      const py = Math.round(this._pyAt(y)) + 0.5;
+      lines.push({
+        x1: 0,
+        y1: py,
+        x2: width,
+        y2: py,
+        colour: GridColour,
+        width: 1,
+      });
+      texts.push({
+        x: width - 4,
+        y: py - 3,
+        text: formatTick(y, yStep),
+        colour: LabelColour,
+        align: "right",
+      });
+    }
+
+    if (xMin <= 0 && 0 <= xMax) {
+      const px = Math.round(this._pxAt(0)) + 0.5;
+      lines.push({
+        x1: px,
+        y1: 0,
+        x2: px,
+        y2: height,
+        colour: AxisColour,
+        width: 1,
+      });
+    }
+
+    if (yMin <= 0 && 0 <= yMax) {
+      const py = Math.round(this._pyAt(0)) + 0.5;
+      lines.push({
+        x1: 0,
+        y1: py,
+        x2: width,
+        y2: py,
+        colour: AxisColour,
+        width: 1,
+      });
+    }
+
+    const curves = this.functionNames.map((name, index) => {
+      const colour = Colours[index % Colours.length];
+      texts.push({
+        x: 8,
+        y: 18 * (index + 1),
+        text: name,
+        colour,
+        align: "left",
+      });
+
+      return { colour, segments: this._traceCurve(name) };
+    });
+
+    return { width, height, lines, curves, texts };
+  }
+
+  /**
+   *
+   * @param {Object} scene See _buildScene.
+   */
+  _paint(scene) {
+    const context = this.canvas.getContext("2d");
+
+    context.fillStyle = "white";
+    context.fillRect(0, 0, scene.width, scene.height);
+
+    for (const line of scene.lines) {
+      context.strokeStyle = line.colour;
+      context.lineWidth = line.width;
+      context.beginPath();
+      context.moveTo(line.x1, line.y1);
+      context.lineTo(line.x2, line.y2);
+      context.stroke();
+    }
+
+    context.lineWidth = 2;
+    for (const curve of scene.curves) {
+      context.strokeStyle = curve.colour;
+      for (const segment of curve.segments) {
+        context.beginPath();
+        segment.forEach(([x, y], index) =>
+          index === 0 ? context.moveTo(x, y) : context.lineTo(x, y)
+        );
+        context.stroke();
+      }
+    }
+
+    context.font = "12px sans-serif";
+    for (const text of scene.texts) {
+      context.fillStyle = text.colour;
+      context.textAlign = text.align;
+      context.fillText(text.text, text.x, text.y);
+    }
+  }
+
+  /**
+   * The position of a mouse event in canvas pixels, allowing for the canvas
+   * being scaled by CSS.
+   *
+   * @param {MouseEvent} event
+   *
+   * @returns {[number, number]}
+   */
+  _canvasPoint(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return [
+      ((event.clientX - rect.left) / rect.width) * this.canvas.width,
+      ((event.clientY - rect.top) / rect.height) * this.canvas.height,
+    ];
+  }
+
+  /**
+   *
+   * @param {MouseEvent} event
+   */
+  _onMouseDown(event) {
+    this._drag = { point: this._canvasPoint(event), view: { ...this.view } };
+  }
+
+  /**
+   * Pans while dragging, otherwise shows the values under the mouse.
+   *
+   * @param {MouseEvent} event
+   */
+  _onMouseMove(event) {
+    const [px, py] = this._canvasPoint(event);
+
+    if (this._drag) {
+      const { point, view } = this._drag;
+      const dx =
+        ((px - point[0]) / this.canvas.width) * (view.xMax - view.xMin);
+      const dy =
+        ((py - point[1]) / this.canvas.height) * (view.yMax - view.yMin);
+
+      this.view = {
+        xMin: view.xMin - dx,
+        xMax: view.xMax - dx,
+        yMin: view.yMin + dy,
+        yMax: view.yMax + dy,
+      };
+      this.draw();
+    } else if (event.target === this.canvas && this.functionNames.length > 0) {
+      this._showReadout(px);
+    }
+  }
+
+  /**
+   * Zooms in or out around the mouse.
+   *
+   * @param {WheelEvent} event
+   */
+  _onWheel(event) {
+    event.preventDefault();
+
+    const [px, py] = this._canvasPoint(event);
+    const x = this._xAt(px);
+    const y =
+      this.view.yMax -
+      (py / this.canvas.height) * (this.view.yMax - this.view.yMin);
+    const factor = Math.exp(event.deltaY * 0.001);
+
+    this.view = {
+      xMin: x - (x - this.view.xMin) * factor,
+      xMax: x + (this.view.xMax - x) * factor,
+      yMin: y - (y - this.view.yMin) * factor,
+      yMax: y + (this.view.yMax - y) * factor,
+    };
+    this.draw();
+    this._showReadout(px);
+  }
+
+  /**
+   * Shows each function's (x, y) at the given column and marks the points.
+   *
+   * @param {number} px
+   */
+  _showReadout(px) {
+    const x = this._xAt(px);
+    const context = this.canvas.getContext("2d");
+    const readouts = [];
+
+    this.draw();
+    this.functionNames.forEach((name, index) => {
+      const y = this.sample(name, x);
+      readouts.push(`${name}: (${formatReadout(x)}, ${formatReadout(y)})`);
+
+      if (Number.isFinite(y)) {
+        context.fillStyle = Colours[index % Colours.length];
+        context.beginPath();
+        context.arc(px, this._pyAt(y), 4, 0, 2 * Math.PI);
+        context.fill();
+      }
+    });
+
+    this.readoutElem.textContent = readouts.join("   ");
+  }
+
+  /**
+   *
+   * @param {string} fileName
+   * @param {string} url
+   */
+  _download(fileName, url) {
+    const link = document.createElement("a");
+    link.download = fileName;
+    link.href = url;
+    link.click();
+  }
+}
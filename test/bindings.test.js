@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Variables bound with :=. Run with node --test.
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function evaluate(engine, text) {
+  return engine.format(engine.run(text));
+}
+
+test("works a binding out again when what it uses changes", () => {
+  const engine = new ComputeEngine();
+  engine.run("r = 1");
+  engine.run("f(x) = 2x");
+  engine.run("area := pi r^2");
+  engine.run("d := f(r)");
+
+  engine.run("r = 2");
+  assert.equal(evaluate(engine, "area"), "12.566370614359172");
+  assert.equal(evaluate(engine, "d"), "4");
+
+  engine.run("f(x) = 3x");
+  assert.equal(evaluate(engine, "d"), "6");
+});
+
+test("works a binding out straight away", () => {
+  const engine = new ComputeEngine();
+
+  assert.throws(() => engine.run("a := b + 1"), /b/);
+  assert.equal(engine.symbolsTable.hasVariable("a"), false);
+
+  engine.run("b = 1");
+  engine.run("a := b + 1");
+  assert.equal(evaluate(engine, "a"), "2");
+});
+
+test("refuses bindings to ans and preans", () => {
+  const engine = new ComputeEngine();
+  engine.run("g(t) = t + ans");
+
+  for (const input of ["w := 1/ans", "w := preans + 1", "w := g(1)"]) {
+    assert.throws(
+      () => engine.run(input),
+      /can't be bound to (ans|preans), which every result changes/,
+      input
+    );
+  }
+  assert.throws(() => engine.run("w := g(1)"), /as w calls g, which uses ans/);
+
+  // Nor can a function a binding uses be changed to use them.
+  engine.run("h(t) = t");
+  engine.run("v := h(1)");
+  assert.throws(() => engine.run("h(t) = ans"), /v can't be bound to ans/);
+  assert.equal(evaluate(engine, "h(5)"), "5");
+});
+
+test("keeps a failing binding from breaking other queries", () => {
+  const engine = new ComputeEngine();
+
+  // As every query changes ans, a binding to it could fail any of them.
+  engine.run("7");
+  assert.throws(() => engine.run("w := 1/ans"));
+  engine.run("5");
+  assert.equal(evaluate(engine, "0"), "0");
+  assert.equal(evaluate(engine, "ans"), "0");
+  assert.equal(evaluate(engine, "preans"), "0");
+
+  // A change that fails a binding is taken back, and nothing else is.
+  engine.run("a = 2");
+  engine.run("b := 1/a");
+  engine.run("c := b + 1");
+  assert.throws(() => engine.run("a = 0"), /Cannot work out b := 1\/a/);
+  assert.equal(evaluate(engine, "a"), "2");
+  assert.equal(evaluate(engine, "b"), "0.5");
+  assert.equal(evaluate(engine, "c"), "1.5");
+  assert.equal(evaluate(engine, "2 + 3"), "5");
+  assert.equal(evaluate(engine, "ans"), "5");
+});
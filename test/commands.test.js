@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Commands such as plot and latex, and the names they take. Run with
+// node --test.
+
+const Commands = [
+  "mode",
+  "display",
+  "plot",
+  "latex",
+  "simplify",
+  "depth",
+  "memo",
+  "help",
+];
+
+test("refuses command names as names", () => {
+  const engine = new ComputeEngine();
+
+  for (const command of Commands) {
+    for (const input of [
+      `${command} = 2`,
+      `${command}(x) = x*2`,
+      `${command} := 1`,
+      `f(${command}) = 1`,
+    ]) {
+      assert.throws(
+        () => engine.run(input),
+        new RegExp(`${command} is a command, so it can't be used as a name`),
+        input
+      );
+    }
+  }
+
+  assert.throws(
+    () => engine.registerFunction({ name: "plot", impl: (x) => x }),
+    /plot can't be used as a name/
+  );
+});
+
+test("runs a command rather than reading it as a symbol", () => {
+  const engine = new ComputeEngine();
+
+  engine.run("depth(3)");
+  engine.run("f(n) = if(n < 1, 0, f(n - 1))");
+  assert.throws(() => engine.run("f(10)"), /nested calls/);
+
+  assert.throws(() => engine.run("mode * 3"), /Expected mode float/);
+  assert.throws(() => engine.run("plot + 1"), /Expected plot f, g/);
+});
+
+test("keeps names that only start like a command", () => {
+  const engine = new ComputeEngine();
+  engine.run("modes = 2");
+  engine.run("plotter(x) = x + 1");
+
+  assert.equal(engine.format(engine.run("modes * 3")), "6");
+  assert.equal(engine.format(engine.run("plotter(1)")), "2");
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+import { Frame, Variable } from "../engine/parser.js";
+
+// Functions compiled to closures, which must give what walking their
+// expression trees does. Run with node --test.
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {() => *} fn
+ *
+ * @returns {string} What fn gives, or the error it throws.
+ */
+function outcome(engine, fn) {
+  try {
+    return engine.format(fn());
+  } catch (e) {
+    return `Error: ${e.message}`;
+  }
+}
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} name A function of x.
+ * @param {*} x
+ *
+ * @returns {[string, string]} The compiled and interpreted outcomes.
+ */
+function both(engine, name, x) {
+  const symbolsTable = engine.symbolsTable;
+  const callable = symbolsTable.getCallable(name);
+
+  return [
+    outcome(engine, () => callable.call([x], symbolsTable)),
+    outcome(engine, () => {
+      symbolsTable.pushFrame(new Frame(name, [new Variable("x", x, false)]));
+      try {
+        return callable.asExpression().eval(symbolsTable);
+      } finally {
+        symbolsTable.popFrame();
+      }
+    }),
+  ];
+}
+
+const Definitions = [
+  "f(x) = x^3 - a*x^2 + sin(x)/x + 1",
+  "g(x) = (x - 1)^0.5 + 2^x",
+  "h(x) = if(x < 2 and x != 0, 1/x, x!)",
+  "k(x) = max(x, 1, 2) + mod(x, 3)",
+];
+
+test("gives the interpreted results in every number mode", () => {
+  for (const mode of ["float", "exact", "decimal", "programmer"]) {
+    const engine = new ComputeEngine();
+    engine.run(`mode ${mode}`);
+    engine.run("a = 2");
+    for (const definition of Definitions) {
+      engine.run(definition);
+    }
+
+    for (const name of ["f", "g", "h", "k"]) {
+      for (const x of [-3, -0.5, 1, 2.5, 4]) {
+        if (mode === "programmer" && !Number.isInteger(x)) {
+          continue;
+        }
+
+        const value = engine.symbolsTable.numbers.fromNumber(x);
+        const [compiled, interpreted] = both(engine, name, value);
+        assert.equal(compiled, interpreted, `${mode} ${name}(${x})`);
+      }
+    }
+  }
+});
+
+test("reports errors as interpreting does", () => {
+  const engine = new ComputeEngine();
+  engine.run("f(x) = x / (x - 1)");
+
+  assert.throws(() => engine.run("f(1)"), /Cannot divide by zero\. \(in f\)/);
+  assert.equal(engine.format(engine.run("f(2)")), "2");
+});
+
+test("compiles again once a missing variable is defined", () => {
+  const engine = new ComputeEngine();
+  engine.run("h(x) = x + b");
+
+  assert.throws(() => engine.run("h(1)"), /b is not a stored variable/);
+  engine.run("b = 5");
+  assert.equal(engine.format(engine.run("h(1)")), "6");
+  engine.run("b = 7");
+  assert.equal(engine.format(engine.run("h(1)")), "8");
+});
+
+test("calls a function again once it is redefined", () => {
+  const engine = new ComputeEngine();
+  engine.run("g(x) = 0");
+  engine.run("f(x) = x + g(x)");
+  assert.equal(engine.format(engine.run("f(2)")), "2");
+
+  engine.run("g(x) = 10");
+  assert.equal(engine.format(engine.run("f(2)")), "12");
+  engine.run("g(x, y) = x + y");
+  assert.throws(
+    () => engine.run("f(2)"),
+    /expects 2 arguments but was given 1/
+  );
+});
@@ -0,0 +1,96 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Complex numbers, written with the imaginary unit i. Run with
+// node --test.
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function evaluate(engine, text) {
+  return engine.format(engine.run(text));
+}
+
+test("does arithmetic on complex numbers", () => {
+  const engine = new ComputeEngine();
+  const cases = [
+    ["i^2", "-1"],
+    ["(1 + 2i)*(3 - i)", "5 + 5i"],
+    ["(1 + 2i)/(1 - i)", "-0.5 + 1.5i"],
+    ["(-8)^(1/3)", "1 + 1.732050807568877i"],
+    ["exp(i*pi)", "-1 + 1.2246467991473532e-16i"],
+    ["sin(i)", "1.1752011936438014i"],
+  ];
+
+  for (const [input, value] of cases) {
+    assert.equal(evaluate(engine, input), value, input);
+  }
+});
+
+test("takes complex numbers apart", () => {
+  const engine = new ComputeEngine();
+  engine.run("z = 2 - i");
+  const cases = [
+    ["re(3 + 4i)", "3"],
+    ["im(3 + 4i)", "4"],
+    ["conj(3 + 4i)", "3 - 4i"],
+    ["abs(3 + 4i)", "5"],
+    ["arg(i)", "1.5707963267948966"],
+    ["z*conj(z)", "5"],
+  ];
+
+  for (const [input, value] of cases) {
+    assert.equal(evaluate(engine, input), value, input);
+  }
+});
+
+test("passes complex numbers to user functions", () => {
+  const engine = new ComputeEngine();
+  engine.run("f(x) = x^2 + 1");
+
+  assert.equal(evaluate(engine, "f(i)"), "0");
+  assert.equal(evaluate(engine, "f(1 + i)"), "1 + 2i");
+});
+
+test("shows complex numbers in polar form when asked", () => {
+  const engine = new ComputeEngine();
+
+  engine.run("display polar");
+  assert.equal(
+    evaluate(engine, "1 + i"),
+    "1.4142135623730951 ∠ 0.7853981633974483"
+  );
+  engine.run("display rectangular");
+  assert.equal(evaluate(engine, "1 + i"), "1 + i");
+  assert.throws(
+    () => engine.run("display sideways"),
+    /Expected display rectangular or display polar\./
+  );
+});
+
+test("keeps exact parts in exact mode", () => {
+  const engine = new ComputeEngine();
+  engine.run("mode exact");
+
+  assert.equal(evaluate(engine, "(1/3 + i)*3"), "1 + 3i");
+});
+
+test("refuses to order complex numbers or change i", () => {
+  const engine = new ComputeEngine();
+
+  assert.throws(
+    () => engine.run("1 + i < 2"),
+    /Complex numbers cannot be ordered\./
+  );
+  assert.throws(
+    () => engine.run("max(i, 1)"),
+    /Expected a real number for x1 but was given i\./
+  );
+  assert.throws(() => engine.run("i = 2"), /Cannot modify i/);
+});
@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Comparisons, truth values, if and piecewise functions. Run with
+// node --test.
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function evaluate(engine, text) {
+  return engine.format(engine.run(text));
+}
+
+test("compares numbers and combines truth values", () => {
+  const engine = new ComputeEngine();
+  const cases = [
+    ["1 < 2", "true"],
+    ["2 <= 2", "true"],
+    ["3 > 4", "false"],
+    ["3 >= 4", "false"],
+    ["1 == 1", "true"],
+    ["1 != 1", "false"],
+    ["0.1 + 0.2 == 0.3", "false"],
+    ["true and false", "false"],
+    ["true or false", "true"],
+    ["not true", "false"],
+  ];
+
+  for (const [input, value] of cases) {
+    assert.equal(evaluate(engine, input), value, input);
+  }
+});
+
+test("tells == from assignment", () => {
+  const engine = new ComputeEngine();
+
+  assert.throws(() => engine.run("y == 3"), /y is not a stored variable/);
+  engine.run("y = 3");
+  assert.equal(evaluate(engine, "y == 3"), "true");
+  engine.run("x = 1 == 1");
+  assert.equal(evaluate(engine, "x"), "true");
+});
+
+test("only works out the branch of if that is taken", () => {
+  const engine = new ComputeEngine();
+  engine.run("myabs(x) = if(x < 0, -x, x)");
+
+  assert.equal(evaluate(engine, "if(1 < 2, 10, 1/0)"), "10");
+  assert.equal(evaluate(engine, "if(1 > 2, 1/0, 20)"), "20");
+  assert.equal(evaluate(engine, "myabs(-3)"), "3");
+  assert.equal(evaluate(engine, "myabs(4)"), "4");
+});
+
+test("defines functions piecewise", () => {
+  const engine = new ComputeEngine();
+  engine.run("step(x) = 0 if x < 0, 1 otherwise");
+  engine.run("sg(x) = -1 if x < 0, 1 if x > 0");
+
+  assert.equal(evaluate(engine, "step(-1)"), "0");
+  assert.equal(evaluate(engine, "step(2)"), "1");
+  assert.equal(evaluate(engine, "sg(-5)"), "-1");
+  assert.equal(evaluate(engine, "sg(5)"), "1");
+  assert.throws(() => engine.run("sg(0)"), /None of the conditions hold\./);
+});
+
+test("refuses to mix truth values and numbers", () => {
+  const engine = new ComputeEngine();
+  const cases = [
+    ["if(1, 2, 3)", /The condition 1 must be true or false, not 1\./],
+    ["true + 1", /\+ needs numbers, not truth values\./],
+    [
+      "1 and true",
+      /and needs two truth values or two numbers, not one of each\./,
+    ],
+  ];
+
+  for (const [input, message] of cases) {
+    assert.throws(() => engine.run(input), message, input);
+  }
+});
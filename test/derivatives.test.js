@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Symbolic derivatives, as written out by diff. Run with node --test.
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} body What to differentiate with respect to x.
+ *
+ * @returns {string} The derivative, simplified.
+ */
+function derivative(engine, body) {
+  engine.run(`d(x) = diff(${body}, x)`);
+  return engine.symbolsTable.getCallable("d").asExpression().toSource();
+}
+
+test("writes out derivatives simplified", () => {
+  const engine = new ComputeEngine();
+  engine.run("a = 3");
+  const cases = [
+    ["x^3", "3*x^2"],
+    ["a*x", "a"],
+    ["3*x^2 + 2*x + 1", "6*x + 2"],
+    ["x^x", "x^x*(ln(x) + 1)"],
+    ["e^x", "e^x"],
+    ["e^(2*x)", "2*e^(2*x)"],
+    ["x*e^x", "e^x + x*e^x"],
+    ["2^x", "2^x*ln(2)"],
+    ["a^x", "a^x*ln(a)"],
+    ["x^a", "a*x^(a - 1)"],
+    ["ln(x)", "1/x"],
+    ["ln(x^2)", "2/x"],
+    ["ln(sin(x))", "cos(x)/sin(x)"],
+    ["1/x", "-1/x^2"],
+    ["x/x", "0"],
+    ["x^2/x", "1"],
+    ["x/(x + 1)", "1/(x + 1)^2"],
+    ["sin(x)/x", "(x*cos(x) - sin(x))/x^2"],
+    ["sin(x)*x", "x*cos(x) + sin(x)"],
+    ["sin(x)^2", "2*cos(x)*sin(x)"],
+    ["sqrt(x)", "1/(2*sqrt(x))"],
+    ["tan(x)", "1/cos(x)^2"],
+  ];
+
+  for (const [body, source] of cases) {
+    assert.equal(derivative(engine, body), source, body);
+  }
+});
+
+test("keeps ln(e) when e is a parameter", () => {
+  const engine = new ComputeEngine();
+  engine.run("g(e) = diff(e^t, t)");
+
+  assert.equal(
+    engine.symbolsTable.getCallable("g").asExpression().toSource(),
+    "e^t*ln(e)"
+  );
+});
+
+test("works out the derivatives it writes", () => {
+  const engine = new ComputeEngine();
+  engine.run("d(x) = diff(x^x, x)");
+
+  assert.equal(engine.format(engine.run("d(1)")), "1");
+  assert.equal(engine.format(engine.run("d(2)")), "6.772588722239782");
+});
+
+test("refuses what it can't differentiate", () => {
+  const engine = new ComputeEngine();
+
+  assert.throws(
+    () => engine.run("d(x) = diff(x!, x)"),
+    /Cannot differentiate x!\./
+  );
+  assert.throws(() => engine.run("diff(x^2)"), /diff needs a variable/);
+});
@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+import { EvalError, ParseError } from "../engine/errors.js";
+
+// Errors point at the span of the source they were raised for. Run with
+// node --test.
+
+/**
+ *
+ * @param {string} text
+ *
+ * @returns {Error} What running text throws.
+ */
+function errorFrom(text) {
+  const engine = new ComputeEngine();
+  engine.run("f(x) = 1/(x - 1)");
+  engine.run("hyp(a, b) = (a^2 + b^2)^0.5");
+
+  try {
+    engine.run(text);
+  } catch (e) {
+    return e;
+  }
+  assert.fail(`${text} did not throw`);
+}
+
+// What may start an expression.
+const Operands = ["a number", "a variable", "a function call", "(", "["];
+
+test("gives parse errors their position, what was expected and found", () => {
+  const cases = [
+    ["1 +", "Unexpected end of expression.", 3, 3, Operands, ""],
+    ["(1 + 2", "Unmatched brackets.", 0, 1, [")"], ""],
+    ["1 + 2)", "Unmatched brackets.", 5, 6, ["an operator"], ")"],
+    ["1 $ 2", "Unknown symbol $ in source.", 2, 3, [], "$"],
+    ["2 3", "Missing operator before 3.", 2, 3, ["an operator"], "3"],
+    ["hyp", "Expected ( after hyp.", 3, 3, ["("], ""],
+  ];
+
+  for (const [text, message, start, end, expected, found] of cases) {
+    const error = errorFrom(text);
+    assert.ok(error instanceof ParseError, text);
+    assert.equal(error.message, message, text);
+    assert.deepEqual(
+      [error.start, error.end, error.expected, error.found],
+      [start, end, expected, found],
+      text
+    );
+  }
+});
+
+test("gives evaluation errors the span of the expression that failed", () => {
+  const quotient = errorFrom("1 + 1/0");
+  assert.ok(quotient instanceof EvalError);
+  assert.deepEqual([quotient.start, quotient.end], [4, 7]);
+
+  const call = errorFrom("2 * f(1)");
+  assert.equal(call.message, "Cannot divide by zero. (in f)");
+  assert.equal(call.reason, "Cannot divide by zero.");
+  assert.deepEqual(call.trace, ["f"]);
+  assert.deepEqual([call.start, call.end], [4, 8]);
+});
+
+test("underlines the span and lists what was expected", () => {
+  assert.equal(
+    errorFrom("1 + * 2").formatDiagnostic("1 + * 2"),
+    [
+      "1 + * 2",
+      "    ^",
+      "Expression cannot start with *.",
+      "Expected a number, a variable, a function call, ( or [.",
+    ].join("\n")
+  );
+  assert.equal(
+    errorFrom("(1 + 2").formatDiagnostic("(1 + 2"),
+    "(1 + 2\n^\nUnmatched brackets.\nExpected )."
+  );
+  assert.equal(
+    errorFrom("1 + 1/0").formatDiagnostic("1 + 1/0"),
+    "1 + 1/0\n    ^^^\nCannot divide by zero."
+  );
+  assert.equal(
+    errorFrom("1 +").formatDiagnostic("1 +"),
+    [
+      "1 +",
+      "   ^",
+      "Unexpected end of expression.",
+      "Expected a number, a variable, a function call, ( or [.",
+    ].join("\n")
+  );
+});
@@ -0,0 +1,101 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Factorials, the gamma function and counting built-ins. Run with
+// node --test.
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function evaluate(engine, text) {
+  return engine.format(engine.run(text));
+}
+
+test("takes factorials of any number but negative whole ones", () => {
+  const engine = new ComputeEngine();
+  const cases = [
+    ["0!", "1"],
+    ["5!", "120"],
+    ["2.5!", "3.3233509704478426"],
+    ["0.5!", "0.8862269254527587"],
+    ["(-2.5)!", "2.363271801207352"],
+    ["170!", "7.257415615307994e+306"],
+    ["200!", "Infinity"],
+  ];
+
+  for (const [input, value] of cases) {
+    assert.equal(evaluate(engine, input), value, input);
+  }
+  assert.throws(
+    () => engine.run("(-1)!"),
+    /Factorial is undefined for negative whole numbers\./
+  );
+});
+
+test("takes double factorials of whole numbers from -1", () => {
+  const engine = new ComputeEngine();
+  const cases = [
+    ["7!!", "105"],
+    ["8!!", "384"],
+    ["0!!", "1"],
+    ["(-1)!!", "1"],
+  ];
+
+  for (const [input, value] of cases) {
+    assert.equal(evaluate(engine, input), value, input);
+  }
+  assert.throws(
+    () => engine.run("(-2)!!"),
+    /Double factorial needs a whole number of at least -1, not -2\./
+  );
+});
+
+test("works out gamma, lgamma and beta", () => {
+  const engine = new ComputeEngine();
+  const cases = [
+    ["gamma(5)", "24"],
+    ["gamma(0.5)", "1.7724538509055159"],
+    ["lgamma(100)", "359.13420536957534"],
+    ["beta(2, 3)", "0.08333333333333333"],
+  ];
+
+  for (const [input, value] of cases) {
+    assert.equal(evaluate(engine, input), value, input);
+  }
+  for (const input of ["gamma(0)", "gamma(-1)"]) {
+    assert.throws(
+      () => engine.run(input),
+      /gamma is undefined at 0 and negative whole numbers\./,
+      input
+    );
+  }
+});
+
+test("counts combinations and permutations", () => {
+  const engine = new ComputeEngine();
+  const cases = [
+    ["nCr(5, 2)", "10"],
+    ["nPr(5, 2)", "20"],
+    ["nCr(2, 5)", "0"],
+    ["nCr(5.5, 2)", "12.375"],
+  ];
+
+  for (const [input, value] of cases) {
+    assert.equal(evaluate(engine, input), value, input);
+  }
+});
+
+test("keeps large factorials exact in exact mode", () => {
+  const engine = new ComputeEngine();
+  engine.run("mode exact");
+
+  assert.equal(evaluate(engine, "25!"), "15511210043330985984000000");
+  assert.equal(evaluate(engine, "nCr(60, 30)"), "118264581564861424");
+  assert.equal(evaluate(engine, "200!").length, 375);
+});
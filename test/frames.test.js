@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Parameters are local to the call they are given to. Run with
+// node --test.
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function evaluate(engine, text) {
+  return engine.format(engine.run(text));
+}
+
+test("leaves a global of the same name as a parameter alone", () => {
+  const engine = new ComputeEngine();
+  engine.run("x = 5");
+  engine.run("f(x) = x + 1");
+
+  assert.equal(evaluate(engine, "sin(1)"), "0.8414709848078965");
+  assert.equal(evaluate(engine, "f(2)"), "3");
+  assert.equal(evaluate(engine, "x"), "5");
+  assert.equal(evaluate(engine, "f(f(2) + x)"), "9");
+  assert.equal(evaluate(engine, "integrate(f, 0, 1)"), "1.5");
+  assert.equal(evaluate(engine, "x"), "5");
+});
+
+test("reads globals that aren't parameters", () => {
+  const engine = new ComputeEngine();
+  engine.run("x = 5");
+  engine.run("f(x) = x + 1");
+  engine.run("h(y) = f(2) + y + x");
+
+  assert.equal(evaluate(engine, "h(1)"), "9");
+  engine.run("x = 10");
+  assert.equal(evaluate(engine, "h(1)"), "14");
+});
+
+test("hides the caller's parameters from the function it calls", () => {
+  const engine = new ComputeEngine();
+  engine.run("q(b) = a");
+  engine.run("p(a) = q(a + 1)");
+
+  assert.throws(() => engine.run("p(1)"), /a is not a stored variable/);
+  engine.run("a = 7");
+  assert.equal(evaluate(engine, "p(1)"), "7");
+});
+
+test("leaves no frames behind after an error", () => {
+  const engine = new ComputeEngine();
+  engine.run("f(x) = 1/(x - 1)");
+
+  assert.throws(() => engine.run("f(1)"), /Cannot divide by zero/);
+  assert.equal(engine.symbolsTable.callStack.length, 0);
+  assert.equal(engine.symbolsTable.callDepth, 0);
+});
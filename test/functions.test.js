@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Defining and calling functions of several parameters. Run with
+// node --test.
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function evaluate(engine, text) {
+  return engine.format(engine.run(text));
+}
+
+test("defines and calls functions of several parameters", () => {
+  const engine = new ComputeEngine();
+  engine.run("hyp(a, b) = (a^2 + b^2)^0.5");
+  engine.run("lerp(a, b, t) = a + (b - a)*t");
+  engine.run("g(x, y) = x*y");
+
+  assert.equal(evaluate(engine, "hyp(3, 4)"), "5");
+  assert.equal(evaluate(engine, "lerp(0, 10, 0.25)"), "2.5");
+  assert.equal(evaluate(engine, "g(2, g(3, 4))"), "24");
+  assert.equal(evaluate(engine, "hyp(lerp(0, 6, 0.5), 4)"), "5");
+});
+
+test("shows the signature a function was defined with", () => {
+  const engine = new ComputeEngine();
+  engine.run("lerp(a, b, t) = a + (b - a)*t");
+
+  assert.equal(
+    engine.symbolsTable.getCallable("lerp").signature(),
+    "lerp(a, b, t)"
+  );
+  assert.equal(engine.symbolsTable.getCallable("sin").signature(), "sin(x)");
+});
+
+test("refuses calls with the wrong number of arguments", () => {
+  const engine = new ComputeEngine();
+  engine.run("hyp(a, b) = (a^2 + b^2)^0.5");
+
+  assert.throws(() => engine.run("hyp(3)"), {
+    message: "hyp(a, b) expects 2 arguments but was given 1.",
+    start: 0,
+    end: 6,
+  });
+  assert.throws(
+    () => engine.run("hyp(1, 2, 3)"),
+    /hyp\(a, b\) expects 2 arguments but was given 3\./
+  );
+  assert.throws(
+    () => engine.run("sin(1, 2)"),
+    /sin\(x\) expects 1 argument but was given 2\./
+  );
+});
+
+test("refuses definitions with invalid parameters", () => {
+  const engine = new ComputeEngine();
+
+  assert.throws(
+    () => engine.run("f(a, a) = a"),
+    /Duplicate parameter a in f\./
+  );
+  assert.throws(() => engine.run("f(1x) = 1"), /Unknown assignment\./);
+  assert.throws(() => engine.run("f() = 3"), /Unknown assignment\./);
+  assert.throws(() => engine.run("f(a, ) = a"), /Unknown assignment\./);
+});
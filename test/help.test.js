@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// The help command and the entries it shows. Run with node --test.
+
+test("describes functions, constants and commands", () => {
+  const engine = new ComputeEngine();
+
+  assert.equal(
+    engine.run("help sin"),
+    "sin(x)\nThe sine of x\nExamples: sin(pi/6), sin(rad(30))"
+  );
+  assert.equal(
+    engine.run("help pi"),
+    "pi\nThe ratio of a circle's circumference to its diameter"
+  );
+  assert.match(engine.run("help min"), /^min\(x1, x2, \.\.\.\)\n/);
+  assert.match(engine.run("help mode"), /Chooses how arithmetic is done/);
+});
+
+test("describes operators by any of their symbols", () => {
+  const engine = new ComputeEngine();
+
+  assert.match(engine.run("help <="), /^< <= > >= == !=\nCompares/);
+  assert.match(engine.run("help ^"), /right associative/);
+  for (const topic of ["=", ":="]) {
+    assert.match(
+      engine.run(`help ${topic}`),
+      /^= :=\nDefines a variable or a function\. A variable bound with := is worked out again/,
+      topic
+    );
+  }
+  assert.match(engine.run("help operators"), /^= :=\n/);
+});
+
+test("describes your functions and variables", () => {
+  const engine = new ComputeEngine();
+  engine.run("sq(x) = x^2 # The square of x");
+  engine.run("r = 2");
+  engine.run("a := 2r");
+
+  assert.equal(engine.run("help sq"), "sq(x) = x^2\nThe square of x");
+  assert.equal(engine.run("help a"), "a = 4\nKept up to date as a := 2*r");
+
+  const overview = engine.run("help");
+  assert.match(overview, /Your functions: sq\n/);
+  assert.match(overview, /Your variables: r, a\n/);
+});
+
+test("searches the entries for a word", () => {
+  const engine = new ComputeEngine();
+  engine.run("sq(x) = x^2 # The square of x");
+
+  const found = engine.run("help square");
+  assert.match(found, /^sqrt\(x\)\nThe square root of x/);
+  assert.match(found, /\n\nsq\(x\) = x\^2\nThe square of x/);
+
+  assert.throws(
+    () => engine.run("help nothing"),
+    /There is no help on nothing, type help to see what there is\./
+  );
+});
@@ -0,0 +1,272 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Implicit products and the number literals they border on. Run with
+// node --test.
+
+/**
+ * An engine with x = 3, a = 5 and b = 2 defined.
+ *
+ * @returns {ComputeEngine}
+ */
+function createEngine() {
+  const engine = new ComputeEngine();
+  engine.run("x = 3");
+  engine.run("a = 5");
+  engine.run("b = 2");
+
+  return engine;
+}
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function evaluate(engine, text) {
+  return engine.format(engine.run(text));
+}
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function parse(engine, text) {
+  return engine._getExpression(text).toSource();
+}
+
+test("reads ambiguous input the documented way", () => {
+  const engine = createEngine();
+  const cases = [
+    ["2x", "2*x", "6"],
+    ["2pi", "2*pi", "6.283185307179586"],
+    ["3(x+1)", "3*(x + 1)", "12"],
+    ["(a+b)(a-b)", "(a + b)*(a - b)", "21"],
+    // As written left to right, like 1/2*x.
+    ["1/2x", "1/2*x", "1.5"],
+    ["2^3x", "2^3*x", "24"],
+    ["2e", "2*e", "5.43656365691809"],
+    ["2e+1", "2e+1", "20"],
+    ["2e3", "2e3", "2000"],
+    ["2e-3", "2e-3", "0.002"],
+    ["2.5e1x", "2.5e1*x", "75"],
+    ["1_000", "1000", "1000"],
+    ["1_000x", "1000*x", "3000"],
+    ["1_000.000_5", "1000.0005", "1000.0005"],
+    [".5", ".5", "0.5"],
+    [".5x", ".5*x", "1.5"],
+    ["2sin(x)", "2*sin(x)", "0.2822400161197344"],
+    ["-2x", "-2*x", "-6"],
+    ["2x^2", "2*x^2", "18"],
+    ["2x!", "2*x!", "12"],
+    ["2 x", "2*x", "6"],
+    ["a b", "a*b", "10"],
+    ["2pi x", "2*pi*x", "18.84955592153876"],
+    ["(1)(2)", "1*2", "2"],
+    ["2(3)(4)", "2*3*4", "24"],
+    ["0x1f", "0x1f", "31"],
+  ];
+
+  for (const [input, source, value] of cases) {
+    assert.equal(parse(engine, input), source, input);
+    assert.equal(evaluate(engine, input), value, input);
+  }
+});
+
+test("rejects input that can't be read unambiguously", () => {
+  const engine = createEngine();
+  const cases = [
+    [".5.5", /Missing operator before \.5/],
+    ["1__0", /Unknown symbol _/],
+    ["1_", /Unknown symbol _/],
+    ["_1", /Unknown symbol _/],
+    ["1._5", /Unknown symbol \./],
+    ["3.x", /Unknown symbol \./],
+    ["x(x+1)", /There is no function x, write x\*\( to multiply/],
+    ["2 3", /Missing operator before 3/],
+    ["x2", /Missing operator before 2/],
+    ["2E", /Unexpected end of expression/],
+  ];
+
+  for (const [input, message] of cases) {
+    assert.throws(() => engine.run(input), message, input);
+  }
+});
+
+// Every number literal next to every kind of operand reads as their
+// product, however they are spaced. Each case is a test of its own.
+const Numbers = ["2", "3", "10", "0.5", ".5", ".25", "1_000", "1_0", "2e3"];
+const Numbers2 = [...Numbers, "2.5e-1", "1e1", "7"];
+const Operands = [
+  "x",
+  "a",
+  "pi",
+  "e",
+  "(x + 1)",
+  "(a - b)",
+  "(2)",
+  "sin(x)",
+  "sqrt(4)",
+  "abs(-2)",
+  "max(a, b)",
+  // Also the unit min, see below.
+  "min(a, b)",
+];
+
+for (const number of Numbers2) {
+  for (const operand of Operands) {
+    for (const input of [`${number}${operand}`, `${number} ${operand}`]) {
+      test(`multiplies a number by the operand after it: ${input}`, () => {
+        const engine = createEngine();
+        assert.equal(
+          evaluate(engine, input),
+          evaluate(engine, `${number}*${operand}`)
+        );
+      });
+    }
+  }
+}
+
+for (const number of Numbers) {
+  for (const operand of Operands) {
+    const product = `${number}${operand}`;
+    const cases = [
+      [`${product}^2`, `${number}*(${operand}^2)`],
+      [`1/${product}`, `(1/${number})*${operand}`],
+      [`-${product}`, `-(${number}*${operand})`],
+      [`${product} + 1`, `(${number}*${operand}) + 1`],
+      [
+        `${product} - ${product}`,
+        `${number}*${operand} - ${number}*${operand}`,
+      ],
+      [`2^${product}`, `(2^${number})*${operand}`],
+      [`${product} < 1`, `${number}*${operand} < 1`],
+    ];
+
+    for (const [input, explicit] of cases) {
+      test(`binds implicit products like explicit ones: ${input}`, () => {
+        const engine = createEngine();
+        assert.equal(evaluate(engine, input), evaluate(engine, explicit));
+      });
+    }
+  }
+}
+
+for (const number of Numbers) {
+  for (const left of Operands) {
+    for (const right of Operands) {
+      if (/^[a-z]+$/.test(left) && right.startsWith("(")) {
+        // A call to a missing function, see below.
+        continue;
+      }
+
+      const input = `${number}${left} ${right}`;
+      test(`multiplies a run of operands left to right: ${input}`, () => {
+        const engine = createEngine();
+        assert.equal(
+          evaluate(engine, input),
+          evaluate(engine, `(${number}*${left})*${right}`)
+        );
+      });
+    }
+  }
+}
+
+for (const left of Operands.filter((operand) => operand.startsWith("("))) {
+  for (const right of Operands) {
+    for (const input of [`${left}${right}`, `${left} ${right}`]) {
+      test(`multiplies a bracket by the operand after it: ${input}`, () => {
+        const engine = createEngine();
+        assert.equal(
+          evaluate(engine, input),
+          evaluate(engine, `${left}*${right}`)
+        );
+      });
+    }
+  }
+}
+
+test("reads a variable before a bracket as a missing function", () => {
+  const engine = createEngine();
+
+  for (const name of ["x", "a", "pi", "e"]) {
+    for (const bracket of ["(1)", "(x + 1)", "(a - b)"]) {
+      for (const input of [`${name}${bracket}`, `2${name}${bracket}`]) {
+        assert.throws(
+          () => engine.run(input),
+          new RegExp(`There is no function ${name}`),
+          input
+        );
+      }
+    }
+  }
+});
+
+test("reads a unit after a number as a quantity", () => {
+  const engine = createEngine();
+
+  assert.equal(evaluate(engine, "2s"), "2 s");
+  assert.equal(evaluate(engine, "2 s"), "2 s");
+  assert.equal(evaluate(engine, "3 m/s"), "3 m/s");
+  assert.equal(evaluate(engine, "2km in m"), "2000 m");
+});
+
+test("refuses to guess between a variable and a unit of the same name", () => {
+  const engine = createEngine();
+  engine.run("s = 5");
+  engine.run("m = 4");
+
+  for (const input of ["2s", "2 s", "2m", "3 km/s", "3 m/s", "2 m^2"]) {
+    assert.throws(
+      () => engine.run(input),
+      /is both a variable and a unit/,
+      input
+    );
+  }
+
+  assert.equal(evaluate(engine, "2*s"), "10");
+  assert.equal(evaluate(engine, "2(m)"), "8");
+  assert.equal(evaluate(engine, "x s"), "15");
+  // After in it can only be the unit.
+  assert.equal(evaluate(engine, "3 km/h in m/s"), "0.8333333333333334 m/s");
+
+  // Parameters count as variables too.
+  assert.throws(() => engine.run("f(h) = 2h"), /is both a variable and a unit/);
+  engine.run("g(t) = 2 h");
+  assert.equal(evaluate(engine, "g(1)"), "7200 s");
+});
+
+test("reads a unit that is also a function as the function when called", () => {
+  const engine = createEngine();
+
+  for (const input of [
+    "min(3, 4)",
+    "2min(3, 4)",
+    "2 min(3, 4)",
+    "2 min (3, 4)",
+  ]) {
+    assert.equal(
+      evaluate(engine, input),
+      input.startsWith("2") ? "6" : "3",
+      input
+    );
+  }
+
+  assert.equal(evaluate(engine, "2 min"), "120 s");
+  assert.equal(evaluate(engine, "2min"), "120 s");
+  assert.equal(evaluate(engine, "3 min in s"), "180 s");
+  assert.equal(evaluate(engine, "3 m/min"), "0.05 m/s");
+  assert.equal(evaluate(engine, "2 min + min(1, 2) * 3 s"), "123 s");
+
+  // Likewise a function defined with a unit's name.
+  engine.run("h(t) = t + 1");
+  assert.equal(evaluate(engine, "2 h(3)"), "8");
+  assert.equal(evaluate(engine, "2 h"), "7200 s");
+});
@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Vectors and matrices, written [1, 2; 3, 4] with rows separated by ;.
+// Run with node --test.
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function evaluate(engine, text) {
+  return engine.format(engine.run(text));
+}
+
+test("stores matrices and does arithmetic on them", () => {
+  const engine = new ComputeEngine();
+  engine.run("mx = [1, 2; 3, 4]");
+  const cases = [
+    ["mx", "[1, 2; 3, 4]"],
+    ["mx*mx", "[7, 10; 15, 22]"],
+    ["mx^2", "[7, 10; 15, 22]"],
+    ["mx + mx", "[2, 4; 6, 8]"],
+    ["mx - mx", "[0, 0; 0, 0]"],
+    ["2*mx", "[2, 4; 6, 8]"],
+    ["mx/2", "[0.5, 1; 1.5, 2]"],
+  ];
+
+  for (const [input, value] of cases) {
+    assert.equal(evaluate(engine, input), value, input);
+  }
+});
+
+test("works out the matrix built-ins", () => {
+  const engine = new ComputeEngine();
+  engine.run("v = [1, 2, 3]");
+  engine.run("mx = [1, 2; 3, 4]");
+  const cases = [
+    ["transpose(mx)", "[1, 3; 2, 4]"],
+    ["det(mx)", "-2"],
+    ["dot(v, v)", "14"],
+    ["cross([1, 0, 0], [0, 1, 0])", "[0, 0, 1]"],
+  ];
+
+  for (const [input, value] of cases) {
+    assert.equal(evaluate(engine, input), value, input);
+  }
+});
+
+test("inverts and solves exactly in exact mode", () => {
+  const engine = new ComputeEngine();
+  engine.run("mode exact");
+  engine.run("mx = [1, 2; 3, 4]");
+
+  assert.equal(evaluate(engine, "inv(mx)"), "[-2, 1; 3/2, -1/2]");
+  assert.equal(evaluate(engine, "mx^-1"), "[-2, 1; 3/2, -1/2]");
+  assert.equal(evaluate(engine, "solve(mx, [5; 6])"), "[-4; 9/2]");
+});
+
+test("refuses matrices of the wrong shape", () => {
+  const engine = new ComputeEngine();
+  engine.run("v = [1, 2, 3]");
+  engine.run("mx = [1, 2; 3, 4]");
+  const cases = [
+    ["[1, 2; 3]", /Row 2 has 1 element but the first row has 2\./],
+    ["mx + v", /Cannot add a 2×2 matrix and a 1×3 matrix\./],
+    [
+      "[1, 2] * [3, 4]",
+      /Cannot multiply a 1×2 matrix by a 1×2 matrix; the columns of the first must match the rows of the second\./,
+    ],
+    ["det(v)", /det needs a square matrix but was given a 1×3 matrix\./],
+    ["inv([1, 2; 2, 4])", /The matrix is singular, so has no inverse\./],
+  ];
+
+  for (const [input, message] of cases) {
+    assert.throws(() => engine.run(input), message, input);
+  }
+});
@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Exact and decimal arithmetic, chosen with the mode command. Run with
+// node --test.
+
+/**
+ *
+ * @param {string} mode What follows mode, e.g. decimal 50.
+ * @param {Array<[string, string]>} cases Each input and its value.
+ */
+function expectValues(mode, cases) {
+  const engine = new ComputeEngine();
+  engine.run(`mode ${mode}`);
+
+  for (const [input, value] of cases) {
+    assert.equal(engine.format(engine.run(input)), value, `${mode}: ${input}`);
+  }
+}
+
+test("works in doubles by default", () => {
+  expectValues("float", [
+    ["0.1 + 0.2", "0.30000000000000004"],
+    ["25!", "1.5511210043330986e+25"],
+    ["1/3", "0.3333333333333333"],
+  ]);
+});
+
+test("keeps rationals and big integers exact", () => {
+  expectValues("exact", [
+    ["0.1 + 0.2", "3/10"],
+    ["1/3 + 1/6", "1/2"],
+    ["2^-2", "1/4"],
+    ["(2/3)^3", "8/27"],
+    ["25!", "15511210043330985984000000"],
+    ["2^100", "1267650600228229401496703205376"],
+  ]);
+});
+
+test("works in decimals of the precision chosen", () => {
+  expectValues("decimal", [
+    ["0.1 + 0.2", "0.3"],
+    ["1/3", "0.33333333333333333333333333333333"],
+    ["25!", "15511210043330985984000000"],
+  ]);
+  expectValues("decimal 50", [
+    ["1/3", "0.33333333333333333333333333333333333333333333333333"],
+  ]);
+});
+
+test("falls back to doubles for transcendental functions", () => {
+  for (const mode of ["exact", "decimal"]) {
+    expectValues(mode, [
+      ["sin(1)", "0.8414709848078965"],
+      ["2^0.5", "1.4142135623730951"],
+    ]);
+  }
+  expectValues("exact", [["1/2 + sin(0)", "1/2"]]);
+});
+
+test("refuses modes it doesn't have", () => {
+  const engine = new ComputeEngine();
+
+  assert.throws(
+    () => engine.run("mode decimal 0"),
+    /Decimal precision must be from 1 to 1000 digits\./
+  );
+  assert.throws(
+    () => engine.run("mode nothing"),
+    /Unknown number mode nothing\. Use float, exact, decimal or programmer\./
+  );
+  assert.throws(
+    () => engine.run("mode exact signed"),
+    /Only programmer mode is signed or unsigned\./
+  );
+  engine.run("mode exact");
+  assert.throws(() => engine.run("1/0"), /Cannot divide by zero\./);
+});
@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Integrals, roots and derivatives worked out numerically. Run with
+// node --test.
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} text
+ *
+ * @returns {number}
+ */
+function evaluate(engine, text) {
+  return Number(engine.format(engine.run(text)));
+}
+
+/**
+ *
+ * @param {number} actual
+ * @param {number} expected
+ * @param {number} tolerance
+ * @param {string} message
+ */
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${message}: ${actual} is not within ${tolerance} of ${expected}`
+  );
+}
+
+test("works on built-in and user functions", () => {
+  const engine = new ComputeEngine();
+  engine.run("f(x) = x^2 - 2");
+
+  const cases = [
+    ["integrate(sin, 0, pi)", 2],
+    ["integrate(f, 0, 3)", 3],
+    ["integrate(f, 3, 0)", -3],
+    ["integrate(exp, 0, 1)", Math.E - 1],
+    ["root(f, 0, 2)", Math.SQRT2],
+    ["root(f, 1)", Math.SQRT2],
+    ["root(cos, 0, 3)", Math.PI / 2],
+    ["nderiv(sin, 0)", 1],
+    ["nderiv(f, 3)", 6],
+  ];
+  for (const [text, value] of cases) {
+    assertClose(evaluate(engine, text), value, 1e-8, text);
+  }
+});
+
+test("works to the tolerance in tol", () => {
+  const engine = new ComputeEngine();
+  engine.run("f(x) = x^2 - 2");
+
+  engine.run("tol = 0.01");
+  const rough = evaluate(engine, "root(f, 0, 2)");
+  assertClose(rough, Math.SQRT2, 0.01, "root(f, 0, 2)");
+  assert.notEqual(rough, Math.SQRT2);
+
+  engine.run("tol = 0");
+  assert.throws(
+    () => engine.run("integrate(sin, 0, 1)"),
+    /tol must be a positive number\./
+  );
+});
+
+test("reports failures rather than a wrong answer", () => {
+  const engine = new ComputeEngine();
+  engine.run("h(x) = 1/abs(x - 0.3)");
+  engine.run("g(x) = 1/x");
+  engine.run("sq(x) = x^2 + 1");
+
+  const cases = [
+    ["integrate(h, 0, 1)", /The integral did not converge near 0\.29/],
+    ["integrate(g, 0, 1)", /Cannot divide by zero\. \(in integrate\)/],
+    [
+      "root(sq, 0, 1)",
+      /The function must change sign between 0 and 1 to find a root\./,
+    ],
+    ["root(sq, 1)", /No root was found near 1; try another guess/],
+    ["nderiv(floor, 0)", /The derivative at 0 could not be estimated/],
+    ["root(sqrt, -1, 1)", /Expected a real number but was given i\./],
+    ["integrate(2, 0, 1)", /Expected the name of a function for f\./],
+  ];
+  for (const [text, message] of cases) {
+    assert.throws(() => engine.run(text), message, text);
+  }
+});
@@ -0,0 +1,114 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// The plot command, and the plotter drawing what it asks for on a canvas
+// that only remembers its size. Run with node --test.
+
+globalThis.window = new EventTarget();
+const { Plotter } = await import("../plotter.js");
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ *
+ * @returns {Plotter}
+ */
+function createPlotter(engine) {
+  const context = new Proxy({}, { get: () => () => {} });
+  const canvas = Object.assign(new EventTarget(), {
+    width: 400,
+    height: 300,
+    getContext: () => context,
+  });
+
+  return new Plotter(canvas, { textContent: "" }, (name, x) =>
+    engine.sample(name, x)
+  );
+}
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {Plotter} plotter
+ * @param {string} command
+ *
+ * @returns {number} How many unbroken lines the SVG of the plot has.
+ */
+function plotSegments(engine, plotter, command) {
+  engine.run(command);
+  plotter.show(engine.plot.functionNames, engine.plot.from, engine.plot.to);
+
+  return plotter.toSvg().match(/<polyline /g)?.length ?? 0;
+}
+
+test("reads the functions and range to plot", () => {
+  const engine = new ComputeEngine();
+  engine.run("f(x) = x^2");
+
+  engine.run("plot tan from -pi to pi");
+  assert.deepEqual(engine.plot, {
+    functionNames: ["tan"],
+    from: -Math.PI,
+    to: Math.PI,
+  });
+  engine.run("plot f, sin");
+  assert.deepEqual(engine.plot, {
+    functionNames: ["f", "sin"],
+    from: -10,
+    to: 10,
+  });
+});
+
+test("refuses what can't be plotted", () => {
+  const engine = new ComputeEngine();
+  engine.run("hyp(a, b) = a");
+  const cases = [
+    [
+      "plot sin from 2 to 1",
+      /The plot must be from a smaller number to a larger one\./,
+    ],
+    [
+      "plot hyp",
+      /Only functions of one variable can be plotted, but hyp\(a, b\) takes 2\./,
+    ],
+    ["plot nope", /nope is not a stored function/],
+  ];
+
+  for (const [input, message] of cases) {
+    assert.throws(() => engine.run(input), message, input);
+  }
+});
+
+test("samples points without a real value as gaps", () => {
+  const engine = new ComputeEngine();
+  engine.run("f(x) = x^2");
+
+  assert.equal(engine.sample("f", 3), 9);
+  assert.ok(Number.isNaN(engine.sample("sqrt", -1)));
+  assert.ok(Number.isNaN(engine.sample("ln", 0)));
+});
+
+test("breaks curves at asymptotes and gaps and fits the y axis", () => {
+  const engine = new ComputeEngine();
+  const plotter = createPlotter(engine);
+
+  assert.equal(plotSegments(engine, plotter, "plot tan from -pi to pi"), 3);
+  // The asymptotes are left out of the y range.
+  assert.ok(plotter.view.yMax < 100);
+  assert.equal(plotSegments(engine, plotter, "plot sqrt from -1 to 1"), 1);
+  assert.ok(plotter.view.yMin >= 0);
+});
+
+test("draws a function as it is now defined", () => {
+  const engine = new ComputeEngine();
+  const plotter = createPlotter(engine);
+  engine.run("f(x) = x^2");
+
+  plotSegments(engine, plotter, "plot f from 0 to 1");
+  const before = plotter.toSvg();
+  engine.run("f(x) = x^3");
+  assert.notEqual(plotter.toSvg(), before);
+  assert.match(before, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+});
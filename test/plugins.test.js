@@ -0,0 +1,115 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Functions and constants registered by plugins. Run with node --test.
+
+/**
+ * An engine with the fin and chem plugins loaded.
+ *
+ * @returns {ComputeEngine}
+ */
+function createEngine() {
+  const engine = new ComputeEngine();
+  engine.loadPlugin({
+    namespace: "fin",
+    functions: [
+      {
+        name: "fv",
+        params: ["pv", "rate", "n"],
+        impl: (pv, rate, n) => pv * (1 + rate) ** n,
+        doc: "The future value of pv",
+      },
+    ],
+    constants: [{ name: "days", value: 365 }],
+  });
+  engine.loadPlugin({
+    namespace: "chem",
+    functions: [
+      {
+        name: "ph",
+        impl: (h) => -Math.log10(h),
+        domain: (h) => h > 0,
+      },
+    ],
+  });
+
+  return engine;
+}
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function evaluate(engine, text) {
+  return engine.format(engine.run(text));
+}
+
+test("calls registered functions by their qualified names", () => {
+  const engine = createEngine();
+
+  assert.equal(evaluate(engine, "fin.fv(100, 0.5, 2)"), "225");
+  assert.equal(evaluate(engine, "fin.days / 5"), "73");
+  assert.equal(evaluate(engine, "chem.ph(0.001)"), "3");
+  assert.throws(() => engine.run("chem.ph(-1)"), /chem\.ph/);
+});
+
+test("refuses plugins whose names are invalid or taken", () => {
+  const engine = createEngine();
+
+  assert.throws(
+    () => engine.loadPlugin({ namespace: "fin2", functions: [] }),
+    /A plugin needs a namespace made of letters/
+  );
+  assert.throws(
+    () =>
+      engine.loadPlugin({
+        namespace: "fin",
+        constants: [{ name: "days", value: 1 }],
+      }),
+    /Cannot load the fin plugin, as fin\.days is already defined/
+  );
+});
+
+test("plots registered functions and functions with digits", () => {
+  const engine = createEngine();
+
+  engine.run("plot chem.ph from 0.1 to 1");
+  assert.deepEqual(engine.plot.functionNames, ["chem.ph"]);
+
+  engine.run("plot log2, sin from 1 to 2");
+  assert.deepEqual(engine.plot.functionNames, ["log2", "sin"]);
+  assert.equal(engine.sample("log2", 2), 1);
+
+  assert.throws(
+    () => engine.run("plot fin.fv"),
+    /Only functions of one variable can be plotted, but fin\.fv\(pv, rate, n\) takes 3/
+  );
+  assert.throws(() => engine.run("plot 3"), /Expected plot f, g from a to b/);
+});
+
+test("says registered functions can't be memoised", () => {
+  const engine = createEngine();
+
+  assert.throws(
+    () => engine.run("memo chem.ph"),
+    /chem\.ph is built in, so can't be memoised/
+  );
+  assert.throws(
+    () => engine.run("memo log2"),
+    /log2 is built in, so can't be memoised/
+  );
+});
+
+test("names a registered function that can't be differentiated", () => {
+  const engine = createEngine();
+
+  assert.throws(
+    () => engine.run("f(x) = diff(chem.ph(x), x)"),
+    /Cannot differentiate chem\.ph\(x\)\./
+  );
+});
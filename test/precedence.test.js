@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Operator precedence and associativity, see the grammar in parser.js.
+// Run with node --test.
+
+/**
+ *
+ * @param {Array<[string, string]>} cases Each input and its value.
+ */
+function expectValues(cases) {
+  const engine = new ComputeEngine();
+
+  for (const [input, value] of cases) {
+    assert.equal(engine.format(engine.run(input)), value, input);
+  }
+}
+
+test("associates + - * / to the left", () => {
+  expectValues([
+    ["1 - 2 + 3", "2"],
+    ["10 - 4 - 3", "3"],
+    ["8 / 2 * 4", "16"],
+    ["64 / 4 / 2", "8"],
+    ["2 * 3 / 4 * 5", "7.5"],
+    ["2 + 3 * 4 - 5", "9"],
+  ]);
+});
+
+test("associates ^ to the right, above unary minus", () => {
+  expectValues([
+    ["2^3^2", "512"],
+    ["2 * 3^2", "18"],
+    ["-2^2", "-4"],
+    ["(-2)^2", "4"],
+    ["2^-1", "0.5"],
+    ["-2^-2", "-0.25"],
+    ["--2", "2"],
+    ["1 - -1", "2"],
+  ]);
+});
+
+test("binds postfix ! tightest", () => {
+  expectValues([
+    ["3!", "6"],
+    ["-3!", "-6"],
+    ["2^3!", "64"],
+    ["3!!", "3"],
+    ["(3!)!", "720"],
+  ]);
+});
+
+test("binds comparisons looser than arithmetic and not chained", () => {
+  expectValues([
+    ["1 + 1 < 3", "true"],
+    ["1 < 2 and 3 > 4", "false"],
+    ["not 1 < 2", "false"],
+  ]);
+
+  assert.throws(
+    () => new ComputeEngine().run("1 < 2 < 3"),
+    /Comparisons cannot be chained, write a < b and b < c instead\./
+  );
+});
@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Programmer mode's fixed size words, bitwise operators and bases. Run
+// with node --test.
+
+/**
+ *
+ * @param {string} mode What follows mode, e.g. programmer 8 unsigned.
+ * @param {Array<[string, string]>} cases Each input and its value.
+ */
+function expectValues(mode, cases) {
+  const engine = new ComputeEngine();
+  engine.run(`mode ${mode}`);
+
+  for (const [input, value] of cases) {
+    assert.equal(engine.format(engine.run(input)), value, `${mode}: ${input}`);
+  }
+}
+
+test("reads hexadecimal, binary and octal literals", () => {
+  for (const mode of ["float", "programmer"]) {
+    expectValues(mode, [
+      ["0xff", "255"],
+      ["0b101", "5"],
+      ["0o17", "15"],
+    ]);
+  }
+});
+
+test("works out bitwise operators", () => {
+  expectValues("programmer", [
+    ["0xff and 0x0f", "15"],
+    ["0xf0 or 0x0f", "255"],
+    ["0xff xor 0x0f", "240"],
+    ["not 0", "-1"],
+    ["1 << 4", "16"],
+    ["256 >> 2", "64"],
+    ["1 + 2 << 1", "6"],
+    ["7/2", "3"],
+  ]);
+});
+
+test("wraps results to the word size", () => {
+  expectValues("programmer", [
+    ["1 << 63", "-9223372036854775808"],
+    ["1 << 64", "0"],
+    ["-1 in hex", "0xffffffffffffffff"],
+  ]);
+  expectValues("programmer 8 unsigned", [
+    ["255 + 1", "0"],
+    ["0 - 1", "255"],
+    ["not 0", "255"],
+  ]);
+  expectValues("programmer 8 signed", [
+    ["127 + 1", "-128"],
+    ["-128 in hex", "0x80"],
+  ]);
+});
+
+test("shows whole numbers in any base", () => {
+  for (const mode of ["float", "programmer"]) {
+    expectValues(mode, [
+      ["255 in hex", "0xff"],
+      ["255 in bin", "0b11111111"],
+      ["255 in oct", "0o377"],
+      ["10 in dec", "10"],
+    ]);
+  }
+});
+
+test("refuses what a word can't hold", () => {
+  const engine = new ComputeEngine();
+
+  assert.throws(
+    () => engine.run("mode programmer 12"),
+    /Programmer mode words must be 8, 16, 32 or 64 bits\./
+  );
+  assert.throws(
+    () => engine.run("1.5 in hex"),
+    /Only whole numbers can be shown in hex\./
+  );
+  engine.run("mode programmer");
+  assert.throws(
+    () => engine.run("0.5"),
+    /Programmer mode only has whole numbers, not 0\.5\./
+  );
+  assert.throws(
+    () => engine.run("1 < 2 and 3"),
+    /and needs two truth values or two numbers, not one of each\./
+  );
+});
@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Recursion, its depth limit and memoisation. Run with node --test.
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function evaluate(engine, text) {
+  return engine.format(engine.run(text));
+}
+
+test("remembers the results of a memoised function", () => {
+  const engine = new ComputeEngine();
+  engine.run("fib(n) = if(n < 2, n, fib(n - 1) + fib(n - 2))");
+  engine.run("memo fib");
+
+  assert.equal(evaluate(engine, "fib(70)"), "190392490709135");
+  assert.equal(engine.symbolsTable.getCallable("fib").isMemoised, true);
+});
+
+test("refuses to memoise a function that uses a variable", () => {
+  const engine = new ComputeEngine();
+  engine.run("a = 1");
+  engine.run("f(x) = x + a");
+
+  assert.throws(
+    () => engine.run("memo f"),
+    /f uses the variable a, which may change/
+  );
+});
+
+test("stops memoising when a variable it uses is defined later", () => {
+  const engine = new ComputeEngine();
+  engine.run("f(x) = x + a");
+  engine.run("memo f");
+
+  engine.run("a = 1");
+  assert.equal(evaluate(engine, "f(1)"), "2");
+  engine.run("a = 5");
+  assert.equal(evaluate(engine, "f(1)"), "6");
+  assert.equal(engine.symbolsTable.getCallable("f").isMemoised, false);
+});
+
+test("stops memoising when a function it calls is made impure", () => {
+  const engine = new ComputeEngine();
+  engine.run("b = 2");
+  engine.run("g(x) = x");
+  engine.run("f(x) = g(x) + 1");
+  engine.run("memo f");
+  assert.equal(evaluate(engine, "f(1)"), "2");
+
+  engine.run("g(x) = x * b");
+  assert.equal(evaluate(engine, "f(1)"), "3");
+  assert.equal(engine.symbolsTable.getCallable("f").isMemoised, false);
+});
+
+test("stops recursion at the depth limit", () => {
+  const engine = new ComputeEngine();
+  engine.run("f(n) = if(n < 1, 0, f(n - 1) + 1)");
+
+  assert.equal(evaluate(engine, "f(999)"), "999");
+  assert.throws(() => engine.run("f(5000)"), {
+    message:
+      "Maximum recursion depth exceeded in f, after 1000 nested calls. (in f ×1000)",
+  });
+
+  engine.run("depth 10");
+  assert.equal(evaluate(engine, "f(9)"), "9");
+  assert.throws(
+    () => engine.run("f(10)"),
+    /after 10 nested calls\. \(in f ×10\)/
+  );
+});
+
+test("keeps the depth limit within what the stack allows", () => {
+  for (const input of ["depth 0", "depth 1001", "depth 100000", "depth x"]) {
+    assert.throws(
+      () => new ComputeEngine().run(input),
+      /Expected depth followed by a number from 1 to 1000/,
+      input
+    );
+  }
+});
+
+test("counts the calls once when the stack runs out first", () => {
+  const engine = new ComputeEngine();
+  // Each call nests two more, so the stack may run out before the limit.
+  engine.run("f(n) = if(n < 1, 0, max(1, min(f(n - 1), 5)) + 1)");
+
+  assert.throws(
+    () => engine.run("f(100000)"),
+    (error) => {
+      const match =
+        /^Maximum recursion depth exceeded in f, (?:after (\d+) nested calls|as the stack ran out)\. \(in f ×(\d+)\)$/.exec(
+          error.message
+        );
+      return match !== null && (!match[1] || match[1] === match[2]);
+    }
+  );
+});
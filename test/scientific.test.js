@@ -0,0 +1,125 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// The scientific functions and their domains. Run with node --test.
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function evaluate(engine, text) {
+  return engine.format(engine.run(text));
+}
+
+test("works out the scientific functions", () => {
+  const engine = new ComputeEngine();
+  const cases = [
+    ["log(1000)", "3"],
+    ["log2(8)", "3"],
+    ["exp(0)", "1"],
+    ["sec(0)", "1"],
+    ["sinh(0)", "0"],
+    ["cosh(0)", "1"],
+    ["atanh(0.5)", "0.5493061443340548"],
+    ["sign(-3)", "-1"],
+    ["floor(-2.5)", "-3"],
+    ["ceil(-2.5)", "-2"],
+    ["round(2.5)", "3"],
+    ["round(-2.5)", "-3"],
+    ["mod(-7, 3)", "2"],
+    ["mod(7, -3)", "-2"],
+    ["hypot(3, 4)", "5"],
+    ["hypot(1e200, 1e200)", "1.414213562373095e+200"],
+    ["deg(pi)", "180"],
+    ["atan2(1, 1)", "0.7853981633974483"],
+    ["atan2(0, -1)", "3.141592653589793"],
+  ];
+
+  for (const [input, value] of cases) {
+    assert.equal(evaluate(engine, input), value, input);
+  }
+});
+
+test("gives complex results outside the real domain", () => {
+  const engine = new ComputeEngine();
+  const cases = [
+    ["sqrt(-4)", "2i"],
+    ["ln(-1)", "3.141592653589793i"],
+    ["asin(2)", "1.5707963267948966 + 1.3169578969248166i"],
+    ["acos(2)", "-1.3169578969248166i"],
+    ["acosh(0.5)", "1.0471975511965976i"],
+    ["atanh(2)", "0.5493061443340548 + 1.5707963267948966i"],
+    ["atanh(-2)", "-0.5493061443340548 + 1.5707963267948966i"],
+  ];
+
+  for (const [input, value] of cases) {
+    assert.equal(evaluate(engine, input), value, input);
+  }
+});
+
+test("refuses arguments where a function is undefined", () => {
+  const engine = new ComputeEngine();
+  const cases = [
+    ["ln(0)", /ln is undefined at 0/],
+    ["log(0)", /log is undefined at 0/],
+    ["csc(0)", /csc is undefined where sin\(x\) is 0/],
+    ["cot(0)", /cot is undefined where sin\(x\) is 0/],
+    ["mod(7, 0)", /Cannot divide by zero/],
+    ["atanh(1)", /atanh is undefined at ±1/],
+    ["atanh(-1)", /atanh is undefined at ±1/],
+    ["atanh(1 + 0i)", /atanh is undefined at ±1/],
+    ["atan2(0, 0)", /atan2 is undefined at \(0, 0\)/],
+  ];
+
+  for (const [input, message] of cases) {
+    assert.throws(() => engine.run(input), message, input);
+  }
+});
+
+test("takes any number of arguments in min and max", () => {
+  const engine = new ComputeEngine();
+
+  assert.equal(evaluate(engine, "min(3, 2)"), "2");
+  assert.equal(evaluate(engine, "max(-1, -2)"), "-1");
+  assert.equal(evaluate(engine, "min(7, 6, 5, 4, 3, 2, 1)"), "1");
+  assert.equal(evaluate(engine, "max(1, 2, 3, 4, 5, 6, 7)"), "7");
+  assert.equal(evaluate(engine, "max(1, 7, 3)"), "7");
+
+  assert.throws(
+    () => engine.run("min(3)"),
+    /min\(x1, x2, \.\.\.\) expects at least 2 arguments but was given 1/
+  );
+  assert.throws(
+    () => engine.run("max(1, 2, sin)"),
+    /Expected a number for x3 but was given the function sin/
+  );
+
+  engine.run("mode exact");
+  assert.equal(evaluate(engine, "max(1/3, 1/2, 1/4)"), "1/2");
+});
+
+test("finds where a function is smallest with argmin", () => {
+  const engine = new ComputeEngine();
+  engine.run("f(t) = (t - 2)^2");
+
+  assert.equal(Math.round(engine.run("argmin(f, 0, 5)") * 1e6) / 1e6, 2);
+  assert.equal(
+    Math.round(engine.run("argmin(cos, 0, 6)") * 1e6) / 1e6,
+    3.141593
+  );
+  assert.throws(
+    () => engine.run("argmin(f, 0)"),
+    /argmin\(f, a, b\) expects 3 arguments but was given 2/
+  );
+
+  // As min(f, a, b) was before.
+  assert.throws(
+    () => engine.run("min(cos, 0, 6)"),
+    /min takes numbers, use argmin\(cos, a, b\)/
+  );
+});
@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Saving and loading sessions. Run with node --test.
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function evaluate(engine, text) {
+  return engine.format(engine.run(text));
+}
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ *
+ * @returns {ComputeEngine} A new engine with the session of engine loaded.
+ */
+function reload(engine) {
+  const loaded = new ComputeEngine();
+  loaded.loadSession(engine.saveSession());
+
+  return loaded;
+}
+
+test("restores variables of every kind", () => {
+  const engine = new ComputeEngine();
+  const values = [
+    ["a", "2.5"],
+    ["t", "1 < 2"],
+    ["c", "3 + 4i"],
+    ["m", "[1, 2; 3, 4]"],
+    ["q", "3 km"],
+    ["r", "3 km in km"],
+    ["v", "90 km/h in m/s"],
+  ];
+  for (const [name, value] of values) {
+    engine.run(`${name} = ${value}`);
+  }
+
+  const loaded = reload(engine);
+  for (const [name] of values) {
+    assert.equal(evaluate(loaded, name), evaluate(engine, name), name);
+  }
+  assert.equal(evaluate(loaded, "r"), "3 km");
+  assert.equal(evaluate(loaded, "v"), "25 m/s");
+});
+
+test("restores exact and programmer numbers with their mode", () => {
+  const engine = new ComputeEngine();
+  engine.run("mode exact");
+  engine.run("a = 1/3");
+
+  let loaded = reload(engine);
+  assert.equal(evaluate(loaded, "a + 1/6"), "1/2");
+
+  engine.run("mode programmer 8 unsigned");
+  engine.run("b = 0xff");
+  loaded = reload(engine);
+  assert.equal(evaluate(loaded, "b"), evaluate(engine, "b"));
+  assert.equal(evaluate(loaded, "b + 1"), "0");
+});
+
+test("restores functions with their docstrings and memo", () => {
+  const engine = new ComputeEngine();
+  engine.run("sq(x) = x^2 # The square of x");
+  engine.run("fib(n) = if(n < 2, n, fib(n - 1) + fib(n - 2))");
+  engine.run("memo fib");
+
+  const loaded = reload(engine);
+  assert.equal(evaluate(loaded, "sq(3)"), "9");
+  assert.match(loaded.run("help sq"), /The square of x/);
+  assert.equal(loaded.symbolsTable.getCallable("fib").isMemoised, true);
+  assert.equal(evaluate(loaded, "fib(50)"), "12586269025");
+});
+
+test("restores bindings, which stay up to date", () => {
+  const engine = new ComputeEngine();
+  engine.run("r = 2");
+  engine.run("d := 2r");
+
+  const loaded = reload(engine);
+  assert.equal(evaluate(loaded, "d"), "4");
+  loaded.run("r = 5");
+  assert.equal(evaluate(loaded, "d"), "10");
+});
+
+test("refuses sessions it can't read", () => {
+  const engine = new ComputeEngine();
+  const saved = JSON.parse(engine.saveSession());
+
+  assert.throws(
+    () => engine.loadSession(JSON.stringify({ ...saved, format: "other" })),
+    /This is not a MINIVAC session/
+  );
+  assert.throws(
+    () => engine.loadSession(JSON.stringify({ ...saved, version: 1000 })),
+    /saved by a newer MINIVAC/
+  );
+  assert.throws(
+    () =>
+      engine.loadSession(
+        JSON.stringify({
+          ...saved,
+          variables: [{ name: "a", value: { type: "nope" } }],
+        })
+      ),
+    /This session is corrupt: Unknown value type nope/
+  );
+});
@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Simplifying expressions and function definitions. Run with node --test.
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} name
+ *
+ * @returns {string} The definition of the function name, as simplified
+ * when it was defined.
+ */
+function definition(engine, name) {
+  return engine.symbolsTable.getCallable(name).asExpression().toSource();
+}
+
+test("folds constants that have a decimal", () => {
+  const engine = new ComputeEngine();
+  engine.run("x = 2");
+  const cases = [
+    ["simplify 3!", "6"],
+    ["simplify 5!!", "15"],
+    ["simplify 0.1 + 0.2", "0.3"],
+    ["simplify x + 0.5 + 0.25", "x + 0.75"],
+    ["simplify x*(1/2)", "0.5*x"],
+    ["simplify 0.5*x + 0.25*x", "0.75*x"],
+    ["simplify 2*x*3", "6*x"],
+    ["simplify -(0.5 - x)", "-0.5 + x"],
+    ["simplify 4^0.5", "2"],
+    // Left as they are, without a decimal or a value.
+    ["simplify 1/3 + x", "1/3 + x"],
+    ["simplify 2^0.5", "2^0.5"],
+    ["simplify 1/0", "1/0"],
+    ["simplify 0.5!", "0.5!"],
+  ];
+
+  for (const [input, source] of cases) {
+    assert.equal(engine.run(input), source, input);
+  }
+});
+
+test("folds constants so every number mode reads them the same", () => {
+  const engine = new ComputeEngine();
+  engine.run("g(a) = a + 0.5 + 0.25 + 0.1");
+  assert.equal(definition(engine, "g"), "a + 0.85");
+
+  engine.run("mode exact");
+  assert.equal(engine.format(engine.run("g(0)")), "17/20");
+  engine.run("mode decimal");
+  assert.equal(engine.format(engine.run("g(0.15)")), "1");
+});
+
+test("combines terms whose factors are written in another order", () => {
+  const engine = new ComputeEngine();
+  engine.run("x = 2");
+  engine.run("y = 3");
+  const cases = [
+    ["simplify y*x + x*y", "2*x*y"],
+    ["simplify y*x - x*y", "0"],
+    ["simplify x*y*x", "x^2*y"],
+    ["simplify sin(x)*cos(x) - cos(x)*sin(x)", "0"],
+    ["simplify (x + 1)*x*2", "2*x*(x + 1)"],
+  ];
+
+  for (const [input, source] of cases) {
+    assert.equal(engine.run(input), source, input);
+  }
+});
+
+test("keeps the order of factors that may be matrices", () => {
+  const engine = new ComputeEngine();
+  engine.run("x = 2");
+  engine.run("mx = [1, 2; 3, 4]");
+
+  assert.equal(engine.run("simplify mx*x + x*mx"), "mx*x + x*mx");
+  assert.equal(engine.run("simplify mx*mx - mx*mx"), "0*mx^2");
+
+  // Parameters may be given matrices.
+  engine.run("f(a, b) = b*a + a*b + a*a");
+  assert.equal(definition(engine, "f"), "b*a + a*b + a^2");
+});
+
+test("orders the factors of derivatives", () => {
+  const engine = new ComputeEngine();
+  engine.run("a = 3");
+  engine.run("d(x) = diff(x^2*a, x)");
+  assert.equal(definition(engine, "d"), "2*a*x");
+
+  engine.run("d(x) = diff(sin(x)*x, x)");
+  assert.equal(definition(engine, "d"), "x*cos(x) + sin(x)");
+});
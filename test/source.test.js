@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+import { Expression } from "../engine/parser.js";
+
+// Expressions written back as source and saved as JSON, both of which must
+// read back as the same tree. Run with node --test.
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} name
+ * @param {string} body
+ *
+ * @returns {Expression} The body of name(x) = body, as it is stored.
+ */
+function define(engine, name, body) {
+  engine.run(`${name}(x) = ${body}`);
+
+  return engine.symbolsTable.getCallable(name).asExpression();
+}
+
+test("writes only the brackets that are needed", () => {
+  const engine = new ComputeEngine();
+  const cases = [
+    ["2^3^x", "2^3^x"],
+    ["(-x)^2", "(-x)^2"],
+    ["-x^2", "-x^2"],
+    ["x/(2*x)", "x/(2*x)"],
+    ["x/2*x", "x/2*x"],
+    ["(x + 1)!", "(x + 1)!"],
+    ["-(x!)", "-x!"],
+    ["not (x < 1) or x > 2", "not x < 1 or x > 2"],
+    ["sin(x)^2 + 3 m", "sin(x)^2 + 3 m"],
+    ["[x, 1; 2, x]", "[x, 1; 2, x]"],
+    ["x if x > 0, -x otherwise", "if(x > 0, x, -x)"],
+    ["1e-7*x", "0.0000001*x"],
+  ];
+
+  for (const [body, source] of cases) {
+    assert.equal(define(engine, "f", body).toSource(), source, body);
+  }
+});
+
+test("reads what it writes back as the same tree", () => {
+  const engine = new ComputeEngine();
+  const bodies = [
+    "x - (1 - x)",
+    "2^3^x",
+    "(-x)^2",
+    "x/(2*x)",
+    "(x + 1)!",
+    "not (x < 1) or x > 2",
+    "x if x > 0, -x otherwise",
+    "sin(x)^2 + 3 m",
+    "[x, 1; 2, x]",
+    "2i*x",
+  ];
+
+  for (const body of bodies) {
+    const expression = define(engine, "f", body);
+    const reread = define(engine, "g", expression.toSource());
+    assert.deepEqual(reread.toJSON(), expression.toJSON(), body);
+  }
+});
+
+test("saves expressions as JSON and rebuilds them", () => {
+  const engine = new ComputeEngine();
+
+  assert.deepEqual(define(engine, "f", "2*x - 1").toJSON(), {
+    type: "binary",
+    operator: "-",
+    left: {
+      type: "binary",
+      operator: "*",
+      left: { type: "constant", value: 2, text: null },
+      right: { type: "variable", name: "x" },
+    },
+    right: { type: "constant", value: 1, text: "1" },
+  });
+
+  for (const body of ["x^2 + 1", "x! if x > 0, 1/x", "abs(x) m/s"]) {
+    const expression = define(engine, "f", body);
+    const json = JSON.parse(JSON.stringify(expression.toJSON()));
+    assert.equal(
+      Expression.fromJSON(json).toSource(),
+      expression.toSource(),
+      body
+    );
+  }
+});
+
+test("refuses JSON that isn't an expression", () => {
+  const cases = [
+    [null, /Expected an expression\./],
+    [{ type: "tree" }, /Unknown expression type tree\./],
+    [
+      {
+        type: "binary",
+        operator: "%%",
+        left: { type: "variable", name: "x" },
+        right: { type: "variable", name: "x" },
+      },
+      /Unknown operator %%\./,
+    ],
+    [
+      { type: "constant", value: "two" },
+      /Expected a number in a constant expression\./,
+    ],
+  ];
+
+  for (const [json, message] of cases) {
+    assert.throws(() => Expression.fromJSON(json), message);
+  }
+});
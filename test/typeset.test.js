@@ -0,0 +1,118 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+import { MathMLNotation, typesetDefinition } from "../engine/typeset.js";
+
+// Typesetting expressions and values as LaTeX and MathML. Run with
+// node --test.
+
+test("typesets expressions as LaTeX", () => {
+  const engine = new ComputeEngine();
+  engine.run("x = 2");
+  engine.run("alpha = 3");
+  const cases = [
+    ["x^2 + 1", "{x}^{2} + 1"],
+    ["(x + 1)/(x - 1)", "\\frac{x + 1}{x - 1}"],
+    ["2 alpha", "2\\alpha "],
+    ["sin(x)^2", "{\\sin\\left(x\\right)}^{2}"],
+    ["1.5E3", "1.5 \\times {10}^{3}"],
+    ["x <= 2", "x \\le 2"],
+    ["diff(x^2, x)", "2x"],
+    [
+      "if(x < 1, 0, x)",
+      "\\begin{cases} 0 & \\text{if } x < 1 \\\\ x & \\text{otherwise} \\end{cases}",
+    ],
+  ];
+
+  for (const [input, latex] of cases) {
+    assert.equal(engine.run(`latex ${input}`), latex, input);
+  }
+});
+
+test("typesets functions in their usual notation", () => {
+  const engine = new ComputeEngine();
+  engine.run("x = 2");
+  engine.run("n = 5");
+  const cases = [
+    ["sqrt(x + 1)", "\\sqrt{x + 1}"],
+    ["2 sqrt(x)", "2\\sqrt{x}"],
+    ["abs(x - 1)", "\\left|x - 1\\right|"],
+    ["floor(x/2)", "\\left\\lfloor \\frac{x}{2}\\right\\rfloor"],
+    ["ceil(x)", "\\left\\lceil x\\right\\rceil"],
+    ["conj(x)", "\\overline{x}"],
+    ["nCr(n, 2)", "\\binom{n}{2}"],
+    ["asin(x)", "\\arcsin\\left(x\\right)"],
+    ["acos(x)", "\\arccos\\left(x\\right)"],
+    ["atan(x)", "\\arctan\\left(x\\right)"],
+    ["asinh(x)", "\\operatorname{arsinh}\\left(x\\right)"],
+    ["atanh(x)", "\\operatorname{artanh}\\left(x\\right)"],
+    ["sec(x)", "\\sec\\left(x\\right)"],
+    ["csc(x)", "\\csc\\left(x\\right)"],
+    ["cot(x)", "\\cot\\left(x\\right)"],
+    ["log2(x)", "\\log_2\\left(x\\right)"],
+    ["exp(x)", "\\exp\\left(x\\right)"],
+    ["gamma(x)", "\\Gamma\\left(x\\right)"],
+    ["lgamma(x)", "\\ln\\Gamma\\left(x\\right)"],
+    ["beta(x, 2)", "\\mathrm{B}\\left(x, 2\\right)"],
+    ["sign(x)", "\\operatorname{sgn}\\left(x\\right)"],
+    ["re(x)", "\\operatorname{Re}\\left(x\\right)"],
+    ["max(x, 1, 2)", "\\max\\left(x, 1, 2\\right)"],
+    ["atan2(x, 1)", "\\operatorname{atan2}\\left(x, 1\\right)"],
+  ];
+
+  for (const [input, latex] of cases) {
+    assert.equal(engine.run(`latex ${input}`), latex, input);
+  }
+});
+
+test("typesets definitions and values", () => {
+  const engine = new ComputeEngine();
+  engine.run("g(t) = 0 if t < 0, t^2 otherwise");
+  engine.run("m = [1, 2; 3, 4]");
+  engine.run("d = 3 km in km");
+
+  assert.equal(
+    engine.run("latex g"),
+    "g\\left(t\\right) = \\begin{cases} 0 & \\text{if } t < 0 \\\\ {t}^{2} & \\text{otherwise} \\end{cases}"
+  );
+  assert.equal(
+    engine.run("latex m"),
+    "m = \\begin{pmatrix} 1 & 2 \\\\ 3 & 4 \\end{pmatrix}"
+  );
+  assert.equal(engine.run("latex d"), "d = 3\\,\\mathrm{km}");
+
+  engine.run("mode exact");
+  engine.run("r = 1/3");
+  assert.equal(engine.run("latex r"), "r = \\frac{1}{3}");
+});
+
+test("typesets functions in their usual notation as MathML", () => {
+  const engine = new ComputeEngine();
+  const cases = [
+    ["sqrt(x)", "<msqrt><mi>x</mi></msqrt>"],
+    ["floor(x)", "<mrow><mo>&#x230A;</mo><mi>x</mi><mo>&#x230B;</mo></mrow>"],
+    ["ceil(x)", "<mrow><mo>&#x2308;</mo><mi>x</mi><mo>&#x2309;</mo></mrow>"],
+    [
+      "asin(x)",
+      "<mrow><mi>arcsin</mi><mo>&#x2061;</mo><mrow><mo>(</mo><mi>x</mi><mo>)</mo></mrow></mrow>",
+    ],
+    [
+      "log2(x)",
+      "<mrow><msub><mi>log</mi><mn>2</mn></msub><mo>&#x2061;</mo><mrow><mo>(</mo><mi>x</mi><mo>)</mo></mrow></mrow>",
+    ],
+    [
+      "nCr(x, 2)",
+      '<mrow><mo>(</mo><mfrac linethickness="0"><mi>x</mi><mn>2</mn></mfrac><mo>)</mo></mrow>',
+    ],
+  ];
+
+  for (const [input, mathml] of cases) {
+    engine.run(`f(x) = ${input}`);
+    const markup = typesetDefinition(
+      engine.symbolsTable.getCallable("f"),
+      new MathMLNotation()
+    );
+    assert.ok(markup.endsWith(`<mo>=</mo>${mathml}</mrow>`), input);
+  }
+});
@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ComputeEngine } from "../engine/compute_engine.js";
+
+// Quantities with units, their dimensions and conversions. Run with
+// node --test.
+
+/**
+ *
+ * @param {ComputeEngine} engine
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function evaluate(engine, text) {
+  return engine.format(engine.run(text));
+}
+
+test("tracks units through arithmetic and simplifies them", () => {
+  const engine = new ComputeEngine();
+  const cases = [
+    ["9.81 m/s^2", "9.81 m/s^2"],
+    ["3 kN * 2 m", "6000 J"],
+    ["1 m + 20 cm", "1.2 m"],
+    ["(3 m)^2", "9 m^2"],
+    ["10 N / 2 kg", "5 m/s^2"],
+    ["1 J / 1 s", "1 W"],
+    ["2 m * 3", "6 m"],
+  ];
+
+  for (const [input, value] of cases) {
+    assert.equal(evaluate(engine, input), value, input);
+  }
+});
+
+test("converts with in and to, taking SI prefixes", () => {
+  const engine = new ComputeEngine();
+  const cases = [
+    ["72 km/h in m/s", "20 m/s"],
+    ["72 km/h to m/s", "20 m/s"],
+    ["1 h in s", "3600 s"],
+    ["100 g in kg", "0.1 kg"],
+    ["1 kWh in J", "3600000 J"],
+    ["1 ft in m", "0.3048 m"],
+    ["1 mi in km", "1.609344 km"],
+    ["1 GHz in Hz", "1000000000 Hz"],
+    ["1 mm in km", "0.000001 km"],
+  ];
+
+  for (const [input, value] of cases) {
+    assert.equal(evaluate(engine, input), value, input);
+  }
+});
+
+test("refuses to mix quantities that measure different things", () => {
+  const engine = new ComputeEngine();
+  const cases = [
+    ["1 m + 2 s", /Cannot add m and s\./],
+    ["2 m in s", /Cannot convert m to s, they measure different things\./],
+    ["sin(2 m)", /Expected a plain number for x but was given 2 m\./],
+  ];
+
+  for (const [input, message] of cases) {
+    assert.throws(() => engine.run(input), message, input);
+  }
+});